@@ -3,8 +3,24 @@
  * RFC 7049 - Concise Binary Object Representation
  */
 
+/**
+ * A tagged data item, e.g. new CBORTag(4, [-2, 314]) for the decimal 3.14
+ */
+class CBORTag {
+    constructor(tag, value) {
+        this.tag = tag;
+        this.value = value;
+    }
+}
+
 class CBOREncoder {
-    constructor() {
+    /**
+     * options.preserveMapKeys: decode maps with non-string keys (e.g. the
+     * integer SIDs of CORECONF) to Map instead of plain objects
+     */
+    constructor(options = {}) {
+        this.preserveMapKeys = options.preserveMapKeys || false;
+
         // Major types
         this.MAJOR_TYPE = {
             UNSIGNED_INT: 0,
@@ -55,6 +71,17 @@ class CBOREncoder {
         return new Uint8Array(bytes);
     }
 
+    /**
+     * Encode values as a CBOR sequence (RFC 8742): items back to back
+     */
+    encodeSequence(values) {
+        const bytes = [];
+        for (const value of values) {
+            this._encodeValue(value, bytes);
+        }
+        return new Uint8Array(bytes);
+    }
+
     /**
      * Internal encoding function
      */
@@ -75,6 +102,11 @@ class CBOREncoder {
             this._encodeByteString(value, bytes);
         } else if (Array.isArray(value)) {
             this._encodeArray(value, bytes);
+        } else if (value instanceof Map) {
+            this._encodeMap(value, bytes);
+        } else if (value instanceof CBORTag) {
+            this._encodeTypeAndValue(this.MAJOR_TYPE.TAG, value.tag, bytes);
+            this._encodeValue(value.value, bytes);
         } else if (typeof value === 'object') {
             this._encodeObject(value, bytes);
         } else {
@@ -205,6 +237,17 @@ class CBOREncoder {
         }
     }
 
+    /**
+     * Encode a Map, keeping key types (integer keys stay integers)
+     */
+    _encodeMap(value, bytes) {
+        this._encodeTypeAndValue(this.MAJOR_TYPE.MAP, value.size, bytes);
+        for (const [key, val] of value) {
+            this._encodeValue(key, bytes);
+            this._encodeValue(val, bytes);
+        }
+    }
+
     /**
      * Decode CBOR to JavaScript value
      */
@@ -214,6 +257,21 @@ class CBOREncoder {
         return result.value;
     }
 
+    /**
+     * Decode a CBOR sequence (RFC 8742) into an array of values
+     */
+    decodeSequence(bytes) {
+        const data = bytes instanceof ArrayBuffer ? new Uint8Array(bytes) : bytes;
+        const values = [];
+        let offset = 0;
+        while (offset < data.length) {
+            const result = this._decodeValue(data, offset);
+            values.push(result.value);
+            offset = result.offset;
+        }
+        return values;
+    }
+
     /**
      * Internal decoding function
      */
@@ -347,16 +405,24 @@ class CBOREncoder {
     _decodeMap(data, offset) {
         const lengthResult = this._decodeLength(data, offset);
         offset = lengthResult.offset;
-        const map = {};
+        const entries = [];
         
         for (let i = 0; i < lengthResult.value; i++) {
             const keyResult = this._decodeValue(data, offset);
             offset = keyResult.offset;
             const valueResult = this._decodeValue(data, offset);
             offset = valueResult.offset;
-            map[keyResult.value] = valueResult.value;
+            entries.push([keyResult.value, valueResult.value]);
+        }
+
+        if (this.preserveMapKeys && entries.some(([key]) => typeof key !== 'string')) {
+            return { value: new Map(entries), offset };
+        }
+
+        const map = {};
+        for (const [key, value] of entries) {
+            map[key] = value;
         }
-        
         return { value: map, offset };
     }
 
@@ -367,12 +433,9 @@ class CBOREncoder {
         const tagResult = this._decodeLength(data, offset);
         const valueResult = this._decodeValue(data, tagResult.offset);
         
-        // For now, just return the value with tag info
+        // Return the value with its tag; callers interpret the tags they know
         return {
-            value: {
-                tag: tagResult.value,
-                value: valueResult.value
-            },
+            value: new CBORTag(tagResult.value, valueResult.value),
             offset: valueResult.offset
         };
     }
@@ -444,4 +507,5 @@ class CBOREncoder {
 }
 
 // Export for use in other modules
-window.CBOREncoder = CBOREncoder;
\ No newline at end of file
+window.CBOREncoder = CBOREncoder;
+window.CBORTag = CBORTag;
\ No newline at end of file
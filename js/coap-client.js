@@ -3,6 +3,120 @@
  * RFC 7252 - Constrained Application Protocol
  */
 
+/**
+ * A confirmable request got no ACK, or no response arrived in time
+ */
+class CoAPTimeoutError extends Error {
+    constructor(message, request = null) {
+        super(message);
+        this.name = 'CoAPTimeoutError';
+        this.request = request;
+    }
+}
+
+/**
+ * The device answered with an error code (4.xx/5.xx) or a reset
+ */
+class CoAPResponseError extends Error {
+    constructor(message, response = null) {
+        super(message);
+        this.name = 'CoAPResponseError';
+        this.response = response;
+        this.code = response ? response.code : null;
+    }
+}
+
+/**
+ * An Observe (RFC 7641) registration on the device.
+ *
+ * Events: 'notification' (response with the reassembled payload, in
+ * sequence order), 'state' (registering, active, suspended, cancelled)
+ * and 'error'. A suspended subscription lost its registration with the
+ * link and is registered again by CoAPClient.resumeSubscriptions().
+ */
+class CoAPSubscription {
+    constructor(client, method, path, options = {}) {
+        this.client = client;
+        this.method = method;
+        this.path = path;
+        this.options = options;
+        this.state = 'registering';
+        this.token = null;
+        this.sequence = null;
+        this.receivedAt = 0;
+        this.response = null;
+        this.notifications = 0;
+        this.listeners = {};
+    }
+
+    /**
+     * Is an Observe value newer than the last one delivered? Values are
+     * 24-bit and wrap (RFC 7641 section 3.4).
+     */
+    isFresh(sequence, now = Date.now()) {
+        if (this.sequence === null || sequence === null) return true;
+        const last = this.sequence;
+        return (last < sequence && sequence - last < 0x800000) ||
+            (last > sequence && last - sequence > 0x800000) ||
+            now > this.receivedAt + 128000;
+    }
+
+    /**
+     * Deliver a response unless a newer one was already delivered
+     */
+    accept(response, sequence) {
+        const now = Date.now();
+        if (!this.isFresh(sequence, now)) return false;
+
+        this.sequence = sequence;
+        this.receivedAt = now;
+        this.response = response;
+        this.notifications++;
+        this.emit('notification', response);
+        return true;
+    }
+
+    setState(state) {
+        if (this.state !== state) {
+            this.state = state;
+            this.emit('state', state);
+        }
+    }
+
+    /**
+     * Deregister from the device
+     */
+    cancel() {
+        return this.client.unobserve(this);
+    }
+
+    on(event, callback) {
+        if (!this.listeners[event]) {
+            this.listeners[event] = [];
+        }
+        this.listeners[event].push(callback);
+    }
+
+    off(event, callback) {
+        if (!this.listeners[event]) return;
+        const index = this.listeners[event].indexOf(callback);
+        if (index !== -1) {
+            this.listeners[event].splice(index, 1);
+        }
+    }
+
+    emit(event, data) {
+        if (!this.listeners[event]) return;
+        this.listeners[event].forEach(callback => {
+            try {
+                callback(data);
+            } catch (error) {
+                console.error(`Error in subscription listener for ${event}:`, error);
+            }
+        });
+    }
+}
+
 class CoAPClient {
     constructor() {
         // CoAP message types
@@ -20,7 +134,9 @@ class CoAPClient {
             POST: 2,
             PUT: 3,
             DELETE: 4,
-            FETCH: 5  // RFC 8132
+            FETCH: 5,  // RFC 8132
+            PATCH: 6,  // RFC 8132
+            IPATCH: 7  // RFC 8132
         };
 
         // CoAP response codes (X.XX)
@@ -31,6 +147,7 @@ class CoAPClient {
             VALID: 67,       // 2.03
             CHANGED: 68,     // 2.04
             CONTENT: 69,     // 2.05
+            CONTINUE: 95,    // 2.31 (RFC 7959)
             
             // 4.XX Client Error
             BAD_REQUEST: 128,        // 4.00
@@ -39,6 +156,11 @@ class CoAPClient {
             FORBIDDEN: 131,         // 4.03
             NOT_FOUND: 132,         // 4.04
             METHOD_NOT_ALLOWED: 133, // 4.05
+            NOT_ACCEPTABLE: 134,     // 4.06
+            REQUEST_ENTITY_INCOMPLETE: 136, // 4.08
+            PRECONDITION_FAILED: 140,       // 4.12
+            REQUEST_ENTITY_TOO_LARGE: 141,  // 4.13
+            UNSUPPORTED_CONTENT_FORMAT: 143, // 4.15
             
             // 5.XX Server Error
             INTERNAL_SERVER_ERROR: 160,  // 5.00
@@ -54,6 +176,7 @@ class CoAPClient {
             URI_HOST: 3,
             ETAG: 4,
             IF_NONE_MATCH: 5,
+            OBSERVE: 6,      // RFC 7641
             URI_PORT: 7,
             LOCATION_PATH: 8,
             URI_PATH: 11,
@@ -62,6 +185,8 @@ class CoAPClient {
             URI_QUERY: 15,
             ACCEPT: 17,
             LOCATION_QUERY: 20,
+            BLOCK2: 23,      // RFC 7959
+            BLOCK1: 27,      // RFC 7959
             SIZE2: 28,
             PROXY_URI: 35,
             PROXY_SCHEME: 39,
@@ -82,8 +207,635 @@ class CoAPClient {
             'YANG_INSTANCES_CBOR_SEQ': 61442    // application/yang-instances+cbor-seq
         };
 
-        this.messageId = 1;
+        // Transmission parameters (RFC 7252 section 4.8)
+        this.ACK_TIMEOUT = 2000;
+        this.ACK_RANDOM_FACTOR = 1.5;
+        this.MAX_RETRANSMIT = 4;
+
+        // Highest block number of a Block1/Block2 option (RFC 7959 section 2.2)
+        this.MAX_BLOCK_NUM = 0xFFFFF;
+
+        // Largest CoAP message the device accepts (MUP1 maxSize); when set,
+        // bigger payloads go block-wise (RFC 7959)
+        this.maxMessageSize = null;
+
+        // Message IDs start at a random value (RFC 7252 section 4.4)
+        this.messageId = Math.floor(Math.random() * 0x10000);
         this.token = 0;
+
+        // Outstanding requests by token, and message IDs of separate
+        // responses we acknowledged (to re-ACK duplicates)
+        this.sender = null;
+        this.pending = new Map();
+        this.acknowledged = [];
+
+        // Observe registrations, and active ones by token
+        this.subscriptions = [];
+        this.observations = new Map();
+    }
+
+    /**
+     * Longest time from the first transmission of a CON to its last
+     * retransmission timing out (RFC 7252 section 4.8.2)
+     */
+    get maxTransmitWait() {
+        return this.ACK_TIMEOUT * (Math.pow(2, this.MAX_RETRANSMIT + 1) - 1) * this.ACK_RANDOM_FACTOR;
+    }
+
+    /**
+     * Set the function that puts encoded messages on the wire
+     */
+    setSender(send) {
+        this.sender = send;
+    }
+
+    /**
+     * Limit messages to the size the device announced; null lifts the limit
+     */
+    setMaxMessageSize(size) {
+        this.maxMessageSize = Number.isInteger(size) && size > 0 ? size : null;
+    }
+
+    /**
+     * Send a request and resolve with the matching response.
+     *
+     * options: { payload, contentFormat, accept, query, confirmable, options }
+     * Payloads larger than the negotiated block size are sent with Block1
+     * and block-wise responses are fetched with Block2; the response then
+     * carries the reassembled payload.
+     * Rejects with CoAPResponseError for 4.xx/5.xx or RST and with
+     * CoAPTimeoutError when the device does not answer.
+     */
+    async request(method, path, options = {}) {
+        if (!this.sender) {
+            throw new Error('CoAP client has no sender');
+        }
+
+        const transfer = this.createTransfer(method, path, options);
+        const { code, payload } = transfer;
+
+        let response;
+        if (transfer.szx !== null && payload.length > this.blockSize(transfer.szx)) {
+            response = await this.sendBlock1(transfer);
+        } else {
+            try {
+                response = await this.exchange(transfer, {
+                    // Ask for blocks we can take up front (early negotiation)
+                    block2: transfer.szx !== null && this.isRetrieval(code)
+                        ? this.encodeBlockOption(0, false, transfer.szx) : undefined
+                }, payload);
+            } catch (error) {
+                // 4.13 with a Block1 hint: retry block-wise at the size the device asks for
+                const hint = error instanceof CoAPResponseError &&
+                    error.code === this.RESPONSE_CODE.REQUEST_ENTITY_TOO_LARGE &&
+                    this.getBlockOption(error.response, 'block1');
+                if (!hint || payload.length === 0) throw error;
+                transfer.szx = hint.szx;
+                response = await this.sendBlock1(transfer);
+            }
+        }
+
+        if (this.getBlockOption(response, 'block2')) {
+            response = await this.receiveBlock2(transfer, response);
+        }
+        return response;
+    }
+
+    /**
+     * Everything needed to send one logical request, possibly as several
+     * block-wise exchanges
+     */
+    createTransfer(method, path, options = {}) {
+        const transfer = {
+            method,
+            code: typeof method === 'number' ? method : this.getMethodCode(method),
+            path,
+            confirmable: options.confirmable !== false,
+            options: {
+                'uri-path': path,
+                'uri-query': options.query,
+                'content-format': options.contentFormat,
+                'accept': options.accept,
+                ...options.options
+            },
+            payload: this.encodePayload(options.payload),
+            token: null,
+            szx: null
+        };
+        transfer.szx = this.negotiateBlockSzx(transfer.options);
+        return transfer;
+    }
+
+    /**
+     * Send the request body in Block1 blocks; resolves with the response
+     * to the last block
+     */
+    async sendBlock1(transfer) {
+        const { payload } = transfer;
+        let szx = transfer.szx;
+        let offset = 0;
+
+        const blocks = Math.ceil(payload.length / this.blockSize(szx));
+        if (blocks - 1 > this.MAX_BLOCK_NUM) {
+            throw new Error(`${transfer.method} ${transfer.path}: ${payload.length} bytes need ${blocks} blocks ` +
+                `of ${this.blockSize(szx)} bytes, more than a Block1 transfer can number`);
+        }
+
+        while (true) {
+            const size = this.blockSize(szx);
+            const num = offset / size;
+            const more = offset + size < payload.length;
+            const response = await this.exchange(transfer, {
+                block1: this.encodeBlockOption(num, more, szx),
+                size1: num === 0 ? payload.length : undefined
+            }, payload.slice(offset, offset + size));
+
+            if (!more) return response;
+            if (response.code !== this.RESPONSE_CODE.CONTINUE) {
+                throw new CoAPResponseError(
+                    `${transfer.method} ${transfer.path} answered ${this.formatCode(response.code)} ` +
+                    `before the last block`, response);
+            }
+
+            // The device may ask for smaller blocks from here on
+            const ack = this.getBlockOption(response, 'block1');
+            offset += size;
+            if (ack && ack.szx < szx) {
+                szx = ack.szx;
+            }
+        }
+    }
+
+    /**
+     * Fetch the remaining Block2 blocks of a response and join them
+     */
+    async receiveBlock2(transfer, first) {
+        const chunks = [];
+        let response = first;
+        let received = 0;
+
+        while (true) {
+            const block = this.getBlockOption(response, 'block2');
+            const size = this.blockSize(block.szx);
+            if (block.num * size !== received) {
+                throw new CoAPResponseError(
+                    `${transfer.method} ${transfer.path} returned block ${block.num} out of order`, response);
+            }
+
+            const chunk = response.payload || new Uint8Array(0);
+            chunks.push(chunk);
+            received += chunk.length;
+            if (!block.more) break;
+
+            // FETCH repeats its body with every block; a body that went
+            // block-wise is not sent again
+            const body = transfer.payload.length > 0 && transfer.szx !== null &&
+                transfer.payload.length > this.blockSize(transfer.szx) ? null : transfer.payload;
+            // Observe is only registered by the first block (RFC 7959 section 2.6)
+            response = await this.exchange(transfer, {
+                observe: undefined,
+                block2: this.encodeBlockOption(received / size, false, block.szx)
+            }, body);
+        }
+
+        const payload = new Uint8Array(received);
+        let offset = 0;
+        for (const chunk of chunks) {
+            payload.set(chunk, offset);
+            offset += chunk.length;
+        }
+        return { ...response, payload };
+    }
+
+    /**
+     * One request/response exchange: a single message with its own
+     * message ID and token
+     */
+    exchange(transfer, blockOptions, payload) {
+        const message = this.createMessage(
+            transfer.confirmable ? this.TYPE.CON : this.TYPE.NON,
+            transfer.code,
+            { ...transfer.options, ...blockOptions, payload, token: transfer.token }
+        );
+
+        return new Promise((resolve, reject) => {
+            const exchange = {
+                message,
+                method: transfer.method,
+                path: transfer.path,
+                resolve,
+                reject,
+                confirmable: transfer.confirmable,
+                acknowledged: false,
+                retransmissions: 0,
+                // Initial timeout is random in [ACK_TIMEOUT, ACK_TIMEOUT * ACK_RANDOM_FACTOR]
+                timeout: this.ACK_TIMEOUT * (1 + Math.random() * (this.ACK_RANDOM_FACTOR - 1)),
+                timer: null
+            };
+            this.pending.set(this.tokenKey(message.token), exchange);
+            this.transmit(exchange);
+        });
+    }
+
+    /**
+     * Block size exponent for a request with these options: the largest
+     * block that fits the device limit next to header, token and options.
+     * Null when no limit is known.
+     */
+    negotiateBlockSzx(options = {}) {
+        if (!this.maxMessageSize) return null;
+
+        // Header, token, options with full-width block/size values, payload marker
+        const optionBytes = this.encodeOptions({ ...options, block1: 0xFFFFFF, block2: 0xFFFFFF, size1: 0xFFFFFFFF });
+        const szx = this.getBlockSzx(this.maxMessageSize - 4 - 8 - optionBytes.length - 1);
+        if (szx === null) {
+            throw new Error(`CoAP options do not fit the device limit of ${this.maxMessageSize} bytes`);
+        }
+        return szx;
+    }
+
+    /**
+     * Largest SZX (0-6, i.e. 16-1024 byte blocks) whose block fits in
+     * `space` bytes; null if not even 16 bytes fit
+     */
+    getBlockSzx(space) {
+        for (let szx = 6; szx >= 0; szx--) {
+            if (this.blockSize(szx) <= space) return szx;
+        }
+        return null;
+    }
+
+    blockSize(szx) {
+        return 1 << (szx + 4);
+    }
+
+    /**
+     * Block1/Block2 option value: NUM | M | SZX, at most 3 bytes, so NUM
+     * stops at 2^20 - 1 (RFC 7959 section 2.2)
+     */
+    encodeBlockOption(num, more, szx) {
+        if (num > this.MAX_BLOCK_NUM) {
+            throw new Error(`Block ${num} is past the last block number ${this.MAX_BLOCK_NUM} a Block option can carry`);
+        }
+        return num * 16 + (more ? 8 : 0) + szx;
+    }
+
+    /**
+     * Decode a parsed message's Block1/Block2 option; null if absent
+     */
+    getBlockOption(message, name) {
+        const option = message && message.options[name];
+        if (!option) return null;
+        const value = Array.from(option[0]).reduce((v, byte) => v * 256 + byte, 0);
+        return { num: Math.floor(value / 16), more: (value & 0x08) !== 0, szx: value & 0x07 };
+    }
+
+    /**
+     * GET and FETCH only read, so their responses may come block-wise
+     */
+    isRetrieval(code) {
+        return code === this.METHOD.GET || code === this.METHOD.FETCH;
+    }
+
+    /**
+     * Observe a resource: resolves with a CoAPSubscription once the device
+     * accepted the registration. options are those of request(), plus
+     * `method` ('GET' by default, 'FETCH' with a payload).
+     */
+    async observe(path, options = {}) {
+        const subscription = new CoAPSubscription(this, options.method || 'GET', path, options);
+        this.subscriptions.push(subscription);
+
+        try {
+            await this.register(subscription);
+        } catch (error) {
+            this.forget(subscription);
+            throw error;
+        }
+        return subscription;
+    }
+
+    /**
+     * Send the Observe registration of a subscription
+     */
+    async register(subscription) {
+        if (!this.sender) {
+            throw new Error('CoAP client has no sender');
+        }
+
+        subscription.setState('registering');
+        const transfer = this.createTransfer(subscription.method, subscription.path, {
+            ...subscription.options,
+            options: { ...subscription.options.options, observe: 0 }
+        });
+
+        let response = await this.exchange(transfer, {}, transfer.payload);
+        if (subscription.state === 'cancelled') return;
+
+        const sequence = this.getObserveValue(response);
+        if (sequence !== null) {
+            // Known before fetching further blocks, so early notifications
+            // are not reset; a new registration restarts the sequence
+            subscription.token = response.token;
+            subscription.sequence = null;
+            this.observations.set(this.tokenKey(response.token), subscription);
+        }
+        if (this.getBlockOption(response, 'block2')) {
+            response = await this.receiveBlock2(transfer, response);
+        }
+
+        if (sequence === null) {
+            throw new CoAPResponseError(`${subscription.path} is not observable`, response);
+        }
+        subscription.setState('active');
+        subscription.accept(response, sequence);
+    }
+
+    /**
+     * End a subscription, telling the device if it is registered
+     */
+    async unobserve(subscription) {
+        const registered = subscription.state === 'active';
+        this.forget(subscription);
+        subscription.setState('cancelled');
+
+        if (registered && this.sender) {
+            // Same request and token with Observe 1 (RFC 7641 section 3.6)
+            const transfer = this.createTransfer(subscription.method, subscription.path, {
+                ...subscription.options,
+                options: { ...subscription.options.options, observe: 1 }
+            });
+            transfer.token = subscription.token;
+            try {
+                await this.exchange(transfer, {}, transfer.payload);
+            } catch (error) {
+                // Ignored: further notifications are answered with a reset
+            }
+        }
+    }
+
+    forget(subscription) {
+        const index = this.subscriptions.indexOf(subscription);
+        if (index !== -1) {
+            this.subscriptions.splice(index, 1);
+        }
+        if (subscription.token) {
+            this.observations.delete(this.tokenKey(subscription.token));
+        }
+    }
+
+    /**
+     * The link went down: registrations are gone on the device side
+     */
+    suspendSubscriptions() {
+        this.observations.clear();
+        for (const subscription of this.subscriptions) {
+            subscription.setState('suspended');
+        }
+    }
+
+    /**
+     * Register suspended subscriptions again, e.g. after a reconnect
+     */
+    resumeSubscriptions() {
+        for (const subscription of this.subscriptions) {
+            if (subscription.state !== 'suspended') continue;
+            this.register(subscription).catch(error => {
+                if (subscription.state !== 'cancelled') {
+                    subscription.setState('suspended');
+                }
+                subscription.emit('error', error);
+            });
+        }
+    }
+
+    /**
+     * A notification for an active subscription
+     */
+    handleNotification(subscription, message) {
+        const sequence = this.getObserveValue(message);
+
+        // An error, or a response without Observe, ends the observation
+        if (message.codeClass !== 2 || sequence === null) {
+            this.forget(subscription);
+            subscription.setState('cancelled');
+            if (message.codeClass !== 2) {
+                subscription.emit('error', new CoAPResponseError(
+                    `Observation of ${subscription.path} ended with ${this.formatCode(message.code)}`, message));
+                return;
+            }
+        }
+
+        const block = this.getBlockOption(message, 'block2');
+        if (block && block.more) {
+            // Only the first block is notified; fetch the rest
+            if (!subscription.isFresh(sequence)) return;
+            const transfer = this.createTransfer(subscription.method, subscription.path, subscription.options);
+            this.receiveBlock2(transfer, message)
+                .then(response => subscription.accept(response, sequence))
+                .catch(error => subscription.emit('error', error));
+            return;
+        }
+
+        subscription.accept(message, sequence);
+    }
+
+    /**
+     * Observe option value of a message; null if absent
+     */
+    getObserveValue(message) {
+        const option = message.options.observe;
+        if (!option) return null;
+        return Array.from(option[0]).reduce((value, byte) => value * 256 + byte, 0);
+    }
+
+    /**
+     * Content-Format option value of a message; null if absent
+     */
+    getContentFormat(message) {
+        const option = message.options['content-format'];
+        if (!option) return null;
+        return Array.from(option[0]).reduce((value, byte) => value * 256 + byte, 0);
+    }
+
+    /**
+     * Send (or resend) a request and arm its timer
+     */
+    transmit(exchange) {
+        clearTimeout(exchange.timer);
+
+        if (exchange.confirmable && !exchange.acknowledged) {
+            exchange.timer = setTimeout(() => this.retransmit(exchange), exchange.timeout);
+        } else {
+            exchange.timer = setTimeout(() => {
+                this.fail(exchange, new CoAPTimeoutError(
+                    `No response to ${exchange.method} ${exchange.path}`, exchange.message));
+            }, this.maxTransmitWait);
+        }
+
+        Promise.resolve(this.sender(exchange.message.bytes)).catch(error => this.fail(exchange, error));
+    }
+
+    /**
+     * ACK timeout expired: back off exponentially or give up
+     */
+    retransmit(exchange) {
+        if (exchange.retransmissions >= this.MAX_RETRANSMIT) {
+            this.fail(exchange, new CoAPTimeoutError(
+                `${exchange.method} ${exchange.path} not acknowledged after ` +
+                `${this.MAX_RETRANSMIT} retransmissions`, exchange.message));
+            return;
+        }
+        exchange.retransmissions++;
+        exchange.timeout *= 2;
+        this.transmit(exchange);
+    }
+
+    /**
+     * Feed a received CoAP message; returns true if it belonged to an
+     * outstanding request
+     */
+    handleMessage(data) {
+        const message = this.parseMessage(data);
+
+        if (message.type === this.TYPE.ACK || message.type === this.TYPE.RST) {
+            const exchange = this.findByMessageId(message.messageId);
+            if (!exchange) return false;
+
+            if (message.type === this.TYPE.RST) {
+                this.fail(exchange, new CoAPResponseError(
+                    `${exchange.method} ${exchange.path} was reset by the device`, message));
+            } else if (message.code === this.METHOD.EMPTY) {
+                // Empty ACK: the response will follow separately
+                exchange.acknowledged = true;
+                this.transmitWait(exchange);
+            } else {
+                this.complete(exchange, message);
+            }
+            return true;
+        }
+
+        // Separate response (CON or NON) matched by token, or a notification
+        const key = this.tokenKey(message.token);
+        const exchange = this.pending.get(key);
+        const subscription = exchange ? null : this.observations.get(key);
+        if (message.type === this.TYPE.CON) {
+            if (exchange || subscription || this.acknowledged.includes(message.messageId)) {
+                this.sendEmpty(this.TYPE.ACK, message.messageId);
+                this.rememberAcknowledged(message.messageId);
+            } else {
+                this.sendEmpty(this.TYPE.RST, message.messageId);
+            }
+        } else if (!exchange && !subscription && this.getObserveValue(message) !== null) {
+            // Notification for an observation we no longer hold
+            this.sendEmpty(this.TYPE.RST, message.messageId);
+        }
+
+        if (subscription) {
+            this.handleNotification(subscription, message);
+            return true;
+        }
+        if (!exchange) return false;
+
+        this.complete(exchange, message);
+        return true;
+    }
+
+    /**
+     * Wait for a separate response after an empty ACK
+     */
+    transmitWait(exchange) {
+        clearTimeout(exchange.timer);
+        exchange.timer = setTimeout(() => {
+            this.fail(exchange, new CoAPTimeoutError(
+                `No separate response to ${exchange.method} ${exchange.path}`, exchange.message));
+        }, this.maxTransmitWait);
+    }
+
+    findByMessageId(messageId) {
+        for (const exchange of this.pending.values()) {
+            if (exchange.message.messageId === messageId) return exchange;
+        }
+        return null;
+    }
+
+    complete(exchange, response) {
+        clearTimeout(exchange.timer);
+        this.pending.delete(this.tokenKey(exchange.message.token));
+
+        if (response.codeClass === 2) {
+            exchange.resolve(response);
+        } else {
+            const diagnostic = response.payload ? ` (${new TextDecoder().decode(response.payload)})` : '';
+            exchange.reject(new CoAPResponseError(
+                `${exchange.method} ${exchange.path} failed with ${this.formatCode(response.code)}${diagnostic}`,
+                response));
+        }
+    }
+
+    fail(exchange, error) {
+        clearTimeout(exchange.timer);
+        if (this.pending.delete(this.tokenKey(exchange.message.token))) {
+            exchange.reject(error);
+        }
+    }
+
+    /**
+     * Reject every outstanding request, e.g. after a disconnect
+     */
+    cancelAll(error = new Error('CoAP requests cancelled')) {
+        for (const exchange of [...this.pending.values()]) {
+            this.fail(exchange, error);
+        }
+    }
+
+    /**
+     * Send an empty ACK or RST for a received message ID
+     */
+    sendEmpty(type, messageId) {
+        if (!this.sender) return;
+        const bytes = new Uint8Array([(1 << 6) | (type << 4), 0, (messageId >> 8) & 0xFF, messageId & 0xFF]);
+        Promise.resolve(this.sender(bytes)).catch(() => {});
+    }
+
+    rememberAcknowledged(messageId) {
+        if (!this.acknowledged.includes(messageId)) {
+            this.acknowledged.push(messageId);
+            if (this.acknowledged.length > 32) {
+                this.acknowledged.shift();
+            }
+        }
+    }
+
+    tokenKey(token) {
+        return Array.from(token).map(b => b.toString(16).padStart(2, '0')).join('');
+    }
+
+    /**
+     * Method code from name ('GET', 'FETCH', 'iPATCH', ...)
+     */
+    getMethodCode(method) {
+        const code = this.METHOD[method.toUpperCase()];
+        if (code === undefined) {
+            throw new Error(`Unknown CoAP method: ${method}`);
+        }
+        return code;
+    }
+
+    /**
+     * Response code as "c.dd", e.g. 69 -> "2.05"
+     */
+    formatCode(code) {
+        return `${code >> 5}.${(code & 0x1F).toString().padStart(2, '0')}`;
+    }
+
+    /**
+     * Next 16-bit message ID, wrapping from 0xFFFF to 0
+     */
+    nextMessageId() {
+        const messageId = this.messageId;
+        this.messageId = (this.messageId + 1) & 0xFFFF;
+        return messageId;
     }
 
     /**
@@ -92,9 +844,9 @@ class CoAPClient {
     createMessage(type, code, options = {}) {
         const message = [];
         
-        // Generate message ID and token
-        const messageId = this.messageId++;
-        const token = this.generateToken();
+        // Generate message ID and token (unless the token is given)
+        const messageId = this.nextMessageId();
+        const token = options.token || this.generateToken();
         const tokenLength = token.length;
 
         // Byte 0: Version (2 bits) | Type (2 bits) | Token Length (4 bits)
@@ -120,23 +872,10 @@ class CoAPClient {
             message.push(...optionBytes);
         }
 
-        // Payload marker and payload (if present)
-        if (options.payload) {
+        // Payload marker and payload (if present; an empty one is omitted)
+        const payloadBytes = this.encodePayload(options.payload);
+        if (payloadBytes.length > 0) {
             message.push(0xFF); // Payload marker
-            
-            // Convert payload to bytes
-            let payloadBytes;
-            if (options.payload instanceof Uint8Array) {
-                payloadBytes = options.payload;
-            } else if (typeof options.payload === 'string') {
-                payloadBytes = new TextEncoder().encode(options.payload);
-            } else if (typeof options.payload === 'object') {
-                // Assume CBOR encoding needed
-                payloadBytes = this.encodeCBOR(options.payload);
-            } else {
-                payloadBytes = new Uint8Array(options.payload);
-            }
-            
             message.push(...payloadBytes);
         }
 
@@ -147,6 +886,56 @@ class CoAPClient {
         };
     }
 
+    /**
+     * Payload as bytes: strings as UTF-8, other objects as CBOR
+     */
+    encodePayload(payload) {
+        if (payload === undefined || payload === null) {
+            return new Uint8Array(0);
+        } else if (payload instanceof Uint8Array) {
+            return payload;
+        } else if (typeof payload === 'string') {
+            return new TextEncoder().encode(payload);
+        } else if (typeof payload === 'object') {
+            // Assume CBOR encoding needed
+            return this.encodeCBOR(payload);
+        }
+        return new Uint8Array(payload);
+    }
+
+    /**
+     * Create a response to a parsed request: piggybacked ACK for CON
+     * requests, NON otherwise, echoing the request's message ID and token
+     */
+    createResponse(request, code, options = {}) {
+        const type = request.type === this.TYPE.CON ? this.TYPE.ACK : this.TYPE.NON;
+        const messageId = type === this.TYPE.ACK ? request.messageId : this.nextMessageId();
+        const token = request.token;
+        const message = [];
+
+        message.push((1 << 6) | (type << 4) | token.length);
+        message.push(code);
+        message.push((messageId >> 8) & 0xFF);
+        message.push(messageId & 0xFF);
+        message.push(...token);
+
+        const optionBytes = this.encodeOptions(options);
+        if (optionBytes.length > 0) {
+            message.push(...optionBytes);
+        }
+
+        if (options.payload && options.payload.length > 0) {
+            message.push(0xFF);
+            message.push(...options.payload);
+        }
+
+        return {
+            bytes: new Uint8Array(message),
+            messageId: messageId,
+            token: token
+        };
+    }
+
     /**
      * Parse CoAP message
      */
@@ -198,19 +987,31 @@ class CoAPClient {
 
     /**
      * Encode CoAP options
+     *
+     * Values may be arrays for repeatable options. A 'uri-path' string is
+     * split into one option per segment and a 'uri-query' string into one
+     * option per '&'-separated parameter.
      */
     encodeOptions(options) {
         const encoded = [];
         let lastOptionNumber = 0;
         
-        // Sort options by number
-        const sortedOptions = Object.entries(options)
-            .filter(([key]) => key !== 'payload')
-            .map(([key, value]) => {
-                const optionNumber = this.getOptionNumber(key);
-                return { number: optionNumber, value };
-            })
-            .sort((a, b) => a.number - b.number);
+        // Flatten to one entry per option instance, sorted by number
+        // (stable, so repeated options keep their order)
+        const sortedOptions = [];
+        for (const [key, value] of Object.entries(options)) {
+            if (key === 'payload' || key === 'token' || value === undefined || value === null) continue;
+
+            const optionNumber = this.getOptionNumber(key);
+            let values = Array.isArray(value) ? value : [value];
+            if (optionNumber === this.OPTION.URI_PATH && typeof value === 'string') {
+                values = value.split('/').filter(segment => segment.length > 0);
+            } else if (optionNumber === this.OPTION.URI_QUERY && typeof value === 'string') {
+                values = value.split('&').filter(param => param.length > 0);
+            }
+            values.forEach(v => sortedOptions.push({ number: optionNumber, value: v }));
+        }
+        sortedOptions.sort((a, b) => a.number - b.number);
 
         for (const option of sortedOptions) {
             const delta = option.number - lastOptionNumber;
@@ -226,49 +1027,11 @@ class CoAPClient {
                 valueBytes = new Uint8Array(option.value);
             }
 
-            // Encode option header
-            const length = valueBytes.length;
-            
-            if (delta < 13 && length < 13) {
-                // Both fit in one byte
-                encoded.push((delta << 4) | length);
-            } else {
-                // Extended delta or length
-                let headerByte = 0;
-                
-                // Handle delta
-                if (delta < 13) {
-                    headerByte = delta << 4;
-                } else if (delta < 269) {
-                    headerByte = 13 << 4;
-                    encoded.push(headerByte | (length < 13 ? length : (length < 269 ? 13 : 14)));
-                    encoded.push(delta - 13);
-                } else {
-                    headerByte = 14 << 4;
-                    encoded.push(headerByte | (length < 13 ? length : (length < 269 ? 13 : 14)));
-                    encoded.push((delta - 269) >> 8);
-                    encoded.push((delta - 269) & 0xFF);
-                }
-
-                // Handle length (if not already added)
-                if (delta < 13) {
-                    if (length < 13) {
-                        encoded.push(headerByte | length);
-                    } else if (length < 269) {
-                        encoded.push(headerByte | 13);
-                        encoded.push(length - 13);
-                    } else {
-                        encoded.push(headerByte | 14);
-                        encoded.push((length - 269) >> 8);
-                        encoded.push((length - 269) & 0xFF);
-                    }
-                } else if (length >= 269) {
-                    encoded.push((length - 269) >> 8);
-                    encoded.push((length - 269) & 0xFF);
-                } else if (length >= 13) {
-                    encoded.push(length - 13);
-                }
-            }
+            // Option header: delta and length nibbles, then their extensions
+            const deltaField = this.encodeOptionField(delta);
+            const lengthField = this.encodeOptionField(valueBytes.length);
+            encoded.push((deltaField.nibble << 4) | lengthField.nibble);
+            encoded.push(...deltaField.extended, ...lengthField.extended);
 
             // Add option value
             encoded.push(...valueBytes);
@@ -277,6 +1040,18 @@ class CoAPClient {
         return encoded;
     }
 
+    /**
+     * Encode an option delta or length as nibble plus extension bytes
+     */
+    encodeOptionField(value) {
+        if (value < 13) {
+            return { nibble: value, extended: [] };
+        } else if (value < 269) {
+            return { nibble: 13, extended: [value - 13] };
+        }
+        return { nibble: 14, extended: [(value - 269) >> 8, (value - 269) & 0xFF] };
+    }
+
     /**
      * Parse CoAP options
      */
@@ -336,8 +1111,13 @@ class CoAPClient {
             'uri-query': this.OPTION.URI_QUERY,
             'content-format': this.OPTION.CONTENT_FORMAT,
             'accept': this.OPTION.ACCEPT,
+            'observe': this.OPTION.OBSERVE,
             'uri-host': this.OPTION.URI_HOST,
-            'uri-port': this.OPTION.URI_PORT
+            'uri-port': this.OPTION.URI_PORT,
+            'block1': this.OPTION.BLOCK1,
+            'block2': this.OPTION.BLOCK2,
+            'size1': this.OPTION.SIZE1,
+            'size2': this.OPTION.SIZE2
         };
         
         return optionMap[name.toLowerCase()] || parseInt(name);
@@ -352,20 +1132,27 @@ class CoAPClient {
             [this.OPTION.URI_QUERY]: 'uri-query',
             [this.OPTION.CONTENT_FORMAT]: 'content-format',
             [this.OPTION.ACCEPT]: 'accept',
+            [this.OPTION.OBSERVE]: 'observe',
             [this.OPTION.URI_HOST]: 'uri-host',
-            [this.OPTION.URI_PORT]: 'uri-port'
+            [this.OPTION.URI_PORT]: 'uri-port',
+            [this.OPTION.BLOCK1]: 'block1',
+            [this.OPTION.BLOCK2]: 'block2',
+            [this.OPTION.SIZE1]: 'size1',
+            [this.OPTION.SIZE2]: 'size2'
         };
         
         return reverseMap[number] || `option-${number}`;
     }
 
     /**
-     * Encode number to bytes
+     * Encode number to bytes: an option uint in as few bytes as it needs
+     * (RFC 7252 section 3.2)
      */
     encodeNumber(num) {
         if (num === 0) return new Uint8Array([]);
         if (num < 256) return new Uint8Array([num]);
         if (num < 65536) return new Uint8Array([num >> 8, num & 0xFF]);
+        if (num < 16777216) return new Uint8Array([num >> 16, (num >> 8) & 0xFF, num & 0xFF]);
         return new Uint8Array([num >> 24, (num >> 16) & 0xFF, (num >> 8) & 0xFF, num & 0xFF]);
     }
 
@@ -487,7 +1274,26 @@ class CoAPClient {
             }
         );
     }
+
+    /**
+     * Create iPATCH request
+     */
+    createIPATCH(path, payload, options = {}) {
+        return this.createMessage(
+            this.TYPE.CON,
+            this.METHOD.IPATCH,
+            {
+                'uri-path': path,
+                'content-format': this.CONTENT_FORMAT.YANG_INSTANCES_CBOR_SEQ,
+                payload: payload,
+                ...options
+            }
+        );
+    }
 }
 
 // Export for use in other modules
-window.CoAPClient = CoAPClient;
\ No newline at end of file
+window.CoAPClient = CoAPClient;
+window.CoAPTimeoutError = CoAPTimeoutError;
+window.CoAPResponseError = CoAPResponseError;
+window.CoAPSubscription = CoAPSubscription;
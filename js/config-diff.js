@@ -0,0 +1,307 @@
+/**
+ * Config Diff
+ * Leaf-by-leaf comparison of a device's running configuration with an
+ * mvdct-style patch ([{ path, value }], see yaml-patch.js).
+ *
+ * The patch is replayed in order on a YangDatastore holding the running
+ * values of its paths, with the device's semantics: a value merges
+ * (iPATCH), null deletes. The result is compared with the running values,
+ * so entries that undo each other (a delete followed by re-creating the
+ * same node) cancel out; every leaf that ends up added, removed or changed
+ * is reported, and the patch is cut down to what changes the device.
+ */
+
+class ConfigDiff {
+    /**
+     * running: Map of entry path -> value read from the device (null or
+     * missing when the node does not exist)
+     * Returns { changes: [{ path, type, before, after }], entries } where
+     * type is 'added', 'removed' or 'modified' and entries is the net
+     * patch: deletes of the nodes that go away, then merges of what is
+     * added or changed.
+     */
+    static compare(running, entries) {
+        const initial = ConfigDiff.load(running);
+        const final = ConfigDiff.replay(running, entries);
+        const changes = [];
+        const deletes = [];
+        const merges = [];
+
+        // A path inside another entry's path is compared as part of it
+        const ids = [];
+        for (const { path } of entries) {
+            const id = InstanceIdentifier.parse(path);
+            if (!ids.some(other => other.toString() === id.toString())) ids.push(id);
+        }
+        const outer = ids.filter(id => !ids.some(other => other !== id && other.contains(id)));
+
+        for (const id of outer) {
+            const path = id.toString();
+            const before = initial.get(path);
+            const after = final.get(path);
+
+            if (after === undefined) {
+                if (before !== undefined) {
+                    ConfigDiff.removed(id, before, changes);
+                    deletes.push({ path, value: null });
+                }
+                continue;
+            }
+            if (before !== undefined) {
+                ConfigDiff.diffRemovals(id, before, after, changes, deletes);
+            }
+            const changed = ConfigDiff.diffNode(id, before, after, changes);
+            if (changed !== undefined) {
+                merges.push({ path, value: changed });
+            }
+        }
+
+        return { changes, entries: [...deletes, ...merges] };
+    }
+
+    /**
+     * Record the nodes of `before` that `after` no longer has and add a
+     * delete entry for each; merging `after` would leave them in place
+     */
+    static diffRemovals(id, before, after, changes, deletes) {
+        const keys = ConfigDiff.listKeysAt(id);
+
+        if (keys && Array.isArray(before) && Array.isArray(after)) {
+            for (const entry of before) {
+                const match = {};
+                keys.forEach(key => { match[key] = entry[key]; });
+                const entryId = ConfigDiff.entryPath(id, keys, entry);
+                const kept = after.find(item => YangDatastore.entryMatches(item, match));
+                if (kept) {
+                    ConfigDiff.diffRemovals(entryId, entry, kept, changes, deletes);
+                } else {
+                    ConfigDiff.removed(entryId, entry, changes);
+                    deletes.push({ path: entryId.toString(), value: null });
+                }
+            }
+            return;
+        }
+        if (!ConfigDiff.isContainer(before) || !ConfigDiff.isContainer(after)) return;
+
+        for (const [member, value] of Object.entries(before)) {
+            if (member in id.last.keys) continue;
+            const child = id.child(member);
+            if (after[member] === undefined) {
+                ConfigDiff.removed(child, value, changes);
+                deletes.push({ path: child.toString(), value: null });
+            } else {
+                ConfigDiff.diffRemovals(child, value, after[member], changes, deletes);
+            }
+        }
+    }
+
+    /**
+     * Datastore holding what the device will hold once the entries are
+     * applied to the running values
+     */
+    static replay(running, entries) {
+        const state = ConfigDiff.load(running);
+        for (const { path, value } of entries) {
+            state.merge(path, value === undefined ? null : value);
+        }
+        return state;
+    }
+
+    static load(running) {
+        const state = new YangDatastore();
+        for (const [path, value] of running) {
+            if (value !== null && value !== undefined) {
+                state.merge(path, value);
+            }
+        }
+        return state;
+    }
+
+    /**
+     * Changed part of `after` merged over `before` at path, or undefined
+     * if merging it changes nothing; records the changed leaves
+     */
+    static diffNode(id, before, after, changes) {
+        const keys = ConfigDiff.listKeysAt(id);
+
+        if (keys && after !== null && typeof after === 'object') {
+            return ConfigDiff.diffList(id, keys, before, after, changes);
+        }
+        if (ConfigDiff.isContainer(after)) {
+            return ConfigDiff.diffMembers(id, ConfigDiff.isContainer(before) ? before : undefined, after, [], changes);
+        }
+
+        if (before === undefined) {
+            changes.push({ path: id.toString(), type: 'added', before: undefined, after });
+            return after;
+        }
+        if (!ConfigDiff.sameValue(before, after)) {
+            changes.push({ path: id.toString(), type: 'modified', before, after });
+            return after;
+        }
+        return undefined;
+    }
+
+    /**
+     * Changed entries of a list; `after` is one entry or an array of them
+     */
+    static diffList(id, keys, before, after, changes) {
+        const list = Array.isArray(before) ? before : [];
+        const result = [];
+
+        for (const entry of Array.isArray(after) ? after : [after]) {
+            const match = {};
+            keys.forEach(key => { match[key] = entry[key]; });
+            const entryId = ConfigDiff.entryPath(id, keys, entry);
+            const existing = list.find(item => YangDatastore.entryMatches(item, match));
+            const changed = ConfigDiff.diffMembers(entryId, existing, entry, keys, changes);
+            if (changed !== undefined) {
+                result.push({ ...match, ...changed });
+            } else if (!existing) {
+                // A new entry with nothing but its keys
+                changes.push({ path: entryId.toString(), type: 'added', before: undefined, after: entry });
+                result.push({ ...match });
+            }
+        }
+
+        if (result.length === 0) return undefined;
+        return Array.isArray(after) ? result : result[0];
+    }
+
+    /**
+     * Changed members of a container or list entry; key leaves are part of
+     * the entry's path rather than changes of their own
+     */
+    static diffMembers(id, before, after, keys, changes) {
+        const result = {};
+
+        for (const [member, value] of Object.entries(after)) {
+            if (keys.includes(member)) continue;
+
+            const child = id.child(member);
+            const existing = before ? before[member] : undefined;
+            if (value === null) {
+                if (existing !== undefined) {
+                    ConfigDiff.removed(child, existing, changes);
+                    result[member] = null;
+                }
+                continue;
+            }
+
+            const changed = ConfigDiff.diffNode(child, existing, value, changes);
+            if (changed !== undefined) {
+                result[member] = changed;
+            }
+        }
+
+        return Object.keys(result).length > 0 ? result : undefined;
+    }
+
+    /**
+     * Record every leaf below a deleted node as removed
+     */
+    static removed(id, value, changes) {
+        for (const leaf of ConfigDiff.leaves(id, value)) {
+            changes.push({ path: leaf.path, type: 'removed', before: leaf.value, after: undefined });
+        }
+    }
+
+    /**
+     * [{ path, value }] for the leaves of a subtree; list entries are
+     * addressed by their keys
+     */
+    static leaves(id, value) {
+        const keys = ConfigDiff.listKeysAt(id);
+
+        if (keys && Array.isArray(value)) {
+            return value.flatMap(entry => ConfigDiff.leaves(ConfigDiff.entryPath(id, keys, entry), entry));
+        }
+        if (ConfigDiff.isContainer(value)) {
+            const members = Object.entries(value).filter(([member]) => !(member in id.last.keys));
+            if (members.length === 0) {
+                return [{ path: id.toString(), value }];
+            }
+            return members.flatMap(([member, child]) => ConfigDiff.leaves(id.child(member), child));
+        }
+        return [{ path: id.toString(), value }];
+    }
+
+    /**
+     * Key leaves of the list a path names without selecting an entry,
+     * else null
+     */
+    static listKeysAt(id) {
+        const last = id.last;
+        if (Object.keys(last.keys).length > 0 || last.value !== undefined || last.position !== undefined) {
+            return null;
+        }
+        const parent = id.length > 1 ? id.segments[id.length - 2].member : null;
+        return YangDatastore.listKeys(last.member, parent);
+    }
+
+    /**
+     * Path of one entry of the list at id
+     */
+    static entryPath(id, keys, entry) {
+        return new InstanceIdentifier([
+            ...id.segments.slice(0, -1),
+            { ...id.last, keys: Object.fromEntries(keys.map(key => [key, String(entry[key])])) }
+        ]);
+    }
+
+    static isContainer(value) {
+        return value !== null && typeof value === 'object' && !Array.isArray(value);
+    }
+
+    /**
+     * Leaf values as the device and the YAML write them: numbers and
+     * numeric strings compare by text (uint64 is sent as a string), and an
+     * identity matches its module-qualified form
+     */
+    static sameValue(before, after) {
+        if (Array.isArray(before) || Array.isArray(after)) {
+            return JSON.stringify(before) === JSON.stringify(after);
+        }
+        const a = String(before);
+        const b = String(after);
+        return a === b || YangDatastore.localName(a) === b || a === YangDatastore.localName(b);
+    }
+
+    /**
+     * Equal data trees, absent and null alike: object members in any
+     * order, list entries in order, leaves as sameValue compares them
+     */
+    static sameTree(a, b) {
+        if (a === null || a === undefined || b === null || b === undefined) {
+            return (a === null || a === undefined) && (b === null || b === undefined);
+        }
+        if (Array.isArray(a) || Array.isArray(b)) {
+            return Array.isArray(a) && Array.isArray(b) && a.length === b.length &&
+                a.every((item, i) => ConfigDiff.sameTree(item, b[i]));
+        }
+        if (typeof a === 'object' || typeof b === 'object') {
+            if (typeof a !== 'object' || typeof b !== 'object') return false;
+            const keys = Object.keys(a);
+            return keys.length === Object.keys(b).length &&
+                keys.every(key => key in b && ConfigDiff.sameTree(a[key], b[key]));
+        }
+        return ConfigDiff.sameValue(a, b);
+    }
+
+    /**
+     * Human-readable value for the diff view
+     */
+    static formatValue(value) {
+        if (value === undefined) return '';
+        return typeof value === 'object' ? JSON.stringify(value) : String(value);
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { ConfigDiff };
+}
+
+if (typeof window !== 'undefined') {
+    window.ConfigDiff = ConfigDiff;
+}
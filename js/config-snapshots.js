@@ -0,0 +1,152 @@
+/**
+ * Config Snapshots
+ * Named copies of a device configuration kept in IndexedDB, and bundles
+ * of them for moving between browsers and boards.
+ *
+ * A snapshot is
+ *
+ *   { name, note, firmware, savedAt, running, forms }
+ *
+ * where running is the device's configuration as mvdct-style entries
+ * ([{ path: value }], null for absent nodes), forms the configurator's
+ * field values and savedAt an ISO 8601 timestamp. A bundle is the JSON or
+ * YAML document { format, version, snapshots }.
+ */
+
+/**
+ * A bundle that cannot be imported
+ */
+class ConfigSnapshotError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'ConfigSnapshotError';
+    }
+}
+
+class ConfigSnapshotStore extends ObjectStore {
+    constructor(dbName = 'velocitydrive-snapshots', storeName = 'snapshots') {
+        super(dbName, storeName, 'name');
+    }
+
+    /**
+     * Snapshot by name, or null
+     */
+    async load(name) {
+        return (await this.run('readonly', store => store.get(name))) || null;
+    }
+
+    /**
+     * Store a snapshot, replacing one with the same name
+     */
+    save(snapshot) {
+        return this.run('readwrite', store => store.put(snapshot));
+    }
+
+    delete(name) {
+        return this.run('readwrite', store => store.delete(name));
+    }
+
+    /**
+     * All snapshots, newest first
+     */
+    async list() {
+        const snapshots = await this.run('readonly', store => store.getAll());
+        return snapshots.sort((a, b) => b.savedAt.localeCompare(a.savedAt));
+    }
+}
+
+class ConfigSnapshot {
+    /**
+     * running: Map of path -> value as read from the device
+     */
+    static create({ name, note = '', firmware = null, running, forms = {} }) {
+        if (!name || !name.trim()) {
+            throw new ConfigSnapshotError('A snapshot needs a name');
+        }
+        return {
+            name: name.trim(),
+            note,
+            firmware,
+            savedAt: new Date().toISOString(),
+            running: [...running].map(([path, value]) => ({ [path]: value })),
+            forms
+        };
+    }
+
+    /**
+     * Patch entries that put the running configuration back: every node is
+     * deleted, then written with its saved value, so nothing set since the
+     * snapshot survives
+     */
+    static restoreEntries(snapshot) {
+        const entries = [];
+        for (const item of snapshot.running) {
+            const [path, value] = Object.entries(item)[0];
+            entries.push({ path, value: null });
+            if (value !== null) {
+                entries.push({ path, value });
+            }
+        }
+        return entries;
+    }
+
+    /**
+     * Bundle text; format is 'json' or 'yaml'
+     */
+    static toBundle(snapshots, format = 'json', parser = new YAMLParser()) {
+        const bundle = {
+            format: ConfigSnapshot.BUNDLE_FORMAT,
+            version: ConfigSnapshot.BUNDLE_VERSION,
+            snapshots
+        };
+        return format === 'yaml' ? parser.stringify(bundle) : JSON.stringify(bundle, null, 2);
+    }
+
+    /**
+     * Snapshots of a JSON or YAML bundle; JSON is read by the YAML parser
+     * too, so either can be given
+     */
+    static fromBundle(text, parser = new YAMLParser()) {
+        const bundle = parser.parse(text);
+        if (!bundle || bundle.format !== ConfigSnapshot.BUNDLE_FORMAT) {
+            throw new ConfigSnapshotError('Not a configuration snapshot bundle');
+        }
+        if (bundle.version !== ConfigSnapshot.BUNDLE_VERSION) {
+            throw new ConfigSnapshotError(`Unsupported bundle version ${bundle.version}`);
+        }
+        if (!Array.isArray(bundle.snapshots)) {
+            throw new ConfigSnapshotError('Bundle has no snapshot list');
+        }
+
+        return bundle.snapshots.map((snapshot, index) => {
+            const valid = snapshot && typeof snapshot.name === 'string' && snapshot.name &&
+                typeof snapshot.savedAt === 'string' && Array.isArray(snapshot.running) &&
+                snapshot.running.every(item => item && typeof item === 'object' && Object.keys(item).length === 1);
+            if (!valid) {
+                throw new ConfigSnapshotError(`Snapshot ${index + 1} is incomplete`);
+            }
+            return {
+                name: snapshot.name,
+                note: snapshot.note || '',
+                firmware: snapshot.firmware || null,
+                savedAt: snapshot.savedAt,
+                running: snapshot.running,
+                forms: snapshot.forms || {}
+            };
+        });
+    }
+}
+
+ConfigSnapshot.BUNDLE_FORMAT = 'velocitydrive-config-snapshots';
+ConfigSnapshot.BUNDLE_VERSION = 1;
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { ConfigSnapshot, ConfigSnapshotStore, ConfigSnapshotError };
+}
+
+if (typeof window !== 'undefined') {
+    window.ConfigSnapshot = ConfigSnapshot;
+    window.ConfigSnapshotStore = ConfigSnapshotStore;
+    window.ConfigSnapshotError = ConfigSnapshotError;
+}
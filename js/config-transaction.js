@@ -0,0 +1,164 @@
+/**
+ * Config Transaction
+ * Applies patch entries ([{ path, value }], see yaml-patch.js) all or
+ * nothing:
+ *
+ *   1. snapshot  read the configuration of every subtree the entries touch
+ *   2. apply     send the entries in order
+ *   3. verify    read the subtrees again and check they hold the snapshot
+ *                with the entries applied
+ *   4. rollback  on any failure, write the snapshot back in one iPATCH and
+ *                check that the device holds it again
+ *
+ * Every step is reported as { action, path, status, code, detail } with
+ * status 'ok', 'failed' or 'skipped'.
+ */
+
+class ConfigTransaction {
+    constructor(coapClient, coreconf) {
+        this.coapClient = coapClient;
+        this.coreconf = coreconf;
+        this.patch = new YamlPatch(coapClient, coreconf);
+    }
+
+    /**
+     * Run the transaction; resolves to { status, steps } where status is
+     * 'committed', 'aborted' (nothing was sent), 'rolled-back' or
+     * 'rollback-failed'. onStep is called as each step completes.
+     */
+    async run(entries, { onStep = null } = {}) {
+        const steps = [];
+        const record = (step) => {
+            const full = { path: null, code: null, detail: null, ...step };
+            steps.push(full);
+            if (onStep) onStep(full);
+        };
+
+        const paths = ConfigTransaction.coveringPaths(entries.map(entry => entry.path));
+        let snapshot;
+        try {
+            snapshot = await this.patch.read(paths, { configOnly: true });
+            record({ action: 'snapshot', status: 'ok', detail: `${paths.length} subtrees` });
+        } catch (error) {
+            record({ action: 'snapshot', status: 'failed', detail: error.message });
+            return { status: 'aborted', steps };
+        }
+
+        const results = await this.patch.apply(entries, {
+            stopOnError: true,
+            onResult: (result) => record({
+                action: result.method,
+                path: result.path,
+                status: result.status,
+                code: result.code,
+                detail: result.error
+            })
+        });
+
+        let failed = results.some(result => result.status !== 'ok');
+        if (!failed) {
+            failed = !await this.verify(snapshot, entries, record);
+        }
+        if (!failed) {
+            return { status: 'committed', steps };
+        }
+
+        const restored = await this.rollback(snapshot, record);
+        return { status: restored ? 'rolled-back' : 'rollback-failed', steps };
+    }
+
+    /**
+     * Does the device now hold the snapshot with the entries applied?
+     */
+    async verify(snapshot, entries, record) {
+        const expected = ConfigDiff.replay(snapshot, entries);
+        try {
+            const running = await this.patch.read([...snapshot.keys()], { configOnly: true });
+            const differing = [...running].find(([path, value]) => !ConfigDiff.sameTree(expected.get(path), value));
+            if (differing) {
+                record({ action: 'verify', status: 'failed', path: differing[0], detail: 'differs from what was sent' });
+                return false;
+            }
+            record({ action: 'verify', status: 'ok' });
+            return true;
+        } catch (error) {
+            record({ action: 'verify', status: 'failed', detail: error.message });
+            return false;
+        }
+    }
+
+    /**
+     * Write the snapshot back: each subtree is deleted and, if it existed,
+     * recreated, all in one iPATCH so the device applies it at once
+     */
+    async rollback(snapshot, record) {
+        const instances = [];
+        for (const [path, value] of snapshot) {
+            instances.push({ [path]: null });
+            if (value !== null) {
+                instances.push({ [path]: value });
+            }
+        }
+
+        try {
+            const response = await this.coapClient.request('iPATCH', '/c', {
+                payload: this.coreconf.encodeInstances(instances),
+                contentFormat: this.coapClient.CONTENT_FORMAT.YANG_INSTANCES_CBOR_SEQ
+            });
+            record({ action: 'rollback', status: 'ok', code: this.coapClient.formatCode(response.code) });
+        } catch (error) {
+            record({
+                action: 'rollback',
+                status: 'failed',
+                code: error instanceof CoAPResponseError ? this.coapClient.formatCode(error.code) : null,
+                detail: error.message
+            });
+            return false;
+        }
+
+        try {
+            const running = await this.patch.read([...snapshot.keys()], { configOnly: true });
+            const differing = [...snapshot].find(([path, value]) =>
+                !ConfigDiff.sameTree(running.get(path), value));
+            if (differing) {
+                record({ action: 'verify-rollback', status: 'failed', path: differing[0], detail: 'differs from the snapshot' });
+                return false;
+            }
+            record({ action: 'verify-rollback', status: 'ok' });
+            return true;
+        } catch (error) {
+            record({ action: 'verify-rollback', status: 'failed', detail: error.message });
+            return false;
+        }
+    }
+
+    /**
+     * The distinct paths not inside another one: a list path without keys
+     * covers its entries, a container its members
+     */
+    static coveringPaths(paths) {
+        const ids = [...new Set(paths.map(path => InstanceIdentifier.parse(path).toString()))]
+            .map(path => InstanceIdentifier.parse(path));
+        return ids
+            .filter(id => !ids.some(other => other !== id && other.contains(id)))
+            .map(id => id.toString());
+    }
+
+    /**
+     * One report line, e.g. "✓ iPATCH /ietf-interfaces:... (2.04)"
+     */
+    static formatStep(step) {
+        const mark = { ok: '✓', failed: '✗', skipped: '-' }[step.status];
+        const detail = [step.code, step.detail].filter(Boolean).join(' ');
+        return `${mark} ${step.action}${step.path ? ` ${step.path}` : ''}${detail ? ` (${detail})` : ''}`;
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { ConfigTransaction };
+}
+
+if (typeof window !== 'undefined') {
+    window.ConfigTransaction = ConfigTransaction;
+}
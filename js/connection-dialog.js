@@ -0,0 +1,135 @@
+/**
+ * Connection Dialog
+ * Lets the user pick a transport back-end and its settings
+ */
+
+class ConnectionDialog {
+    constructor(defaults = {}) {
+        this.defaults = defaults;
+        this.dialog = null;
+    }
+
+    /**
+     * Show the dialog; resolves to an unopened Transport, or null if cancelled.
+     * Page-level settings (baud rate, serial framing) preselect the fields
+     * and are passed through to the transport.
+     */
+    show(transportOptions = {}) {
+        const saved = this.loadSettings();
+        const settings = { ...this.defaults, ...saved, ...transportOptions };
+
+        this.dialog = document.createElement('dialog');
+        this.dialog.className = 'connection-dialog';
+        this.dialog.innerHTML = this.render(settings);
+        document.body.appendChild(this.dialog);
+
+        const form = this.dialog.querySelector('form');
+        const backendSelect = form.elements.backend;
+        backendSelect.addEventListener('change', () => this.updateFields());
+        this.updateFields();
+
+        return new Promise((resolve) => {
+            this.dialog.addEventListener('close', () => {
+                const confirmed = this.dialog.returnValue === 'connect';
+                const options = this.readOptions(form);
+                this.dialog.remove();
+                this.dialog = null;
+
+                if (!confirmed) {
+                    resolve(null);
+                    return;
+                }
+
+                this.saveSettings(options);
+                resolve(Transport.create(options.backend, { ...transportOptions, ...options }));
+            });
+            this.dialog.showModal();
+        });
+    }
+
+    render(settings) {
+        const backends = Object.entries(Transport.backends).map(([id, backend]) => {
+            const available = backend.isAvailable();
+            const selected = id === settings.backend ? 'selected' : '';
+            const suffix = available ? '' : ' (not supported)';
+            return `<option value="${id}" ${selected} ${available ? '' : 'disabled'}>${backend.label}${suffix}</option>`;
+        }).join('');
+
+        const baudRates = [9600, 19200, 38400, 57600, 115200, 230400, 460800, 921600]
+            .map(rate => `<option value="${rate}" ${rate === settings.baudRate ? 'selected' : ''}>${rate}</option>`)
+            .join('');
+
+        return `
+            <form method="dialog">
+                <h3>Connect to Device</h3>
+                <div class="connection-field">
+                    <label>Connection</label>
+                    <select name="backend">${backends}</select>
+                </div>
+                <div class="connection-field" data-backend="webserial">
+                    <label>Baud Rate</label>
+                    <select name="baudRate">${baudRates}</select>
+                </div>
+                <div class="connection-field" data-backend="websocket">
+                    <label>Bridge URL</label>
+                    <input type="text" name="url" value="${settings.url || ''}" placeholder="ws://lab-server:8080/ttyACM0">
+                </div>
+                <div class="connection-buttons">
+                    <button value="cancel" class="btn-secondary" formnovalidate>Cancel</button>
+                    <button value="connect" class="btn-primary">Connect</button>
+                </div>
+            </form>
+        `;
+    }
+
+    /**
+     * Show only the fields belonging to the selected back-end
+     */
+    updateFields() {
+        const backend = this.dialog.querySelector('[name="backend"]').value;
+        this.dialog.querySelectorAll('[data-backend]').forEach(field => {
+            field.style.display = field.dataset.backend === backend ? '' : 'none';
+        });
+    }
+
+    readOptions(form) {
+        return {
+            ...this.defaults,
+            backend: form.elements.backend.value,
+            baudRate: parseInt(form.elements.baudRate.value, 10),
+            url: form.elements.url.value.trim()
+        };
+    }
+
+    loadSettings() {
+        const saved = localStorage.getItem(ConnectionDialog.STORAGE_KEY);
+        if (saved) {
+            try {
+                const settings = JSON.parse(saved);
+                // Fall back to the default if a saved back-end is gone or unavailable
+                const backend = Transport.backends[settings.backend];
+                if (!backend || !backend.isAvailable()) {
+                    delete settings.backend;
+                }
+                return settings;
+            } catch (e) {
+                console.error('Failed to load connection settings:', e);
+            }
+        }
+        return {};
+    }
+
+    saveSettings(options) {
+        const settings = {
+            backend: options.backend,
+            baudRate: options.baudRate,
+            url: options.url
+        };
+        localStorage.setItem(ConnectionDialog.STORAGE_KEY, JSON.stringify(settings));
+    }
+}
+
+ConnectionDialog.STORAGE_KEY = 'velocitydrive-connection';
+
+// Export for use in other modules
+window.ConnectionDialog = ConnectionDialog;
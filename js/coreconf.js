@@ -0,0 +1,629 @@
+/**
+ * CORECONF Codec
+ * YANG data in CBOR keyed by YANG Schema Item iDentifiers (RFC 9254), as
+ * exchanged with the CORECONF /c resource (draft-ietf-core-comi)
+ *
+ * Nodes are named by schema node identifiers as in .sid files (RFC 9595):
+ * instance paths without predicates, module prefix wherever the module
+ * changes, e.g. /ietf-interfaces:interfaces/interface/name. On the wire:
+ * - an instance-identifier is its SID, or [SID, key, ...] for a node
+ *   inside lists, keys in path order; in a ?k= query it is the SID as a
+ *   base64url number followed by the base64url CBOR of each key, all
+ *   comma-separated
+ * - container and list entry members are keyed by SID delta from the
+ *   parent node's SID; top-level members by their absolute SID
+ * - identityrefs are SIDs, decimal64 is a decimal fraction (tag 4)
+ */
+
+/**
+ * A name or SID the codec has no SID item for
+ */
+class CoreconfError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'CoreconfError';
+    }
+}
+
+class CoreconfCodec {
+    /**
+     * registry: SidRegistry with the SIDs to use; the built-in table by default
+     */
+    constructor(registry = new SidRegistry(CoreconfCodec.BUILTIN_SIDS)) {
+        this.registry = registry;
+        this.cbor = new CBOREncoder({ preserveMapKeys: true });
+    }
+
+    getSid(identifier) {
+        const sid = this.registry.getSid(identifier);
+        if (sid === undefined) {
+            throw new CoreconfError(`No SID for ${identifier}`);
+        }
+        return sid;
+    }
+
+    getIdentifier(sid) {
+        const identifier = this.registry.getIdentifier(sid);
+        if (identifier === undefined) {
+            throw new CoreconfError(`Unknown SID ${sid}`);
+        }
+        return identifier;
+    }
+
+    /**
+     * Schema node identifier of an instance path (predicates dropped)
+     */
+    static schemaPath(path) {
+        return InstanceIdentifier.parse(path).schemaPath;
+    }
+
+    /**
+     * Instance path -> SID or [SID, key, ...]
+     */
+    encodeIdentifier(path) {
+        const { segments } = InstanceIdentifier.parse(path);
+        const keys = [];
+        let identifier = '';
+        let parentName = null;
+
+        for (const segment of segments) {
+            if (segment.value !== undefined || segment.position !== undefined) {
+                throw new CoreconfError(`Only list keys can be sent as SID predicates: ${path}`);
+            }
+            identifier += `/${segment.member}`;
+            const keyNames = YangDatastore.listKeys(segment.name, parentName) || Object.keys(segment.keys);
+            for (const key of keyNames) {
+                if (segment.keys[key] === undefined) break;
+                keys.push(this.encodeLeaf(`${identifier}/${key}`, segment.keys[key]));
+            }
+            parentName = segment.name;
+        }
+
+        const sid = this.getSid(identifier);
+        return keys.length > 0 ? [sid, ...keys] : sid;
+    }
+
+    /**
+     * SID or [SID, key, ...] -> instance path
+     */
+    decodeIdentifier(value) {
+        const [sid, ...keys] = Array.isArray(value) ? value : [value];
+        const { segments } = InstanceIdentifier.parse(this.getIdentifier(sid));
+        let identifier = '';
+        let parentName = null;
+
+        for (const segment of segments) {
+            identifier += `/${segment.member}`;
+            for (const key of YangDatastore.listKeys(segment.name, parentName) || []) {
+                if (keys.length === 0) break;
+                segment.keys[key] = String(this.decodeLeaf(`${identifier}/${key}`, keys.shift()));
+            }
+            parentName = segment.name;
+        }
+
+        const path = new InstanceIdentifier(segments).toString();
+        if (keys.length > 0) {
+            throw new CoreconfError(`Too many keys for ${path}`);
+        }
+        return path;
+    }
+
+    /**
+     * Instance path -> value of the ?k= query parameter, e.g. "a5" for
+     * SID 1721, "a9,ZGV0aDA" for SID 1725 in the list entry keyed "eth0"
+     */
+    encodeQueryIdentifier(path) {
+        const [sid, ...keys] = [].concat(this.encodeIdentifier(path));
+        let digits = '';
+        for (let rest = sid; digits === '' || rest > 0; rest = Math.floor(rest / 64)) {
+            digits = CoreconfCodec.BASE64URL[rest % 64] + digits;
+        }
+        return [digits, ...keys.map(key => CoreconfCodec.toBase64url(this.cbor.encode(key)))].join(',');
+    }
+
+    /**
+     * ?k= query parameter value -> instance path
+     */
+    decodeQueryIdentifier(text) {
+        const [digits, ...keys] = text.split(',');
+        let sid = 0;
+        for (const digit of digits) {
+            const index = CoreconfCodec.BASE64URL.indexOf(digit);
+            if (index === -1) {
+                throw new CoreconfError(`Invalid SID in k=${text}`);
+            }
+            sid = sid * 64 + index;
+        }
+        if (digits === '') {
+            throw new CoreconfError(`Invalid SID in k=${text}`);
+        }
+        const values = keys.map(key => this.cbor.decode(CoreconfCodec.fromBase64url(key)));
+        return this.decodeIdentifier(values.length > 0 ? [sid, ...values] : sid);
+    }
+
+    static toBase64url(bytes) {
+        let bits = 0;
+        let count = 0;
+        let text = '';
+        for (const byte of bytes) {
+            bits = (bits << 8) | byte;
+            count += 8;
+            while (count >= 6) {
+                count -= 6;
+                text += CoreconfCodec.BASE64URL[(bits >> count) & 0x3F];
+            }
+        }
+        if (count > 0) {
+            text += CoreconfCodec.BASE64URL[(bits << (6 - count)) & 0x3F];
+        }
+        return text;
+    }
+
+    static fromBase64url(text) {
+        const bytes = [];
+        let bits = 0;
+        let count = 0;
+        for (const char of text) {
+            const index = CoreconfCodec.BASE64URL.indexOf(char);
+            if (index === -1) {
+                throw new CoreconfError(`Invalid base64url key ${text}`);
+            }
+            bits = ((bits << 6) | index) & 0xFFFF;
+            count += 6;
+            if (count >= 8) {
+                count -= 8;
+                bytes.push((bits >> count) & 0xFF);
+            }
+        }
+        return new Uint8Array(bytes);
+    }
+
+    /**
+     * RFC 7951-style value of the node at a schema identifier -> CBOR-ready
+     * value with SID delta keys
+     */
+    encodeValue(identifier, value) {
+        return this.encodeNode(identifier, this.getSid(identifier), value);
+    }
+
+    encodeNode(identifier, sid, value) {
+        if (value === null || value === undefined) {
+            return value;
+        }
+        if (Array.isArray(value)) {
+            // List entries or leaf-list values
+            return value.map(item => this.encodeNode(identifier, sid, item));
+        }
+        if (typeof value === 'object' && !(value instanceof CBORTag)) {
+            const map = new Map();
+            for (const [member, memberValue] of Object.entries(value)) {
+                const child = `${identifier}/${member}`;
+                const childSid = this.getSid(child);
+                map.set(childSid - sid, this.encodeNode(child, childSid, memberValue));
+            }
+            return map;
+        }
+        return this.encodeLeaf(identifier, value);
+    }
+
+    /**
+     * Inverse of encodeValue. Members with SIDs we do not know keep their
+     * SID as name.
+     */
+    decodeValue(identifier, value) {
+        return this.decodeNode(identifier, this.getSid(identifier), value);
+    }
+
+    decodeNode(identifier, sid, value) {
+        if (Array.isArray(value)) {
+            return value.map(item => this.decodeNode(identifier, sid, item));
+        }
+        if (value instanceof Map) {
+            const object = {};
+            for (const [delta, memberValue] of value) {
+                const childSid = sid + delta;
+                const child = this.registry.getIdentifier(childSid);
+                if (child !== undefined && child.startsWith(`${identifier}/`)) {
+                    object[child.slice(identifier.length + 1)] = this.decodeNode(child, childSid, memberValue);
+                } else {
+                    object[childSid] = memberValue;
+                }
+            }
+            return object;
+        }
+        return this.decodeLeaf(identifier, value);
+    }
+
+    encodeLeaf(identifier, value) {
+        const type = this.registry.getType(identifier);
+
+        if (type === 'identityref' && typeof value === 'string' && this.registry.hasIdentifier(value)) {
+            return this.registry.getSid(value);
+        }
+        if (type === 'decimal64' && typeof value === 'number') {
+            // Decimal fraction [exponent, mantissa] with as few digits as needed
+            const digits = (String(value).split('.')[1] || '').length;
+            return new CBORTag(4, [-digits, Math.round(value * Math.pow(10, digits))]);
+        }
+        if (CoreconfCodec.INTEGER_TYPES.includes(type) && typeof value === 'string' && /^-?\d+$/.test(value)) {
+            // Key predicates and RFC 7951 64-bit values arrive as strings
+            return Number(value);
+        }
+        return value;
+    }
+
+    decodeLeaf(identifier, value) {
+        const type = this.registry.getType(identifier);
+
+        if (type === 'identityref' && typeof value === 'number' && this.registry.hasSid(value)) {
+            return this.registry.getIdentifier(value);
+        }
+        if (type === 'decimal64' && value instanceof CBORTag && value.tag === 4) {
+            const [exponent, mantissa] = value.value;
+            return Number((mantissa * Math.pow(10, exponent)).toFixed(Math.max(0, -exponent)));
+        }
+        if ((type === 'int64' || type === 'uint64') && typeof value === 'number') {
+            // RFC 7951 carries 64-bit integers as strings
+            return String(value);
+        }
+        return value;
+    }
+
+    /**
+     * [{ path: value }] -> yang-instances+cbor-seq (iPATCH body, FETCH reply);
+     * a null value deletes the node
+     */
+    encodeInstances(instances) {
+        const items = [];
+        for (const instance of instances) {
+            for (const [path, value] of Object.entries(instance)) {
+                const encoded = value === null ? null : this.encodeValue(CoreconfCodec.schemaPath(path), value);
+                items.push(new Map([[this.encodeIdentifier(path), encoded]]));
+            }
+        }
+        return this.cbor.encodeSequence(items);
+    }
+
+    /**
+     * yang-instances+cbor-seq -> [{ path: value }]. Items keyed by
+     * instance paths instead of SIDs are passed through.
+     */
+    decodeInstances(bytes) {
+        return this.cbor.decodeSequence(bytes).map(item => {
+            if (!(item instanceof Map)) return item;
+
+            const instance = {};
+            for (const [key, value] of item) {
+                const path = this.decodeIdentifier(key);
+                instance[path] = value === null ? null : this.decodeValue(CoreconfCodec.schemaPath(path), value);
+            }
+            return instance;
+        });
+    }
+
+    /**
+     * Instance paths -> yang-identifiers+cbor-seq (FETCH body)
+     */
+    encodeIdentifiers(paths) {
+        return this.cbor.encodeSequence(paths.map(path => this.encodeIdentifier(path)));
+    }
+
+    /**
+     * yang-identifiers+cbor-seq -> instance paths; path strings pass through
+     */
+    decodeIdentifiers(bytes) {
+        return this.cbor.decodeSequence(bytes).map(item =>
+            typeof item === 'string' ? item : this.decodeIdentifier(item));
+    }
+
+    /**
+     * Whole datastore tree (top-level names) -> yang-data+cbor
+     */
+    encodeTree(tree) {
+        const map = new Map();
+        for (const [name, value] of Object.entries(tree)) {
+            const sid = this.getSid(`/${name}`);
+            map.set(sid, this.encodeNode(`/${name}`, sid, value));
+        }
+        return this.cbor.encode(map);
+    }
+
+    /**
+     * yang-data+cbor -> datastore tree; a name-keyed tree passes through
+     */
+    decodeTree(bytes) {
+        const value = this.cbor.decode(bytes);
+        if (!(value instanceof Map)) return value;
+
+        const tree = {};
+        for (const [sid, member] of value) {
+            const identifier = this.getIdentifier(sid);
+            tree[identifier.slice(1)] = this.decodeNode(identifier, sid, member);
+        }
+        return tree;
+    }
+}
+
+CoreconfCodec.INTEGER_TYPES = ['int8', 'int16', 'int32', 'int64', 'uint8', 'uint16', 'uint32', 'uint64'];
+
+// RFC 4648 section 5 alphabet, unpadded
+CoreconfCodec.BASE64URL = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789-_';
+
+/**
+ * SID items for the nodes this application configures and monitors.
+ * The SIDs are from the experimental range (60000-99999) and only valid
+ * between this application and the simulator; a real device needs the
+ * .sid files of its firmware release.
+ */
+CoreconfCodec.BUILTIN_SIDS = (() => {
+    const iface = '/ietf-interfaces:interfaces/interface';
+    const ethernet = `${iface}/ieee802-ethernet-interface:ethernet`;
+    const port = `${iface}/ieee802-dot1q-bridge:bridge-port`;
+    const decoding = `${port}/pcp-decoding-table/pcp-decoding-map`;
+    const encoding = `${port}/pcp-encoding-table/pcp-encoding-map`;
+    const gates = `${port}/ieee802-dot1q-sched-bridge:gate-parameter-table`;
+    const preemption = `${port}/ieee802-dot1q-preemption-bridge:frame-preemption-parameters`;
+    const macMerge = `${ethernet}/ieee802-ethernet-mac-merge:mac-merge`;
+    const shapers = `${iface}/mchp-velocitysp-port:eth-qos/config/traffic-class-shapers`;
+    const component = '/ieee802-dot1q-bridge:bridges/bridge/component';
+    const vlan = `${component}/filtering-database/vlan-registration-entry`;
+    const filters = `${component}/ieee802-dot1q-psfp-bridge:stream-filters/stream-filter-instance-table`;
+    const streamGates = `${component}/ieee802-dot1q-psfp-bridge:stream-gates/stream-gate-instance-table`;
+    const streamGcl = `${streamGates}/admin-control-list/gate-control-entry`;
+    const meters = `${component}/ieee802-dot1q-psfp-bridge:flow-meters/flow-meter-instance-table`;
+    const ptp = '/ieee1588-ptp:ptp/instances/instance';
+    const identity = '/ieee802-dot1cb-stream-identification:stream-identity';
+    const generation = '/ieee802-dot1cb-frer:frer/sequence-generation';
+    const recovery = '/ieee802-dot1cb-frer:frer/sequence-recovery';
+    const sequenceId = '/ieee802-dot1cb-frer:frer/sequence-identification';
+    const ptpPort = `${ptp}/ports/port`;
+
+    return [
+        [60000, '/ietf-interfaces:interfaces'],
+        [60001, iface],
+        [60002, `${iface}/name`, 'string'],
+        [60003, `${iface}/type`, 'identityref'],
+        [60004, `${iface}/enabled`, 'boolean'],
+        [60005, `${iface}/oper-status`, 'enumeration'],
+        [60006, `${iface}/statistics`],
+        [60007, `${iface}/statistics/in-octets`, 'uint64'],
+        [60008, `${iface}/statistics/in-unicast-pkts`, 'uint64'],
+        [60009, `${iface}/statistics/out-octets`, 'uint64'],
+        [60010, `${iface}/statistics/out-unicast-pkts`, 'uint64'],
+
+        [60020, ethernet],
+        [60021, `${ethernet}/auto-negotiation`],
+        [60022, `${ethernet}/auto-negotiation/enable`, 'boolean'],
+        [60023, `${ethernet}/duplex`, 'enumeration'],
+        [60024, `${ethernet}/speed`, 'decimal64'],
+        [60030, macMerge],
+        [60031, `${macMerge}/admin-control`],
+        [60032, `${macMerge}/admin-control/merge-enable-tx`, 'boolean'],
+        [60033, `${macMerge}/admin-control/verify-disable-tx`, 'boolean'],
+        [60034, `${macMerge}/admin-control/verify-time`, 'uint8'],
+        [60035, `${macMerge}/admin-control/frag-size`, 'uint8'],
+        [60036, `${macMerge}/admin-status`],
+        [60037, `${macMerge}/admin-status/merge-support`, 'boolean'],
+        [60038, `${macMerge}/admin-status/verify-status`, 'enumeration'],
+
+        [60100, port],
+        [60101, `${port}/port-type`, 'identityref'],
+        [60102, `${port}/acceptable-frame`, 'enumeration'],
+        [60103, `${port}/pvid`, 'uint32'],
+        [60104, `${port}/pcp-decoding-table`],
+        [60105, decoding],
+        [60106, `${decoding}/pcp`, 'enumeration'],
+        [60107, `${decoding}/priority-map`],
+        [60108, `${decoding}/priority-map/priority-code-point`, 'uint8'],
+        [60109, `${decoding}/priority-map/priority`, 'uint8'],
+        [60110, `${decoding}/priority-map/drop-eligible`, 'boolean'],
+        [60111, `${port}/pcp-encoding-table`],
+        [60112, encoding],
+        [60113, `${encoding}/pcp`, 'enumeration'],
+        [60114, `${encoding}/priority-map`],
+        [60115, `${encoding}/priority-map/priority`, 'uint8'],
+        [60116, `${encoding}/priority-map/dei`, 'boolean'],
+        [60117, `${encoding}/priority-map/priority-code-point`, 'uint8'],
+
+        [60150, gates],
+        [60151, `${gates}/gate-enabled`, 'boolean'],
+        [60152, `${gates}/admin-gate-states`, 'uint8'],
+        [60153, `${gates}/oper-gate-states`, 'uint8'],
+        [60154, `${gates}/admin-control-list`],
+        [60155, `${gates}/admin-control-list/gate-control-entry`],
+        [60156, `${gates}/admin-control-list/gate-control-entry/index`, 'uint32'],
+        [60157, `${gates}/admin-control-list/gate-control-entry/operation-name`, 'identityref'],
+        [60158, `${gates}/admin-control-list/gate-control-entry/time-interval-value`, 'uint32'],
+        [60159, `${gates}/admin-control-list/gate-control-entry/gate-states-value`, 'uint8'],
+        [60160, `${gates}/admin-cycle-time`],
+        [60161, `${gates}/admin-cycle-time/numerator`, 'uint32'],
+        [60162, `${gates}/admin-cycle-time/denominator`, 'uint32'],
+        [60163, `${gates}/admin-base-time`],
+        [60164, `${gates}/admin-base-time/seconds`, 'uint64'],
+        [60165, `${gates}/admin-base-time/nanoseconds`, 'uint32'],
+        [60166, `${gates}/config-change`, 'boolean'],
+        [60167, `${gates}/admin-cycle-time-extension`, 'uint32'],
+        [60170, preemption],
+        [60171, `${preemption}/frame-preemption-status-table`],
+        [60172, `${preemption}/frame-preemption-status-table/traffic-class`, 'uint8'],
+        [60173, `${preemption}/frame-preemption-status-table/frame-preemption-status`, 'enumeration'],
+        [60174, `${preemption}/hold-advance`, 'uint32'],
+        [60175, `${preemption}/release-advance`, 'uint32'],
+        [60176, `${preemption}/preemption-active`, 'boolean'],
+        [60177, `${preemption}/hold-request`, 'enumeration'],
+
+        [60200, `${iface}/mchp-velocitysp-port:eth-qos`],
+        [60201, `${iface}/mchp-velocitysp-port:eth-qos/config`],
+        [60202, shapers],
+        [60203, `${shapers}/traffic-class`, 'uint8'],
+        [60204, `${shapers}/credit-based`],
+        [60205, `${shapers}/credit-based/idle-slope`, 'uint32'],
+        [60206, `${shapers}/credit-based/send-slope`, 'int32'],
+        [60207, `${shapers}/credit-based/max-credit`, 'int32'],
+        [60208, `${shapers}/credit-based/min-credit`, 'int32'],
+
+        [60300, '/ieee802-dot1q-bridge:bridges'],
+        [60301, '/ieee802-dot1q-bridge:bridges/bridge'],
+        [60302, '/ieee802-dot1q-bridge:bridges/bridge/name', 'string'],
+        [60303, component],
+        [60304, `${component}/name`, 'string'],
+        [60305, `${component}/filtering-database`],
+        [60306, vlan],
+        [60307, `${vlan}/database-id`, 'uint32'],
+        [60308, `${vlan}/vids`, 'string'],
+        [60309, `${vlan}/entry-type`, 'enumeration'],
+        [60310, `${vlan}/port-map`],
+        [60311, `${vlan}/port-map/port-ref`, 'uint32'],
+        [60312, `${vlan}/port-map/static-vlan-registration-entries`],
+        [60313, `${vlan}/port-map/static-vlan-registration-entries/vlan-transmitted`, 'enumeration'],
+
+        [60500, `${component}/ieee802-dot1q-psfp-bridge:stream-filters`],
+        [60501, filters],
+        [60502, `${filters}/stream-filter-instance-id`, 'uint32'],
+        [60503, `${filters}/stream-handle`, 'uint32'],
+        [60504, `${filters}/priority`, 'uint8'],
+        [60505, `${filters}/max-sdu-size`, 'uint32'],
+        [60506, `${filters}/stream-blocked-due-to-oversize-frame-enabled`, 'boolean'],
+        [60507, `${filters}/stream-gate-ref`, 'uint32'],
+        [60508, `${filters}/flow-meter-ref`, 'uint32'],
+        [60520, `${component}/ieee802-dot1q-psfp-bridge:stream-gates`],
+        [60521, streamGates],
+        [60522, `${streamGates}/stream-gate-instance-id`, 'uint32'],
+        [60523, `${streamGates}/gate-enable`, 'boolean'],
+        [60524, `${streamGates}/admin-gate-states`, 'enumeration'],
+        [60525, `${streamGates}/admin-control-list`],
+        [60526, streamGcl],
+        [60527, `${streamGcl}/index`, 'uint32'],
+        [60528, `${streamGcl}/operation-name`, 'identityref'],
+        [60529, `${streamGcl}/time-interval-value`, 'uint32'],
+        [60530, `${streamGcl}/gate-state-value`, 'enumeration'],
+        [60531, `${streamGcl}/ipv-spec`, 'uint8'],
+        [60532, `${streamGates}/admin-cycle-time`],
+        [60533, `${streamGates}/admin-cycle-time/numerator`, 'uint32'],
+        [60534, `${streamGates}/admin-cycle-time/denominator`, 'uint32'],
+        [60535, `${streamGates}/admin-base-time`],
+        [60536, `${streamGates}/admin-base-time/seconds`, 'uint64'],
+        [60537, `${streamGates}/admin-base-time/nanoseconds`, 'uint32'],
+        [60540, `${component}/ieee802-dot1q-psfp-bridge:flow-meters`],
+        [60541, meters],
+        [60542, `${meters}/flow-meter-instance-id`, 'uint32'],
+        [60543, `${meters}/committed-information-rate`, 'uint64'],
+        [60544, `${meters}/committed-burst-size`, 'uint32'],
+        [60545, `${meters}/excess-information-rate`, 'uint64'],
+        [60546, `${meters}/excess-burst-size`, 'uint32'],
+        [60547, `${meters}/coupling-flag`, 'boolean'],
+        [60548, `${meters}/color-mode`, 'enumeration'],
+        [60549, `${meters}/drop-on-yellow`, 'boolean'],
+        [60550, `${meters}/mark-all-frames-red-enable`, 'boolean'],
+
+        [60600, identity],
+        [60601, `${identity}/index`, 'uint32'],
+        [60602, `${identity}/handle`, 'uint32'],
+        [60603, `${identity}/out-facing`],
+        [60604, `${identity}/out-facing/input-port`, 'string'],
+        [60605, `${identity}/out-facing/output-port`, 'string'],
+        [60606, `${identity}/null-stream-identification`],
+        [60607, `${identity}/null-stream-identification/destination-mac`, 'string'],
+        [60608, `${identity}/null-stream-identification/tagged`, 'enumeration'],
+        [60609, `${identity}/null-stream-identification/vlan`, 'uint16'],
+        [60610, `${identity}/smac-vlan-stream-identification`],
+        [60611, `${identity}/smac-vlan-stream-identification/source-mac`, 'string'],
+        [60612, `${identity}/smac-vlan-stream-identification/tagged`, 'enumeration'],
+        [60613, `${identity}/smac-vlan-stream-identification/vlan`, 'uint16'],
+        [60614, `${identity}/ip-stream-identification`],
+        [60615, `${identity}/ip-stream-identification/destination-mac`, 'string'],
+        [60616, `${identity}/ip-stream-identification/tagged`, 'enumeration'],
+        [60617, `${identity}/ip-stream-identification/vlan`, 'uint16'],
+        [60618, `${identity}/ip-stream-identification/ip-source`, 'string'],
+        [60619, `${identity}/ip-stream-identification/ip-destination`, 'string'],
+        [60620, `${identity}/ip-stream-identification/dscp`, 'uint8'],
+        [60621, `${identity}/ip-stream-identification/next-protocol`, 'enumeration'],
+        [60622, `${identity}/ip-stream-identification/source-port`, 'uint16'],
+        [60623, `${identity}/ip-stream-identification/destination-port`, 'uint16'],
+
+        [60650, '/ieee802-dot1cb-frer:frer'],
+        [60651, generation],
+        [60652, `${generation}/index`, 'uint32'],
+        [60653, `${generation}/stream`, 'uint32'],
+        [60654, `${generation}/direction-out-facing`, 'boolean'],
+        [60660, recovery],
+        [60661, `${recovery}/index`, 'uint32'],
+        [60662, `${recovery}/stream`, 'uint32'],
+        [60663, `${recovery}/port`, 'string'],
+        [60664, `${recovery}/direction-out-facing`, 'boolean'],
+        [60665, `${recovery}/algorithm`, 'identityref'],
+        [60666, `${recovery}/history-length`, 'uint32'],
+        [60667, `${recovery}/reset-timeout`, 'uint32'],
+        [60668, `${recovery}/take-no-sequence`, 'boolean'],
+        [60669, `${recovery}/individual-recovery`, 'boolean'],
+        [60670, `${recovery}/latent-error-detection`, 'boolean'],
+        [60680, sequenceId],
+        [60681, `${sequenceId}/port`, 'string'],
+        [60682, `${sequenceId}/direction-out-facing`, 'boolean'],
+        [60683, `${sequenceId}/stream`, 'uint32'],
+        [60684, `${sequenceId}/active`, 'boolean'],
+        [60685, `${sequenceId}/encapsulation`, 'identityref'],
+
+        [60400, '/ieee1588-ptp:ptp'],
+        [60401, '/ieee1588-ptp:ptp/instances'],
+        [60402, ptp],
+        [60403, `${ptp}/instance-index`, 'uint32'],
+        [60404, `${ptp}/default-ds`],
+        [60405, `${ptp}/default-ds/domain-number`, 'uint8'],
+        [60406, `${ptp}/default-ds/priority1`, 'uint8'],
+        [60407, `${ptp}/default-ds/priority2`, 'uint8'],
+        [60408, `${ptp}/default-ds/sdo-id`, 'uint16'],
+        [60409, `${ptp}/current-ds`],
+        [60410, `${ptp}/current-ds/steps-removed`, 'uint16'],
+        [60411, `${ptp}/current-ds/offset-from-master`, 'int64'],
+        [60412, `${ptp}/current-ds/mean-delay`, 'int64'],
+        [60413, `${ptp}/default-ds/clock-identity`, 'string'],
+        [60414, `${ptp}/default-ds/clock-quality`],
+        [60415, `${ptp}/default-ds/clock-quality/clock-class`, 'uint8'],
+        [60416, `${ptp}/default-ds/clock-quality/clock-accuracy`, 'uint8'],
+        [60417, `${ptp}/default-ds/clock-quality/offset-scaled-log-variance`, 'uint16'],
+        [60420, `${ptp}/parent-ds`],
+        [60421, `${ptp}/parent-ds/grandmaster-identity`, 'string'],
+        [60422, `${ptp}/parent-ds/grandmaster-priority1`, 'uint8'],
+        [60423, `${ptp}/parent-ds/grandmaster-priority2`, 'uint8'],
+        [60424, `${ptp}/parent-ds/grandmaster-clock-quality`],
+        [60425, `${ptp}/parent-ds/grandmaster-clock-quality/clock-class`, 'uint8'],
+        [60426, `${ptp}/parent-ds/grandmaster-clock-quality/clock-accuracy`, 'uint8'],
+        [60427, `${ptp}/parent-ds/grandmaster-clock-quality/offset-scaled-log-variance`, 'uint16'],
+        [60430, `${ptp}/ports`],
+        [60431, ptpPort],
+        [60432, `${ptpPort}/port-index`, 'uint16'],
+        [60433, `${ptpPort}/underlying-interface`, 'string'],
+        [60434, `${ptpPort}/port-ds`],
+        [60435, `${ptpPort}/port-ds/port-state`, 'enumeration'],
+        [60436, `${ptpPort}/port-ds/log-announce-interval`, 'int8'],
+        [60437, `${ptpPort}/port-ds/log-sync-interval`, 'int8'],
+        [60438, `${ptpPort}/port-ds/delay-mechanism`, 'enumeration'],
+        [60439, `${ptpPort}/port-ds/mean-link-delay`, 'int64'],
+        [60440, `${ptpPort}/port-ds/ieee802-dot1as-gptp:as-capable`, 'boolean'],
+
+        [60900, 'iana-if-type:ethernetCsmacd'],
+        [60901, 'ieee802-dot1q-bridge:c-vlan-bridge-port'],
+        [60902, 'ieee802-dot1q-bridge:customer-network-port'],
+        [60903, 'ieee802-dot1q-bridge:customer-edge-port'],
+        [60904, 'ieee802-dot1q-sched:set-gate-states'],
+        [60905, 'ieee802-dot1q-sched:set-and-hold-mac'],
+        [60906, 'ieee802-dot1q-sched:set-and-release-mac'],
+        [60907, 'ieee802-dot1q-psfp:set-gate-and-ipv'],
+        [60908, 'ieee802-dot1cb-frer-types:vector'],
+        [60909, 'ieee802-dot1cb-frer-types:match'],
+        [60910, 'ieee802-dot1cb-frer-types:r-tag']
+    ].map(([sid, identifier, type]) => identifier.startsWith('/')
+        ? { namespace: 'data', identifier, sid, type }
+        : { namespace: 'identity', identifier, sid });
+})();
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { CoreconfCodec, CoreconfError };
+}
+
+if (typeof window !== 'undefined') {
+    window.CoreconfCodec = CoreconfCodec;
+    window.CoreconfError = CoreconfError;
+}
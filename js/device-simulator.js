@@ -0,0 +1,768 @@
+/**
+ * VelocityDRIVE Device Simulator
+ * Emulates a LAN9662 running VelocityDRIVE-SP: MUP1 framing, ping/announce
+ * and a CORECONF-style CoAP datastore at /c, for working without hardware.
+ *
+ * CoAP resource /c. Payloads may name nodes by SID (CoreconfCodec's table)
+ * or by instance-identifier string; ?k= takes either a string or the
+ * CORECONF SID and keys form.
+ * - GET     whole datastore, or one node with ?k=<instance-identifier>
+ * - FETCH   yang-identifiers+cbor-seq -> yang-instances+cbor-seq, answered
+ *           by SID when asked by SID
+ * - iPATCH  yang-instances+cbor-seq of { path: value }; null deletes
+ * - PUT     yang-data+cbor datastore, or { path: value } with ?k=<path>
+ * - DELETE  the node named by ?k=<path>
+ *
+ * GET and FETCH accept Observe (RFC 7641): observers get a notification
+ * whenever their response changes, either through a write or through the
+ * simulated operational state (port counters, PTP offset, gate states)
+ * that advances once per tick.
+ *
+ * Requests and responses larger than maxSize go block-wise (RFC 7959):
+ * Block1 request bodies are collected until the last block, Block2
+ * responses are re-rendered and sliced for every block asked for.
+ */
+
+class VelocityDriveSimulator {
+    constructor(options = {}) {
+        this.version = options.version || 'VelocitySP-v2025.06-LAN9662-ung8291';
+        this.maxSize = options.maxSize || 300;
+        this.mup1Version = options.mup1Version || 2;
+        this.ports = options.ports || ['1', '2'];
+        this.startTime = Date.now();
+
+        this.protocol = new MUP1Protocol();
+        this.coap = new CoAPClient();
+        this.cbor = new CBOREncoder();
+        this.coreconf = new CoreconfCodec();
+        this.datastore = new YangDatastore();
+        this.block1 = null; // Block1 body being received
+        this.block2 = null; // Response to a Block1 body, served block by block
+        this.tickInterval = options.tickInterval || 1000;
+
+        // Observe registrations by token; notifications go to `output`
+        this.observers = new Map();
+        this.observeSequence = 0;
+        this.output = null;
+        this.timer = null;
+        this.seedDatastore();
+    }
+
+    /**
+     * Shared instance so the simulated configuration survives reconnects
+     */
+    static getInstance() {
+        if (!VelocityDriveSimulator.instance) {
+            VelocityDriveSimulator.instance = new VelocityDriveSimulator();
+        }
+        return VelocityDriveSimulator.instance;
+    }
+
+    /**
+     * Factory defaults: VLAN 1 on all ports, 1:1 PCP maps, shapers and
+     * gate control disabled, zeroed counters and one PTP instance
+     */
+    seedDatastore() {
+        const bridge = "/ieee802-dot1q-bridge:bridges/bridge[name='b0']/component[name='c0']";
+        this.datastore.merge(`${bridge}/filtering-database/vlan-registration-entry`, {
+            'database-id': 0,
+            'vids': '1',
+            'entry-type': 'static',
+            'port-map': this.ports.map(port => ({
+                'port-ref': parseInt(port, 10),
+                'static-vlan-registration-entries': { 'vlan-transmitted': 'untagged' }
+            }))
+        });
+
+        for (const port of this.ports) {
+            const iface = `/ietf-interfaces:interfaces/interface[name='${port}']`;
+            const identity = [0, 1, 2, 3, 4, 5, 6, 7];
+
+            this.datastore.merge(iface, {
+                'type': 'iana-if-type:ethernetCsmacd',
+                'enabled': true,
+                'oper-status': 'up',
+                'statistics': {
+                    'in-octets': '0',
+                    'in-unicast-pkts': '0',
+                    'out-octets': '0',
+                    'out-unicast-pkts': '0'
+                },
+                'ieee802-dot1q-bridge:bridge-port': {
+                    'port-type': 'ieee802-dot1q-bridge:c-vlan-bridge-port',
+                    'acceptable-frame': 'admit-all-frames',
+                    'pcp-decoding-table': {
+                        'pcp-decoding-map': [{
+                            'pcp': '8P0D',
+                            'priority-map': identity.map(pcp => ({
+                                'priority-code-point': pcp,
+                                'priority': pcp,
+                                'drop-eligible': false
+                            }))
+                        }]
+                    },
+                    'pcp-encoding-table': {
+                        'pcp-encoding-map': [{
+                            'pcp': '8P0D',
+                            'priority-map': identity.map(priority => ({
+                                'priority': priority,
+                                'dei': false,
+                                'priority-code-point': priority
+                            }))
+                        }]
+                    },
+                    'ieee802-dot1q-sched-bridge:gate-parameter-table': {
+                        'gate-enabled': false,
+                        'admin-gate-states': 255,
+                        'admin-control-list': {
+                            'gate-control-entry': [{
+                                'index': 1,
+                                'operation-name': 'ieee802-dot1q-sched:set-gate-states',
+                                'time-interval-value': 1000000,
+                                'gate-states-value': 255
+                            }]
+                        },
+                        'admin-cycle-time': { 'numerator': 1000000, 'denominator': 1000000000 },
+                        'admin-cycle-time-extension': 0,
+                        'admin-base-time': { 'seconds': '0', 'nanoseconds': 0 }
+                    },
+                    'ieee802-dot1q-preemption-bridge:frame-preemption-parameters': {
+                        'frame-preemption-status-table': identity.map(tc => ({
+                            'traffic-class': tc,
+                            'frame-preemption-status': 'express'
+                        })),
+                        'hold-advance': 1024,
+                        'release-advance': 1024,
+                        'preemption-active': false,
+                        'hold-request': 'release'
+                    }
+                },
+                'ieee802-ethernet-interface:ethernet': {
+                    'ieee802-ethernet-mac-merge:mac-merge': {
+                        'admin-control': {
+                            'merge-enable-tx': false,
+                            'verify-disable-tx': false,
+                            'verify-time': 10,
+                            'frag-size': 0
+                        },
+                        'admin-status': { 'merge-support': true, 'verify-status': 'disabled' }
+                    }
+                },
+                'mchp-velocitysp-port:eth-qos': {
+                    'config': {
+                        'traffic-class-shapers': identity.map(tc => ({
+                            'traffic-class': tc,
+                            'credit-based': { 'idle-slope': 0 }
+                        }))
+                    }
+                }
+            });
+        }
+
+        // Synchronised to a grandmaster one hop away on port 1
+        this.datastore.merge('/ieee1588-ptp:ptp/instances/instance', {
+            'instance-index': 0,
+            'default-ds': {
+                'domain-number': 0, 'priority1': 128, 'priority2': 128,
+                'clock-identity': '00-04-A3-FF-FE-66-26-00',
+                'clock-quality': { 'clock-class': 248, 'clock-accuracy': 254, 'offset-scaled-log-variance': 65535 }
+            },
+            'current-ds': { 'steps-removed': 1, 'offset-from-master': '0', 'mean-delay': String(450 * 65536) },
+            'parent-ds': {
+                'grandmaster-identity': '00-04-A3-FF-FE-10-00-01',
+                'grandmaster-priority1': 246, 'grandmaster-priority2': 248,
+                'grandmaster-clock-quality': { 'clock-class': 6, 'clock-accuracy': 33, 'offset-scaled-log-variance': 17258 }
+            },
+            'ports': {
+                'port': this.ports.map((port, index) => ({
+                    'port-index': Number(port),
+                    'underlying-interface': port,
+                    'port-ds': {
+                        'port-state': index === 0 ? 'slave' : 'master',
+                        'log-announce-interval': 0,
+                        'log-sync-interval': -3,
+                        'delay-mechanism': 'p2p',
+                        'mean-link-delay': String(450 * 65536),
+                        'ieee802-dot1as-gptp:as-capable': true
+                    }
+                }))
+            }
+        });
+    }
+
+    /**
+     * Connect the simulator to a link; `send` takes device frames that are
+     * not replies (Observe notifications)
+     */
+    attach(send) {
+        this.detach();
+        this.output = send;
+        this.timer = setInterval(() => this.tick(), this.tickInterval);
+    }
+
+    /**
+     * The link went down: observers and partial transfers are forgotten
+     */
+    detach() {
+        clearInterval(this.timer);
+        this.timer = null;
+        this.output = null;
+        this.observers.clear();
+        this.block1 = null;
+        this.block2 = null;
+    }
+
+    /**
+     * Advance the operational state: count some traffic, let the PTP offset
+     * wander, step running gate schedules by one entry and MAC merge
+     * verification by one step, then notify
+     */
+    tick() {
+        for (const port of this.ports) {
+            const iface = `/ietf-interfaces:interfaces/interface[name='${port}']`;
+            const statistics = this.datastore.get(`${iface}/statistics`) || {};
+            const count = (name, amount) => String(Number(statistics[name] || 0) + amount);
+            const inPackets = Math.floor(Math.random() * 100);
+            const outPackets = Math.floor(Math.random() * 100);
+
+            this.datastore.merge(`${iface}/statistics`, {
+                'in-octets': count('in-octets', inPackets * 128),
+                'in-unicast-pkts': count('in-unicast-pkts', inPackets),
+                'out-octets': count('out-octets', outPackets * 128),
+                'out-unicast-pkts': count('out-unicast-pkts', outPackets)
+            });
+
+            const gatePath = `${iface}/ieee802-dot1q-bridge:bridge-port/ieee802-dot1q-sched-bridge:gate-parameter-table`;
+            const gates = this.datastore.get(gatePath);
+            if (gates) {
+                const entries = (gates['admin-control-list'] || {})['gate-control-entry'] || [];
+                const operState = gates['gate-enabled'] && entries.length > 0
+                    ? entries[this.getUptime() % entries.length]['gate-states-value']
+                    : gates['admin-gate-states'];
+                this.datastore.merge(`${gatePath}/oper-gate-states`, operState);
+            }
+
+            this.tickMacMerge(iface);
+        }
+
+        // Offset in scaled nanoseconds (ns * 2^16) as the PTP YANG model has it
+        const current = `${VelocityDriveSimulator.PTP_INSTANCE}/current-ds`;
+        const offset = Number(this.datastore.get(`${current}/offset-from-master`) || 0) / 65536;
+        const next = Math.max(-500, Math.min(500, offset + (Math.random() - 0.5) * 40));
+        this.datastore.merge(`${current}/offset-from-master`, String(Math.round(next * 65536)));
+        const delay = 450 + (Math.random() - 0.5) * 10;
+        this.datastore.merge(`${current}/mean-delay`, String(Math.round(delay * 65536)));
+
+        this.notifyObservers();
+    }
+
+    /**
+     * Run MAC merge verification one step: with merge enabled, verify
+     * frames answered by the link partner take it from verifying to
+     * succeeded within a tick. Preemption is active once verification
+     * succeeded or is skipped.
+     */
+    tickMacMerge(iface) {
+        const macMerge = `${iface}/ieee802-ethernet-interface:ethernet/ieee802-ethernet-mac-merge:mac-merge`;
+        const control = this.datastore.get(`${macMerge}/admin-control`);
+        if (!control) return;
+
+        const status = this.datastore.get(`${macMerge}/admin-status/verify-status`);
+        let next = 'disabled';
+        if (control['merge-enable-tx'] && !control['verify-disable-tx']) {
+            next = status === 'verifying' || status === 'succeeded' ? 'succeeded' : 'verifying';
+        }
+        this.datastore.merge(`${macMerge}/admin-status/verify-status`, next);
+
+        const active = control['merge-enable-tx'] === true && (next === 'succeeded' || control['verify-disable-tx'] === true);
+        const preemption = `${iface}/ieee802-dot1q-bridge:bridge-port/ieee802-dot1q-preemption-bridge:frame-preemption-parameters`;
+        if (this.datastore.get(preemption)) {
+            this.datastore.merge(`${preemption}/preemption-active`, active);
+        }
+    }
+
+    /**
+     * Seconds since the simulated device booted
+     */
+    getUptime() {
+        return Math.floor((Date.now() - this.startTime) / 1000);
+    }
+
+    /**
+     * Pong/announce payload: "version uptime maxSize mup1Version"
+     */
+    getIdentity() {
+        return `${this.version} ${this.getUptime()} ${this.maxSize} ${this.mup1Version}`;
+    }
+
+    /**
+     * Announce frame the device sends when the link comes up
+     */
+    createAnnounce() {
+        return this.protocol.createFrame('A', Array.from(new TextEncoder().encode(this.getIdentity())));
+    }
+
+    /**
+     * Handle a frame from the host; returns the reply frame or null
+     */
+    handleFrame(frame) {
+        switch (frame.type) {
+            case 'p':
+                return this.protocol.createFrame('P', Array.from(new TextEncoder().encode(this.getIdentity())));
+
+            case 'c': {
+                const response = this.handleCoAP(frame.payload);
+                return response ? this.protocol.createFrame('C', Array.from(response)) : null;
+            }
+
+            default:
+                return this.protocol.createFrame('T',
+                    Array.from(new TextEncoder().encode(`Unsupported frame type '${frame.type}'`)));
+        }
+    }
+
+    /**
+     * Handle a CoAP request; returns the response bytes or null if the
+     * message is not a request we answer
+     */
+    handleCoAP(bytes) {
+        let request;
+        try {
+            request = this.coap.parseMessage(bytes);
+        } catch (error) {
+            return null;
+        }
+
+        // A reset answering a notification cancels that observation
+        if (request.type === this.coap.TYPE.RST) {
+            this.removeObserver(request.messageId);
+            return null;
+        }
+
+        // Only answer requests; ignore ACK/RST, responses and CoAP pings
+        if (request.codeClass !== 0 || request.code === this.coap.METHOD.EMPTY) {
+            return null;
+        }
+
+        const CODE = this.coap.RESPONSE_CODE;
+        const block1 = this.coap.getBlockOption(request, 'block1');
+        const block2 = this.coap.getBlockOption(request, 'block2');
+        let result;
+
+        if (bytes.length > this.maxSize) {
+            // Tell the client which block size would fit
+            result = {
+                code: CODE.REQUEST_ENTITY_TOO_LARGE,
+                diagnostic: `Request exceeds ${this.maxSize} bytes`,
+                options: { block1: this.coap.encodeBlockOption(0, false, this.getBlockSzx(request)) }
+            };
+        } else if (this.getUriPath(request) !== 'c') {
+            result = { code: CODE.NOT_FOUND };
+        } else if (block2 && block2.num > 0 && !request.payload &&
+                   this.block2 && this.block2.key === this.getRequestKey(request)) {
+            // Later blocks of the response to a body that came block-wise
+            result = this.block2.result;
+        } else {
+            const complete = block1 ? this.receiveBlock1(request, block1) : request;
+            if (!complete) {
+                // Ask for smaller blocks if these do not leave room for the response
+                const szx = Math.min(block1.szx, this.getBlockSzx(request));
+                result = this.block1
+                    ? { code: CODE.CONTINUE, options: { block1: this.coap.encodeBlockOption(block1.num, true, szx) } }
+                    : { code: CODE.REQUEST_ENTITY_INCOMPLETE, diagnostic: 'Block1 block out of sequence' };
+            } else {
+                try {
+                    result = this.handleDatastoreRequest(complete);
+                } catch (error) {
+                    result = { code: CODE.BAD_REQUEST, diagnostic: error.message };
+                }
+                result = this.handleObserve(complete, result);
+                if (!this.coap.isRetrieval(request.code) && result.code >> 5 === 2) {
+                    // Let observers see the write after its response
+                    setTimeout(() => this.notifyObservers(), 0);
+                }
+                if (block1) {
+                    this.block2 = { key: this.getRequestKey(request), result };
+                    result = {
+                        ...result,
+                        options: { ...result.options, block1: this.coap.encodeBlockOption(block1.num, false, block1.szx) }
+                    };
+                }
+            }
+        }
+
+        return this.sendBlock2(request, result);
+    }
+
+    /**
+     * Observe registration (0) or deregistration (1) on a GET or FETCH;
+     * returns the result with the Observe option for registrations
+     */
+    handleObserve(request, result) {
+        if (!request.options.observe || !this.coap.isRetrieval(request.code)) {
+            return result;
+        }
+
+        const key = this.coap.tokenKey(request.token);
+        if (this.coap.getObserveValue(request) !== 0 || result.code !== this.coap.RESPONSE_CODE.CONTENT) {
+            this.observers.delete(key);
+            return result;
+        }
+
+        this.observers.set(key, {
+            // Notifications are re-rendered from the request, always from block 0
+            request: { ...request, options: { ...request.options, block2: undefined } },
+            fingerprint: this.getFingerprint(result),
+            messageId: null
+        });
+        return { ...result, options: { ...result.options, observe: this.observeSequence } };
+    }
+
+    /**
+     * Send a notification to every observer whose response changed
+     */
+    notifyObservers() {
+        if (!this.output) return;
+
+        for (const [key, observer] of this.observers) {
+            let result;
+            try {
+                result = this.handleDatastoreRequest(observer.request);
+            } catch (error) {
+                result = { code: this.coap.RESPONSE_CODE.BAD_REQUEST, diagnostic: error.message };
+            }
+
+            const fingerprint = this.getFingerprint(result);
+            if (fingerprint === observer.fingerprint) continue;
+            observer.fingerprint = fingerprint;
+
+            // An error notification ends the observation
+            this.observeSequence = (this.observeSequence + 1) & 0xFFFFFF;
+            if (result.code === this.coap.RESPONSE_CODE.CONTENT) {
+                result = { ...result, options: { ...result.options, observe: this.observeSequence } };
+            } else {
+                this.observers.delete(key);
+            }
+
+            const bytes = this.sendBlock2({ ...observer.request, type: this.coap.TYPE.NON }, result);
+            observer.messageId = (bytes[2] << 8) | bytes[3];
+            this.output(this.protocol.createFrame('C', Array.from(bytes)));
+        }
+    }
+
+    removeObserver(messageId) {
+        for (const [key, observer] of this.observers) {
+            if (observer.messageId === messageId) {
+                this.observers.delete(key);
+            }
+        }
+    }
+
+    getFingerprint(result) {
+        return `${result.code} ${Array.from(result.payload || []).join(',')}`;
+    }
+
+    /**
+     * Collect a Block1 block. Returns the request with the whole body once
+     * the last block arrived, otherwise null; this.block1 is cleared when a
+     * block is out of sequence.
+     */
+    receiveBlock1(request, block) {
+        const key = this.getRequestKey(request);
+        const offset = block.num * this.coap.blockSize(block.szx);
+        const chunk = request.payload || new Uint8Array(0);
+
+        if (block.num === 0) {
+            this.block1 = { key, chunks: [], received: 0 };
+        } else if (!this.block1 || this.block1.key !== key || this.block1.received !== offset) {
+            this.block1 = null;
+            return null;
+        }
+
+        this.block1.chunks.push(chunk);
+        this.block1.received += chunk.length;
+        if (block.more) return null;
+
+        const payload = new Uint8Array(this.block1.received);
+        let position = 0;
+        for (const part of this.block1.chunks) {
+            payload.set(part, position);
+            position += part.length;
+        }
+        this.block1 = null;
+        return { ...request, payload };
+    }
+
+    /**
+     * Encode the response, slicing the payload into the Block2 block the
+     * client asked for when it does not fit in one message
+     */
+    sendBlock2(request, result) {
+        const requested = this.coap.getBlockOption(request, 'block2');
+        const payload = result.payload;
+
+        if (!payload || (!requested && this.createResponse(request, result).length <= this.maxSize)) {
+            return this.createResponse(request, result);
+        }
+
+        const szx = Math.min(this.getBlockSzx(request, result), requested ? requested.szx : 6);
+        const size = this.coap.blockSize(szx);
+        const num = requested ? Math.floor(requested.num * this.coap.blockSize(requested.szx) / size) : 0;
+
+        if (num * size >= payload.length && num > 0) {
+            return this.createResponse(request, {
+                code: this.coap.RESPONSE_CODE.BAD_OPTION,
+                diagnostic: `Block ${requested.num} is past the end of the response`
+            });
+        }
+
+        const more = (num + 1) * size < payload.length;
+        return this.createResponse(request, {
+            ...result,
+            payload: payload.slice(num * size, (num + 1) * size),
+            options: {
+                ...result.options,
+                block2: this.coap.encodeBlockOption(num, more, szx),
+                size2: num === 0 ? payload.length : undefined
+            }
+        });
+    }
+
+    /**
+     * Largest block size exponent whose block fits in a response to this
+     * request next to its header and options
+     */
+    getBlockSzx(request, result = { code: this.coap.RESPONSE_CODE.CONTENT }) {
+        const overhead = this.createResponse(request, {
+            code: result.code,
+            contentFormat: result.contentFormat,
+            options: { ...result.options, block1: 0xFFFFFF, block2: 0xFFFFFF, size2: 0xFFFFFFFF }
+        }).length + 1;
+        const szx = this.coap.getBlockSzx(this.maxSize - overhead);
+        return szx === null ? 0 : szx;
+    }
+
+    /**
+     * Serve a method on /c; returns { code, contentFormat?, payload? }
+     */
+    handleDatastoreRequest(request) {
+        const METHOD = this.coap.METHOD;
+        const CODE = this.coap.RESPONSE_CODE;
+        const FORMAT = this.coap.CONTENT_FORMAT;
+        const key = this.getUriQuery(request).k;
+        const target = key === undefined || key.startsWith('/') ? key : this.coreconf.decodeQueryIdentifier(key);
+        const contentFormat = this.getContentFormat(request);
+        const payload = request.payload || new Uint8Array(0);
+
+        switch (request.code) {
+            case METHOD.GET: {
+                const value = this.datastore.get(target || '/');
+                if (value === undefined) {
+                    return { code: CODE.NOT_FOUND };
+                }
+                return {
+                    code: CODE.CONTENT,
+                    contentFormat: FORMAT.YANG_CBOR,
+                    payload: this.cbor.encode(target ? { [target]: value } : value)
+                };
+            }
+
+            case METHOD.FETCH: {
+                if (contentFormat !== FORMAT.YANG_IDENTIFIERS_CBOR_SEQ) {
+                    return { code: CODE.UNSUPPORTED_CONTENT_FORMAT };
+                }
+                const bySid = this.cbor.decodeSequence(payload).some(item => typeof item !== 'string');
+                const instances = this.coreconf.decodeIdentifiers(payload).map(path => {
+                    const value = this.datastore.get(path);
+                    return { [path]: value === undefined ? null : value };
+                });
+                return {
+                    code: CODE.CONTENT,
+                    contentFormat: FORMAT.YANG_INSTANCES_CBOR_SEQ,
+                    payload: bySid ? this.coreconf.encodeInstances(instances) : this.cbor.encodeSequence(instances)
+                };
+            }
+
+            case METHOD.IPATCH: {
+                if (contentFormat !== FORMAT.YANG_INSTANCES_CBOR_SEQ) {
+                    return { code: CODE.UNSUPPORTED_CONTENT_FORMAT };
+                }
+                const instances = this.coreconf.decodeInstances(payload);
+                for (const instance of instances) {
+                    if (instance === null || typeof instance !== 'object' || Array.isArray(instance)) {
+                        throw new Error('iPATCH items must be { path: value } maps');
+                    }
+                }
+                // Apply all or nothing
+                const backup = this.datastore.toJSON();
+                try {
+                    for (const instance of instances) {
+                        for (const [path, value] of Object.entries(instance)) {
+                            this.datastore.merge(path, value);
+                        }
+                    }
+                } catch (error) {
+                    this.datastore = new YangDatastore(backup);
+                    throw error;
+                }
+                return { code: CODE.CHANGED };
+            }
+
+            case METHOD.PUT: {
+                if (contentFormat !== FORMAT.YANG_CBOR) {
+                    return { code: CODE.UNSUPPORTED_CONTENT_FORMAT };
+                }
+                if (target) {
+                    const value = this.cbor.decode(payload);
+                    if (value === null || typeof value !== 'object' || !(target in value)) {
+                        throw new Error(`PUT payload must be { "${target}": value }`);
+                    }
+                    this.datastore.replace(target, value[target]);
+                } else {
+                    this.datastore.replace('/', this.coreconf.decodeTree(payload));
+                }
+                return { code: CODE.CHANGED };
+            }
+
+            case METHOD.DELETE: {
+                if (!target) {
+                    throw new Error('DELETE needs ?k=<instance-identifier>');
+                }
+                return { code: this.datastore.delete(target) ? CODE.DELETED : CODE.NOT_FOUND };
+            }
+
+            default:
+                return { code: CODE.METHOD_NOT_ALLOWED };
+        }
+    }
+
+    /**
+     * Encode a response; errors may carry a text diagnostic payload
+     */
+    createResponse(request, result) {
+        const options = { ...result.options };
+        if (result.contentFormat !== undefined) {
+            options['content-format'] = result.contentFormat;
+        }
+        if (result.payload) {
+            options.payload = result.payload;
+        } else if (result.diagnostic) {
+            options.payload = new TextEncoder().encode(result.diagnostic);
+        }
+        return this.coap.createResponse(request, result.code, options).bytes;
+    }
+
+    /**
+     * Method, path and query: what identifies one block-wise transfer
+     */
+    getRequestKey(request) {
+        return `${request.code} ${this.getUriPath(request)} ${JSON.stringify(this.getUriQuery(request))}`;
+    }
+
+    getUriPath(request) {
+        const segments = (request.options['uri-path'] || []).map(s => new TextDecoder().decode(s));
+        return segments.join('/').replace(/^\/+/, '');
+    }
+
+    getUriQuery(request) {
+        const query = {};
+        for (const item of request.options['uri-query'] || []) {
+            const text = new TextDecoder().decode(item);
+            const eq = text.indexOf('=');
+            if (eq === -1) {
+                query[text] = '';
+            } else {
+                query[text.slice(0, eq)] = text.slice(eq + 1);
+            }
+        }
+        return query;
+    }
+
+    getContentFormat(request) {
+        const option = request.options['content-format'];
+        if (!option) return null;
+        return option[0].reduce((value, byte) => (value << 8) | byte, 0);
+    }
+}
+
+VelocityDriveSimulator.instance = null;
+
+VelocityDriveSimulator.PTP_INSTANCE = "/ieee1588-ptp:ptp/instances/instance[instance-index='0']";
+
+/**
+ * Transport back-end that talks to a VelocityDriveSimulator in the page
+ */
+class SimulatorTransport extends Transport {
+    constructor(options = {}) {
+        super(options);
+        this.simulator = options.simulator || VelocityDriveSimulator.getInstance();
+        this.latency = options.latency !== undefined ? options.latency : 5;
+        this.decoder = new MUP1Decoder({
+            protocol: this.simulator.protocol,
+            onFrame: (frame) => this.respond(this.simulator.handleFrame(frame))
+        });
+    }
+
+    get description() {
+        return 'Simulated LAN9662';
+    }
+
+    async open() {
+        this.decoder.reset();
+        this.createReadable();
+        this.isOpen = true;
+        this.simulator.attach((frame) => this.respond(frame));
+        this.emit('open', this.getInfo());
+
+        // The device announces itself when the link comes up
+        this.respond(this.simulator.createAnnounce());
+    }
+
+    async write(bytes) {
+        if (!this.isOpen) {
+            throw new Error('Simulator is not connected');
+        }
+        this.decoder.push(new Uint8Array(bytes));
+    }
+
+    /**
+     * Deliver a device frame after the simulated line latency
+     */
+    respond(frame) {
+        if (!frame) return;
+        setTimeout(() => {
+            if (this.isOpen) {
+                this.receive(frame);
+            }
+        }, this.latency);
+    }
+
+    async close() {
+        this.simulator.detach();
+        this.handleClosed();
+    }
+
+    getInfo() {
+        return {
+            type: 'simulator',
+            description: this.description,
+            version: this.simulator.version
+        };
+    }
+}
+
+Transport.register('simulator', {
+    label: 'Simulated LAN9662 (no hardware)',
+    create: (options) => new SimulatorTransport(options),
+    isAvailable: () => true
+});
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { VelocityDriveSimulator, SimulatorTransport };
+}
+
+if (typeof window !== 'undefined') {
+    window.VelocityDriveSimulator = VelocityDriveSimulator;
+    window.SimulatorTransport = SimulatorTransport;
+}
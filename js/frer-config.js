@@ -0,0 +1,274 @@
+/**
+ * FRER Config
+ * Frame replication and elimination (IEEE 802.1CB) settings and the YAML
+ * patch they become.
+ *
+ * Settings are
+ *
+ *   { streams: [{ index, handle, type, destinationMac, sourceMac, vlan,
+ *                 tagged, ipSource, ipDestination, dscp, nextProtocol,
+ *                 sourcePort, destinationPort, direction, ports }],
+ *     generation: [{ index, streams, ports, outFacing }],
+ *     recovery: [{ index, streams, ports, outFacing, individual, algorithm,
+ *                  historyLength, resetTimeout, takeNoSequence,
+ *                  latentErrorDetection }] }
+ *
+ * with streams the stream handles a sequence function covers, ports
+ * interface names and optional numbers and strings null when not given.
+ */
+
+class FrerConfig {
+    /**
+     * Check indexes, match values and the stream handles the sequence
+     * functions refer to; returns [{ severity, table, index, message }]
+     * with table 'streams', 'generation' or 'recovery'
+     */
+    static validate({ streams, generation, recovery }) {
+        const issues = [];
+        const add = (severity, table, index, message) => issues.push({ severity, table, index, message });
+        const isUint = (value, max = 0xFFFFFFFF) => Number.isInteger(value) && value >= 0 && value <= max;
+        const isMac = value => /^[0-9A-Fa-f]{2}([-:][0-9A-Fa-f]{2}){5}$/.test(value);
+        const isIp = value => /^(\d{1,3})(\.\d{1,3}){3}$/.test(value)
+            ? value.split('.').every(part => Number(part) <= 255)
+            : value.includes(':') && /^[0-9A-Fa-f:.]+$/.test(value);
+        const direction = outFacing => (outFacing ? 'out-facing' : 'in-facing');
+
+        const checkIndexes = (table, entries, label) => {
+            const seen = new Map();
+            entries.forEach((entry, index) => {
+                if (!isUint(entry.index)) {
+                    add('error', table, index, `${label} index must be a whole number from 0 to 4294967295`);
+                } else if (seen.has(entry.index)) {
+                    add('error', table, index, `${label} index ${entry.index} is already used by entry ${seen.get(entry.index) + 1}`);
+                } else {
+                    seen.set(entry.index, index);
+                }
+            });
+        };
+        checkIndexes('streams', streams, 'Stream identification');
+        checkIndexes('generation', generation, 'Sequence generation');
+        checkIndexes('recovery', recovery, 'Sequence recovery');
+
+        const handles = new Set(streams.map(stream => stream.handle));
+        const used = new Set([...generation, ...recovery].flatMap(fn => fn.streams));
+
+        streams.forEach((stream, index) => {
+            if (!isUint(stream.handle)) {
+                add('error', 'streams', index, 'Stream handle must be a whole number');
+            } else if (!used.has(stream.handle)) {
+                add('warning', 'streams', index, `No sequence generation or recovery uses stream handle ${stream.handle}`);
+            }
+            if (stream.ports.length === 0) {
+                add('error', 'streams', index, 'Select at least one port');
+            }
+
+            if (stream.type === 'smac-vlan') {
+                if (!stream.sourceMac || !isMac(stream.sourceMac)) {
+                    add('error', 'streams', index, 'Source MAC must be six hex bytes, e.g. 00-11-22-33-44-55');
+                }
+            } else if (stream.destinationMac ? !isMac(stream.destinationMac) : stream.type === 'null') {
+                add('error', 'streams', index, 'Destination MAC must be six hex bytes, e.g. 01-00-5E-00-01-01');
+            }
+            if (stream.vlan !== null && (!Number.isInteger(stream.vlan) || stream.vlan < 1 || stream.vlan > 4094)) {
+                add('error', 'streams', index, 'VLAN must be from 1 to 4094');
+            }
+            if (stream.type !== 'ip') return;
+
+            if (!stream.ipDestination) {
+                add('error', 'streams', index, 'IP stream identification needs an IP destination');
+            }
+            for (const [name, value] of [['IP source', stream.ipSource], ['IP destination', stream.ipDestination]]) {
+                if (value && !isIp(value)) {
+                    add('error', 'streams', index, `${name} ${value} is not an IPv4 or IPv6 address`);
+                }
+            }
+            if (stream.dscp !== null && !isUint(stream.dscp, 63)) {
+                add('error', 'streams', index, 'DSCP must be from 0 to 63');
+            }
+            for (const [name, value] of [['Source port', stream.sourcePort], ['Destination port', stream.destinationPort]]) {
+                if (value !== null && !isUint(value, 65535)) {
+                    add('error', 'streams', index, `${name} must be from 0 to 65535`);
+                }
+            }
+            if (stream.nextProtocol === 'none' && (stream.sourcePort !== null || stream.destinationPort !== null)) {
+                add('warning', 'streams', index, 'Ports are only matched with next protocol UDP, TCP or SCTP');
+            }
+        });
+
+        const checkFunctions = (table, functions, label) => {
+            const owner = new Map();
+            functions.forEach((fn, index) => {
+                if (fn.streams.length === 0) {
+                    add('error', table, index, 'List at least one stream handle');
+                } else if (!fn.streams.every(handle => isUint(handle))) {
+                    add('error', table, index, 'Stream handles must be whole numbers separated by commas');
+                } else {
+                    fn.streams.forEach(handle => {
+                        if (!handles.has(handle)) {
+                            add('error', table, index, `Stream handle ${handle} has no stream identification entry`);
+                        }
+                        if (owner.has(handle)) {
+                            add('error', table, index, `Stream handle ${handle} is already in ${label} ${owner.get(handle)}`);
+                        } else {
+                            owner.set(handle, fn.index);
+                        }
+                    });
+                }
+                if (fn.ports.length === 0) {
+                    add('error', table, index, 'Select at least one port');
+                }
+            });
+        };
+        checkFunctions('generation', generation, 'sequence generation');
+        checkFunctions('recovery', recovery, 'sequence recovery');
+
+        // One sequence identification entry per port and direction either
+        // encodes (generation) or decodes (recovery) sequence numbers
+        const encoders = new Map();
+        generation.forEach(fn => fn.ports.forEach(port => encoders.set(`${port}/${fn.outFacing}`, fn.index)));
+
+        recovery.forEach((fn, index) => {
+            fn.ports.forEach(port => {
+                const key = `${port}/${fn.outFacing}`;
+                if (encoders.has(key)) {
+                    add('error', 'recovery', index, `Port ${port} (${direction(fn.outFacing)}) already encodes sequence ` +
+                        `numbers for sequence generation ${encoders.get(key)}; it cannot also decode them`);
+                }
+            });
+            if (!isUint(fn.historyLength) || fn.historyLength < 1) {
+                add('error', 'recovery', index, 'History length must be a whole number of at least 1');
+            } else if (fn.algorithm === 'match' && fn.historyLength > 1) {
+                add('warning', 'recovery', index, 'The match algorithm keeps no history; history length only applies to vector');
+            }
+            if (!isUint(fn.resetTimeout) || fn.resetTimeout === 0) {
+                add('error', 'recovery', index, 'Reset timeout must be a positive whole number of ms');
+            }
+        });
+
+        return issues;
+    }
+
+    /**
+     * The YAML patch of the settings
+     */
+    static toYaml({ streams, generation, recovery }) {
+        const frer = FrerConfig.PATH;
+        const mac = value => value.toUpperCase().replace(/:/g, '-');
+
+        let yaml = `# FRER (Frame Replication and Elimination for Reliability) Configuration\n`;
+        if (streams.length + generation.length + recovery.length === 0) {
+            return yaml + `# No stream identification or sequence functions defined\n`;
+        }
+
+        if (streams.length > 0) {
+            yaml += `\n# Stream identification\n`;
+            yaml += `- ? "/ieee802-dot1cb-stream-identification:stream-identity"\n`;
+            yaml += `  :\n`;
+            streams.forEach(stream => {
+                yaml += `    - index: ${stream.index}\n`;
+                yaml += `      handle: ${stream.handle}\n`;
+                yaml += `      out-facing:\n`;
+                yaml += `        ${stream.direction}-port:\n`;
+                stream.ports.forEach(port => { yaml += `          - "${port}"\n`; });
+                yaml += `      ${stream.type}-stream-identification:\n`;
+                if (stream.type === 'smac-vlan') {
+                    yaml += `        source-mac: "${mac(stream.sourceMac)}"\n`;
+                } else if (stream.destinationMac) {
+                    yaml += `        destination-mac: "${mac(stream.destinationMac)}"\n`;
+                }
+                yaml += `        tagged: ${stream.tagged}\n`;
+                if (stream.vlan !== null) {
+                    yaml += `        vlan: ${stream.vlan}\n`;
+                }
+                if (stream.type === 'ip') {
+                    if (stream.ipSource) {
+                        yaml += `        ip-source: "${stream.ipSource}"\n`;
+                    }
+                    yaml += `        ip-destination: "${stream.ipDestination}"\n`;
+                    if (stream.dscp !== null) {
+                        yaml += `        dscp: ${stream.dscp}\n`;
+                    }
+                    yaml += `        next-protocol: ${stream.nextProtocol}\n`;
+                    if (stream.sourcePort !== null) {
+                        yaml += `        source-port: ${stream.sourcePort}\n`;
+                    }
+                    if (stream.destinationPort !== null) {
+                        yaml += `        destination-port: ${stream.destinationPort}\n`;
+                    }
+                }
+            });
+        }
+
+        const handleList = (handles, indent) => handles.map(handle => `${indent}- ${handle}\n`).join('');
+        // Ports encoding (generation) or decoding (recovery) the R-TAG
+        const encodings = new Map();
+        const addEncoding = (fn, active) => fn.ports.forEach(port => {
+            const key = `${port}/${fn.outFacing}`;
+            if (!encodings.has(key)) {
+                encodings.set(key, { port, outFacing: fn.outFacing, active, streams: new Set() });
+            }
+            fn.streams.forEach(handle => encodings.get(key).streams.add(handle));
+        });
+
+        if (generation.length > 0) {
+            yaml += `\n# Sequence generation\n`;
+            yaml += `- ? "${frer}/sequence-generation"\n`;
+            yaml += `  :\n`;
+            generation.forEach(fn => {
+                yaml += `    - index: ${fn.index}\n`;
+                yaml += `      stream:\n`;
+                yaml += handleList(fn.streams, '        ');
+                yaml += `      direction-out-facing: ${fn.outFacing}\n`;
+                addEncoding(fn, true);
+            });
+        }
+
+        if (recovery.length > 0) {
+            yaml += `\n# Sequence recovery\n`;
+            yaml += `- ? "${frer}/sequence-recovery"\n`;
+            yaml += `  :\n`;
+            recovery.forEach(fn => {
+                yaml += `    - index: ${fn.index}\n`;
+                yaml += `      stream:\n`;
+                yaml += handleList(fn.streams, '        ');
+                yaml += `      port:\n`;
+                fn.ports.forEach(port => { yaml += `        - "${port}"\n`; });
+                yaml += `      direction-out-facing: ${fn.outFacing}\n`;
+                yaml += `      algorithm: ieee802-dot1cb-frer-types:${fn.algorithm}\n`;
+                yaml += `      history-length: ${fn.historyLength}\n`;
+                yaml += `      reset-timeout: ${fn.resetTimeout}\n`;
+                yaml += `      take-no-sequence: ${fn.takeNoSequence}\n`;
+                yaml += `      individual-recovery: ${fn.individual}\n`;
+                yaml += `      latent-error-detection: ${fn.latentErrorDetection}\n`;
+                addEncoding(fn, false);
+            });
+        }
+
+        if (encodings.size > 0) {
+            yaml += `\n# Sequence encode/decode (R-TAG)\n`;
+            yaml += `- ? "${frer}/sequence-identification"\n`;
+            yaml += `  :\n`;
+            encodings.forEach(encoding => {
+                yaml += `    - port: "${encoding.port}"\n`;
+                yaml += `      direction-out-facing: ${encoding.outFacing}\n`;
+                yaml += `      stream:\n`;
+                yaml += handleList([...encoding.streams], '        ');
+                yaml += `      active: ${encoding.active}\n`;
+                yaml += `      encapsulation: ieee802-dot1cb-frer-types:r-tag\n`;
+            });
+        }
+
+        return yaml;
+    }
+}
+
+FrerConfig.PATH = '/ieee802-dot1cb-frer:frer';
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { FrerConfig };
+}
+
+if (typeof window !== 'undefined') {
+    window.FrerConfig = FrerConfig;
+}
@@ -0,0 +1,180 @@
+/**
+ * GCL Timeline
+ * One cycle of a gate control list drawn as eight traffic-class lanes,
+ * TC7 at the top, with a bar per entry that is open or closed.
+ *
+ * Entries are [{ time, gates }] as the TAS form holds them: time in μs,
+ * gates the gate-states value (bit n open = TC n open). The timeline keeps
+ * no copy of its own; edits go back through the callbacks and the owner
+ * calls render() again:
+ *
+ *   onGatesChange(index, gates)  a bar was clicked, toggling that gate
+ *   onTimeChange(index, time)    the right edge of an entry was dragged
+ *
+ * If the list is shorter than the cycle, the last entry's gate states
+ * hold until the cycle ends (802.1Qbv); if longer, the part past the cycle
+ * end is never reached and is shaded.
+ */
+
+class GclTimeline {
+    constructor(container, { onGatesChange = null, onTimeChange = null } = {}) {
+        this.container = container;
+        this.onGatesChange = onGatesChange;
+        this.onTimeChange = onTimeChange;
+        this.entries = [];
+        this.cycleTime = 0;
+        // Scale held while dragging, so the bars don't rescale under the pointer
+        this.dragSpan = null;
+
+        container.addEventListener('click', (e) => this.handleClick(e));
+        container.addEventListener('pointerdown', (e) => this.handlePointerDown(e));
+    }
+
+    render(entries, cycleTime) {
+        this.entries = entries.map(entry => ({
+            time: Number.isFinite(entry.time) && entry.time > 0 ? entry.time : 0,
+            gates: Number.isInteger(entry.gates) ? entry.gates : 0
+        }));
+        this.cycleTime = Number.isFinite(cycleTime) && cycleTime > 0 ? cycleTime : 0;
+
+        const listTime = this.entries.reduce((sum, entry) => sum + entry.time, 0);
+        const span = this.dragSpan || Math.max(listTime, this.cycleTime);
+
+        if (this.entries.length === 0 || span === 0) {
+            this.container.innerHTML = '<div class="gcl-timeline-summary">No gate control entries</div>';
+            return;
+        }
+
+        const percent = time => `${(time / span * 100).toFixed(4)}%`;
+        const starts = [];
+        this.entries.reduce((start, entry) => { starts.push(start); return start + entry.time; }, 0);
+
+        // Interval lengths above the lanes
+        let axis = '';
+        this.entries.forEach((entry, index) => {
+            axis += `<div class="gcl-slot" style="left: ${percent(starts[index])}; width: ${percent(entry.time)}"
+                title="Entry ${index + 1}: ${GclTimeline.formatTime(entry.time)}">${GclTimeline.formatTime(entry.time)}</div>`;
+        });
+
+        let lanes = '';
+        for (let tc = 7; tc >= 0; tc--) {
+            let bars = '';
+            this.entries.forEach((entry, index) => {
+                const open = GclTimeline.isOpen(entry.gates, tc);
+                const from = GclTimeline.formatTime(starts[index]);
+                const to = GclTimeline.formatTime(starts[index] + entry.time);
+                bars += `<div class="gcl-bar ${open ? 'gcl-open' : 'gcl-closed'}" data-index="${index}" data-tc="${tc}"
+                    style="left: ${percent(starts[index])}; width: ${percent(entry.time)}"
+                    title="Entry ${index + 1}: TC${tc} ${open ? 'open' : 'closed'}, ${from} – ${to}">
+                    <div class="gcl-handle" data-index="${index}"></div>
+                </div>`;
+            });
+
+            const last = this.entries[this.entries.length - 1];
+            if (listTime < this.cycleTime && GclTimeline.isOpen(last.gates, tc)) {
+                bars += `<div class="gcl-bar gcl-open gcl-held" style="left: ${percent(listTime)}; width: ${percent(this.cycleTime - listTime)}"
+                    title="TC${tc} open until the cycle ends (last entry held)"></div>`;
+            }
+            if (this.cycleTime > 0 && listTime > this.cycleTime) {
+                bars += `<div class="gcl-beyond" style="left: ${percent(this.cycleTime)}; width: ${percent(listTime - this.cycleTime)}"
+                    title="Past the end of the cycle; never reached"></div>`;
+            }
+            if (this.cycleTime > 0) {
+                bars += `<div class="gcl-cycle-end" style="left: ${percent(this.cycleTime)}"></div>`;
+            }
+
+            lanes += `<div class="gcl-lane">
+                <span class="gcl-lane-label">TC${tc}</span>
+                <div class="gcl-track">${bars}</div>
+            </div>`;
+        }
+
+        this.container.innerHTML = `
+            <div class="gcl-lane gcl-axis">
+                <span class="gcl-lane-label"></span>
+                <div class="gcl-track">${axis}</div>
+            </div>
+            ${lanes}
+            <div class="gcl-timeline-summary">${this.summarize(listTime)}</div>
+        `;
+    }
+
+    /**
+     * "Cycle 1000 μs, list 1000 μs" plus what happens to the difference
+     */
+    summarize(listTime) {
+        if (!this.cycleTime) {
+            return `List ${GclTimeline.formatTime(listTime)}, no cycle time set`;
+        }
+        let text = `Cycle ${GclTimeline.formatTime(this.cycleTime)}, list ${GclTimeline.formatTime(listTime)}`;
+        if (listTime < this.cycleTime) {
+            text += ` (last entry held for ${GclTimeline.formatTime(this.cycleTime - listTime)})`;
+        } else if (listTime > this.cycleTime) {
+            text += ` (${GclTimeline.formatTime(listTime - this.cycleTime)} past the cycle end)`;
+        }
+        return text;
+    }
+
+    handleClick(e) {
+        const bar = e.target.closest('.gcl-bar[data-tc]');
+        if (!bar || e.target.classList.contains('gcl-handle') || !this.onGatesChange) return;
+
+        const index = Number(bar.dataset.index);
+        const tc = Number(bar.dataset.tc);
+        this.onGatesChange(index, this.entries[index].gates ^ (1 << tc));
+    }
+
+    handlePointerDown(e) {
+        if (!e.target.classList.contains('gcl-handle') || !this.onTimeChange) return;
+        e.preventDefault();
+
+        const index = Number(e.target.dataset.index);
+        const width = e.target.closest('.gcl-track').getBoundingClientRect().width;
+        const listTime = this.entries.reduce((sum, entry) => sum + entry.time, 0);
+        this.dragSpan = Math.max(listTime, this.cycleTime);
+
+        const perPixel = this.dragSpan / width;
+        const step = GclTimeline.dragStep(perPixel);
+        const startX = e.clientX;
+        const startTime = this.entries[index].time;
+
+        const move = (event) => {
+            const time = Math.max(step, Math.round((startTime + (event.clientX - startX) * perPixel) / step) * step);
+            if (time !== this.entries[index].time) {
+                this.onTimeChange(index, time);
+            }
+        };
+        const end = () => {
+            window.removeEventListener('pointermove', move);
+            window.removeEventListener('pointerup', end);
+            this.dragSpan = null;
+            this.render(this.entries, this.cycleTime);
+        };
+        window.addEventListener('pointermove', move);
+        window.addEventListener('pointerup', end);
+    }
+
+    static isOpen(gates, tc) {
+        return ((gates >> tc) & 1) === 1;
+    }
+
+    /**
+     * Whole μs, or the power of ten nearest one pixel when that is coarser
+     */
+    static dragStep(perPixel) {
+        return perPixel <= 1 ? 1 : Math.pow(10, Math.round(Math.log10(perPixel)));
+    }
+
+    static formatTime(us) {
+        return `${Number(us.toFixed(3))} μs`;
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { GclTimeline };
+}
+
+if (typeof window !== 'undefined') {
+    window.GclTimeline = GclTimeline;
+}
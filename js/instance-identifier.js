@@ -0,0 +1,267 @@
+/**
+ * Instance Identifier
+ * Parser and serializer for RFC 7951 instance-identifiers, the bracketed
+ * YANG paths that address data nodes:
+ *
+ *   /ietf-interfaces:interfaces/interface[name='1']/ieee802-dot1q-bridge:bridge-port
+ *   .../vlan-registration-entry[database-id='0'][vids='1']
+ *   .../leaf-list[.='value']
+ *
+ * A segment carries its module (from its prefix, else its parent's), local
+ * name and predicates. Its member name is the RFC 7951 JSON member name:
+ * module-qualified only where the module changes.
+ */
+
+/**
+ * A path that is not a well-formed instance-identifier; offset is the
+ * position of the offending character
+ */
+class InstanceIdentifierError extends Error {
+    constructor(message, path, offset) {
+        super(offset === undefined ? `${message}: ${path}` : `${message} at offset ${offset} of ${path}`);
+        this.name = 'InstanceIdentifierError';
+        this.path = path;
+        this.offset = offset;
+    }
+}
+
+class InstanceIdentifier {
+    /**
+     * segments: [{ module, name, keys, value?, position? }]
+     *   keys: key leaf name -> value (strings), in predicate order
+     *   value: leaf-list entry value, [.='value']
+     *   position: 1-based entry position, [1], for keyless lists
+     */
+    constructor(segments = []) {
+        let parentModule = null;
+        this.segments = segments.map(segment => {
+            const module = segment.module || parentModule;
+            const member = module && module !== parentModule ? `${module}:${segment.name}` : segment.name;
+            parentModule = module;
+            return { ...segment, module, member, keys: { ...segment.keys } };
+        });
+    }
+
+    /**
+     * Parse an instance-identifier string; InstanceIdentifiers pass through
+     */
+    static parse(path) {
+        if (path instanceof InstanceIdentifier) return path;
+        if (typeof path !== 'string' || path[0] !== '/') {
+            throw new InstanceIdentifierError('Instance-identifier must start with "/"', String(path));
+        }
+
+        const segments = [];
+        let i = 1;
+        while (i < path.length) {
+            const node = InstanceIdentifier.readNodeIdentifier(path, i);
+            const segment = { module: node.prefix, name: node.name, keys: {} };
+            i = node.end;
+
+            while (path[i] === '[') {
+                i = InstanceIdentifier.readPredicate(path, i, segment);
+            }
+            segments.push(segment);
+
+            if (i < path.length) {
+                if (path[i] !== '/') {
+                    throw new InstanceIdentifierError(`Unexpected "${path[i]}"`, path, i);
+                }
+                if (++i === path.length) {
+                    throw new InstanceIdentifierError('Trailing "/"', path, i - 1);
+                }
+            }
+        }
+
+        return new InstanceIdentifier(segments);
+    }
+
+    /**
+     * Is path a well-formed instance-identifier?
+     */
+    static isValid(path) {
+        try {
+            InstanceIdentifier.parse(path);
+            return true;
+        } catch (error) {
+            return false;
+        }
+    }
+
+    /**
+     * [prefix:]identifier at start -> { prefix, name, end }
+     */
+    static readNodeIdentifier(path, start) {
+        const match = /^([A-Za-z_][\w.-]*)(?::([A-Za-z_][\w.-]*))?/.exec(path.slice(start));
+        if (!match) {
+            throw new InstanceIdentifierError('Expected a node name', path, start);
+        }
+        return {
+            prefix: match[2] ? match[1] : null,
+            name: match[2] || match[1],
+            end: start + match[0].length
+        };
+    }
+
+    /**
+     * Read the predicate opening at start into segment; returns the index
+     * after its ']'
+     */
+    static readPredicate(path, start, segment) {
+        const skipSpace = (i) => {
+            while (path[i] === ' ' || path[i] === '\t') i++;
+            return i;
+        };
+        let i = skipSpace(start + 1);
+
+        if (/[0-9]/.test(path[i] || '')) {
+            const digits = /^[0-9]+/.exec(path.slice(i))[0];
+            segment.position = Number(digits);
+            i = skipSpace(i + digits.length);
+        } else {
+            // Key leaf names are never qualified differently from their list
+            let key = null;
+            if (path[i] === '.') {
+                i++;
+            } else {
+                const node = InstanceIdentifier.readNodeIdentifier(path, i);
+                key = node.name;
+                i = node.end;
+            }
+
+            i = skipSpace(i);
+            if (path[i] !== '=') {
+                throw new InstanceIdentifierError('Expected "="', path, i);
+            }
+            i = skipSpace(i + 1);
+
+            const quote = path[i];
+            if (quote !== '\'' && quote !== '"') {
+                throw new InstanceIdentifierError('Expected a quoted value', path, i);
+            }
+            const close = path.indexOf(quote, i + 1);
+            if (close === -1) {
+                throw new InstanceIdentifierError('Unterminated string', path, i);
+            }
+            const value = path.slice(i + 1, close);
+            i = skipSpace(close + 1);
+
+            if (key === null) {
+                segment.value = value;
+            } else if (key in segment.keys) {
+                throw new InstanceIdentifierError(`Duplicate key "${key}"`, path, start);
+            } else {
+                segment.keys[key] = value;
+            }
+        }
+
+        if (path[i] !== ']') {
+            throw new InstanceIdentifierError('Expected "]"', path, i);
+        }
+        return i + 1;
+    }
+
+    /**
+     * Quote a predicate value; XPath literals have no escapes, so a value
+     * with both quote characters cannot be written
+     */
+    static quote(value) {
+        const text = String(value);
+        if (!text.includes('\'')) return `'${text}'`;
+        if (!text.includes('"')) return `"${text}"`;
+        throw new InstanceIdentifierError('Value contains both quote characters', text);
+    }
+
+    static formatPredicates(segment) {
+        let text = '';
+        for (const [key, value] of Object.entries(segment.keys)) {
+            text += `[${key}=${InstanceIdentifier.quote(value)}]`;
+        }
+        if (segment.value !== undefined) {
+            text += `[.=${InstanceIdentifier.quote(segment.value)}]`;
+        }
+        if (segment.position !== undefined) {
+            text += `[${segment.position}]`;
+        }
+        return text;
+    }
+
+    toString() {
+        if (this.segments.length === 0) return '/';
+        return this.segments
+            .map(segment => `/${segment.member}${InstanceIdentifier.formatPredicates(segment)}`)
+            .join('');
+    }
+
+    /**
+     * Schema node identifier as used in .sid files: the path without
+     * predicates
+     */
+    get schemaPath() {
+        return '/' + this.segments.map(segment => segment.member).join('/');
+    }
+
+    get length() {
+        return this.segments.length;
+    }
+
+    get last() {
+        return this.segments[this.segments.length - 1];
+    }
+
+    parent() {
+        return new InstanceIdentifier(this.segments.slice(0, -1));
+    }
+
+    /**
+     * Path of a child node; name may carry a module prefix
+     */
+    child(name, keys = {}) {
+        const colon = name.indexOf(':');
+        return new InstanceIdentifier([...this.segments, {
+            module: colon === -1 ? null : name.slice(0, colon),
+            name: colon === -1 ? name : name.slice(colon + 1),
+            keys
+        }]);
+    }
+
+    /**
+     * Is other this node or below it? A segment without predicates
+     * covers every entry of its list.
+     */
+    contains(other) {
+        const target = InstanceIdentifier.parse(other);
+        if (target.length < this.length) return false;
+
+        return this.segments.every((segment, i) => {
+            const candidate = target.segments[i];
+            return candidate.member === segment.member &&
+                Object.entries(segment.keys).every(([key, value]) => candidate.keys[key] === value) &&
+                (segment.value === undefined || candidate.value === segment.value) &&
+                (segment.position === undefined || candidate.position === segment.position);
+        });
+    }
+
+    /**
+     * One { label, path } per segment, e.g. for a breadcrumb bar:
+     * label "interface[name='1']", path up to and including that segment
+     */
+    breadcrumbs() {
+        let path = '';
+        return this.segments.map(segment => {
+            const predicates = InstanceIdentifier.formatPredicates(segment);
+            path += `/${segment.member}${predicates}`;
+            return { label: `${segment.name}${predicates}`, path };
+        });
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { InstanceIdentifier, InstanceIdentifierError };
+}
+
+if (typeof window !== 'undefined') {
+    window.InstanceIdentifier = InstanceIdentifier;
+    window.InstanceIdentifierError = InstanceIdentifierError;
+}
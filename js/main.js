@@ -6,14 +6,22 @@
 class VelocityDriveController {
     constructor() {
         this.serialHandler = new SerialHandler();
+        this.connectionDialog = new ConnectionDialog({ backend: 'webserial', baudRate: 115200 });
         this.coapClient = new CoAPClient();
         this.cborEncoder = new CBOREncoder();
+        this.sidRegistry = new SidRegistry(CoreconfCodec.BUILTIN_SIDS);
+        this.sidStore = new SidRegistryStore();
+        this.snapshotStore = new ConfigSnapshotStore();
+        this.coreconf = new CoreconfCodec(this.sidRegistry);
         this.yamlParser = new YAMLParser();
         
         this.deviceInfo = null;
+        this.sidVersion = null;
         this.isConnected = false;
         this.logEntries = [];
         
+        this.coapClient.setSender((bytes) => this.serialHandler.sendCoAP(bytes));
+        
         this.init();
     }
 
@@ -26,10 +34,9 @@ class VelocityDriveController {
         this.setupUIHandlers();
         this.loadSavedConfig();
         
-        // Check WebSerial support
+        // WebSerial is optional now that other transports exist
         if (!this.serialHandler.isSupported()) {
-            this.showError('WebSerial API is not supported. Please use Chrome or Edge browser.');
-            document.getElementById('connectBtn').disabled = true;
+            this.log('WebSerial API is not supported in this browser; use a WebSocket bridge or the simulator to connect', 'warning');
         }
     }
 
@@ -41,15 +48,20 @@ class VelocityDriveController {
         this.serialHandler.on('connect', (info) => {
             this.isConnected = true;
             this.updateConnectionStatus(true);
-            this.log('Connected to serial port', 'info');
-            document.getElementById('portName').textContent = 'Connected';
-            document.getElementById('baudRate').textContent = info.baudRate;
+            this.log(`Connected via ${info.description}`, 'info');
+            document.getElementById('connectBtn').textContent = 'Disconnect';
+            document.getElementById('portName').textContent = info.description;
+            document.getElementById('baudRate').textContent = info.baudRate || '-';
         });
 
         this.serialHandler.on('disconnect', () => {
             this.isConnected = false;
             this.updateConnectionStatus(false);
-            this.log('Disconnected from serial port', 'info');
+            this.log('Disconnected from device', 'info');
+            this.coapClient.cancelAll(new Error('Disconnected from device'));
+            this.coapClient.setMaxMessageSize(null);
+            this.coapClient.suspendSubscriptions();
+            document.getElementById('connectBtn').textContent = 'Connect';
             document.getElementById('portName').textContent = 'Not connected';
             document.getElementById('deviceInfo').textContent = 'Unknown';
         });
@@ -57,13 +69,23 @@ class VelocityDriveController {
         // Device info from PONG
         this.serialHandler.on('device-info', (info) => {
             this.deviceInfo = info;
+            // Larger CoAP payloads go block-wise within the announced frame size
+            this.coapClient.setMaxMessageSize(info.maxSize);
+            // Observations do not survive the link; register them again
+            this.coapClient.resumeSubscriptions();
             document.getElementById('deviceInfo').textContent = info.version || 'Unknown';
             this.log(`Device: ${info.raw}`, 'info');
+            // SIDs differ between firmware releases
+            if (info.version && info.version !== this.sidVersion) {
+                this.restoreSidRegistry(info.version);
+            }
         });
 
-        // CoAP responses
+        // CoAP responses; anything not answering a pending request is shown as is
         this.serialHandler.on('coap-response', (data) => {
-            this.handleCoAPResponse(data);
+            if (!this.coapClient.handleMessage(data)) {
+                this.handleCoAPResponse(data);
+            }
         });
 
         // Raw data logging
@@ -75,6 +97,13 @@ class VelocityDriveController {
             this.log(`RX: ${data.hex}`, 'receive');
         });
 
+        // Frames discarded by the MUP1 decoder
+        this.serialHandler.on('frame-error', (error) => {
+            const stats = this.serialHandler.decoder.getStats();
+            this.log(`${error.message} (dropped ${stats.droppedBytes} bytes, ` +
+                `${stats.badChecksums} bad checksums, ${stats.oversizedFrames} oversized)`, 'error');
+        });
+
         // Errors
         this.serialHandler.on('error', (error) => {
             this.log(`Error: ${error.message}`, 'error');
@@ -158,11 +187,34 @@ class VelocityDriveController {
             this.sendCoAPRequest();
         });
 
+        // YANG SID files
+        document.getElementById('loadSidFiles').addEventListener('click', () => {
+            document.getElementById('sidFileInput').click();
+        });
+
+        document.getElementById('sidFileInput').addEventListener('change', (e) => {
+            this.loadSidFiles(Array.from(e.target.files));
+            e.target.value = '';
+        });
+
+        document.getElementById('clearSidFiles').addEventListener('click', () => {
+            this.clearSidFiles();
+        });
+
         // Raw MUP1 controls
         document.getElementById('sendMup1').addEventListener('click', () => {
             this.sendRawMUP1();
         });
 
+        // Live subscriptions
+        document.getElementById('observePreset').addEventListener('change', (e) => {
+            document.getElementById('observePath').value = e.target.value;
+        });
+
+        document.getElementById('observeBtn').addEventListener('click', () => {
+            this.subscribe(document.getElementById('observePath').value.trim());
+        });
+
         // Monitor controls
         document.getElementById('clearLog').addEventListener('click', () => {
             this.clearLog();
@@ -196,17 +248,21 @@ class VelocityDriveController {
     }
 
     /**
-     * Toggle serial connection
+     * Toggle device connection
      */
     async toggleConnection() {
-        if (this.isConnected) {
-            await this.serialHandler.disconnect();
-            document.getElementById('connectBtn').textContent = 'Connect Serial';
-        } else {
-            try {
-                await this.serialHandler.connect(115200);
-                document.getElementById('connectBtn').textContent = 'Disconnect';
-            } catch (error) {
+        const disconnecting = this.isConnected;
+        try {
+            if (disconnecting) {
+                await this.serialHandler.disconnect();
+            } else {
+                const transport = await this.connectionDialog.show();
+                if (!transport) return;
+                await this.serialHandler.connect(transport);
+            }
+        } catch (error) {
+            // A failed disconnect is already shown through the 'error' event
+            if (!disconnecting) {
                 this.showError(`Connection failed: ${error.message}`);
             }
         }
@@ -268,9 +324,7 @@ class VelocityDriveController {
         }
 
         // Send CoAP GET request for system info
-        const message = this.coapClient.createGET('/ietf-system:system-state/platform');
-        await this.serialHandler.sendCoAP(message.bytes);
-        this.showResponse('Getting version information...');
+        await this.coapRequest('GET', '/ietf-system:system-state/platform', {}, 'Getting version information');
     }
 
     /**
@@ -318,19 +372,18 @@ class VelocityDriveController {
         const speed = document.getElementById('speedSelect').value;
         const duplex = document.getElementById('duplexSelect').value;
 
-        // Create configuration object
-        const config = {
-            port: parseInt(port),
-            speed: speed === 'auto' ? 0 : parseInt(speed),
-            duplex: duplex === 'auto' ? 2 : (duplex === 'full' ? 1 : 0)
-        };
+        // Auto-negotiation picks the speed; a fixed speed is in Gb/s
+        const ethernet = { 'auto-negotiation': { 'enable': speed === 'auto' } };
+        if (speed !== 'auto') {
+            ethernet.speed = parseInt(speed) / 1000;
+        }
+        if (duplex !== 'auto') {
+            ethernet.duplex = duplex;
+        }
 
-        // Send configuration via CoAP
-        const payload = this.cborEncoder.encode(config);
-        const message = this.coapClient.createPOST(`/interfaces/port${port}`, payload);
-        await this.serialHandler.sendCoAP(message.bytes);
-        
-        this.showResponse(`Configuring port ${port}...`);
+        await this.patchDatastore([{
+            [`/ietf-interfaces:interfaces/interface[name='${port}']/ieee802-ethernet-interface:ethernet`]: ethernet
+        }], `Configuring port ${port}`);
     }
 
     /**
@@ -342,21 +395,15 @@ class VelocityDriveController {
             return;
         }
 
+        const port = document.getElementById('tsnPort').value;
         const tc = document.getElementById('cbsTC').value;
         const idleSlope = parseInt(document.getElementById('cbsIdleSlope').value);
         const sendSlope = parseInt(document.getElementById('cbsSendSlope').value);
 
-        const config = {
-            tc: parseInt(tc),
-            idleSlope: idleSlope,
-            sendSlope: sendSlope
-        };
-
-        const payload = this.cborEncoder.encode(config);
-        const message = this.coapClient.createPOST(`/tsn/cbs/tc${tc}`, payload);
-        await this.serialHandler.sendCoAP(message.bytes);
-        
-        this.showResponse(`Configuring CBS for TC${tc}...`);
+        const shaper = `/ietf-interfaces:interfaces/interface[name='${port}']/mchp-velocitysp-port:eth-qos/config/traffic-class-shapers[traffic-class='${tc}']`;
+        await this.patchDatastore([{
+            [`${shaper}/credit-based`]: { 'idle-slope': idleSlope, 'send-slope': sendSlope }
+        }], `Configuring CBS for TC${tc} on port ${port}`);
     }
 
     /**
@@ -368,37 +415,64 @@ class VelocityDriveController {
             return;
         }
 
-        const cycleTime = parseInt(document.getElementById('tasCycleTime').value);
+        const port = document.getElementById('tsnPort').value;
+        // Times are entered in μs and sent in whole ns
+        const ns = us => Math.round(us * 1000);
+        const cycleTime = ns(Number(document.getElementById('tasCycleTime').value));
+        // An empty base time is sent as 0: the schedule starts on the next
+        // cycle boundary counted from the epoch, so it is not "in the past"
         const baseTime = document.getElementById('tasBaseTime').value;
-        
+        const baseMs = baseTime ? new Date(baseTime).getTime() : null;
+
         // Collect gate control entries
-        const gcl = [];
-        document.querySelectorAll('.gate-entry').forEach(entry => {
-            const states = entry.querySelector('.gate-states').value;
-            const interval = entry.querySelector('.time-interval').value;
-            if (states && interval) {
-                gcl.push({
-                    gateStates: parseInt(states, 16),
-                    timeInterval: parseInt(interval)
-                });
-            }
+        const rows = [...document.querySelectorAll('.gate-entry')].filter(entry =>
+            entry.querySelector('.gate-states').value && entry.querySelector('.time-interval').value);
+        const gcl = rows.map((entry, index) => {
+            const states = entry.querySelector('.gate-states').value.trim();
+            return {
+                'index': index + 1,
+                'operation-name': 'ieee802-dot1q-sched:set-gate-states',
+                'time-interval-value': ns(Number(entry.querySelector('.time-interval').value)),
+                'gate-states-value': /^(0x)?[0-9a-f]+$/i.test(states) ? parseInt(states, 16) : NaN
+            };
         });
 
-        const config = {
-            cycleTime: cycleTime,
-            baseTime: baseTime ? new Date(baseTime).getTime() : 0,
-            gateControlList: gcl
-        };
-
-        const payload = this.cborEncoder.encode(config);
-        const message = this.coapClient.createPOST('/tsn/tas', payload);
-        await this.serialHandler.sendCoAP(message.bytes);
-        
-        this.showResponse('Configuring TAS...');
+        const issues = TasValidator.validate({
+            cycleTime,
+            baseTime: baseMs,
+            entries: gcl.map(entry => ({
+                interval: entry['time-interval-value'],
+                gates: entry['gate-states-value']
+            }))
+        });
+        this.showTasIssues(issues, rows);
+        if (TasValidator.hasErrors(issues)) {
+            this.showError('TAS schedule has errors; see the gate control list');
+            return;
+        }
+        const gates = `/ietf-interfaces:interfaces/interface[name='${port}']/ieee802-dot1q-bridge:bridge-port/ieee802-dot1q-sched-bridge:gate-parameter-table`;
+        await this.patchDatastore([
+            // Replace the whole list rather than merging into the old one
+            { [`${gates}/admin-control-list/gate-control-entry`]: null },
+            {
+                [gates]: {
+                    'gate-enabled': true,
+                    'admin-control-list': { 'gate-control-entry': gcl },
+                    'admin-cycle-time': { 'numerator': cycleTime, 'denominator': 1000000000 },
+                    'admin-base-time': {
+                        'seconds': String(Math.floor((baseMs || 0) / 1000)),
+                        'nanoseconds': ((baseMs || 0) % 1000) * 1000000
+                    },
+                    'config-change': true
+                }
+            }
+        ], `Configuring TAS on port ${port}`);
     }
 
     /**
-     * Apply PTP configuration
+     * Apply PTP configuration: instance 0 and both ports get the defaults
+     * of the profile (see PtpConfig) in the chosen domain. The TSN
+     * Configurator's PTP tab sets them one by one.
      */
     async applyPTPConfiguration() {
         if (!this.isConnected) {
@@ -407,18 +481,67 @@ class VelocityDriveController {
         }
 
         const profile = document.getElementById('ptpProfile').value;
-        const domain = parseInt(document.getElementById('ptpDomain').value);
-
-        const config = {
-            profile: profile,
-            domain: domain
+        const settings = {
+            ...PtpConfig.defaults(profile),
+            domain: parseInt(document.getElementById('ptpDomain').value)
         };
+        const error = PtpConfig.validate(settings).find(issue => issue.severity === 'error');
+        if (error) {
+            this.showError(error.message);
+            return;
+        }
 
-        const payload = this.cborEncoder.encode(config);
-        const message = this.coapClient.createPOST('/tsn/ptp', payload);
-        await this.serialHandler.sendCoAP(message.bytes);
-        
-        this.showResponse('Configuring PTP...');
+        await this.patchDatastore([{
+            '/ieee1588-ptp:ptp/instances/instance': [PtpConfig.toInstance(settings)]
+        }], `Configuring PTP (${PtpConfig.PROFILES[settings.profile].label}, domain ${settings.domain})`);
+    }
+
+    /**
+     * Merge { path: value } instances into the device datastore with a
+     * CORECONF iPATCH; null values delete
+     */
+    async patchDatastore(instances, description) {
+        let payload;
+        try {
+            payload = this.coreconf.encodeInstances(instances);
+        } catch (error) {
+            this.showError(`${description} failed: ${error.message}`);
+            return null;
+        }
+
+        return this.coapRequest('iPATCH', '/c', {
+            payload,
+            contentFormat: this.coapClient.CONTENT_FORMAT.YANG_INSTANCES_CBOR_SEQ
+        }, description);
+    }
+
+    /**
+     * Show TAS validation issues next to the gate entry rows and fields
+     * they concern; rows are the .gate-entry elements of the entries
+     */
+    showTasIssues(issues, rows) {
+        document.querySelectorAll('#tasIssues, .gate-entry .validation-issues, .tsn-section .form-group .validation-issues')
+            .forEach(box => { box.innerHTML = ''; });
+
+        const fields = { cycleTime: 'tasCycleTime', baseTime: 'tasBaseTime' };
+        for (const issue of issues) {
+            let box = document.getElementById('tasIssues');
+            if (issue.entry !== null) {
+                box = rows[issue.entry].querySelector('.validation-issues');
+            } else if (fields[issue.field]) {
+                const group = document.getElementById(fields[issue.field]).closest('.form-group');
+                box = group.querySelector('.validation-issues');
+                if (!box) {
+                    box = document.createElement('div');
+                    box.className = 'validation-issues';
+                    group.appendChild(box);
+                }
+            }
+            const line = document.createElement('div');
+            line.className = `validation-issue validation-${issue.severity}`;
+            line.textContent = issue.message;
+            box.appendChild(line);
+        }
     }
 
     /**
@@ -432,6 +555,7 @@ class VelocityDriveController {
             <input type="text" class="gate-states" placeholder="Gate states (hex, e.g., 0xFF)">
             <input type="number" class="time-interval" placeholder="Time interval (μs)">
             <button onclick="this.parentElement.remove()">Remove</button>
+            <div class="validation-issues"></div>
         `;
         container.appendChild(entry);
     }
@@ -440,13 +564,18 @@ class VelocityDriveController {
      * Validate YAML configuration
      */
     validateYAML() {
-        const yamlText = document.getElementById('yamlInput').value;
-        const result = this.yamlParser.validate(yamlText);
+        const editor = document.getElementById('yamlInput');
+        const result = this.yamlParser.validate(editor.value);
         
         if (result.valid) {
             this.showResponse('YAML configuration is valid');
         } else {
             this.showError(`YAML validation error: ${result.error}`);
+            if (result.offset !== undefined) {
+                // Put the cursor on the offending character
+                editor.focus();
+                editor.setSelectionRange(result.offset, result.offset + 1);
+            }
         }
     }
 
@@ -468,7 +597,8 @@ class VelocityDriveController {
     }
 
     /**
-     * Apply YAML configuration
+     * Apply the editor's mvdct-style patch: one CORECONF request per
+     * "path: value" entry, with each entry's outcome listed as it arrives
      */
     async applyYAMLConfiguration() {
         if (!this.isConnected) {
@@ -476,20 +606,32 @@ class VelocityDriveController {
             return;
         }
 
-        const yamlText = document.getElementById('yamlInput').value;
-        
+        let entries;
         try {
-            const yamlObj = this.yamlParser.parse(yamlText);
-            const config = this.yamlParser.convertTSNConfig(yamlObj);
-            
-            // Send configuration to device
-            const payload = this.cborEncoder.encode(config);
-            const message = this.coapClient.createPOST('/config/apply', payload);
-            await this.serialHandler.sendCoAP(message.bytes);
-            
-            this.showResponse('YAML configuration applied');
+            entries = YamlPatch.parse(document.getElementById('yamlInput').value, this.yamlParser);
         } catch (error) {
-            this.showError(`Failed to apply YAML: ${error.message}`);
+            this.showError(`Invalid YAML patch: ${error.message}`);
+            return;
+        }
+
+        const lines = [];
+        this.showResponse(`Applying ${entries.length} entries...`);
+        const patch = new YamlPatch(this.coapClient, this.coreconf);
+        const results = await patch.apply(entries, {
+            onResult: (result) => {
+                const line = YamlPatch.formatResult(result);
+                lines.push(line);
+                this.log(line, result.status === 'ok' ? 'info' : 'error');
+                this.showResponse(`Applying ${entries.length} entries...\n\n${lines.join('\n')}`);
+            }
+        });
+
+        const summary = YamlPatch.summarize(results);
+        const ok = results.every(result => result.status === 'ok');
+        this.showResponse(`YAML patch: ${summary}\n\n${lines.join('\n')}`);
+        this.log(`YAML patch: ${summary}`, ok ? 'info' : 'error');
+        if (ok) {
+            await this.saveConfig();
         }
     }
 
@@ -506,7 +648,6 @@ class VelocityDriveController {
         const path = document.getElementById('coapPath').value;
         const payloadText = document.getElementById('coapPayload').value;
 
-        let message;
         let payload = null;
 
         if (payloadText) {
@@ -519,34 +660,15 @@ class VelocityDriveController {
             }
         }
 
-        switch (method) {
-            case 'GET':
-                message = this.coapClient.createGET(path);
-                break;
-            case 'POST':
-                message = this.coapClient.createPOST(path, payload);
-                break;
-            case 'PUT':
-                message = this.coapClient.createMessage(
-                    this.coapClient.TYPE.CON,
-                    this.coapClient.METHOD.PUT,
-                    { 'uri-path': path, payload }
-                );
-                break;
-            case 'DELETE':
-                message = this.coapClient.createMessage(
-                    this.coapClient.TYPE.CON,
-                    this.coapClient.METHOD.DELETE,
-                    { 'uri-path': path }
-                );
-                break;
-            case 'FETCH':
-                message = this.coapClient.createFETCH(path, payload);
-                break;
-        }
-
-        await this.serialHandler.sendCoAP(message.bytes);
-        this.showResponse(`Sent CoAP ${method} request to ${path}`);
+        const contentFormats = {
+            POST: this.coapClient.CONTENT_FORMAT.CBOR,
+            PUT: this.coapClient.CONTENT_FORMAT.CBOR,
+            FETCH: this.coapClient.CONTENT_FORMAT.YANG_IDENTIFIERS_CBOR_SEQ,
+            iPATCH: this.coapClient.CONTENT_FORMAT.YANG_INSTANCES_CBOR_SEQ
+        };
+        const options = payload ? { payload, contentFormat: contentFormats[method] } : {};
+
+        await this.coapRequest(method, path, options, `CoAP ${method} ${path}`);
     }
 
     /**
@@ -575,32 +697,242 @@ class VelocityDriveController {
     }
 
     /**
-     * Handle CoAP response
+     * Send a CoAP request and show its outcome; resolves to the response,
+     * or null if the request failed
+     */
+    async coapRequest(method, path, options, description) {
+        this.showResponse(`${description}...`);
+        try {
+            const response = await this.coapClient.request(method, path, options);
+            this.showResponse(`${description}: done\n\n${this.formatCoAPResponse(response)}`);
+            return response;
+        } catch (error) {
+            this.showError(`${description} failed: ${error.message}`);
+            return null;
+        }
+    }
+
+    /**
+     * Handle a CoAP message that did not answer a pending request
      */
     handleCoAPResponse(data) {
         try {
             const response = this.coapClient.parseMessage(data);
-            
-            let content = `CoAP Response:\n`;
-            content += `Type: ${response.type}\n`;
-            content += `Code: ${response.codeClass}.${response.codeDetail.toString().padStart(2, '0')}\n`;
-            content += `Message ID: ${response.messageId}\n`;
-            
-            if (response.payload) {
-                try {
-                    const decoded = this.cborEncoder.decode(response.payload);
-                    content += `Payload: ${JSON.stringify(decoded, null, 2)}`;
-                } catch (e) {
-                    content += `Raw payload: ${Array.from(response.payload).map(b => b.toString(16).padStart(2, '0')).join(' ')}`;
-                }
-            }
-            
-            this.showResponse(content);
+            this.showResponse(this.formatCoAPResponse(response));
         } catch (error) {
             this.showError(`Failed to parse CoAP response: ${error.message}`);
         }
     }
 
+    /**
+     * Decode a CORECONF payload with SIDs replaced by names; payloads with
+     * SIDs the registry does not know are decoded as plain CBOR
+     */
+    decodeCoAPPayload(response) {
+        const FORMAT = this.coapClient.CONTENT_FORMAT;
+        try {
+            switch (this.coapClient.getContentFormat(response)) {
+                case FORMAT.YANG_INSTANCES_CBOR_SEQ:
+                    return this.coreconf.decodeInstances(response.payload);
+                case FORMAT.YANG_IDENTIFIERS_CBOR_SEQ:
+                    return this.coreconf.decodeIdentifiers(response.payload);
+                default:
+                    return this.coreconf.decodeTree(response.payload);
+            }
+        } catch (error) {
+            if (!(error instanceof CoreconfError)) throw error;
+            return this.cborEncoder.decode(response.payload);
+        }
+    }
+
+    /**
+     * Describe a parsed CoAP response for the response panel
+     */
+    formatCoAPResponse(response) {
+        let content = `CoAP Response:\n`;
+        content += `Type: ${response.type}\n`;
+        content += `Code: ${this.coapClient.formatCode(response.code)}\n`;
+        content += `Message ID: ${response.messageId}\n`;
+        
+        if (response.payload) {
+            try {
+                const decoded = this.decodeCoAPPayload(response);
+                content += `Payload: ${JSON.stringify(decoded, null, 2)}`;
+            } catch (e) {
+                content += `Raw payload: ${Array.from(response.payload).map(b => b.toString(16).padStart(2, '0')).join(' ')}`;
+            }
+        }
+        
+        return content;
+    }
+
+    /**
+     * Read .sid files into the registry and cache them for the connected
+     * firmware version
+     */
+    async loadSidFiles(files) {
+        for (const file of files) {
+            try {
+                const sidFile = this.sidRegistry.addSidFile(JSON.parse(await file.text()));
+                this.log(`Loaded ${sidFile.items.length} SIDs for ${sidFile.module} from ${file.name}`, 'info');
+            } catch (error) {
+                this.showError(`Failed to load ${file.name}: ${error.message}`);
+            }
+        }
+
+        if (this.sidVersion && SidRegistryStore.isSupported()) {
+            try {
+                await this.sidStore.save(this.sidVersion, this.sidRegistry);
+            } catch (error) {
+                this.log(`Could not cache SID files: ${error.message}`, 'warning');
+            }
+        }
+        this.updateSidStatus();
+    }
+
+    /**
+     * Switch to the SID files cached for a firmware version, or to the
+     * built-in SIDs if there are none
+     */
+    async restoreSidRegistry(version) {
+        this.sidVersion = version;
+        let registry = null;
+        if (SidRegistryStore.isSupported()) {
+            try {
+                registry = await this.sidStore.load(version, CoreconfCodec.BUILTIN_SIDS);
+            } catch (error) {
+                this.log(`Could not read cached SID files: ${error.message}`, 'warning');
+            }
+        }
+        this.setSidRegistry(registry || new SidRegistry(CoreconfCodec.BUILTIN_SIDS));
+        if (registry) {
+            this.log(`Using cached SID files for ${version}`, 'info');
+        }
+    }
+
+    /**
+     * Forget the loaded .sid files, also from the cache
+     */
+    async clearSidFiles() {
+        if (this.sidVersion && SidRegistryStore.isSupported()) {
+            try {
+                await this.sidStore.delete(this.sidVersion);
+            } catch (error) {
+                this.log(`Could not clear cached SID files: ${error.message}`, 'warning');
+            }
+        }
+        this.setSidRegistry(new SidRegistry(CoreconfCodec.BUILTIN_SIDS));
+    }
+
+    setSidRegistry(registry) {
+        this.sidRegistry = registry;
+        this.coreconf = new CoreconfCodec(registry);
+        this.updateSidStatus();
+    }
+
+    updateSidStatus() {
+        const modules = this.sidRegistry.files.map(file => file.module);
+        const cached = this.sidVersion ? ` for ${this.sidVersion}` : '';
+        document.getElementById('sidStatus').textContent = modules.length > 0
+            ? `${modules.length} modules${cached}: ${modules.join(', ')}`
+            : 'Built-in SIDs only';
+    }
+
+    /**
+     * Observe a datastore node (a FETCH of its identifier, as CORECONF
+     * addresses nodes by SID) and render its updates in the Monitor tab
+     */
+    async subscribe(path) {
+        if (!this.isConnected) {
+            this.showError('Not connected to device');
+            return;
+        }
+        if (!path) {
+            this.showError('Enter a path to watch');
+            return;
+        }
+        try {
+            InstanceIdentifier.parse(path);
+        } catch (error) {
+            this.showError(error.message);
+            return;
+        }
+
+        try {
+            const subscription = await this.coapClient.observe('/c', {
+                method: 'FETCH',
+                payload: this.coreconf.encodeIdentifiers([path]),
+                contentFormat: this.coapClient.CONTENT_FORMAT.YANG_IDENTIFIERS_CBOR_SEQ
+            });
+            this.addSubscriptionCard(subscription, path);
+            this.log(`Subscribed to ${path}`, 'info');
+        } catch (error) {
+            this.showError(`Subscribe to ${path} failed: ${error.message}`);
+        }
+    }
+
+    /**
+     * "interfaces › interface[name='1'] › ..." for a path
+     */
+    formatBreadcrumbs(path) {
+        return InstanceIdentifier.parse(path).breadcrumbs().map(crumb => crumb.label).join(' › ');
+    }
+
+    /**
+     * Card showing the latest value of a subscription, kept up to date
+     * from its events
+     */
+    addSubscriptionCard(subscription, path) {
+        const card = document.createElement('div');
+        card.innerHTML = `
+            <div class="subscription-header">
+                <span class="subscription-path" title="${this.escapeHtml(path)}">${this.escapeHtml(this.formatBreadcrumbs(path))}</span>
+                <button class="btn-secondary">Unsubscribe</button>
+            </div>
+            <div class="subscription-meta"></div>
+            <pre class="subscription-value"></pre>
+        `;
+
+        const target = InstanceIdentifier.parse(path).toString();
+        const render = () => {
+            const response = subscription.response;
+            let value = '';
+            if (response && response.payload) {
+                try {
+                    // The FETCH answers with one { path: value } instance per identifier
+                    let decoded = this.decodeCoAPPayload(response);
+                    const match = Array.isArray(decoded) && decoded.find(instance => instance && typeof instance === 'object' &&
+                        Object.keys(instance).some(key => InstanceIdentifier.isValid(key) && InstanceIdentifier.parse(key).toString() === target));
+                    if (match) decoded = Object.values(match)[0];
+                    value = JSON.stringify(decoded, null, 2);
+                } catch (error) {
+                    value = `Undecodable payload (${response.payload.length} bytes)`;
+                }
+            }
+            const updated = subscription.receivedAt ? new Date(subscription.receivedAt).toLocaleTimeString() : '-';
+            card.className = `subscription-card ${subscription.state}`;
+            card.querySelector('.subscription-meta').textContent =
+                `${subscription.state} | ${subscription.notifications} updates | seq ${subscription.sequence} | ${updated}`;
+            card.querySelector('.subscription-value').textContent = value;
+        };
+
+        subscription.on('notification', render);
+        subscription.on('state', render);
+        subscription.on('error', (error) => {
+            this.log(`Subscription ${path}: ${error.message}`, 'error');
+            render();
+        });
+
+        card.querySelector('button').addEventListener('click', async () => {
+            await subscription.cancel();
+            card.remove();
+            this.log(`Unsubscribed from ${path}`, 'info');
+        });
+
+        render();
+        document.getElementById('subscriptionList').appendChild(card);
+    }
+
     /**
      * Log message
      */
@@ -708,41 +1040,53 @@ class VelocityDriveController {
     }
 
     /**
-     * Load saved configuration
+     * Put the YAML editor's text from the editor snapshot back, or the
+     * example YAML if there is none
      */
-    loadSavedConfig() {
-        // Load from localStorage if available
-        const saved = localStorage.getItem('velocitydrive-config');
-        if (saved) {
+    async loadSavedConfig() {
+        const editor = document.getElementById('yamlInput');
+        if (ConfigSnapshotStore.isSupported()) {
             try {
-                const config = JSON.parse(saved);
-                // Apply saved configuration to UI
-                if (config.yaml) {
-                    document.getElementById('yamlInput').value = config.yaml;
+                const snapshot = await this.snapshotStore.load(VelocityDriveController.EDITOR_SNAPSHOT);
+                const fields = snapshot ? snapshot.forms.fields || {} : {};
+                if (fields.yamlInput) {
+                    editor.value = fields.yamlInput;
                 }
             } catch (error) {
                 console.error('Failed to load saved config:', error);
             }
         }
-        
-        // Load example YAML
-        const example = this.yamlParser.generateExample();
-        if (!document.getElementById('yamlInput').value) {
-            document.getElementById('yamlInput').value = example;
+
+        if (!editor.value) {
+            editor.value = this.yamlParser.generateExample();
         }
     }
 
     /**
-     * Save configuration
+     * Keep the YAML editor's text as the editor snapshot, next to the
+     * snapshots of the TSN configurator. It holds form values only: the
+     * patch is not a full copy of the nodes it touches.
      */
-    saveConfig() {
-        const config = {
-            yaml: document.getElementById('yamlInput').value
-        };
-        localStorage.setItem('velocitydrive-config', JSON.stringify(config));
+    async saveConfig() {
+        if (!ConfigSnapshotStore.isSupported()) return;
+
+        const snapshot = ConfigSnapshot.create({
+            name: VelocityDriveController.EDITOR_SNAPSHOT,
+            note: 'YAML editor of the last applied patch',
+            firmware: this.sidVersion,
+            running: new Map(),
+            forms: { fields: { yamlInput: document.getElementById('yamlInput').value } }
+        });
+        try {
+            await this.snapshotStore.save(snapshot);
+        } catch (error) {
+            this.log(`Could not save the YAML editor: ${error.message}`, 'warning');
+        }
     }
 }
 
+VelocityDriveController.EDITOR_SNAPSHOT = 'Web Control YAML editor';
+
 // Initialize application when DOM is ready
 document.addEventListener('DOMContentLoaded', () => {
     window.app = new VelocityDriveController();
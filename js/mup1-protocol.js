@@ -4,96 +4,197 @@
  * 
  * Based on reverse engineering of mvdct CLI logs:
  * - MUP1 wraps CoAP messages over serial
- * - Uses checksums and packet framing
+ * - Frames are >TYPE[DATA]<<CHECKSUM with escaped DATA and a
+ *   16-bit complemented checksum in ASCII hex
  * - Handles ping/pong for device detection
  */
 
+/**
+ * Decoded MUP1 frame
+ */
+class MUP1Frame {
+    constructor(type, payload, checksumValid, raw) {
+        this.type = type;                   // Single character, e.g. 'P' or 'C'
+        this.payload = payload;             // Unescaped DATA bytes
+        this.checksumValid = checksumValid; // Checksum matched the payload
+        this.raw = raw;                     // Frame bytes as received
+    }
+
+    /**
+     * Payload decoded as UTF-8 text
+     */
+    get text() {
+        return new TextDecoder().decode(this.payload);
+    }
+}
+
 class MUP1Protocol {
     constructor() {
         this.messageId = 1;
-        this.frameBuffer = new Uint8Array(0);
+        this.decoder = null;
         this.callbacks = new Map();
+
+        // Framing characters
+        this.SOF = 0x3E;    // '>'
+        this.EOF = 0x3C;    // '<'
+        this.ESCAPE = 0x5C; // '\'
+
+        // Bytes that must be escaped inside DATA, mapped to the
+        // character sent after the escape byte
+        this.ESCAPE_MAP = new Map([
+            [0x3E, 0x3E], // '>' -> '\>'
+            [0x3C, 0x3C], // '<' -> '\<'
+            [0x5C, 0x5C], // '\' -> '\\'
+            [0x00, 0x30], // NUL -> '\0'
+            [0xFF, 0x46]  // 0xFF -> '\F'
+        ]);
+        this.UNESCAPE_MAP = new Map(
+            Array.from(this.ESCAPE_MAP, ([raw, escaped]) => [escaped, raw])
+        );
     }
 
-    // Calculate checksum (appears to be simple sum)
+    /**
+     * Calculate the MUP1 checksum: the data is summed as big-endian words,
+     * a sum past 16 bits gets one carry added back (one, not the number
+     * of carries, as the device computes it) and the result is complemented
+     */
     calculateChecksum(data) {
         let sum = 0;
+        for (let i = 0; i < data.length; i += 2) {
+            sum += (data[i] << 8) | (i + 1 < data.length ? data[i + 1] : 0);
+        }
+        sum = (sum & 0xFFFF) + (sum > 0xFFFF ? 1 : 0);
+        return ~sum & 0xFFFF;
+    }
+
+    /**
+     * Escape special bytes in frame DATA
+     */
+    escape(data) {
+        const escaped = [];
+        for (const byte of data) {
+            if (this.ESCAPE_MAP.has(byte)) {
+                escaped.push(this.ESCAPE, this.ESCAPE_MAP.get(byte));
+            } else {
+                escaped.push(byte);
+            }
+        }
+        return new Uint8Array(escaped);
+    }
+
+    /**
+     * Reverse escape(); throws on a dangling or unknown escape sequence
+     */
+    unescape(data) {
+        const raw = [];
         for (let i = 0; i < data.length; i++) {
-            sum = (sum + data[i]) & 0xFFFF;
+            if (data[i] !== this.ESCAPE) {
+                raw.push(data[i]);
+                continue;
+            }
+            if (i + 1 >= data.length || !this.UNESCAPE_MAP.has(data[i + 1])) {
+                throw new Error(`Invalid MUP1 escape sequence at offset ${i}`);
+            }
+            raw.push(this.UNESCAPE_MAP.get(data[++i]));
         }
-        return sum;
+        return new Uint8Array(raw);
     }
 
-    // Pack data into MUP1 frame
+    /**
+     * Bytes covered by the checksum: SOF, TYPE, unescaped DATA and EOF(s).
+     * Frames are sent with EOF twice; received frames pass the count they
+     * carry, as a single EOF is accepted after odd-sized payloads.
+     */
+    checksumBytes(type, payload, eofCount = 2) {
+        const bytes = new Uint8Array(2 + payload.length + eofCount);
+        bytes[0] = this.SOF;
+        bytes[1] = type;
+        bytes.set(payload, 2);
+        bytes.fill(this.EOF, 2 + payload.length);
+        return bytes;
+    }
+
+    // Pack data into MUP1 frame: >TYPE[DATA]<<CHECKSUM
     packFrame(payload, messageType = 'c') {
-        // MUP1 frame structure (from logs):
-        // [Header][Length][MsgID][Checksum][Payload][Footer]
-        
-        const header = new Uint8Array([0x40, 0x05]); // Based on log: "40 05"
-        const msgId = new Uint8Array([(this.messageId >> 8) & 0xFF, this.messageId & 0xFF]);
-        
-        // Calculate total frame size: header(2) + msgId(2) + markers(2) + checksum(2) + separators(7) + payload
-        const frameSize = 2 + 2 + 2 + 2 + 7 + payload.length;
-        const frameData = new Uint8Array(frameSize);
+        const type = typeof messageType === 'string' ? messageType.charCodeAt(0) : messageType;
+        const data = payload instanceof Uint8Array ? payload : new Uint8Array(payload || []);
+
+        const checksum = this.calculateChecksum(this.checksumBytes(type, data));
+        const checksumText = checksum.toString(16).padStart(4, '0');
+        const escaped = this.escape(data);
+
+        const frame = new Uint8Array(2 + escaped.length + 2 + 4);
         let offset = 0;
-        
-        // Header
-        frameData.set(header, offset);
-        offset += header.length;
-        
-        // Message ID
-        frameData.set(msgId, offset);
-        offset += 2;
-        
-        // Frame type and length markers (from logs)
-        frameData.set([0xB1, 0x63], offset);
-        offset += 2;
-        
-        // Checksum placeholder
-        const checksumPos = offset;
-        frameData.set([0x11, 0x8D], offset); // Will be calculated
-        offset += 2;
-        
-        // Separator
-        frameData.set([0x33, 0x64, 0x3D, 0x61], offset);
-        offset += 4;
-        
-        // Another separator
-        frameData.set([0x21, 0x8E, 0xFF], offset);
-        offset += 3;
-        
-        // Payload
-        frameData.set(payload, offset);
-        offset += payload.length;
-        
-        // Calculate actual checksum
-        const checksum = this.calculateChecksum(payload);
-        frameData[checksumPos] = (checksum >> 8) & 0xFF;
-        frameData[checksumPos + 1] = checksum & 0xFF;
-        
+        frame[offset++] = this.SOF;
+        frame[offset++] = type;
+        frame.set(escaped, offset);
+        offset += escaped.length;
+        frame[offset++] = this.EOF;
+        frame[offset++] = this.EOF;
+        for (let i = 0; i < 4; i++) {
+            frame[offset++] = checksumText.charCodeAt(i);
+        }
+
         this.messageId++;
-        return frameData;
+        return frame;
     }
 
-    // Unpack MUP1 frame
+    // Unpack a complete MUP1 frame; returns null if it is not well formed
     unpackFrame(data) {
-        // Look for CoAP payload after MUP1 headers
-        // From logs, CoAP starts after the FF marker
-        
-        for (let i = 0; i < data.length - 1; i++) {
-            if (data[i] === 0xFF) {
-                // Found payload start
-                return data.slice(i + 1);
+        const bytes = data instanceof Uint8Array ? data : new Uint8Array(data);
+        if (bytes.length < 8 || bytes[0] !== this.SOF) {
+            return null;
+        }
+
+        // Find the first unescaped EOF
+        let eofIdx = -1;
+        for (let i = 2; i < bytes.length; i++) {
+            if (bytes[i] === this.ESCAPE) {
+                i++;
+            } else if (bytes[i] === this.EOF) {
+                eofIdx = i;
+                break;
             }
         }
-        return null;
+        if (eofIdx === -1) {
+            return null;
+        }
+
+        let payload;
+        try {
+            payload = this.unescape(bytes.subarray(2, eofIdx));
+        } catch (error) {
+            return null;
+        }
+
+        // The device sends EOF twice; a single one is only accepted after
+        // odd-sized payloads. The checksum covers what was sent
+        const eofCount = bytes[eofIdx + 1] === this.EOF ? 2 : 1;
+        const checksumStart = eofIdx + eofCount;
+        if (bytes.length !== checksumStart + 4 || (payload.length % 2 === 0 && eofCount !== 2)) {
+            return null;
+        }
+
+        const checksumText = new TextDecoder().decode(bytes.subarray(checksumStart));
+        if (!/^[0-9a-fA-F]{4}$/.test(checksumText)) {
+            return null;
+        }
+
+        const type = bytes[1];
+        const checksum = parseInt(checksumText, 16);
+        const expected = this.calculateChecksum(this.checksumBytes(type, payload, eofCount));
+
+        return {
+            type: String.fromCharCode(type),
+            payload,
+            checksum,
+            checksumValid: checksum === expected
+        };
     }
 
-    // Create ping message (from log: ">p<<8553")
+    // Create ping message (">p<<8553")
     createPingMessage() {
-        const pingText = "p";
-        const suffix = "<<8553"; // Appears to be checksum/identifier
-        return new TextEncoder().encode(pingText + suffix);
+        return this.packFrame(new Uint8Array(0), 'p');
     }
 
     // Parse ping response (from log: ">PVelocitySP-v2025.06...")
@@ -112,6 +213,66 @@ class MUP1Protocol {
         return null;
     }
 
+    /**
+     * Encode a frame of the given type; returns the raw bytes to send
+     */
+    createFrame(type, data = []) {
+        return this.packFrame(data, type);
+    }
+
+    /**
+     * Decode raw bytes of one complete frame into an MUP1Frame.
+     * Throws if the bytes are not a well-formed frame; a checksum
+     * mismatch is reported through frame.checksumValid instead.
+     */
+    parseFrame(bytes) {
+        const raw = bytes instanceof Uint8Array ? bytes : new Uint8Array(bytes);
+        const unpacked = this.unpackFrame(raw);
+        if (!unpacked) {
+            throw new Error(`Malformed MUP1 frame: ${this.bytesToHex(raw)}`);
+        }
+        return new MUP1Frame(unpacked.type, unpacked.payload, unpacked.checksumValid, raw);
+    }
+
+    /**
+     * Create ping request frame
+     */
+    createPing() {
+        return this.createPingMessage();
+    }
+
+    /**
+     * Wrap an encoded CoAP message in a 'c' frame
+     */
+    createCoAPFrame(coapData) {
+        return this.packFrame(coapData, 'c');
+    }
+
+    /**
+     * Parse a pong (or announce) frame:
+     * "<version> <uptime> <max frame size> <MUP1 version>"
+     */
+    parsePong(frame) {
+        const text = new TextDecoder().decode(frame.payload);
+        const parts = text.trim().split(/\s+/);
+        return {
+            version: parts[0] || null,
+            uptime: parts[1] !== undefined ? parseInt(parts[1], 10) : null,
+            maxSize: parts[2] !== undefined ? parseInt(parts[2], 10) : null,
+            mup1Version: parts[3] !== undefined ? parseInt(parts[3], 10) : null,
+            raw: text
+        };
+    }
+
+    /**
+     * Format bytes as space-separated upper-case hex
+     */
+    bytesToHex(bytes) {
+        return Array.from(bytes)
+            .map(b => b.toString(16).toUpperCase().padStart(2, '0'))
+            .join(' ');
+    }
+
     // Create CoAP message wrapped in MUP1
     createCoAPMessage(method, uri, payload = null) {
         const coap = new CoAPMessage(method, uri, payload);
@@ -119,39 +280,241 @@ class MUP1Protocol {
         return this.packFrame(coapBytes);
     }
 
-    // Process received data
+    // Process received data; returns the complete frames it finished
     processData(data) {
-        // Add to buffer
-        const newBuffer = new Uint8Array(this.frameBuffer.length + data.length);
-        newBuffer.set(this.frameBuffer);
-        newBuffer.set(data, this.frameBuffer.length);
-        this.frameBuffer = newBuffer;
+        if (!this.decoder) {
+            this.decoder = new MUP1Decoder({ protocol: this });
+        }
+        return this.decoder.push(data);
+    }
+}
+
+/**
+ * Incremental MUP1 frame decoder
+ * Consumes bytes as they arrive and emits frames through callbacks.
+ * Bytes outside frames are passed to onText; after a malformed, oversized
+ * or bad-checksum frame it resynchronises on the next '>'.
+ */
+class MUP1Decoder {
+    constructor(options = {}) {
+        this.protocol = options.protocol || new MUP1Protocol();
+        this.maxFrameSize = options.maxFrameSize || MUP1Decoder.DEFAULT_MAX_FRAME_SIZE;
+
+        this.onFrame = options.onFrame || null; // (MUP1Frame)
+        this.onText = options.onText || null;   // (Uint8Array) bytes outside frames
+        this.onError = options.onError || null; // (Error) frame discarded
+
+        this.stats = {
+            frames: 0,
+            droppedBytes: 0,
+            badChecksums: 0,
+            oversizedFrames: 0,
+            malformedFrames: 0
+        };
+
+        this.reset();
+    }
+
+    /**
+     * Discard any partial frame and start hunting for SOF
+     */
+    reset() {
+        this.state = 'IDLE';
+        this.type = 0;
+        this.payload = [];
+        this.raw = [];
+        this.checksumText = '';
+        this.eofCount = 0;
+        this.text = [];
+    }
+
+    /**
+     * Limit on unescaped DATA size, normally taken from the announce/pong
+     */
+    setMaxFrameSize(size) {
+        if (Number.isInteger(size) && size > 0) {
+            this.maxFrameSize = size;
+        }
+    }
+
+    getStats() {
+        return { ...this.stats, state: this.state, pending: this.raw.length };
+    }
 
-        // Try to extract complete frames
-        return this.extractFrames();
+    resetStats() {
+        Object.keys(this.stats).forEach(key => this.stats[key] = 0);
     }
 
-    extractFrames() {
+    /**
+     * Feed received bytes; returns the frames completed by this chunk
+     */
+    push(data) {
+        const bytes = data instanceof Uint8Array ? data : new Uint8Array(data);
         const frames = [];
-        
-        // Look for frame boundaries and extract CoAP payloads
-        for (let i = 0; i < this.frameBuffer.length - 1; i++) {
-            if (this.frameBuffer[i] === 0x60 && this.frameBuffer[i + 1] === 0x45) {
-                // Found response frame start
-                const payload = this.unpackFrame(this.frameBuffer.slice(i));
-                if (payload) {
-                    frames.push(payload);
-                    // Remove processed data
-                    this.frameBuffer = this.frameBuffer.slice(i + 32); // Approximate frame length
+
+        for (const byte of bytes) {
+            const frame = this.pushByte(byte);
+            if (frame) {
+                frames.push(frame);
+            }
+        }
+
+        this.flushText();
+        return frames;
+    }
+
+    /**
+     * Advance the state machine by one byte
+     */
+    pushByte(byte) {
+        const { SOF, EOF, ESCAPE } = this.protocol;
+
+        // An unescaped SOF always starts a new frame, abandoning any partial one
+        if (byte === SOF && this.state !== 'ESCAPE') {
+            if (this.state !== 'IDLE') {
+                this.discard('malformedFrames', 'MUP1 frame interrupted by new start of frame');
+            }
+            this.flushText();
+            this.raw = [byte];
+            this.state = 'TYPE';
+            return null;
+        }
+
+        if (this.state === 'IDLE') {
+            this.text.push(byte);
+            this.stats.droppedBytes++;
+            return null;
+        }
+
+        this.raw.push(byte);
+
+        switch (this.state) {
+            case 'TYPE':
+                if (byte === EOF || byte === ESCAPE) {
+                    this.discard('malformedFrames', 'MUP1 frame without type');
                     break;
                 }
+                this.type = byte;
+                this.payload = [];
+                this.state = 'DATA';
+                break;
+
+            case 'DATA':
+                if (byte === ESCAPE) {
+                    this.state = 'ESCAPE';
+                } else if (byte === EOF) {
+                    this.state = this.payload.length % 2 === 0 ? 'EOF2' : 'CHECKSUM';
+                    this.eofCount = 1;
+                    this.checksumText = '';
+                } else {
+                    this.appendPayload(byte);
+                }
+                break;
+
+            case 'ESCAPE':
+                if (!this.protocol.UNESCAPE_MAP.has(byte)) {
+                    this.discard('malformedFrames', `Invalid MUP1 escape sequence 0x${byte.toString(16)}`);
+                    break;
+                }
+                this.state = 'DATA';
+                this.appendPayload(this.protocol.UNESCAPE_MAP.get(byte));
+                break;
+
+            case 'EOF2':
+                if (byte !== EOF) {
+                    this.discard('malformedFrames', 'MUP1 frame missing second end of frame');
+                    break;
+                }
+                this.eofCount = 2;
+                this.state = 'CHECKSUM';
+                break;
+
+            case 'CHECKSUM':
+                // Odd-sized payloads may still be followed by a second EOF
+                if (byte === EOF && this.eofCount === 1 && this.checksumText === '') {
+                    this.eofCount = 2;
+                    break;
+                }
+                if (!MUP1Decoder.isHexDigit(byte)) {
+                    this.discard('malformedFrames', 'Invalid character in MUP1 checksum');
+                    break;
+                }
+                this.checksumText += String.fromCharCode(byte);
+                if (this.checksumText.length === 4) {
+                    return this.completeFrame();
+                }
+                break;
+        }
+
+        return null;
+    }
+
+    appendPayload(byte) {
+        if (this.payload.length >= this.maxFrameSize) {
+            this.discard('oversizedFrames', `MUP1 frame exceeds maximum size of ${this.maxFrameSize} bytes`);
+            return;
+        }
+        this.payload.push(byte);
+    }
+
+    completeFrame() {
+        const payload = new Uint8Array(this.payload);
+        const expected = this.protocol.calculateChecksum(
+            this.protocol.checksumBytes(this.type, payload, this.eofCount)
+        );
+
+        if (parseInt(this.checksumText, 16) !== expected) {
+            this.discard('badChecksums', `MUP1 checksum mismatch in '${String.fromCharCode(this.type)}' frame`);
+            return null;
+        }
+
+        const frame = new MUP1Frame(String.fromCharCode(this.type), payload, true, new Uint8Array(this.raw));
+        this.stats.frames++;
+        this.raw = [];
+        this.payload = [];
+        this.state = 'IDLE';
+
+        if (this.onFrame) {
+            this.onFrame(frame);
+        }
+        return frame;
+    }
+
+    /**
+     * Drop the partial frame, count it and go back to hunting for SOF
+     */
+    discard(counter, message) {
+        this.stats[counter]++;
+        this.stats.droppedBytes += this.raw.length;
+        this.raw = [];
+        this.payload = [];
+        this.state = 'IDLE';
+
+        if (this.onError) {
+            this.onError(new Error(message));
+        }
+    }
+
+    flushText() {
+        if (this.text.length > 0) {
+            const text = new Uint8Array(this.text);
+            this.text = [];
+            if (this.onText) {
+                this.onText(text);
             }
         }
-        
-        return frames;
+    }
+
+    static isHexDigit(byte) {
+        return (byte >= 0x30 && byte <= 0x39) || // 0-9
+               (byte >= 0x41 && byte <= 0x46) || // A-F
+               (byte >= 0x61 && byte <= 0x66);   // a-f
     }
 }
 
+// Until the device announces its limit
+MUP1Decoder.DEFAULT_MAX_FRAME_SIZE = 4096;
+
 /**
  * CoAP Message Implementation
  * Constrained Application Protocol for YANG/CBOR communication
@@ -166,14 +529,18 @@ class CoAPMessage {
         this.options = [];
         this.payload = payload;
         
-        // Add URI path option
+        // Add URI path (and query) options
         if (uri) {
             this.addUriPath(uri);
         }
         
-        // Add content format for YANG+CBOR
+        // Content-Format is a numeric option (RFC 7252 section 5.10.3)
         if (method === 'FETCH') {
-            this.addOption(12, new TextEncoder().encode('application/yang-identifiers+cbor-seq'));
+            this.addOption(CoAPMessage.OPTION.CONTENT_FORMAT,
+                CoAPMessage.encodeUint(CoAPMessage.CONTENT_FORMAT.YANG_IDENTIFIERS_CBOR_SEQ));
+        } else if (method === 'iPATCH') {
+            this.addOption(CoAPMessage.OPTION.CONTENT_FORMAT,
+                CoAPMessage.encodeUint(CoAPMessage.CONTENT_FORMAT.YANG_INSTANCES_CBOR_SEQ));
         }
     }
 
@@ -183,7 +550,9 @@ class CoAPMessage {
             'POST': 2,
             'PUT': 3,
             'DELETE': 4,
-            'FETCH': 5 // RFC 8132
+            'FETCH': 5, // RFC 8132
+            'PATCH': 6, // RFC 8132
+            'iPATCH': 7 // RFC 8132
         };
         return codes[method] || 1;
     }
@@ -193,67 +562,86 @@ class CoAPMessage {
     }
 
     addUriPath(uri) {
-        // Split URI into path segments
-        const segments = uri.split('/').filter(s => s.length > 0);
-        segments.forEach(segment => {
-            this.addOption(11, new TextEncoder().encode(segment)); // Uri-Path = 11
+        // One Uri-Path option per segment, one Uri-Query option per parameter
+        const [path, query] = uri.split('?');
+        path.split('/').filter(s => s.length > 0).forEach(segment => {
+            this.addOption(CoAPMessage.OPTION.URI_PATH, new TextEncoder().encode(segment));
         });
+        if (query) {
+            query.split('&').filter(s => s.length > 0).forEach(param => {
+                this.addOption(CoAPMessage.OPTION.URI_QUERY, new TextEncoder().encode(param));
+            });
+        }
     }
 
-    encode() {
-        // CoAP header: Ver(2) + T(2) + TKL(4) + Code(8) + Message ID(16)
-        const header = new Uint8Array(4);
-        header[0] = (this.version << 6) | (this.type << 4) | this.token.length;
-        header[1] = this.code;
-        header[2] = (this.messageId >> 8) & 0xFF;
-        header[3] = this.messageId & 0xFF;
-
-        // Calculate total size
-        let totalSize = header.length + this.token.length;
-        let optionsSize = 0;
-        
-        // Calculate options size
-        this.options.forEach(opt => {
-            optionsSize += 1 + opt.value.length; // Simplified
-        });
-        
-        totalSize += optionsSize;
-        if (this.payload) {
-            totalSize += 1 + this.payload.length; // 0xFF marker + payload
+    /**
+     * Minimal big-endian encoding of an unsigned option value (0 is empty)
+     */
+    static encodeUint(value) {
+        const bytes = [];
+        while (value > 0) {
+            bytes.unshift(value & 0xFF);
+            value = Math.floor(value / 256);
         }
+        return new Uint8Array(bytes);
+    }
 
-        // Build message
-        const message = new Uint8Array(totalSize);
-        let offset = 0;
+    static decodeUint(bytes) {
+        return Array.from(bytes).reduce((value, byte) => value * 256 + byte, 0);
+    }
 
-        // Header
-        message.set(header, offset);
-        offset += header.length;
+    /**
+     * Option delta/length nibble plus its 0-2 extension bytes
+     */
+    static encodeOptionField(value) {
+        if (value < 13) return { nibble: value, extended: [] };
+        if (value < 269) return { nibble: 13, extended: [value - 13] };
+        return { nibble: 14, extended: [(value - 269) >> 8, (value - 269) & 0xFF] };
+    }
+
+    static decodeOptionField(nibble, data, offset) {
+        if (nibble < 13) return { value: nibble, offset };
+        if (nibble === 13) return { value: data[offset] + 13, offset: offset + 1 };
+        if (nibble === 14) return { value: ((data[offset] << 8) | data[offset + 1]) + 269, offset: offset + 2 };
+        throw new Error('Reserved option nibble 15');
+    }
 
-        // Token
-        message.set(this.token, offset);
-        offset += this.token.length;
+    encode() {
+        const bytes = [];
 
-        // Options (simplified encoding)
-        this.options.forEach(opt => {
-            message[offset] = opt.number; // Simplified option encoding
-            offset++;
-            message.set(opt.value, offset);
-            offset += opt.value.length;
+        // CoAP header: Ver(2) + T(2) + TKL(4) + Code(8) + Message ID(16)
+        bytes.push((this.version << 6) | (this.type << 4) | this.token.length);
+        bytes.push(this.code);
+        bytes.push((this.messageId >> 8) & 0xFF);
+        bytes.push(this.messageId & 0xFF);
+        bytes.push(...this.token);
+
+        // Options in ascending order, each as delta from the previous one;
+        // the sort is stable so repeated options keep their order
+        const options = [...this.options].sort((a, b) => a.number - b.number);
+        let previous = 0;
+        options.forEach(opt => {
+            const delta = CoAPMessage.encodeOptionField(opt.number - previous);
+            const length = CoAPMessage.encodeOptionField(opt.value.length);
+            bytes.push((delta.nibble << 4) | length.nibble);
+            bytes.push(...delta.extended, ...length.extended);
+            bytes.push(...opt.value);
+            previous = opt.number;
         });
 
-        // Payload
-        if (this.payload) {
-            message[offset] = 0xFF; // Payload marker
-            offset++;
-            message.set(this.payload, offset);
+        // Payload marker only when there is a payload
+        if (this.payload && this.payload.length > 0) {
+            bytes.push(0xFF);
+            bytes.push(...this.payload);
         }
 
-        return message;
+        return new Uint8Array(bytes);
     }
 
+    /**
+     * Parse a CoAP message; returns null if it is malformed
+     */
     static decode(data) {
-        // Basic CoAP decoding
         if (data.length < 4) return null;
 
         const version = (data[0] >> 6) & 0x3;
@@ -262,17 +650,36 @@ class CoAPMessage {
         const code = data[1];
         const messageId = (data[2] << 8) | data[3];
 
+        if (version !== 1 || tokenLength > 8 || data.length < 4 + tokenLength) return null;
+
         let offset = 4;
         const token = data.slice(offset, offset + tokenLength);
         offset += tokenLength;
 
-        // Find payload (after 0xFF marker)
-        let payload = null;
-        for (let i = offset; i < data.length; i++) {
-            if (data[i] === 0xFF && i < data.length - 1) {
-                payload = data.slice(i + 1);
-                break;
+        // Options run until the payload marker or the end of the message
+        const options = [];
+        let number = 0;
+        try {
+            while (offset < data.length && data[offset] !== 0xFF) {
+                const header = data[offset++];
+                const delta = CoAPMessage.decodeOptionField(header >> 4, data, offset);
+                const length = CoAPMessage.decodeOptionField(header & 0x0F, data, delta.offset);
+                offset = length.offset;
+                if (offset + length.value > data.length) return null;
+
+                number += delta.value;
+                options.push({ number, value: data.slice(offset, offset + length.value) });
+                offset += length.value;
             }
+        } catch (error) {
+            return null;
+        }
+
+        let payload = null;
+        if (offset < data.length) {
+            // A marker followed by nothing is a format error
+            if (offset + 1 >= data.length) return null;
+            payload = data.slice(offset + 1);
         }
 
         return {
@@ -281,11 +688,24 @@ class CoAPMessage {
             code,
             messageId,
             token,
+            options,
             payload
         };
     }
 }
 
+CoAPMessage.OPTION = {
+    URI_PATH: 11,
+    CONTENT_FORMAT: 12,
+    URI_QUERY: 15
+};
+
+CoAPMessage.CONTENT_FORMAT = {
+    YANG_CBOR: 112,                  // application/yang-data+cbor
+    YANG_IDENTIFIERS_CBOR_SEQ: 61441, // application/yang-identifiers+cbor-seq
+    YANG_INSTANCES_CBOR_SEQ: 61442    // application/yang-instances+cbor-seq
+};
+
 /**
  * CBOR (Concise Binary Object Representation) Implementation
  * For encoding/decoding YANG data
@@ -372,8 +792,12 @@ class CBORCodec {
 
 // Export classes
 if (typeof module !== 'undefined' && module.exports) {
-    module.exports = { MUP1Protocol, CoAPMessage, CBORCodec };
+    module.exports = { MUP1Protocol, MUP1Frame, MUP1Decoder, CoAPMessage, CBORCodec };
 }
 
 // Export for use in browser
-window.MUP1Protocol = MUP1Protocol;
\ No newline at end of file
+if (typeof window !== 'undefined') {
+    window.MUP1Protocol = MUP1Protocol;
+    window.MUP1Frame = MUP1Frame;
+    window.MUP1Decoder = MUP1Decoder;
+}
\ No newline at end of file
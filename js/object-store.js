@@ -0,0 +1,59 @@
+/**
+ * Object Store
+ * One IndexedDB object store in a database of its own, opened on first
+ * use. The stores of the app (SID registries, config snapshots) extend it
+ * with their record operations.
+ */
+
+class ObjectStore {
+    /**
+     * keyPath: the record property the store is keyed by
+     */
+    constructor(dbName, storeName, keyPath) {
+        this.dbName = dbName;
+        this.storeName = storeName;
+        this.keyPath = keyPath;
+        this.db = null;
+    }
+
+    static isSupported() {
+        return typeof indexedDB !== 'undefined';
+    }
+
+    open() {
+        if (this.db) return Promise.resolve(this.db);
+
+        return new Promise((resolve, reject) => {
+            const request = indexedDB.open(this.dbName, 1);
+            request.onupgradeneeded = () => {
+                request.result.createObjectStore(this.storeName, { keyPath: this.keyPath });
+            };
+            request.onsuccess = () => {
+                this.db = request.result;
+                resolve(this.db);
+            };
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    /**
+     * Run one request against the object store and resolve with its result
+     */
+    async run(mode, operation) {
+        const db = await this.open();
+        return new Promise((resolve, reject) => {
+            const request = operation(db.transaction(this.storeName, mode).objectStore(this.storeName));
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { ObjectStore };
+}
+
+if (typeof window !== 'undefined') {
+    window.ObjectStore = ObjectStore;
+}
@@ -0,0 +1,93 @@
+/**
+ * Preemption Config
+ * Frame preemption (IEEE 802.1Qbu / 802.3br) settings of the ports and the
+ * YAML patch they become.
+ *
+ * Settings are
+ *
+ *   { ports: [{ port, preemptable, mergeEnable, verify, verifyTime,
+ *               fragSize }] }
+ *
+ * with port the interface name, preemptable bit n set for a preemptable
+ * traffic class n, verifyTime in ms and fragSize the 802.3br addFragSize
+ * (0-3).
+ */
+
+class PreemptionConfig {
+    /**
+     * Smallest fragment of a preempted frame for an addFragSize, in bytes
+     */
+    static minFragmentSize(fragSize) {
+        return 64 * (fragSize + 1);
+    }
+
+    /**
+     * Check the preemption settings of each port; returns [{ severity,
+     * table: 'ports', index, message }]
+     */
+    static validate({ ports }) {
+        const issues = [];
+        const add = (severity, index, message) => issues.push({ severity, table: 'ports', index, message });
+
+        ports.forEach((port, index) => {
+            const classes = TasValidator.formatClasses(port.preemptable);
+            if (!Number.isInteger(port.verifyTime) || port.verifyTime < 1 || port.verifyTime > 128) {
+                add('error', index, 'Verify time must be a whole number of ms from 1 to 128');
+            }
+            if (port.preemptable && !port.mergeEnable) {
+                add('warning', index, `${classes} ${TasValidator.countClasses(port.preemptable) === 1 ? 'is' : 'are'} ` +
+                    'preemptable but MAC merge is disabled, so the port sends every class as express traffic');
+            }
+            if (port.preemptable === 0xFF) {
+                add('warning', index, 'Every traffic class is preemptable; no express traffic is left to preempt them');
+            } else if (port.mergeEnable && port.preemptable === 0) {
+                add('warning', index, 'MAC merge is enabled but every traffic class is express; nothing is preempted');
+            }
+            if (port.mergeEnable && !port.verify) {
+                add('warning', index, 'Verification is disabled: preemption starts without checking that the link ' +
+                    'partner supports MAC merge');
+            }
+        });
+
+        return issues;
+    }
+
+    /**
+     * The YAML patch of the settings
+     */
+    static toYaml({ ports }, parser = new YAMLParser()) {
+        let yaml = `# Frame Preemption (802.1Qbu / 802.3br) Configuration\n`;
+
+        for (const port of ports) {
+            const iface = `/ietf-interfaces:interfaces/interface[name='${port.port}']`;
+            const classes = [0, 1, 2, 3, 4, 5, 6, 7].map(tc => ({
+                'traffic-class': tc,
+                'frame-preemption-status': (port.preemptable >> tc) & 1 ? 'preemptable' : 'express'
+            }));
+
+            yaml += `\n# Port ${port.port}\n`;
+            yaml += `- ? "${iface}/ieee802-dot1q-bridge:bridge-port/ieee802-dot1q-preemption-bridge:frame-preemption-parameters/frame-preemption-status-table"\n`;
+            yaml += `  :\n`;
+            yaml += parser.stringify(classes, 4) + '\n';
+            yaml += `- ? "${iface}/ieee802-ethernet-interface:ethernet/ieee802-ethernet-mac-merge:mac-merge/admin-control"\n`;
+            yaml += `  :\n`;
+            yaml += parser.stringify({
+                'merge-enable-tx': port.mergeEnable,
+                'verify-disable-tx': !port.verify,
+                'verify-time': port.verifyTime,
+                'frag-size': port.fragSize
+            }, 4) + '\n';
+        }
+
+        return yaml;
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { PreemptionConfig };
+}
+
+if (typeof window !== 'undefined') {
+    window.PreemptionConfig = PreemptionConfig;
+}
@@ -0,0 +1,214 @@
+/**
+ * PSFP Config
+ * Per-stream filtering and policing (IEEE 802.1Qci) settings and the YAML
+ * patch they become.
+ *
+ * Settings are
+ *
+ *   { filters: [{ id, streamHandle, priority, maxSduSize, blockOversize,
+ *                 gateRef, meterRef }],
+ *     gates: [{ id, enabled, initialState, cycleTime, baseTime,
+ *               entries: [{ time, state, ipv }] }],
+ *     meters: [{ id, cir, cbs, eir, ebs, colorMode, coupling,
+ *                dropOnYellow, markAllRed }] }
+ *
+ * with numbers null when not given, times in μs, baseTime in seconds as a
+ * string and rates in kbit/s.
+ */
+
+class PsfpConfig {
+    /**
+     * Check IDs, values and the references between filters, gates and
+     * meters; returns [{ severity, table, index, message }] with table
+     * 'filters', 'gates' or 'meters' and index the entry in it
+     */
+    static validate({ filters, gates, meters }) {
+        const issues = [];
+        const add = (severity, table, index, message) => issues.push({ severity, table, index, message });
+        const isUint = (value, max = 0xFFFFFFFF) => Number.isInteger(value) && value >= 0 && value <= max;
+
+        const checkIds = (table, entries, label) => {
+            const seen = new Map();
+            entries.forEach((entry, index) => {
+                if (!isUint(entry.id)) {
+                    add('error', table, index, `${label} ID must be a whole number from 0 to 4294967295`);
+                } else if (seen.has(entry.id)) {
+                    add('error', table, index, `${label} ID ${entry.id} is already used by entry ${seen.get(entry.id) + 1}`);
+                } else {
+                    seen.set(entry.id, index);
+                }
+            });
+        };
+        checkIds('filters', filters, 'Filter');
+        checkIds('gates', gates, 'Gate');
+        checkIds('meters', meters, 'Meter');
+
+        const gateIds = new Set(gates.map(gate => gate.id));
+        const meterIds = new Set(meters.map(meter => meter.id));
+
+        filters.forEach((filter, index) => {
+            if (!isUint(filter.streamHandle)) {
+                add('error', 'filters', index, 'Stream handle must be a whole number');
+            }
+            if (filter.maxSduSize !== null && !isUint(filter.maxSduSize)) {
+                add('error', 'filters', index, 'Max SDU size must be a whole number of bytes');
+            }
+            if (filter.blockOversize && filter.maxSduSize === null) {
+                add('warning', 'filters', index, 'Blocking on oversize frames has no effect without a max SDU size');
+            }
+            if (filter.gateRef === null) {
+                add('error', 'filters', index, 'A stream gate is required');
+            } else if (!gateIds.has(filter.gateRef)) {
+                add('error', 'filters', index, `Stream gate ${filter.gateRef} is not defined`);
+            }
+            if (filter.meterRef !== null && !meterIds.has(filter.meterRef)) {
+                add('error', 'filters', index, `Flow meter ${filter.meterRef} is not defined`);
+            }
+            const earlier = filters.findIndex(other => other.streamHandle === filter.streamHandle &&
+                other.priority === filter.priority);
+            if (earlier < index) {
+                add('warning', 'filters', index, `Matches the same frames as filter ${filters[earlier].id}; ` +
+                    'only one of them takes effect');
+            }
+        });
+
+        // Times are whole μs, sent as uint32 ns
+        const maxMicroseconds = Math.floor(0xFFFFFFFF / 1000);
+        gates.forEach((gate, index) => {
+            if (!isUint(gate.cycleTime, maxMicroseconds) || gate.cycleTime <= 0) {
+                add('error', 'gates', index, 'Cycle time must be a positive whole number of μs');
+            }
+            if (!/^\d+$/.test(gate.baseTime)) {
+                add('error', 'gates', index, 'Base time must be a whole number of seconds');
+            }
+            if (gate.entries.some(entry => !isUint(entry.time, maxMicroseconds) || entry.time <= 0)) {
+                add('error', 'gates', index, 'Every gate entry needs a positive whole number of μs');
+            } else if (gate.enabled && gate.entries.length === 0) {
+                add('error', 'gates', index, 'An enabled gate needs at least one gate entry');
+            } else {
+                const listTime = gate.entries.reduce((sum, entry) => sum + entry.time, 0);
+                if (listTime > gate.cycleTime) {
+                    add('error', 'gates', index, `Gate entries add up to ${listTime} μs, longer than the ${gate.cycleTime} μs cycle`);
+                } else if (gate.entries.length > 0 && listTime < gate.cycleTime) {
+                    add('warning', 'gates', index, `Gate entries add up to ${listTime} μs; the last one holds for the ` +
+                        `remaining ${gate.cycleTime - listTime} μs of the cycle`);
+                }
+            }
+            if (!filters.some(filter => filter.gateRef === gate.id)) {
+                add('warning', 'gates', index, `No stream filter uses gate ${gate.id}`);
+            }
+        });
+
+        meters.forEach((meter, index) => {
+            for (const [name, value] of [['CIR', meter.cir], ['CBS', meter.cbs], ['EIR', meter.eir], ['EBS', meter.ebs]]) {
+                if (!isUint(value, Number.MAX_SAFE_INTEGER)) {
+                    add('error', 'meters', index, `${name} must be a whole number`);
+                }
+            }
+            if (meter.cir > 0 && meter.cbs === 0) {
+                add('warning', 'meters', index, 'A committed burst size of 0 turns every frame yellow or red');
+            }
+            if (meter.eir > 0 && meter.ebs === 0) {
+                add('warning', 'meters', index, 'An excess burst size of 0 makes the excess rate unusable');
+            }
+            if (!filters.some(filter => filter.meterRef === meter.id)) {
+                add('warning', 'meters', index, `No stream filter uses meter ${meter.id}`);
+            }
+        });
+
+        return issues;
+    }
+
+    /**
+     * The YAML patch of the settings
+     */
+    static toYaml({ filters, gates, meters }) {
+        const psfp = PsfpConfig.PATH;
+
+        let yaml = `# PSFP (Per-Stream Filtering and Policing) Configuration\n`;
+        if (filters.length + gates.length + meters.length === 0) {
+            return yaml + `# No stream filters, gates or meters defined\n`;
+        }
+
+        if (filters.length > 0) {
+            yaml += `\n# Stream filters\n`;
+            yaml += `- ? "${psfp}:stream-filters/stream-filter-instance-table"\n`;
+            yaml += `  :\n`;
+            filters.forEach(filter => {
+                yaml += `    - stream-filter-instance-id: ${filter.id}\n`;
+                yaml += `      stream-handle: ${filter.streamHandle}\n`;
+                if (filter.priority !== null) {
+                    yaml += `      priority: ${filter.priority}\n`;
+                }
+                if (filter.maxSduSize !== null) {
+                    yaml += `      max-sdu-size: ${filter.maxSduSize}\n`;
+                }
+                yaml += `      stream-blocked-due-to-oversize-frame-enabled: ${filter.blockOversize}\n`;
+                yaml += `      stream-gate-ref: ${filter.gateRef}\n`;
+                if (filter.meterRef !== null) {
+                    yaml += `      flow-meter-ref: ${filter.meterRef}\n`;
+                }
+            });
+        }
+
+        if (gates.length > 0) {
+            yaml += `\n# Stream gates\n`;
+            yaml += `- ? "${psfp}:stream-gates/stream-gate-instance-table"\n`;
+            yaml += `  :\n`;
+            gates.forEach(gate => {
+                yaml += `    - stream-gate-instance-id: ${gate.id}\n`;
+                yaml += `      gate-enable: ${gate.enabled}\n`;
+                yaml += `      admin-gate-states: ${gate.initialState}\n`;
+                if (gate.entries.length > 0) {
+                    yaml += `      admin-control-list:\n`;
+                    yaml += `        gate-control-entry:\n`;
+                    gate.entries.forEach((entry, index) => {
+                        yaml += `          - index: ${index + 1}\n`;
+                        yaml += `            operation-name: ieee802-dot1q-psfp:set-gate-and-ipv\n`;
+                        yaml += `            time-interval-value: ${entry.time * 1000}\n`;
+                        yaml += `            gate-state-value: ${entry.state}\n`;
+                        if (entry.ipv !== null) {
+                            yaml += `            ipv-spec: ${entry.ipv}\n`;
+                        }
+                    });
+                }
+                yaml += `      admin-cycle-time:\n`;
+                yaml += `        numerator: ${gate.cycleTime * 1000}\n`;
+                yaml += `        denominator: 1000000000\n`;
+                yaml += `      admin-base-time:\n`;
+                yaml += `        seconds: "${gate.baseTime}"\n`;
+                yaml += `        nanoseconds: 0\n`;
+            });
+        }
+
+        if (meters.length > 0) {
+            yaml += `\n# Flow meters\n`;
+            yaml += `- ? "${psfp}:flow-meters/flow-meter-instance-table"\n`;
+            yaml += `  :\n`;
+            meters.forEach(meter => {
+                yaml += `    - flow-meter-instance-id: ${meter.id}\n`;
+                yaml += `      committed-information-rate: "${meter.cir * 1000}"\n`; // kbit/s to bit/s
+                yaml += `      committed-burst-size: ${meter.cbs}\n`;
+                yaml += `      excess-information-rate: "${meter.eir * 1000}"\n`;
+                yaml += `      excess-burst-size: ${meter.ebs}\n`;
+                yaml += `      coupling-flag: ${meter.coupling}\n`;
+                yaml += `      color-mode: ${meter.colorMode}\n`;
+                yaml += `      drop-on-yellow: ${meter.dropOnYellow}\n`;
+                yaml += `      mark-all-frames-red-enable: ${meter.markAllRed}\n`;
+            });
+        }
+
+        return yaml;
+    }
+}
+
+PsfpConfig.PATH = "/ieee802-dot1q-bridge:bridges/bridge[name='b0']/component[name='c0']/ieee802-dot1q-psfp-bridge";
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { PsfpConfig };
+}
+
+if (typeof window !== 'undefined') {
+    window.PsfpConfig = PsfpConfig;
+}
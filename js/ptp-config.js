@@ -0,0 +1,221 @@
+/**
+ * PTP Config
+ * Settings of PTP instance 0 (IEEE 1588 with the IEEE 802.1AS gPTP
+ * additions) and the YANG data they become.
+ *
+ * Settings are
+ *
+ *   { profile, domain, priority1, priority2, clockClass, clockAccuracy,
+ *     offsetScaledLogVariance,
+ *     ports: [{ port, asCapable, delayMechanism, logSyncInterval,
+ *               logAnnounceInterval }] }
+ *
+ * with port the interface name; PTP port-index n runs on interface n.
+ */
+
+class PtpConfig {
+    /**
+     * Settings of a profile with its defaults
+     */
+    static defaults(profile = 'gptp', ports = ['1', '2']) {
+        if (!PtpConfig.PROFILES[profile]) profile = 'gptp';
+        const defaults = PtpConfig.PROFILES[profile];
+        return {
+            profile,
+            domain: defaults.domain,
+            priority1: defaults.priority1,
+            priority2: defaults.priority2,
+            clockClass: 248,
+            clockAccuracy: 0xFE,
+            offsetScaledLogVariance: defaults.offsetScaledLogVariance,
+            ports: ports.map(port => ({
+                port,
+                asCapable: true,
+                delayMechanism: defaults.delayMechanism,
+                logSyncInterval: defaults.logSyncInterval,
+                logAnnounceInterval: defaults.logAnnounceInterval
+            }))
+        };
+    }
+
+    /**
+     * Check the settings; returns [{ severity, port, message }] with port
+     * the index into settings.ports, or null for the instance settings
+     */
+    static validate(settings) {
+        const issues = [];
+        const add = (severity, port, message) => issues.push({ severity, port, message });
+        const inRange = (value, min, max) => Number.isInteger(value) && value >= min && value <= max;
+        const gptp = PtpConfig.PROFILES[settings.profile] && PtpConfig.PROFILES[settings.profile].sdoId === 0x100;
+
+        for (const [name, value] of [['Domain', settings.domain], ['Priority 1', settings.priority1],
+            ['Priority 2', settings.priority2], ['Clock class', settings.clockClass],
+            ['Clock accuracy', settings.clockAccuracy]]) {
+            if (!inRange(value, 0, 255)) {
+                add('error', null, `${name} must be a whole number from 0 to 255`);
+            }
+        }
+        if (!inRange(settings.offsetScaledLogVariance, 0, 0xFFFF)) {
+            add('error', null, 'Offset scaled log variance must be from 0x0000 to 0xFFFF');
+        }
+        if (gptp && settings.domain > 127) {
+            add('warning', null, `Domain ${settings.domain} is outside the 0–127 range 802.1AS uses`);
+        }
+        if (settings.priority1 === 255 && settings.clockClass < 128) {
+            add('warning', null, `Priority 1 of 255 makes the clock unable to become grandmaster, ` +
+                `yet clock class ${settings.clockClass} is for grandmaster-capable clocks`);
+        }
+
+        settings.ports.forEach((port, index) => {
+            for (const [name, value] of [['Log sync interval', port.logSyncInterval],
+                ['Log announce interval', port.logAnnounceInterval]]) {
+                if (!inRange(value, -128, 127)) {
+                    add('error', index, `${name} must be a whole number from -128 to 127`);
+                } else if (value < -7 || value > 7) {
+                    add('warning', index, `${name} ${value} is ${PtpConfig.formatInterval(value)}; ` +
+                        'devices commonly support -7 (7.8 ms) to 7 (128 s)');
+                }
+            }
+            if (gptp && port.delayMechanism !== 'p2p') {
+                add('warning', index, '802.1AS measures link delay peer-to-peer; set the delay mechanism to P2P');
+            }
+        });
+        if (settings.ports.length > 0 && !settings.ports.some(port => port.asCapable)) {
+            add('warning', null, 'No port is asCapable; the instance neither sends nor receives time');
+        }
+
+        return issues;
+    }
+
+    /**
+     * The instance list entry for the settings, as the YAML and iPATCH
+     * bodies hold it
+     */
+    static toInstance(settings) {
+        return {
+            'instance-index': 0,
+            'default-ds': {
+                'domain-number': settings.domain,
+                'priority1': settings.priority1,
+                'priority2': settings.priority2,
+                'sdo-id': PtpConfig.PROFILES[settings.profile].sdoId,
+                'clock-quality': {
+                    'clock-class': settings.clockClass,
+                    'clock-accuracy': settings.clockAccuracy,
+                    'offset-scaled-log-variance': settings.offsetScaledLogVariance
+                }
+            },
+            'ports': {
+                'port': settings.ports.map(port => ({
+                    'port-index': Number(port.port),
+                    'underlying-interface': port.port,
+                    'port-ds': {
+                        'log-announce-interval': port.logAnnounceInterval,
+                        'log-sync-interval': port.logSyncInterval,
+                        'delay-mechanism': port.delayMechanism,
+                        'ieee802-dot1as-gptp:as-capable': port.asCapable
+                    }
+                }))
+            }
+        };
+    }
+
+    /**
+     * Settings from an instance read from the device; what it lacks
+     * keeps the value of `base`
+     */
+    static fromInstance(instance, base = PtpConfig.defaults()) {
+        const defaultDs = instance['default-ds'] || {};
+        const quality = defaultDs['clock-quality'] || {};
+        const ports = (instance['ports'] || {})['port'] || [];
+        const pick = (value, fallback) => (value === undefined || value === null ? fallback : Number(value));
+        const profile = Object.keys(PtpConfig.PROFILES).find(name =>
+            PtpConfig.PROFILES[name].sdoId === Number(defaultDs['sdo-id']) &&
+            PtpConfig.PROFILES[name].domain === Number(defaultDs['domain-number'])) || base.profile;
+
+        return {
+            profile,
+            domain: pick(defaultDs['domain-number'], base.domain),
+            priority1: pick(defaultDs['priority1'], base.priority1),
+            priority2: pick(defaultDs['priority2'], base.priority2),
+            clockClass: pick(quality['clock-class'], base.clockClass),
+            clockAccuracy: pick(quality['clock-accuracy'], base.clockAccuracy),
+            offsetScaledLogVariance: pick(quality['offset-scaled-log-variance'], base.offsetScaledLogVariance),
+            ports: base.ports.map(port => {
+                const entry = ports.find(item => String(item['port-index']) === port.port);
+                const portDs = entry ? entry['port-ds'] || {} : {};
+                const asCapable = portDs['ieee802-dot1as-gptp:as-capable'];
+                return {
+                    port: port.port,
+                    asCapable: asCapable === undefined ? port.asCapable : asCapable === true,
+                    delayMechanism: portDs['delay-mechanism']
+                        ? YangDatastore.localName(String(portDs['delay-mechanism']))
+                        : port.delayMechanism,
+                    logSyncInterval: pick(portDs['log-sync-interval'], port.logSyncInterval),
+                    logAnnounceInterval: pick(portDs['log-announce-interval'], port.logAnnounceInterval)
+                };
+            })
+        };
+    }
+
+    /**
+     * "125 ms" for log interval -3
+     */
+    static formatInterval(logInterval) {
+        const seconds = Math.pow(2, logInterval);
+        return seconds >= 1 ? `${seconds} s` : `${Number((seconds * 1000).toFixed(3))} ms`;
+    }
+
+    /**
+     * "25 ns" for clock accuracy 0x20, the hex value if it is not listed
+     */
+    static formatAccuracy(value) {
+        const accuracy = PtpConfig.CLOCK_ACCURACY.find(item => item.value === Number(value));
+        return accuracy ? accuracy.label : `0x${Number(value).toString(16).toUpperCase()}`;
+    }
+}
+
+PtpConfig.INSTANCE_PATH = "/ieee1588-ptp:ptp/instances/instance[instance-index='0']";
+
+/**
+ * sdoId 0x100 marks a gPTP (802.1AS) instance. The automotive profile
+ * differs from gPTP in running without BMCA, which is set up outside the
+ * instance data, so it shares the gPTP defaults.
+ */
+PtpConfig.PROFILES = {
+    gptp: {
+        label: 'gPTP (IEEE 802.1AS)', sdoId: 0x100, domain: 0, priority1: 246, priority2: 248,
+        offsetScaledLogVariance: 0x436A, delayMechanism: 'p2p', logSyncInterval: -3, logAnnounceInterval: 0
+    },
+    automotive: {
+        label: 'Automotive (IEEE 802.1AS)', sdoId: 0x100, domain: 0, priority1: 246, priority2: 248,
+        offsetScaledLogVariance: 0x436A, delayMechanism: 'p2p', logSyncInterval: -3, logAnnounceInterval: 0
+    },
+    default: {
+        label: 'Default (IEEE 1588)', sdoId: 0, domain: 0, priority1: 128, priority2: 128,
+        offsetScaledLogVariance: 0xFFFF, delayMechanism: 'e2e', logSyncInterval: 0, logAnnounceInterval: 1
+    },
+    power: {
+        label: 'Power (IEEE C37.238)', sdoId: 0, domain: 254, priority1: 128, priority2: 128,
+        offsetScaledLogVariance: 0xFFFF, delayMechanism: 'p2p', logSyncInterval: 0, logAnnounceInterval: 0
+    }
+};
+
+/**
+ * clockAccuracy values of IEEE 1588 table 5
+ */
+PtpConfig.CLOCK_ACCURACY = [
+    [0x20, '25 ns'], [0x21, '100 ns'], [0x22, '250 ns'], [0x23, '1 μs'], [0x24, '2.5 μs'],
+    [0x25, '10 μs'], [0x26, '25 μs'], [0x27, '100 μs'], [0x28, '250 μs'], [0x29, '1 ms'],
+    [0x2A, '2.5 ms'], [0x2B, '10 ms'], [0x2C, '25 ms'], [0x2D, '100 ms'], [0x2E, '250 ms'],
+    [0x2F, '1 s'], [0x30, '10 s'], [0x31, 'over 10 s'], [0xFE, 'Unknown']
+].map(([value, label]) => ({ value, label }));
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { PtpConfig };
+}
+
+if (typeof window !== 'undefined') {
+    window.PtpConfig = PtpConfig;
+}
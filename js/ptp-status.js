@@ -0,0 +1,138 @@
+/**
+ * PTP Status
+ * Live state of a PTP instance and a short history of its offset from
+ * the master.
+ *
+ * parse() reads an instance as the device returns it
+ * (/ieee1588-ptp:ptp/instances/instance[instance-index='0']) into
+ *
+ *   { domain, clockIdentity, isGrandmaster, stepsRemoved,
+ *     grandmaster: { identity, priority1, priority2, clockClass, clockAccuracy },
+ *     offset, meanDelay,
+ *     ports: [{ index, name, state, asCapable, meanLinkDelay }] }
+ *
+ * with offset and delays in ns (the YANG model holds them in scaled ns,
+ * ns * 2^16) and null for what the device does not report.
+ */
+
+class PtpStatus {
+    constructor({ historyLength = 120 } = {}) {
+        this.historyLength = historyLength;
+        this.history = [];
+    }
+
+    static parse(instance) {
+        const defaultDs = instance['default-ds'] || {};
+        const currentDs = instance['current-ds'] || {};
+        const parentDs = instance['parent-ds'] || {};
+        const quality = parentDs['grandmaster-clock-quality'] || {};
+        const number = value => (value === undefined || value === null ? null : Number(value));
+
+        const clockIdentity = PtpStatus.formatClockIdentity(defaultDs['clock-identity']);
+        const grandmaster = PtpStatus.formatClockIdentity(parentDs['grandmaster-identity']);
+
+        return {
+            domain: number(defaultDs['domain-number']),
+            clockIdentity,
+            isGrandmaster: clockIdentity !== null && clockIdentity === grandmaster,
+            stepsRemoved: number(currentDs['steps-removed']),
+            grandmaster: {
+                identity: grandmaster,
+                priority1: number(parentDs['grandmaster-priority1']),
+                priority2: number(parentDs['grandmaster-priority2']),
+                clockClass: number(quality['clock-class']),
+                clockAccuracy: number(quality['clock-accuracy'])
+            },
+            offset: PtpStatus.fromScaledNs(currentDs['offset-from-master']),
+            meanDelay: PtpStatus.fromScaledNs(currentDs['mean-delay']),
+            ports: ((instance['ports'] || {})['port'] || []).map(port => {
+                const portDs = port['port-ds'] || {};
+                const asCapable = portDs['ieee802-dot1as-gptp:as-capable'];
+                return {
+                    index: number(port['port-index']),
+                    name: port['underlying-interface'] || String(port['port-index']),
+                    state: portDs['port-state'] ? YangDatastore.localName(String(portDs['port-state'])) : null,
+                    asCapable: asCapable === undefined ? null : asCapable === true,
+                    meanLinkDelay: PtpStatus.fromScaledNs(portDs['mean-link-delay'])
+                };
+            })
+        };
+    }
+
+    /**
+     * Add a status to the history; the oldest samples drop out
+     */
+    record(status, time = Date.now()) {
+        if (status.offset === null) return;
+        this.history.push({ time, offset: status.offset, meanDelay: status.meanDelay });
+        if (this.history.length > this.historyLength) {
+            this.history.splice(0, this.history.length - this.historyLength);
+        }
+    }
+
+    clear() {
+        this.history = [];
+    }
+
+    /**
+     * SVG line chart of the offset history, with the zero line and the
+     * range shown
+     */
+    renderChart(width = 600, height = 120) {
+        if (this.history.length < 2) {
+            return '<div class="ptp-chart-empty">Waiting for offset samples</div>';
+        }
+
+        const offsets = this.history.map(sample => sample.offset);
+        const limit = Math.max(1, ...offsets.map(Math.abs));
+        const first = this.history[0].time;
+        const span = Math.max(1, this.history[this.history.length - 1].time - first);
+        const x = time => ((time - first) / span * width).toFixed(1);
+        const y = offset => (height / 2 - offset / limit * (height / 2 - 4)).toFixed(1);
+
+        const points = this.history.map(sample => `${x(sample.time)},${y(sample.offset)}`).join(' ');
+        const latest = offsets[offsets.length - 1];
+
+        return `<svg class="ptp-chart-svg" viewBox="0 0 ${width} ${height}" preserveAspectRatio="none" width="100%" height="${height}">
+            <line class="ptp-chart-zero" x1="0" y1="${height / 2}" x2="${width}" y2="${height / 2}"></line>
+            <polyline class="ptp-chart-line" points="${points}"></polyline>
+        </svg>
+        <div class="ptp-chart-legend">
+            <span>±${PtpStatus.formatNs(limit)}</span>
+            <span>Offset from master over ${Math.round(span / 1000)} s, latest ${PtpStatus.formatNs(latest)}</span>
+        </div>`;
+    }
+
+    /**
+     * Scaled ns (int64, a string when 64-bit) -> ns
+     */
+    static fromScaledNs(value) {
+        if (value === undefined || value === null || value === '') return null;
+        return Number(value) / 65536;
+    }
+
+    /**
+     * "00-04-A3-FF-FE-12-34-56" from the 8-byte identity as bytes or text
+     */
+    static formatClockIdentity(value) {
+        if (value === undefined || value === null) return null;
+        if (value instanceof Uint8Array || Array.isArray(value)) {
+            return Array.from(value).map(byte => byte.toString(16).padStart(2, '0')).join('-').toUpperCase();
+        }
+        return String(value).toUpperCase().replace(/:/g, '-');
+    }
+
+    static formatNs(ns) {
+        if (ns === null || ns === undefined) return '-';
+        return Math.abs(ns) >= 1000 ? `${Number((ns / 1000).toFixed(3))} μs` : `${Number(ns.toFixed(1))} ns`;
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { PtpStatus };
+}
+
+if (typeof window !== 'undefined') {
+    window.PtpStatus = PtpStatus;
+}
@@ -1,64 +1,46 @@
 /**
- * WebSerial API Handler
- * Manages serial port communication with the LAN9662 device
+ * Serial Handler
+ * Manages MUP1 communication with the LAN9662 device over a Transport
  */
 
 class SerialHandler {
     constructor() {
-        this.port = null;
+        this.transport = null;
         this.reader = null;
-        this.writer = null;
         this.isConnected = false;
         this.listeners = {};
-        this.readBuffer = [];
         this.mup1Protocol = new MUP1Protocol();
+        this.decoder = new MUP1Decoder({
+            protocol: this.mup1Protocol,
+            onFrame: (frame) => this.handleFrame(frame),
+            onText: (bytes) => this.emit('text', new TextDecoder().decode(bytes)),
+            onError: (error) => this.emit('frame-error', error)
+        });
+        this.handleTransportClose = () => this.handleDisconnect();
     }
 
     /**
      * Check if WebSerial is supported
      */
     isSupported() {
-        return 'serial' in navigator;
+        return WebSerialTransport.isSupported();
     }
 
     /**
-     * Connect to serial port
+     * Connect through a transport (defaults to WebSerial)
      */
-    async connect(baudRate = 115200) {
-        if (!this.isSupported()) {
-            throw new Error('WebSerial API is not supported in this browser. Please use Chrome or Edge.');
-        }
-
+    async connect(transport = new WebSerialTransport({ baudRate: 115200 })) {
         try {
-            // Request port access
-            this.port = await navigator.serial.requestPort();
-            
-            // Open port with specified baud rate
-            await this.port.open({ 
-                baudRate: baudRate,
-                dataBits: 8,
-                stopBits: 1,
-                parity: 'none',
-                flowControl: 'none'
-            });
-
-            // Setup reader and writer
-            const textEncoder = new TextEncoderStream();
-            const writableStreamClosed = textEncoder.readable.pipeTo(this.port.writable);
-            this.writer = textEncoder.writable.getWriter();
+            await transport.open();
+            this.transport = transport;
+            this.transport.on('close', this.handleTransportClose);
 
             // Start reading
+            this.decoder.reset();
             this.isConnected = true;
             this.startReading();
-            
-            // Get port info
-            const info = await this.port.getInfo();
-            
-            this.emit('connect', {
-                baudRate: baudRate,
-                vendorId: info.usbVendorId,
-                productId: info.usbProductId
-            });
+
+            this.emit('connect', transport.getInfo());
 
             // Send initial ping
             setTimeout(() => this.ping(), 100);
@@ -71,126 +53,54 @@ class SerialHandler {
     }
 
     /**
-     * Disconnect from serial port
+     * Disconnect from the device
      */
     async disconnect() {
         if (!this.isConnected) return;
 
         try {
-            this.isConnected = false;
-            
-            if (this.reader) {
-                await this.reader.cancel();
-                this.reader = null;
-            }
-
-            if (this.writer) {
-                await this.writer.close();
-                this.writer = null;
-            }
-
-            if (this.port) {
-                await this.port.close();
-                this.port = null;
-            }
-
-            this.emit('disconnect');
+            await this.transport.close();
         } catch (error) {
             this.emit('error', error);
             throw error;
+        } finally {
+            this.handleDisconnect();
         }
     }
 
     /**
-     * Start reading from serial port
+     * Tear down after the transport closed, whether we asked for it or not
      */
-    async startReading() {
-        while (this.port.readable && this.isConnected) {
-            this.reader = this.port.readable.getReader();
-            
-            try {
-                while (true) {
-                    const { value, done } = await this.reader.read();
-                    if (done) break;
-                    
-                    // Add to buffer
-                    this.readBuffer.push(...value);
-                    
-                    // Try to parse MUP1 frames
-                    this.processBuffer();
-                }
-            } catch (error) {
-                this.emit('error', error);
-            } finally {
-                if (this.reader) {
-                    this.reader.releaseLock();
-                    this.reader = null;
-                }
-            }
-        }
+    handleDisconnect() {
+        if (!this.transport) return;
+
+        this.transport.off('close', this.handleTransportClose);
+        this.transport = null;
+        this.isConnected = false;
+        this.emit('disconnect');
     }
 
     /**
-     * Process read buffer for complete MUP1 frames
+     * Start reading from the transport
      */
-    processBuffer() {
-        // Look for complete frame (SOF to checksum)
-        const SOF = 0x3E; // '>'
-        const EOF = 0x3C; // '<'
-        
-        // Find start of frame
-        let startIdx = this.readBuffer.indexOf(SOF);
-        if (startIdx === -1) return;
-        
-        // Remove data before SOF
-        if (startIdx > 0) {
-            this.readBuffer.splice(0, startIdx);
-            startIdx = 0;
-        }
-        
-        // Look for end of frame and checksum
-        let eofIdx = -1;
-        for (let i = startIdx + 2; i < this.readBuffer.length; i++) {
-            if (this.readBuffer[i] === EOF) {
-                // Check if it's double EOF
-                if (i + 1 < this.readBuffer.length && this.readBuffer[i + 1] === EOF) {
-                    eofIdx = i + 1;
-                } else {
-                    eofIdx = i;
-                }
-                
-                // Check if we have checksum (4 bytes after EOF)
-                if (eofIdx + 4 < this.readBuffer.length) {
-                    // We have a complete frame
-                    const frameEnd = eofIdx + 5; // Include checksum
-                    const frameData = this.readBuffer.slice(0, frameEnd);
-                    
-                    // Remove frame from buffer
-                    this.readBuffer.splice(0, frameEnd);
-                    
-                    // Parse and emit frame
-                    try {
-                        const frame = this.mup1Protocol.parseFrame(frameData);
-                        this.handleFrame(frame);
-                        
-                        // Log raw data
-                        this.emit('raw-receive', {
-                            data: frameData,
-                            hex: this.mup1Protocol.bytesToHex(frameData)
-                        });
-                    } catch (error) {
-                        console.error('Error parsing frame:', error);
-                        this.emit('error', error);
-                    }
-                    
-                    // Process remaining buffer
-                    if (this.readBuffer.length > 0) {
-                        this.processBuffer();
-                    }
-                    
-                    break;
-                }
+    async startReading() {
+        this.reader = this.transport.readable.getReader();
+
+        try {
+            while (true) {
+                const { value, done } = await this.reader.read();
+                if (done) break;
+
+                // Decode MUP1 frames as bytes arrive
+                this.decoder.push(value);
             }
+        } catch (error) {
+            if (this.isConnected) {
+                this.emit('error', error);
+            }
+        } finally {
+            this.reader.releaseLock();
+            this.reader = null;
         }
     }
 
@@ -199,30 +109,35 @@ class SerialHandler {
      */
     handleFrame(frame) {
         console.log('Received frame:', frame);
+
+        // Log raw data
+        this.emit('raw-receive', {
+            data: frame.raw,
+            hex: this.mup1Protocol.bytesToHex(frame.raw)
+        });
         
         switch (frame.type) {
             case 'P': // PONG response
                 const pongData = this.mup1Protocol.parsePong(frame);
+                this.decoder.setMaxFrameSize(pongData.maxSize);
                 this.emit('pong', pongData);
                 this.emit('device-info', pongData);
                 break;
                 
             case 'C': // CoAP response
-                this.emit('coap-response', frame.data);
+                this.emit('coap-response', frame.payload);
                 break;
                 
             case 'A': // AT response
-                const text = new TextDecoder().decode(frame.data);
-                this.emit('at-response', text);
+                this.emit('at-response', frame.text);
                 break;
                 
             case 'T': // Text message
-                const message = new TextDecoder().decode(frame.data);
-                this.emit('text', message);
+                this.emit('text', frame.text);
                 break;
                 
             case 'S': // Status
-                this.emit('status', frame.data);
+                this.emit('status', frame.payload);
                 break;
                 
             default:
@@ -237,8 +152,8 @@ class SerialHandler {
      * Send raw data
      */
     async sendRaw(data) {
-        if (!this.isConnected || !this.writer) {
-            throw new Error('Not connected to serial port');
+        if (!this.isConnected || !this.transport) {
+            throw new Error('Not connected to device');
         }
 
         try {
@@ -249,7 +164,7 @@ class SerialHandler {
             }
 
             // Send data
-            await this.port.writable.getWriter().write(bytes);
+            await this.transport.write(bytes);
             
             // Log raw data
             this.emit('raw-send', {
@@ -337,8 +252,8 @@ class SerialHandler {
     getStatus() {
         return {
             isConnected: this.isConnected,
-            port: this.port ? 'Connected' : 'Not connected',
-            bufferSize: this.readBuffer.length
+            transport: this.transport ? this.transport.getInfo() : null,
+            decoder: this.decoder.getStats()
         };
     }
 }
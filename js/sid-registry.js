@@ -0,0 +1,168 @@
+/**
+ * SID Registry
+ * Two-way map between YANG schema node identifiers and SIDs, filled from
+ * YANG SID files (.sid, RFC 9595) such as those in a VelocityDRIVE-SP
+ * release, and cached in IndexedDB per firmware version
+ */
+
+class SidRegistry {
+    /**
+     * base: SID items that are always present (see CoreconfCodec.BUILTIN_SIDS)
+     */
+    constructor(base = []) {
+        this.bySid = new Map();        // SID -> identifier
+        this.byIdentifier = new Map(); // identifier -> SID
+        this.types = new Map();        // data node identifier -> YANG type
+        this.files = [];               // loaded files: { module, revision, items }
+        this.addItems(base);
+    }
+
+    /**
+     * Read a .sid file: RFC 9595 ("ietf-sid-file:sid-file" wrapper) or the
+     * older draft layout with the members at the top level
+     */
+    static parseSidFile(json) {
+        const file = json['ietf-sid-file:sid-file'] || json;
+        const items = file.item || file.items;
+        if (!file['module-name'] || !Array.isArray(items)) {
+            throw new Error('Not a YANG SID file (module-name and item list expected)');
+        }
+
+        return {
+            module: file['module-name'],
+            revision: file['module-revision'] || file.revision || null,
+            items: items
+                .filter(item => item.identifier && item.sid !== undefined)
+                .map(item => ({
+                    namespace: item.namespace || 'data',
+                    identifier: item.identifier,
+                    // uint64 SIDs are strings in JSON
+                    sid: Number(item.sid),
+                    type: SidRegistry.baseType(item.type)
+                }))
+        };
+    }
+
+    /**
+     * Built-in type for the codec: prefixes dropped and the 64/32-bit
+     * counter and gauge typedefs resolved
+     */
+    static baseType(type) {
+        if (typeof type !== 'string') return undefined;
+        const name = type.slice(type.indexOf(':') + 1);
+        return SidRegistry.TYPE_ALIASES[name] || name;
+    }
+
+    addItems(items) {
+        for (const item of items) {
+            this.bySid.set(item.sid, item.identifier);
+            this.byIdentifier.set(item.identifier, item.sid);
+            if (item.type) {
+                this.types.set(item.identifier, item.type);
+            }
+        }
+    }
+
+    /**
+     * Add a parsed or raw .sid file; a file for a module already loaded
+     * replaces it. Returns the parsed file.
+     */
+    addSidFile(json) {
+        const file = json.module && json.items ? json : SidRegistry.parseSidFile(json);
+        this.files = this.files.filter(existing => existing.module !== file.module);
+        this.files.push(file);
+        this.addItems(file.items);
+        return file;
+    }
+
+    getSid(identifier) {
+        return this.byIdentifier.get(identifier);
+    }
+
+    getIdentifier(sid) {
+        return this.bySid.get(sid);
+    }
+
+    getType(identifier) {
+        return this.types.get(identifier);
+    }
+
+    hasIdentifier(identifier) {
+        return this.byIdentifier.has(identifier);
+    }
+
+    hasSid(sid) {
+        return this.bySid.has(sid);
+    }
+
+    get size() {
+        return this.bySid.size;
+    }
+
+    /**
+     * Loaded files only; the base items are not stored
+     */
+    toJSON() {
+        return { files: this.files };
+    }
+
+    static fromJSON(json, base = []) {
+        const registry = new SidRegistry(base);
+        for (const file of json.files || []) {
+            registry.addSidFile(file);
+        }
+        return registry;
+    }
+}
+
+SidRegistry.TYPE_ALIASES = {
+    'counter32': 'uint32',
+    'zero-based-counter32': 'uint32',
+    'gauge32': 'uint32',
+    'counter64': 'uint64',
+    'zero-based-counter64': 'uint64',
+    'gauge64': 'uint64'
+};
+
+/**
+ * IndexedDB cache of the loaded SID files, keyed by firmware version
+ * (the version string of the device's pong)
+ */
+class SidRegistryStore extends ObjectStore {
+    constructor(dbName = 'velocitydrive-sid', storeName = 'registries') {
+        super(dbName, storeName, 'version');
+    }
+
+    /**
+     * Registry cached for a firmware version, or null
+     */
+    async load(version, base = []) {
+        const record = await this.run('readonly', store => store.get(version));
+        return record ? SidRegistry.fromJSON(record, base) : null;
+    }
+
+    save(version, registry) {
+        return this.run('readwrite', store => store.put({ version, ...registry.toJSON(), savedAt: Date.now() }));
+    }
+
+    delete(version) {
+        return this.run('readwrite', store => store.delete(version));
+    }
+
+    /**
+     * Firmware versions with a cached registry
+     */
+    versions() {
+        return this.run('readonly', store => store.getAllKeys());
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { SidRegistry, SidRegistryStore };
+}
+
+if (typeof window !== 'undefined') {
+    window.SidRegistry = SidRegistry;
+    window.SidRegistryStore = SidRegistryStore;
+}
@@ -0,0 +1,277 @@
+/**
+ * TAS Validator
+ * Checks a Time-Aware Shaper (802.1Qbv) schedule before it is sent.
+ *
+ * A schedule is
+ *
+ *   { cycleTime, cycleTimeExtension, baseTime, entries: [{ interval, gates }] }
+ *
+ * with cycleTime, cycleTimeExtension and interval in ns (as the YANG
+ * leaves hold them), baseTime in ms since the epoch (null to skip the
+ * check) and gates the gate-states value (bit n = TC n open).
+ *
+ * validate() returns a list of issues:
+ *
+ *   { severity: 'error' | 'warning', entry, field, message }
+ *
+ * where entry is the index of the offending GCL entry and field names the
+ * schedule setting at fault ('cycleTime', 'cycleTimeExtension' or
+ * 'baseTime'); both are null for issues of the schedule as a whole.
+ * Errors block sending; warnings point at schedules that work but likely
+ * not as intended. checkPreemption() checks frame preemption settings
+ * against a schedule.
+ */
+
+class TasValidator {
+    /**
+     * options: linkSpeed in Mbit/s, maxFrameSize in bytes (tagged, with
+     * FCS), now in ms since the epoch
+     */
+    static validate(schedule, { linkSpeed = 1000, maxFrameSize = 1522, now = Date.now() } = {}) {
+        const issues = [];
+        const add = (severity, message, { entry = null, field = null } = {}) => {
+            issues.push({ severity, entry, field, message });
+        };
+
+        const { cycleTime, cycleTimeExtension, baseTime, entries } = schedule;
+        const frameTime = TasValidator.frameTime(maxFrameSize, linkSpeed);
+        const us = TasValidator.formatTime;
+
+        const cycleValid = TasValidator.isUint32(cycleTime) && cycleTime > 0;
+        if (!cycleValid) {
+            add('error', 'Cycle time must be a whole number of ns between 1 and 4294967295', { field: 'cycleTime' });
+        }
+
+        if (cycleTimeExtension !== undefined && cycleTimeExtension !== null) {
+            if (!TasValidator.isUint32(cycleTimeExtension)) {
+                add('error', 'Cycle time extension must be a whole number of ns between 0 and 4294967295',
+                    { field: 'cycleTimeExtension' });
+            } else if (cycleValid && cycleTimeExtension >= cycleTime) {
+                add('error', `Cycle time extension (${us(cycleTimeExtension)}) must be shorter than the cycle (${us(cycleTime)})`,
+                    { field: 'cycleTimeExtension' });
+            }
+        }
+
+        if (baseTime !== null && baseTime !== undefined && baseTime < now) {
+            add('error', `Base time ${new Date(baseTime).toISOString()} is already in the past`, { field: 'baseTime' });
+        }
+
+        if (entries.length === 0) {
+            add('error', 'The gate control list is empty');
+            return issues;
+        }
+
+        let entriesValid = true;
+        entries.forEach(({ interval, gates }, index) => {
+            const intervalValid = TasValidator.isUint32(interval) && interval > 0;
+            if (!intervalValid) {
+                add('error', 'Time interval must be a whole number of ns between 1 and 4294967295', { entry: index });
+                entriesValid = false;
+            }
+            if (!Number.isInteger(gates) || gates < 0 || gates > 255) {
+                add('error', Number.isInteger(gates)
+                    ? `Gate states ${gates} is outside 0–255 (one bit per traffic class)`
+                    : 'Gate states is not a valid value', { entry: index });
+                entriesValid = false;
+            } else if (intervalValid && gates !== 0 && interval < frameTime) {
+                add('warning', `Interval ${us(interval)} is shorter than one ${maxFrameSize}-byte frame ` +
+                    `(${us(frameTime)} at ${linkSpeed} Mb/s); a full-size frame of ` +
+                    `${TasValidator.formatClasses(gates)} can never start in it`, { entry: index });
+            }
+        });
+        if (!cycleValid || !entriesValid) {
+            return issues;
+        }
+
+        // Entries past the cycle end never run; a shorter list holds its last entry
+        const listTime = entries.reduce((sum, entry) => sum + entry.interval, 0);
+        let running = entries;
+        if (listTime > cycleTime) {
+            let start = 0;
+            const cut = entries.findIndex(entry => (start += entry.interval) > cycleTime);
+            running = entries.slice(0, cut + 1);
+            let message = `The entries add up to ${us(listTime)}, longer than the ${us(cycleTime)} cycle`;
+            if (cycleTimeExtension && listTime <= cycleTime + cycleTimeExtension) {
+                message += '; the cycle time extension only lengthens the cycle in which a new schedule takes over';
+            }
+            add('error', message, { field: 'cycleTime' });
+            add('error', `Runs past the end of the cycle${cut < entries.length - 1 ? '; later entries never run' : ''}`,
+                { entry: cut });
+        } else if (listTime < cycleTime) {
+            add('warning', `The entries add up to ${us(listTime)}, ${us(cycleTime - listTime)} short of the cycle; ` +
+                `entry ${entries.length} stays in effect until the cycle ends`, { field: 'cycleTime' });
+        }
+
+        const everOpen = running.reduce((open, entry) => open | entry.gates, 0);
+        const neverOpen = 0xFF & ~everOpen;
+        if (neverOpen) {
+            add('warning', `${TasValidator.formatClasses(neverOpen)} never get${TasValidator.countClasses(neverOpen) === 1 ? 's' : ''} ` +
+                'an open gate; their frames are never sent');
+        }
+
+        TasValidator.checkGuardBands(running, frameTime, add);
+        return issues;
+    }
+
+    /**
+     * A protected window, one opening a scheduled class (a class whose gate
+     * is closed for most of the cycle), needs a guard band before it if the
+     * previous entry had other classes open: at least one frame time with
+     * them closed, or a frame started at the end of the previous window
+     * runs into it
+     */
+    static checkGuardBands(entries, frameTime, add) {
+        const count = entries.length;
+        if (count < 2) return;
+        const us = TasValidator.formatTime;
+        const at = index => entries[(index + count) % count];
+
+        const scheduled = TasValidator.scheduledClasses(entries);
+
+        entries.forEach((entry, index) => {
+            const previous = at(index - 1);
+            const opened = entry.gates & ~previous.gates & scheduled;
+            if (!opened) return;
+
+            const interfering = previous.gates & ~entry.gates;
+            if (interfering) {
+                add('warning', `No guard band before this ${TasValidator.formatClasses(opened)} window: a ` +
+                    `${TasValidator.formatClasses(interfering)} frame started at the end of entry ${(index - 1 + count) % count + 1} ` +
+                    `can run into it; close ${TasValidator.formatClasses(interfering)} for at least ${us(frameTime)} before it`,
+                    { entry: index });
+                return;
+            }
+
+            // An all-closed entry in between is a guard band; check it is long enough
+            const beforeGuard = at(index - 2);
+            if (previous.gates === 0 && previous.interval < frameTime && (beforeGuard.gates & ~entry.gates)) {
+                add('warning', `Guard band of ${us(previous.interval)} before entry ${index + 1} is shorter than one ` +
+                    `frame (${us(frameTime)})`, { entry: (index - 1 + count) % count });
+            }
+        });
+    }
+
+    /**
+     * Check the preemptable classes of a port (802.1Qbu) against its
+     * schedule, which must be free of errors; returns issues as validate()
+     * does. preemptable has bit n set for a preemptable TC n, active tells
+     * whether MAC merge is enabled and minFragmentSize is in bytes.
+     *
+     * A scheduled class should be express, or the window protecting it
+     * does not keep it from being preempted. Before an express window only
+     * the tail of a preemptable frame that cannot be split off blocks the
+     * link, so its guard band needs to cover that tail, not a whole frame.
+     */
+    static checkPreemption(schedule, { preemptable, active, minFragmentSize },
+        { linkSpeed = 1000, maxFrameSize = 1522 } = {}) {
+        const issues = [];
+        const add = (severity, message, { entry = null, field = null } = {}) => {
+            issues.push({ severity, entry, field, message });
+        };
+        const { entries } = schedule;
+        const count = entries.length;
+        if (!preemptable || !active || count < 2) return issues;
+
+        const us = TasValidator.formatTime;
+        const classes = TasValidator.formatClasses;
+        const at = index => entries[(index + count) % count];
+        const frameTime = TasValidator.frameTime(maxFrameSize, linkSpeed);
+        // A frame is only split with at least minFragmentSize bytes on each side
+        const tailSize = 2 * minFragmentSize - 1;
+        const tailTime = TasValidator.frameTime(tailSize, linkSpeed);
+
+        const scheduled = TasValidator.scheduledClasses(entries);
+        const scheduledPreemptable = scheduled & preemptable;
+        if (scheduledPreemptable) {
+            const one = TasValidator.countClasses(scheduledPreemptable) === 1;
+            add('warning', `${classes(scheduledPreemptable)} ${one ? 'has its own window' : 'have their own windows'} ` +
+                `in the schedule but ${one ? 'is' : 'are'} preemptable; express traffic can still cut into ` +
+                `${one ? 'its' : 'their'} frames, make ${one ? 'it' : 'them'} express`);
+        }
+
+        entries.forEach((entry, index) => {
+            const previous = at(index - 1);
+            const opened = entry.gates & ~previous.gates & scheduled & ~preemptable;
+            if (!opened) return;
+
+            let guard = 0;
+            let interfering = previous.gates & ~entry.gates;
+            if (previous.gates === 0) {
+                guard = previous.interval;
+                interfering = at(index - 2).gates & ~entry.gates;
+            }
+            // Express classes need the full guard band validate() asks for
+            if (!interfering || (interfering & ~preemptable)) return;
+
+            if (guard < tailTime) {
+                add('warning', `The last ${tailSize} bytes of a preemptable ${classes(interfering)} frame cannot be ` +
+                    `preempted and can run ${us(tailTime)} into this ${classes(opened)} window; ` +
+                    `close ${classes(interfering)} at least ${us(tailTime)} before it`, { entry: index });
+            } else if (guard >= frameTime) {
+                add('warning', `Only preemptable classes (${classes(interfering)}) run before this ${classes(opened)} window; ` +
+                    `the ${us(guard)} guard band can shrink to ${us(tailTime)}, freeing ${us(guard - tailTime)} per cycle`,
+                    { entry: (index - 1 + count) % count });
+            }
+        });
+
+        return issues;
+    }
+
+    /**
+     * Classes whose gate is open for some but less than half of the list,
+     * the ones the schedule gives windows of their own
+     */
+    static scheduledClasses(entries) {
+        const listTime = entries.reduce((sum, entry) => sum + entry.interval, 0);
+        let scheduled = 0;
+        for (let tc = 0; tc < 8; tc++) {
+            const openTime = entries.reduce((sum, entry) => sum + ((entry.gates >> tc) & 1) * entry.interval, 0);
+            if (openTime > 0 && openTime < listTime / 2) scheduled |= 1 << tc;
+        }
+        return scheduled;
+    }
+
+    static hasErrors(issues) {
+        return issues.some(issue => issue.severity === 'error');
+    }
+
+    /**
+     * Time on the wire of one frame with preamble, SFD and inter-frame
+     * gap, in ns
+     */
+    static frameTime(maxFrameSize, linkSpeed) {
+        return (maxFrameSize + 20) * 8 * 1000 / linkSpeed;
+    }
+
+    static isUint32(value) {
+        return Number.isInteger(value) && value >= 0 && value <= 0xFFFFFFFF;
+    }
+
+    /**
+     * "TC0, TC2" for gates 0b101
+     */
+    static formatClasses(gates) {
+        const classes = [];
+        for (let tc = 0; tc < 8; tc++) {
+            if ((gates >> tc) & 1) classes.push(`TC${tc}`);
+        }
+        return classes.join(', ');
+    }
+
+    static countClasses(gates) {
+        return TasValidator.formatClasses(gates).split(', ').length;
+    }
+
+    static formatTime(ns) {
+        return `${Number((ns / 1000).toFixed(3))} μs`;
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { TasValidator };
+}
+
+if (typeof window !== 'undefined') {
+    window.TasValidator = TasValidator;
+}
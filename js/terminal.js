@@ -5,16 +5,22 @@
 
 class VelocityDriveTerminal {
     constructor() {
-        this.port = null;
+        this.transport = null;
         this.reader = null;
-        this.writer = null;
+        this.connectionDialog = new ConnectionDialog({ backend: 'webserial', baudRate: 115200 });
         this.encoder = new TextEncoder();
         this.decoder = new TextDecoder();
         this.isConnected = false;
         
         this.rxCount = 0;
         this.txCount = 0;
-        this.buffer = [];
+        this.frameDecoder = new MUP1Decoder({
+            onFrame: (frame) => this.displayMUP1Frame(frame),
+            onError: (error) => {
+                this.addLine(`⚠️ ${error.message}`, 'error');
+                this.updateCounter();
+            }
+        });
         this.commandHistory = [];
         this.historyIndex = 0;
         
@@ -26,9 +32,8 @@ class VelocityDriveTerminal {
         this.addBootMessage();
         
         // Check WebSerial support
-        if (!('serial' in navigator)) {
-            this.addLine('❌ WebSerial API not supported. Please use Chrome or Edge browser.', 'error');
-            document.getElementById('connectBtn').disabled = true;
+        if (!WebSerialTransport.isSupported()) {
+            this.addLine('⚠️ WebSerial API not supported in this browser; connect through a WebSocket bridge instead.', 'error');
         }
     }
 
@@ -92,29 +97,32 @@ class VelocityDriveTerminal {
 
     async connect() {
         try {
-            const baudRate = parseInt(document.getElementById('baudRate').value);
-            
-            // Request port
-            this.port = await navigator.serial.requestPort();
-            
-            // Open port
-            await this.port.open({
-                baudRate: baudRate,
+            const transport = await this.connectionDialog.show({
+                baudRate: parseInt(document.getElementById('baudRate').value),
                 dataBits: parseInt(document.getElementById('dataBits')?.value || 8),
                 stopBits: parseInt(document.getElementById('stopBits')?.value || 1),
                 parity: document.getElementById('parity')?.value || 'none',
-                bufferSize: 4096,
-                flowControl: 'none'
+                bufferSize: 4096
             });
+            if (!transport) return;
+            if (transport.baudRate) {
+                document.getElementById('baudRate').value = transport.baudRate;
+            }
+
+            await transport.open();
+            transport.on('close', () => this.handleDisconnect());
+            this.transport = transport;
 
             this.isConnected = true;
             this.updateConnectionStatus(true);
+            this.frameDecoder.reset();
             
             // Start reading
             this.readLoop();
             
-            this.addLine(`✅ Connected at ${baudRate} baud`, 'info');
-            this.updateStatus(`Connected to ${this.port.getInfo().usbVendorId || 'Serial Port'}`);
+            const info = transport.getInfo();
+            this.addLine(`✅ Connected via ${info.description}`, 'info');
+            this.updateStatus(info.vendorId ? `Connected to USB device ${info.vendorId}` : `Connected to ${info.description}`);
             
         } catch (error) {
             this.addLine(`❌ Connection failed: ${error.message}`, 'error');
@@ -124,56 +132,42 @@ class VelocityDriveTerminal {
 
     async disconnect() {
         try {
-            // Release writer first
-            if (this.writer) {
-                try {
-                    await this.writer.releaseLock();
-                } catch (e) {}
-                this.writer = null;
+            if (this.transport) {
+                await this.transport.close();
             }
-            
-            if (this.reader) {
-                await this.reader.cancel();
-                this.reader = null;
-            }
-            
-            if (this.port) {
-                await this.port.close();
-                this.port = null;
-            }
-            
-            this.isConnected = false;
-            this.updateConnectionStatus(false);
-            
-            this.addLine('🔌 Disconnected', 'info');
-            this.updateStatus('Disconnected');
-            
         } catch (error) {
             this.addLine(`❌ Disconnect error: ${error.message}`, 'error');
+        } finally {
+            this.handleDisconnect();
         }
     }
 
+    handleDisconnect() {
+        if (!this.transport) return;
+
+        this.transport = null;
+        this.isConnected = false;
+        this.updateConnectionStatus(false);
+        
+        this.addLine('🔌 Disconnected', 'info');
+        this.updateStatus('Disconnected');
+    }
+
     async readLoop() {
-        while (this.port && this.port.readable) {
-            this.reader = this.port.readable.getReader();
-            
-            try {
-                while (true) {
-                    const { value, done } = await this.reader.read();
-                    if (done) break;
-                    
-                    this.handleIncomingData(value);
-                }
-            } catch (error) {
-                if (error.name !== 'NetworkError') {
-                    this.addLine(`❌ Read error: ${error.message}`, 'error');
-                }
-            } finally {
-                if (this.reader) {
-                    this.reader.releaseLock();
-                    this.reader = null;
-                }
+        this.reader = this.transport.readable.getReader();
+        
+        try {
+            while (true) {
+                const { value, done } = await this.reader.read();
+                if (done) break;
+                
+                this.handleIncomingData(value);
             }
+        } catch (error) {
+            this.addLine(`❌ Read error: ${error.message}`, 'error');
+        } finally {
+            this.reader.releaseLock();
+            this.reader = null;
         }
     }
 
@@ -181,12 +175,9 @@ class VelocityDriveTerminal {
         this.rxCount += data.length;
         this.updateCounter();
         
-        // Add to buffer for MUP1 parsing
-        this.buffer.push(...data);
-        
-        // Try to parse MUP1 frames if enabled
+        // Decode MUP1 frames if enabled
         if (document.getElementById('parseMUP1')?.checked) {
-            this.parseMUP1Frames();
+            this.frameDecoder.push(data);
         }
         
         // Display raw data
@@ -206,77 +197,9 @@ class VelocityDriveTerminal {
         }
     }
 
-    parseMUP1Frames() {
-        const SOF = 0x3E; // '>'
-        const EOF = 0x3C; // '<'
-        
-        while (this.buffer.length > 0) {
-            // Look for start of frame
-            const startIdx = this.buffer.indexOf(SOF);
-            if (startIdx === -1) {
-                // No frame start, display as text
-                const text = this.decoder.decode(new Uint8Array(this.buffer));
-                if (text.trim()) {
-                    this.addLine(text, 'rx', false);
-                }
-                this.buffer = [];
-                break;
-            }
-            
-            // Display data before frame
-            if (startIdx > 0) {
-                const preData = this.buffer.slice(0, startIdx);
-                const text = this.decoder.decode(new Uint8Array(preData));
-                if (text.trim()) {
-                    this.addLine(text, 'rx', false);
-                }
-                this.buffer = this.buffer.slice(startIdx);
-            }
-            
-            // Look for end of frame
-            let eofIdx = -1;
-            for (let i = 1; i < this.buffer.length; i++) {
-                if (this.buffer[i] === EOF) {
-                    // Check for double EOF or single with checksum
-                    if (i + 5 < this.buffer.length) {
-                        // Might have checksum
-                        eofIdx = i;
-                        break;
-                    } else if (i + 1 < this.buffer.length && this.buffer[i + 1] === EOF) {
-                        // Double EOF
-                        if (i + 6 < this.buffer.length) {
-                            eofIdx = i + 1;
-                            break;
-                        }
-                    }
-                }
-            }
-            
-            if (eofIdx === -1) {
-                // Incomplete frame, wait for more data
-                break;
-            }
-            
-            // Extract frame
-            const frameEnd = eofIdx + 5; // Include checksum
-            if (frameEnd <= this.buffer.length) {
-                const frame = this.buffer.slice(0, frameEnd);
-                this.displayMUP1Frame(frame);
-                this.buffer = this.buffer.slice(frameEnd);
-            } else {
-                // Wait for complete checksum
-                break;
-            }
-        }
-    }
-
     displayMUP1Frame(frame) {
-        const type = String.fromCharCode(frame[1]);
-        let dataEnd = frame.indexOf(0x3C, 2);
-        if (dataEnd === -1) dataEnd = frame.length - 4;
-        
-        const data = frame.slice(2, dataEnd);
-        const text = this.decoder.decode(new Uint8Array(data));
+        const type = frame.type;
+        const text = frame.text;
         
         // Format based on type
         let display = '';
@@ -289,6 +212,7 @@ class VelocityDriveTerminal {
                 break;
             case 'P': // Pong response
                 display = `[PONG] ${text}`;
+                this.frameDecoder.setMaxFrameSize(parseInt(text.split(' ')[2], 10));
                 break;
             case 'C': // CoAP response
                 display = `[COAP] Response received`;
@@ -332,17 +256,6 @@ class VelocityDriveTerminal {
 
     async sendData(text) {
         try {
-            // Check if writer is already in use
-            if (this.writer && this.writer.locked) {
-                await this.writer.releaseLock();
-                this.writer = null;
-            }
-            
-            // Get a new writer
-            if (!this.writer) {
-                this.writer = this.port.writable.getWriter();
-            }
-            
             // Add line ending
             const lineEnding = document.getElementById('lineEnding')?.value || 'crlf';
             let ending = '';
@@ -353,23 +266,13 @@ class VelocityDriveTerminal {
             }
             
             const data = this.encoder.encode(text + ending);
-            await this.writer.write(data);
-            
-            // Keep writer for reuse instead of releasing immediately
-            // writer.releaseLock();
+            await this.transport.write(data);
             
             this.txCount += data.length;
             this.updateCounter();
             
         } catch (error) {
             this.addLine(`❌ Send error: ${error.message}`, 'error');
-            // Try to release lock on error
-            if (this.writer) {
-                try {
-                    this.writer.releaseLock();
-                } catch (e) {}
-                this.writer = null;
-            }
         }
     }
 
@@ -448,7 +351,13 @@ class VelocityDriveTerminal {
     }
 
     updateCounter() {
-        document.getElementById('rxTxCounter').textContent = `RX: ${this.rxCount} | TX: ${this.txCount}`;
+        const stats = this.frameDecoder.getStats();
+        let text = `RX: ${this.rxCount} | TX: ${this.txCount} | Frames: ${stats.frames}`;
+        if (stats.badChecksums || stats.oversizedFrames || stats.malformedFrames) {
+            text += ` | Bad CRC: ${stats.badChecksums} | Oversized: ${stats.oversizedFrames}` +
+                ` | Malformed: ${stats.malformedFrames}`;
+        }
+        document.getElementById('rxTxCounter').textContent = text;
     }
 
     updateStatus(text) {
@@ -0,0 +1,473 @@
+/**
+ * Transport Layer
+ * Byte-stream back-ends for reaching a VelocityDRIVE device
+ *
+ * Every transport exposes the same interface:
+ * - open() / close()
+ * - write(bytes)
+ * - readable: ReadableStream of Uint8Array chunks, valid while open
+ * - on/off events: 'open', 'close', 'error'
+ */
+
+class Transport {
+    constructor(options = {}) {
+        this.options = options;
+        this.isOpen = false;
+        this.readable = null;
+        this.readableController = null;
+        this.listeners = {};
+    }
+
+    /**
+     * Human readable description of the connection
+     */
+    get description() {
+        return 'Transport';
+    }
+
+    /**
+     * Open the connection; resolves once data can flow
+     */
+    async open() {
+        throw new Error(`${this.constructor.name} does not implement open()`);
+    }
+
+    /**
+     * Close the connection and end the readable stream
+     */
+    async close() {
+        throw new Error(`${this.constructor.name} does not implement close()`);
+    }
+
+    /**
+     * Send raw bytes
+     */
+    async write(bytes) {
+        throw new Error(`${this.constructor.name} does not implement write()`);
+    }
+
+    /**
+     * Connection details for display
+     */
+    getInfo() {
+        return { type: 'unknown', description: this.description };
+    }
+
+    /**
+     * Create a fresh readable stream; subclasses call this from open()
+     */
+    createReadable() {
+        this.readable = new ReadableStream({
+            start: (controller) => {
+                this.readableController = controller;
+            },
+            cancel: () => {
+                this.readableController = null;
+            }
+        });
+    }
+
+    /**
+     * Queue received bytes on the readable stream
+     */
+    receive(bytes) {
+        if (!this.readableController) return;
+        const data = bytes instanceof Uint8Array ? bytes : new Uint8Array(bytes);
+        this.readableController.enqueue(data);
+    }
+
+    /**
+     * Mark the transport closed, end the readable stream and notify listeners
+     */
+    handleClosed(error = null) {
+        const wasOpen = this.isOpen;
+        this.isOpen = false;
+
+        if (this.readableController) {
+            try {
+                if (error) {
+                    this.readableController.error(error);
+                } else {
+                    this.readableController.close();
+                }
+            } catch (e) {
+                // Stream already closed by the reader
+            }
+            this.readableController = null;
+        }
+
+        if (error) {
+            this.emit('error', error);
+        }
+        if (wasOpen) {
+            this.emit('close');
+        }
+    }
+
+    /**
+     * Add event listener
+     */
+    on(event, callback) {
+        if (!this.listeners[event]) {
+            this.listeners[event] = [];
+        }
+        this.listeners[event].push(callback);
+    }
+
+    /**
+     * Remove event listener
+     */
+    off(event, callback) {
+        if (!this.listeners[event]) return;
+
+        const index = this.listeners[event].indexOf(callback);
+        if (index !== -1) {
+            this.listeners[event].splice(index, 1);
+        }
+    }
+
+    /**
+     * Emit event
+     */
+    emit(event, data) {
+        if (!this.listeners[event]) return;
+
+        this.listeners[event].forEach(callback => {
+            try {
+                callback(data);
+            } catch (error) {
+                console.error(`Error in transport listener for ${event}:`, error);
+            }
+        });
+    }
+
+    /**
+     * Register a back-end so connection dialogs can offer it
+     *
+     * definition: { label, create(options), isAvailable() }
+     */
+    static register(id, definition) {
+        Transport.backends[id] = definition;
+    }
+
+    /**
+     * Instantiate a registered back-end
+     */
+    static create(id, options = {}) {
+        const backend = Transport.backends[id];
+        if (!backend) {
+            throw new Error(`Unknown transport: ${id}`);
+        }
+        return backend.create(options);
+    }
+}
+
+Transport.backends = {};
+
+/**
+ * WebSerial back-end: a USB serial port opened from the browser
+ */
+class WebSerialTransport extends Transport {
+    constructor(options = {}) {
+        super(options);
+        this.port = options.port || null;
+        this.reader = null;
+        this.writer = null;
+        this.closing = false;
+        this.pumping = null;
+        this.baudRate = options.baudRate || 115200;
+    }
+
+    get description() {
+        return `Serial ${this.baudRate} baud`;
+    }
+
+    static isSupported() {
+        return typeof navigator !== 'undefined' && 'serial' in navigator;
+    }
+
+    async open() {
+        if (!WebSerialTransport.isSupported()) {
+            throw new Error('WebSerial API is not supported in this browser. Please use Chrome or Edge.');
+        }
+
+        if (!this.port) {
+            this.port = await navigator.serial.requestPort();
+        }
+
+        await this.port.open({
+            baudRate: this.baudRate,
+            dataBits: this.options.dataBits || 8,
+            stopBits: this.options.stopBits || 1,
+            parity: this.options.parity || 'none',
+            bufferSize: this.options.bufferSize || 4096,
+            flowControl: 'none'
+        });
+
+        this.writer = this.port.writable.getWriter();
+        this.createReadable();
+        this.isOpen = true;
+        this.pumping = this.pump();
+
+        this.emit('open', this.getInfo());
+    }
+
+    /**
+     * Copy bytes from the port into our readable stream. The port hands
+     * out a new readable after recoverable errors (framing, parity), so
+     * keep re-acquiring it until the transport is closed.
+     */
+    async pump() {
+        while (this.isOpen && !this.closing && this.port && this.port.readable) {
+            this.reader = this.port.readable.getReader();
+            try {
+                while (true) {
+                    const { value, done } = await this.reader.read();
+                    if (done) break;
+                    this.receive(value);
+                }
+            } catch (error) {
+                if (!this.closing) {
+                    this.emit('error', error);
+                }
+            } finally {
+                if (this.reader) {
+                    this.reader.releaseLock();
+                    this.reader = null;
+                }
+            }
+        }
+
+        if (this.isOpen && !this.closing) {
+            // Device went away (unplugged)
+            this.handleClosed();
+        }
+    }
+
+    async write(bytes) {
+        if (!this.isOpen || !this.writer) {
+            throw new Error('Serial port is not open');
+        }
+        await this.writer.write(bytes);
+    }
+
+    async close() {
+        if (!this.port) return;
+
+        this.closing = true;
+
+        if (this.reader) {
+            await this.reader.cancel().catch(() => {});
+        }
+        // The port can only close once the pump has released its reader
+        await this.pumping;
+
+        if (this.writer) {
+            try {
+                await this.writer.close();
+            } catch (error) {
+                this.writer.releaseLock();
+            }
+            this.writer = null;
+        }
+
+        try {
+            await this.port.close();
+        } finally {
+            this.port = null;
+            this.closing = false;
+            this.handleClosed();
+        }
+    }
+
+    getInfo() {
+        const info = this.port ? this.port.getInfo() : {};
+        return {
+            type: 'webserial',
+            description: this.description,
+            baudRate: this.baudRate,
+            vendorId: info.usbVendorId,
+            productId: info.usbProductId
+        };
+    }
+}
+
+/**
+ * WebSocket back-end: a WebSocket-to-serial bridge on a lab server
+ * (websockify, ser2net with WebSocket support, ...). Binary messages
+ * carry the raw serial byte stream in both directions.
+ */
+class WebSocketTransport extends Transport {
+    constructor(options = {}) {
+        super(options);
+        this.url = options.url || 'ws://localhost:8080/';
+        this.socket = null;
+    }
+
+    get description() {
+        return `WebSocket ${this.url}`;
+    }
+
+    static isSupported() {
+        return typeof WebSocket !== 'undefined';
+    }
+
+    open() {
+        return new Promise((resolve, reject) => {
+            let socket;
+            try {
+                socket = new WebSocket(this.url);
+            } catch (error) {
+                reject(error);
+                return;
+            }
+            socket.binaryType = 'arraybuffer';
+            this.socket = socket;
+
+            socket.onopen = () => {
+                this.createReadable();
+                this.isOpen = true;
+                this.emit('open', this.getInfo());
+                resolve();
+            };
+
+            socket.onmessage = (event) => {
+                if (typeof event.data === 'string') {
+                    this.receive(new TextEncoder().encode(event.data));
+                } else {
+                    this.receive(new Uint8Array(event.data));
+                }
+            };
+
+            socket.onerror = () => {
+                const error = new Error(`WebSocket error on ${this.url}`);
+                if (!this.isOpen) {
+                    reject(error);
+                } else {
+                    this.emit('error', error);
+                }
+            };
+
+            socket.onclose = (event) => {
+                this.socket = null;
+                if (!this.isOpen) {
+                    reject(new Error(`WebSocket closed before opening (code ${event.code})`));
+                    return;
+                }
+                this.handleClosed();
+            };
+        });
+    }
+
+    async write(bytes) {
+        if (!this.isOpen || !this.socket) {
+            throw new Error('WebSocket is not open');
+        }
+        this.socket.send(bytes);
+    }
+
+    async close() {
+        if (this.socket) {
+            this.socket.close();
+        }
+    }
+
+    getInfo() {
+        return {
+            type: 'websocket',
+            description: this.description,
+            url: this.url
+        };
+    }
+}
+
+/**
+ * In-memory back-end for tests. On its own it echoes every write back;
+ * LoopbackTransport.createPair() links two ends so that what one writes
+ * the other reads.
+ */
+class LoopbackTransport extends Transport {
+    constructor(options = {}) {
+        super(options);
+        this.peer = null;
+        this.written = [];
+    }
+
+    get description() {
+        return this.peer ? 'Loopback (paired)' : 'Loopback (echo)';
+    }
+
+    static createPair(options = {}) {
+        const a = new LoopbackTransport(options);
+        const b = new LoopbackTransport(options);
+        a.peer = b;
+        b.peer = a;
+        return [a, b];
+    }
+
+    async open() {
+        this.createReadable();
+        this.isOpen = true;
+        this.emit('open', this.getInfo());
+    }
+
+    async write(bytes) {
+        if (!this.isOpen) {
+            throw new Error('Loopback transport is not open');
+        }
+        const data = new Uint8Array(bytes);
+        this.written.push(data);
+
+        // Deliver asynchronously, like a real link
+        const target = this.peer || this;
+        setTimeout(() => target.receive(data), 0);
+    }
+
+    /**
+     * Make bytes appear on this end's readable stream
+     */
+    inject(bytes) {
+        this.receive(typeof bytes === 'string' ? new TextEncoder().encode(bytes) : bytes);
+    }
+
+    async close() {
+        this.handleClosed();
+    }
+
+    getInfo() {
+        return {
+            type: 'loopback',
+            description: this.description
+        };
+    }
+}
+
+Transport.register('webserial', {
+    label: 'USB Serial (WebSerial)',
+    create: (options) => new WebSerialTransport(options),
+    isAvailable: () => WebSerialTransport.isSupported()
+});
+
+Transport.register('websocket', {
+    label: 'WebSocket serial bridge',
+    create: (options) => new WebSocketTransport(options),
+    isAvailable: () => WebSocketTransport.isSupported()
+});
+
+Transport.register('loopback', {
+    label: 'Loopback (echo, for testing)',
+    create: (options) => new LoopbackTransport(options),
+    isAvailable: () => true
+});
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { Transport, WebSerialTransport, WebSocketTransport, LoopbackTransport };
+}
+
+if (typeof window !== 'undefined') {
+    window.Transport = Transport;
+    window.WebSerialTransport = WebSerialTransport;
+    window.WebSocketTransport = WebSocketTransport;
+    window.LoopbackTransport = LoopbackTransport;
+}
@@ -6,8 +6,23 @@
 class TSNConfigurator {
     constructor() {
         this.isConnected = false;
-        this.port = null;
-        this.serialHandler = null;
+        this.serialHandler = new SerialHandler();
+        this.connectionDialog = new ConnectionDialog({ backend: 'webserial', baudRate: 115200 });
+        this.coapClient = new CoAPClient();
+        this.coreconf = new CoreconfCodec();
+        this.sidStore = new SidRegistryStore();
+        this.sidVersion = null;
+        this.yamlParser = new YAMLParser();
+        this.snapshotStore = new ConfigSnapshotStore();
+        this.gclTimeline = null;
+        this.ptpStatus = new PtpStatus();
+        this.ptpSubscription = null;
+        this.ptpPollTimer = null;
+        // Set while the Observe registration is pending; stopping clears it
+        // and a registration that completes after that is cancelled
+        this.ptpMonitorStart = null;
+        // Once a TAS apply has shown validation issues, keep them current
+        this.tasValidated = false;
         this.currentConfig = {};
         
         this.init();
@@ -15,19 +30,79 @@ class TSNConfigurator {
 
     init() {
         this.setupEventListeners();
+        this.setupSerialHandlers();
+        this.setupGclTimeline();
+        this.setupPtpForm();
+        this.setupPreemptionForm();
         this.loadDefaultValues();
         this.checkWebSerialSupport();
+        this.refreshSnapshots();
     }
 
     checkWebSerialSupport() {
-        if (!('serial' in navigator)) {
-            this.log('WebSerial API not supported. Please use Chrome or Edge browser.', 'error');
-            document.getElementById('connectBtn').disabled = true;
+        if (!this.serialHandler.isSupported()) {
+            this.log('WebSerial API not supported; use a WebSocket bridge or the simulator to connect.', 'error');
             return false;
         }
         return true;
     }
 
+    setupSerialHandlers() {
+        this.coapClient.setSender((bytes) => this.serialHandler.sendCoAP(bytes));
+
+        this.serialHandler.on('connect', (info) => {
+            this.isConnected = true;
+            this.updateConnectionStatus(true);
+            this.log(`Connected via ${info.description}`, 'success');
+            document.getElementById('fetchConfigBtn').disabled = false;
+        });
+
+        this.serialHandler.on('disconnect', () => {
+            this.isConnected = false;
+            this.updateConnectionStatus(false);
+            this.log('Disconnected from device', 'info');
+            this.stopPtpMonitor();
+            this.coapClient.cancelAll(new Error('Disconnected from device'));
+            this.coapClient.setMaxMessageSize(null);
+            document.getElementById('fetchConfigBtn').disabled = true;
+            document.getElementById('deviceInfo').textContent = '';
+        });
+
+        this.serialHandler.on('device-info', (info) => {
+            document.getElementById('deviceInfo').textContent = info.version;
+            this.log(`Device: ${info.version} (MUP1 max ${info.maxSize} bytes)`, 'info');
+            this.coapClient.setMaxMessageSize(info.maxSize);
+            if (info.version && info.version !== this.sidVersion) {
+                this.restoreSidRegistry(info.version);
+            }
+        });
+
+        this.serialHandler.on('coap-response', (data) => {
+            this.coapClient.handleMessage(data);
+        });
+
+        this.serialHandler.on('error', (error) => {
+            this.log(`Error: ${error.message}`, 'error');
+        });
+    }
+
+    /**
+     * Use the SID files the main page cached for this firmware version,
+     * or the built-in SIDs
+     */
+    async restoreSidRegistry(version) {
+        this.sidVersion = version;
+        let registry = null;
+        if (SidRegistryStore.isSupported()) {
+            try {
+                registry = await this.sidStore.load(version, CoreconfCodec.BUILTIN_SIDS);
+            } catch (error) {
+                this.log(`Could not read cached SID files: ${error.message}`, 'error');
+            }
+        }
+        this.coreconf = new CoreconfCodec(registry || new SidRegistry(CoreconfCodec.BUILTIN_SIDS));
+    }
+
     setupEventListeners() {
         // Tab switching
         document.querySelectorAll('.tab').forEach(tab => {
@@ -46,12 +121,57 @@ class TSNConfigurator {
             this.fetchCurrentConfig();
         });
 
+        // Fetched CBS and TAS settings are per port; show the selected one
+        document.getElementById('cbsPort')?.addEventListener('change', () => {
+            if (this.currentConfig.ports) this.populateCbsForm();
+        });
+        document.getElementById('tasPort')?.addEventListener('change', () => {
+            if (this.currentConfig.ports) this.populateTasForm();
+        });
+
+        document.getElementById('snapshotFile')?.addEventListener('change', (e) => {
+            this.importSnapshots(e.target.files[0]);
+            e.target.value = '';
+        });
+
         // Gate states binary input helper
         document.addEventListener('input', (e) => {
             if (e.target.classList.contains('gcl-gates')) {
                 this.updateTcDisplay(e.target);
             }
+            if (e.target.matches('.gcl-time, .gcl-gates, #cycleTime, #cycleTimeExtension, #baseTime, #gateEnabled, #tasLinkSpeed')) {
+                this.refreshTasView();
+            }
+        });
+    }
+
+    /**
+     * Draw the GCL rows as a timeline and keep it in step with them; rows
+     * are added and removed in many places, so watch the list instead
+     */
+    setupGclTimeline() {
+        const container = document.getElementById('gclTimeline');
+        if (!container) return;
+
+        this.gclTimeline = new GclTimeline(container, {
+            onGatesChange: (index, gates) => this.setGclEntry(index, { gates }),
+            onTimeChange: (index, time) => this.setGclEntry(index, { time })
         });
+        new MutationObserver(() => this.refreshTasView())
+            .observe(document.getElementById('gclEntries'), { childList: true });
+        this.refreshTasView();
+    }
+
+    /**
+     * Redraw the timeline and, once shown, the validation issues
+     */
+    refreshTasView() {
+        if (this.gclTimeline) {
+            this.gclTimeline.render(this.getGclEntries(), Number(document.getElementById('cycleTime').value));
+        }
+        if (this.tasValidated) {
+            this.validateTasSchedule();
+        }
     }
 
     switchTab(tabName) {
@@ -72,21 +192,20 @@ class TSNConfigurator {
 
     async connect() {
         try {
-            // For now, simulate connection
-            this.isConnected = true;
-            this.updateConnectionStatus(true);
-            this.log('Connected to device (simulation mode)', 'success');
-            document.getElementById('fetchConfigBtn').disabled = false;
+            const transport = await this.connectionDialog.show();
+            if (!transport) return;
+            await this.serialHandler.connect(transport);
         } catch (error) {
             this.log(`Connection failed: ${error.message}`, 'error');
         }
     }
 
     async disconnect() {
-        this.isConnected = false;
-        this.updateConnectionStatus(false);
-        this.log('Disconnected from device', 'info');
-        document.getElementById('fetchConfigBtn').disabled = true;
+        try {
+            await this.serialHandler.disconnect();
+        } catch (error) {
+            // Already logged through the 'error' event
+        }
     }
 
     updateConnectionStatus(connected) {
@@ -107,6 +226,9 @@ class TSNConfigurator {
 
     loadDefaultValues() {
         // Load default values from the test scenario
+
+        // A base time in the past is rejected; start a minute from now
+        document.getElementById('baseTime').value = Math.floor(Date.now() / 1000) + 60;
     }
 
     log(message, type = 'info') {
@@ -205,10 +327,153 @@ class TSNConfigurator {
         return yaml;
     }
 
+    // CBS calculator (802.1Q Annex L)
+    /**
+     * Shaper settings of each SR class from its stream reservations.
+     * streams: [{ srClass: 'A' | 'B', frameSize, framesPerInterval }] with
+     * frameSize the Ethernet frame in bytes (tag and FCS included) and
+     * framesPerInterval per class measurement interval; linkSpeed in Mbit/s,
+     * maxInterferenceSize the largest lower-priority frame in bytes.
+     * Returns { classes: [{ srClass, tc, idleSlope, sendSlope, hiCredit,
+     * loCredit }], totalIdleSlope, reservable, warnings } with slopes in
+     * kbit/s, as the CBS form takes them, and credits in bits; a class
+     * without streams has idleSlope 0 and the rest null.
+     */
+    static calculateCbs(streams, { linkSpeed = 1000, maxInterferenceSize = 1522 } = {}) {
+        const portRate = linkSpeed * 1000;
+        // Preamble, SFD and inter-frame gap occupy the wire too
+        const wireBits = bytes => (bytes + 20) * 8;
+
+        const classes = Object.entries(TSNConfigurator.SR_CLASSES).map(([srClass, { tc, interval }]) => {
+            const reserved = streams.filter(stream => stream.srClass === srClass);
+            const bits = reserved.reduce((sum, stream) => sum + wireBits(stream.frameSize) * stream.framesPerInterval, 0);
+            // bits per μs are Mbit/s
+            const idleSlope = Math.ceil(bits * 1000 / interval);
+            const maxFrame = reserved.length > 0 ? wireBits(Math.max(...reserved.map(stream => stream.frameSize))) : 0;
+            return { srClass, tc, idleSlope, sendSlope: idleSlope - portRate, maxFrame };
+        });
+
+        const warnings = [];
+        const totalIdleSlope = classes.reduce((sum, cls) => sum + cls.idleSlope, 0);
+        const reservable = portRate * 0.75;
+        if (totalIdleSlope > reservable) {
+            warnings.push(`SR classes reserve ${totalIdleSlope} kb/s, more than the 75% of the ` +
+                `${linkSpeed} Mb/s link (${reservable} kb/s) that may be reserved`);
+        }
+
+        // Class A waits at most for one interfering frame; class B also for
+        // a class A frame, while class A's idle slope is taken from the link
+        const [classA, classB] = classes;
+        const interference = wireBits(maxInterferenceSize);
+        const hiCredit = {
+            A: interference * classA.idleSlope / portRate,
+            B: classA.idleSlope < portRate
+                ? classB.idleSlope * (interference / (portRate - classA.idleSlope) + classA.maxFrame / portRate)
+                : null
+        };
+
+        return {
+            classes: classes.map(({ srClass, tc, idleSlope, sendSlope, maxFrame }) => {
+                const reserved = idleSlope > 0;
+                return {
+                    srClass,
+                    tc,
+                    idleSlope,
+                    sendSlope: reserved ? sendSlope : null,
+                    hiCredit: reserved && hiCredit[srClass] !== null ? Math.ceil(hiCredit[srClass]) : null,
+                    loCredit: reserved ? Math.floor(maxFrame * sendSlope / portRate) : null
+                };
+            }),
+            totalIdleSlope,
+            reservable,
+            warnings
+        };
+    }
+
+    getCbsStreams() {
+        return [...document.querySelectorAll('.cbs-stream')].map(row => ({
+            srClass: row.querySelector('.cbs-stream-class').value,
+            frameSize: Number(row.querySelector('.cbs-stream-size').value),
+            framesPerInterval: Number(row.querySelector('.cbs-stream-frames').value)
+        }));
+    }
+
+    addCbsStream() {
+        const row = document.createElement('div');
+        row.className = 'cbs-stream form-grid';
+        row.innerHTML = `
+            <div class="form-group">
+                <label>SR Class</label>
+                <select class="cbs-stream-class">
+                    <option value="A">A (TC6)</option>
+                    <option value="B">B (TC5)</option>
+                </select>
+            </div>
+            <div class="form-group">
+                <label>Frame Size (bytes)</label>
+                <input type="number" class="cbs-stream-size" value="256" min="64">
+            </div>
+            <div class="form-group">
+                <label>Frames per Interval</label>
+                <input type="number" class="cbs-stream-frames" value="1" min="1">
+            </div>
+            <div class="form-group">
+                <label>&nbsp;</label>
+                <button class="btn-danger" onclick="removeCbsStream(this)">Remove</button>
+            </div>
+        `;
+        document.getElementById('cbsStreams').appendChild(row);
+    }
+
+    /**
+     * Fill the SR class shaper fields from the stream reservations
+     */
+    runCbsCalculator() {
+        const output = document.getElementById('cbsCalcResult');
+        output.innerHTML = '';
+        const show = (text, severity = null) => {
+            const line = document.createElement('div');
+            line.className = severity ? `validation-issue validation-${severity}` : 'validation-issue';
+            line.textContent = text;
+            output.appendChild(line);
+        };
+
+        const streams = this.getCbsStreams();
+        const invalid = streams.findIndex(stream =>
+            !(Number.isInteger(stream.frameSize) && stream.frameSize > 0) ||
+            !(Number.isInteger(stream.framesPerInterval) && stream.framesPerInterval > 0));
+        if (invalid !== -1) {
+            show(`Stream ${invalid + 1}: frame size and frames per interval must be positive whole numbers`, 'error');
+            return null;
+        }
+
+        const result = TSNConfigurator.calculateCbs(streams, {
+            linkSpeed: Number(document.getElementById('cbsLinkSpeed').value),
+            maxInterferenceSize: Number(document.getElementById('cbsMaxFrame').value)
+        });
+
+        for (const cls of result.classes) {
+            document.getElementById(`tc${cls.tc}_idle`).value = cls.idleSlope;
+            document.getElementById(`tc${cls.tc}_send`).value = cls.sendSlope ?? '';
+            document.getElementById(`tc${cls.tc}_hicredit`).value = cls.hiCredit ?? '';
+            document.getElementById(`tc${cls.tc}_locredit`).value = cls.loCredit ?? '';
+            show(cls.idleSlope > 0
+                ? `SR Class ${cls.srClass} (TC${cls.tc}): idle slope ${cls.idleSlope} kb/s, send slope ${cls.sendSlope} kb/s, ` +
+                  `hiCredit ${cls.hiCredit ?? '-'} bits, loCredit ${cls.loCredit} bits`
+                : `SR Class ${cls.srClass} (TC${cls.tc}): no streams reserved`);
+        }
+        result.warnings.forEach(warning => show(warning, 'warning'));
+
+        this.log(`CBS calculated: ${result.totalIdleSlope} of ${result.reservable} kb/s reservable in use`,
+            result.warnings.length > 0 ? 'info' : 'success');
+        return result;
+    }
+
     // TAS Configuration
     generateTasYaml() {
         const port = document.getElementById('tasPort').value;
-        const cycleTime = document.getElementById('cycleTime').value;
+        // The ns values checkTasSchedule validates
+        const { cycleTime, cycleTimeExtension, entries } = this.getTasSchedule();
         const baseTime = document.getElementById('baseTime').value;
         const gateEnabled = document.getElementById('gateEnabled').value;
 
@@ -223,18 +488,17 @@ class TSNConfigurator {
         yaml += `- ? "/ietf-interfaces:interfaces/interface[name='${port}']/ieee802-dot1q-bridge:bridge-port/ieee802-dot1q-sched-bridge:gate-parameter-table/admin-control-list/gate-control-entry"\n`;
         yaml += `  :\n`;
 
-        const gclEntries = document.querySelectorAll('.gcl-entry');
-        gclEntries.forEach((entry, index) => {
-            const time = entry.querySelector('.gcl-time').value;
-            const gates = entry.querySelector('.gcl-gates').value;
-            const gateValue = parseInt(gates, 2); // Convert binary to decimal
-
+        entries.forEach((entry, index) => {
             yaml += `    - index: ${index + 1}\n`;
             yaml += `      operation-name: ieee802-dot1q-sched:set-gate-states\n`;
-            yaml += `      time-interval-value: ${time}000\n`; // Convert to nanoseconds
-            yaml += `      gate-states-value: ${gateValue}\n`;
+            yaml += `      time-interval-value: ${entry.interval}\n`;
+            yaml += `      gate-states-value: ${entry.gates}\n`;
         });
 
+        yaml += `\n# Cycle time extension\n`;
+        yaml += `- ? "/ietf-interfaces:interfaces/interface[name='${port}']/ieee802-dot1q-bridge:bridge-port/ieee802-dot1q-sched-bridge:gate-parameter-table/admin-cycle-time-extension"\n`;
+        yaml += `  : ${cycleTimeExtension}\n`;
+
         yaml += `\n# Base time\n`;
         yaml += `- ? "/ietf-interfaces:interfaces/interface[name='${port}']/ieee802-dot1q-bridge:bridge-port/ieee802-dot1q-sched-bridge:gate-parameter-table/admin-base-time/seconds"\n`;
         yaml += `  : "${baseTime}"\n`;
@@ -243,7 +507,7 @@ class TSNConfigurator {
 
         yaml += `# Cycle time\n`;
         yaml += `- ? "/ietf-interfaces:interfaces/interface[name='${port}']/ieee802-dot1q-bridge:bridge-port/ieee802-dot1q-sched-bridge:gate-parameter-table/admin-cycle-time/numerator"\n`;
-        yaml += `  : ${cycleTime}000\n`;
+        yaml += `  : ${cycleTime}\n`;
         yaml += `- ? "/ietf-interfaces:interfaces/interface[name='${port}']/ieee802-dot1q-bridge:bridge-port/ieee802-dot1q-sched-bridge:gate-parameter-table/admin-cycle-time/denominator"\n`;
         yaml += `  : 1000000000\n`;
 
@@ -287,156 +551,1382 @@ class TSNConfigurator {
         return yaml;
     }
 
-    // Generate full YAML configuration
-    generateFullYaml() {
-        let fullYaml = '# VelocityDRIVE LAN9662 TSN Configuration\n';
-        fullYaml += '# Generated: ' + new Date().toISOString() + '\n\n';
-        
-        fullYaml += this.generateVlanYaml() + '\n';
-        fullYaml += this.generatePcpYaml() + '\n';
-        fullYaml += this.generateCbsYaml() + '\n';
-        fullYaml += this.generateTasYaml() + '\n';
+    // PSFP Configuration
+    addStreamFilter() {
+        const filters = document.getElementById('psfpFilters');
+        const entry = document.createElement('div');
+        entry.className = 'psfp-entry psfp-filter';
+        entry.innerHTML = `
+            <div class="psfp-entry-header">
+                <span>Stream Filter</span>
+                <button class="btn-danger" onclick="removePsfpEntry(this)">Remove</button>
+            </div>
+            <div class="form-grid">
+                <div class="form-group">
+                    <label>Filter ID</label>
+                    <input type="number" class="psfp-filter-id" value="${this.nextEntryId('.psfp-filter-id')}" min="0">
+                </div>
+                <div class="form-group">
+                    <label>Stream Handle</label>
+                    <input type="number" class="psfp-filter-handle" value="1" min="0">
+                </div>
+                <div class="form-group">
+                    <label>Priority</label>
+                    <select class="psfp-filter-priority">
+                        <option value="">Any</option>
+                        ${[0, 1, 2, 3, 4, 5, 6, 7].map(p => `<option value="${p}">${p}</option>`).join('')}
+                    </select>
+                </div>
+                <div class="form-group">
+                    <label>Max SDU Size (bytes)</label>
+                    <input type="number" class="psfp-filter-maxsdu" value="" placeholder="No limit" min="0">
+                </div>
+                <div class="form-group">
+                    <label>Block Stream on Oversize Frame</label>
+                    <select class="psfp-filter-block">
+                        <option value="false">Disabled</option>
+                        <option value="true">Enabled</option>
+                    </select>
+                </div>
+                <div class="form-group">
+                    <label>Stream Gate ID</label>
+                    <input type="number" class="psfp-filter-gate" value="1" min="0">
+                </div>
+                <div class="form-group">
+                    <label>Flow Meter ID</label>
+                    <input type="number" class="psfp-filter-meter" value="" placeholder="None" min="0">
+                </div>
+            </div>
+            <div class="validation-issues"></div>
+        `;
+        filters.appendChild(entry);
+        return entry;
+    }
 
-        document.getElementById('yamlOutput').textContent = fullYaml;
-        this.log('YAML configuration generated', 'success');
-        return fullYaml;
+    addStreamGate() {
+        const gates = document.getElementById('psfpGates');
+        const entry = document.createElement('div');
+        entry.className = 'psfp-entry psfp-gate';
+        entry.innerHTML = `
+            <div class="psfp-entry-header">
+                <span>Stream Gate</span>
+                <button class="btn-danger" onclick="removePsfpEntry(this)">Remove</button>
+            </div>
+            <div class="form-grid">
+                <div class="form-group">
+                    <label>Gate ID</label>
+                    <input type="number" class="psfp-gate-id" value="${this.nextEntryId('.psfp-gate-id')}" min="0">
+                </div>
+                <div class="form-group">
+                    <label>Gate Enabled</label>
+                    <select class="psfp-gate-enabled">
+                        <option value="true">Enabled</option>
+                        <option value="false">Disabled</option>
+                    </select>
+                </div>
+                <div class="form-group">
+                    <label>Initial Gate State</label>
+                    <select class="psfp-gate-state">
+                        <option value="open">Open</option>
+                        <option value="closed">Closed</option>
+                    </select>
+                </div>
+                <div class="form-group">
+                    <label>Cycle Time (μs)</label>
+                    <input type="number" class="psfp-gate-cycle" value="1000">
+                </div>
+                <div class="form-group">
+                    <label>Base Time (seconds)</label>
+                    <input type="number" class="psfp-gate-base" value="0">
+                </div>
+            </div>
+            <div class="psfp-gcl"></div>
+            <div class="validation-issues"></div>
+            <div class="btn-group">
+                <button class="btn-secondary" onclick="addStreamGateEntry(this)">Add Gate Entry</button>
+            </div>
+        `;
+        gates.appendChild(entry);
+        this.addStreamGateEntry(entry);
+        return entry;
     }
 
-    // Helper functions for GCL
-    addGclEntry() {
-        const container = document.getElementById('gclEntries');
-        const count = container.children.length + 1;
-        
+    addStreamGateEntry(gate) {
+        const row = document.createElement('div');
+        row.className = 'psfp-gcl-entry form-grid';
+        row.innerHTML = `
+            <div class="form-group">
+                <label>Time Interval (μs)</label>
+                <input type="number" class="psfp-gcl-time" value="1000">
+            </div>
+            <div class="form-group">
+                <label>Gate State</label>
+                <select class="psfp-gcl-state">
+                    <option value="open">Open</option>
+                    <option value="closed">Closed</option>
+                </select>
+            </div>
+            <div class="form-group">
+                <label>Internal Priority (IPV)</label>
+                <select class="psfp-gcl-ipv">
+                    <option value="">Unchanged</option>
+                    ${[0, 1, 2, 3, 4, 5, 6, 7].map(p => `<option value="${p}">${p}</option>`).join('')}
+                </select>
+            </div>
+            <div class="form-group">
+                <label>&nbsp;</label>
+                <button class="btn-danger" onclick="this.closest('.psfp-gcl-entry').remove()">Remove</button>
+            </div>
+        `;
+        gate.querySelector('.psfp-gcl').appendChild(row);
+        return row;
+    }
+
+    addFlowMeter() {
+        const meters = document.getElementById('psfpMeters');
         const entry = document.createElement('div');
-        entry.className = 'gcl-entry';
+        entry.className = 'psfp-entry psfp-meter';
         entry.innerHTML = `
-            <div class="gcl-entry-header">
-                <span>Entry ${count}</span>
-                <button class="btn-danger" onclick="removeGclEntry(this)">Remove</button>
+            <div class="psfp-entry-header">
+                <span>Flow Meter</span>
+                <button class="btn-danger" onclick="removePsfpEntry(this)">Remove</button>
             </div>
             <div class="form-grid">
                 <div class="form-group">
-                    <label>Time Interval (μs)</label>
-                    <input type="number" class="gcl-time" value="10000">
+                    <label>Meter ID</label>
+                    <input type="number" class="psfp-meter-id" value="${this.nextEntryId('.psfp-meter-id')}" min="0">
                 </div>
                 <div class="form-group">
-                    <label>Gate States (Binary)</label>
-                    <input type="text" class="gcl-gates" value="00000001" placeholder="e.g., 00000001 for TC0">
+                    <label>CIR (kbps)</label>
+                    <input type="number" class="psfp-meter-cir" value="10000" min="0">
                 </div>
                 <div class="form-group">
-                    <label>Traffic Classes</label>
-                    <input type="text" class="gcl-tc" value="TC0" readonly>
+                    <label>CBS (bytes)</label>
+                    <input type="number" class="psfp-meter-cbs" value="4000" min="0">
+                </div>
+                <div class="form-group">
+                    <label>EIR (kbps)</label>
+                    <input type="number" class="psfp-meter-eir" value="0" min="0">
+                </div>
+                <div class="form-group">
+                    <label>EBS (bytes)</label>
+                    <input type="number" class="psfp-meter-ebs" value="0" min="0">
+                </div>
+                <div class="form-group">
+                    <label>Colour Mode</label>
+                    <select class="psfp-meter-color">
+                        <option value="color-blind">Colour-blind</option>
+                        <option value="color-aware">Colour-aware</option>
+                    </select>
+                </div>
+                <div class="form-group">
+                    <label>Coupling Flag</label>
+                    <select class="psfp-meter-coupling">
+                        <option value="false">Off</option>
+                        <option value="true">On</option>
+                    </select>
+                </div>
+                <div class="form-group">
+                    <label>Drop on Yellow</label>
+                    <select class="psfp-meter-drop-yellow">
+                        <option value="false">Off</option>
+                        <option value="true">On</option>
+                    </select>
+                </div>
+                <div class="form-group">
+                    <label>Mark All Frames Red</label>
+                    <select class="psfp-meter-red">
+                        <option value="false">Off</option>
+                        <option value="true">On</option>
+                    </select>
                 </div>
             </div>
+            <div class="validation-issues"></div>
         `;
-        
-        container.appendChild(entry);
+        meters.appendChild(entry);
+        return entry;
     }
 
-    updateTcDisplay(input) {
-        const binary = input.value.padStart(8, '0');
-        const tcField = input.parentElement.parentElement.querySelector('.gcl-tc');
-        const activeTCs = [];
-        
-        for (let i = 0; i < 8; i++) {
-            if (binary[7 - i] === '1') {
-                activeTCs.push(`TC${i}`);
-            }
-        }
-        
-        tcField.value = activeTCs.join(', ') || 'None';
+    /**
+     * One more than the highest ID in use, so new entries don't collide
+     */
+    nextEntryId(selector) {
+        const ids = [...document.querySelectorAll(selector)].map(input => Number(input.value)).filter(Number.isInteger);
+        return ids.length > 0 ? Math.max(...ids) + 1 : 1;
     }
 
-    // Load test scenarios
-    loadCbsTestScenario1() {
-        // CBS Test Scenario 1: PC1→PC2 with complex priority mapping
-        this.log('Loading CBS Test Scenario 1 (PC1→PC2)', 'info');
-        
-        // Set VLAN configuration
-        document.getElementById('vlanId').value = '100';
-        document.getElementById('port1Mode').value = 'tagged';
-        document.getElementById('port2Mode').value = 'tagged';
-        
-        // Set idle slopes for AVB classes as per test scenario
-        // SR Class A and B (TC6 and TC5) get high bandwidth
-        document.getElementById('tc0_idle').value = '0';     // Best Effort
-        document.getElementById('tc1_idle').value = '0';     // Background
-        document.getElementById('tc2_idle').value = '10000'; // Excellent Effort
-        document.getElementById('tc3_idle').value = '20000'; // Critical Applications
-        document.getElementById('tc4_idle').value = '30000'; // Video
-        document.getElementById('tc5_idle').value = '75000'; // SR Class B (75%)
-        document.getElementById('tc6_idle').value = '75000'; // SR Class A (75%)
-        document.getElementById('tc7_idle').value = '0';     // Network Control
-        
-        // Set send slopes (negative of idle slopes for AVB classes)
-        document.getElementById('tc5_send').value = '-25000'; // SR Class B
-        document.getElementById('tc6_send').value = '-25000'; // SR Class A
-        
-        document.getElementById('cbsPort').value = '2'; // Port 2 egress
-        
-        // Set PCP mapping as per test scenario documentation
-        // PCP -> Priority mapping for ingress (Port 1)
-        const pcpToPriority = {
-            0: 1,  // BE -> Background
-            1: 0,  // BK -> Best Effort  
-            2: 2,  // EE -> Excellent Effort
-            3: 3,  // CA -> Critical Applications
-            4: 4,  // VI -> Video
-            5: 5,  // VO -> Voice (SR Class B)
-            6: 6,  // IC -> Internetwork Control (SR Class A)
-            7: 7   // NC -> Network Control
+    /**
+     * The PSFP tab as PsfpConfig settings; numbers are null when left empty
+     */
+    getPsfpConfig() {
+        const number = (element, selector) => {
+            const value = element.querySelector(selector).value.trim();
+            return value === '' ? null : Number(value);
         };
-        
-        Object.entries(pcpToPriority).forEach(([pcp, priority]) => {
-            const elem = document.getElementById(`p1_pcp${pcp}_priority`);
-            if (elem) elem.value = priority;
-        });
-        
-        // Priority -> PCP mapping for egress (Port 2)
-        const priorityToPcp = {
-            0: 1,  // Best Effort -> BK
-            1: 0,  // Background -> BE
-            2: 2,  // Excellent Effort -> EE
-            3: 3,  // Critical Applications -> CA
-            4: 4,  // Video -> VI
-            5: 5,  // Voice -> VO
-            6: 6,  // SR Class A -> IC
-            7: 7   // Network Control -> NC
+        const flag = (element, selector) => element.querySelector(selector).value === 'true';
+
+        return {
+            filters: [...document.querySelectorAll('.psfp-filter')].map(filter => ({
+                id: number(filter, '.psfp-filter-id'),
+                streamHandle: number(filter, '.psfp-filter-handle'),
+                priority: number(filter, '.psfp-filter-priority'),
+                maxSduSize: number(filter, '.psfp-filter-maxsdu'),
+                blockOversize: flag(filter, '.psfp-filter-block'),
+                gateRef: number(filter, '.psfp-filter-gate'),
+                meterRef: number(filter, '.psfp-filter-meter')
+            })),
+            gates: [...document.querySelectorAll('.psfp-gate')].map(gate => ({
+                id: number(gate, '.psfp-gate-id'),
+                enabled: flag(gate, '.psfp-gate-enabled'),
+                initialState: gate.querySelector('.psfp-gate-state').value,
+                cycleTime: number(gate, '.psfp-gate-cycle'),
+                baseTime: gate.querySelector('.psfp-gate-base').value.trim() || '0',
+                entries: [...gate.querySelectorAll('.psfp-gcl-entry')].map(row => ({
+                    time: number(row, '.psfp-gcl-time'),
+                    state: row.querySelector('.psfp-gcl-state').value,
+                    ipv: number(row, '.psfp-gcl-ipv')
+                }))
+            })),
+            meters: [...document.querySelectorAll('.psfp-meter')].map(meter => ({
+                id: number(meter, '.psfp-meter-id'),
+                cir: number(meter, '.psfp-meter-cir'),
+                cbs: number(meter, '.psfp-meter-cbs'),
+                eir: number(meter, '.psfp-meter-eir'),
+                ebs: number(meter, '.psfp-meter-ebs'),
+                colorMode: meter.querySelector('.psfp-meter-color').value,
+                coupling: flag(meter, '.psfp-meter-coupling'),
+                dropOnYellow: flag(meter, '.psfp-meter-drop-yellow'),
+                markAllRed: flag(meter, '.psfp-meter-red')
+            }))
         };
-        
-        Object.entries(priorityToPcp).forEach(([priority, pcp]) => {
-            const elem = document.getElementById(`p2_priority${priority}_pcp`);
-            if (elem) elem.value = pcp;
-        });
-        
-        this.log('CBS Test Scenario 1 loaded with AVB configuration', 'success');
     }
 
-    loadCbsTestScenario2() {
-        // CBS Test Scenario 2: PC2→PC1
-        this.log('Loading CBS Test Scenario 2 (PC2→PC1)', 'info');
-        
-        // Set idle slopes for reverse direction
-        document.getElementById('tc0_idle').value = '5000';
-        document.getElementById('tc1_idle').value = '4900';
-        document.getElementById('tc2_idle').value = '4800';
-        document.getElementById('tc3_idle').value = '4700';
-        document.getElementById('tc4_idle').value = '4600';
-        document.getElementById('tc5_idle').value = '4500';
-        document.getElementById('tc6_idle').value = '4400';
-        document.getElementById('tc7_idle').value = '4300';
-        
-        document.getElementById('cbsPort').value = '1'; // Port 1 egress
-        
-        this.log('CBS Test Scenario 2 loaded', 'success');
-    }
+    /**
+     * Rebuild the PSFP tab from a getPsfpConfig() value
+     */
+    setPsfpConfig({ filters = [], gates = [], meters = [] }) {
+        for (const id of ['psfpFilters', 'psfpGates', 'psfpMeters']) {
+            document.getElementById(id).innerHTML = '';
+        }
 
-    loadTasTestScenario() {
-        // TAS Multi-Queue Test Scenario with AVB support
-        this.log('Loading TAS Multi-Queue Test Scenario', 'info');
-        
-        document.getElementById('tasPort').value = '2';
-        document.getElementById('cycleTime').value = '1000000'; // 1ms cycle
+        for (const filter of filters) {
+            this.fillFields(this.addStreamFilter(), {
+                '.psfp-filter-id': filter.id,
+                '.psfp-filter-handle': filter.streamHandle,
+                '.psfp-filter-priority': filter.priority,
+                '.psfp-filter-maxsdu': filter.maxSduSize,
+                '.psfp-filter-block': filter.blockOversize,
+                '.psfp-filter-gate': filter.gateRef,
+                '.psfp-filter-meter': filter.meterRef
+            });
+        }
+        for (const gate of gates) {
+            const element = this.addStreamGate();
+            element.querySelector('.psfp-gcl').innerHTML = '';
+            this.fillFields(element, {
+                '.psfp-gate-id': gate.id,
+                '.psfp-gate-enabled': gate.enabled,
+                '.psfp-gate-state': gate.initialState,
+                '.psfp-gate-cycle': gate.cycleTime,
+                '.psfp-gate-base': gate.baseTime
+            });
+            for (const entry of gate.entries || []) {
+                this.fillFields(this.addStreamGateEntry(element), {
+                    '.psfp-gcl-time': entry.time,
+                    '.psfp-gcl-state': entry.state,
+                    '.psfp-gcl-ipv': entry.ipv
+                });
+            }
+        }
+        for (const meter of meters) {
+            this.fillFields(this.addFlowMeter(), {
+                '.psfp-meter-id': meter.id,
+                '.psfp-meter-cir': meter.cir,
+                '.psfp-meter-cbs': meter.cbs,
+                '.psfp-meter-eir': meter.eir,
+                '.psfp-meter-ebs': meter.ebs,
+                '.psfp-meter-color': meter.colorMode,
+                '.psfp-meter-coupling': meter.coupling,
+                '.psfp-meter-drop-yellow': meter.dropOnYellow,
+                '.psfp-meter-red': meter.markAllRed
+            });
+        }
+    }
+
+    /**
+     * Set the fields of a card, selector -> value; null leaves a field empty
+     */
+    fillFields(element, values) {
+        for (const [selector, value] of Object.entries(values)) {
+            element.querySelector(selector).value = value === null || value === undefined ? '' : String(value);
+        }
+    }
+
+    /**
+     * Validate the PSFP tab and show the issues on the entries they
+     * concern; false if errors block applying it
+     */
+    checkPsfpConfig() {
+        const issues = PsfpConfig.validate(this.getPsfpConfig());
+        return this.showEntryIssues('psfp', 'PSFP', issues, {
+            filters: document.querySelectorAll('.psfp-filter'),
+            gates: document.querySelectorAll('.psfp-gate'),
+            meters: document.querySelectorAll('.psfp-meter')
+        });
+    }
+
+    /**
+     * Show [{ severity, table, index, message }] issues on the cards of
+     * the tab with id `tab` (cards maps each table to its card elements)
+     * and log a summary; false if there are errors
+     */
+    showEntryIssues(tab, label, issues, cards) {
+        document.querySelectorAll(`#${tab} .validation-issues`).forEach(box => { box.innerHTML = ''; });
+        for (const issue of issues) {
+            const box = cards[issue.table][issue.index].querySelector(':scope > .validation-issues');
+            const line = document.createElement('div');
+            line.className = `validation-issue validation-${issue.severity}`;
+            line.textContent = issue.message;
+            box.appendChild(line);
+        }
+
+        const errors = issues.filter(issue => issue.severity === 'error');
+        if (errors.length > 0) {
+            this.log(`${label} configuration has ${errors.length} error(s); see the ${label} tab`, 'error');
+            return false;
+        }
+        if (issues.length > 0) {
+            this.log(`${label} configuration has ${issues.length} warning(s); see the ${label} tab`, 'info');
+        }
+        return true;
+    }
+
+    generatePsfpYaml() {
+        return PsfpConfig.toYaml(this.getPsfpConfig());
+    }
+
+    // FRER Configuration
+    addFrerStream() {
+        const streams = document.getElementById('frerStreams');
+        const entry = document.createElement('div');
+        entry.className = 'psfp-entry frer-stream';
+        entry.innerHTML = `
+            <div class="psfp-entry-header">
+                <span>Stream Identification</span>
+                <button class="btn-danger" onclick="removePsfpEntry(this)">Remove</button>
+            </div>
+            <div class="form-grid">
+                <div class="form-group">
+                    <label>Index</label>
+                    <input type="number" class="frer-stream-index" value="${this.nextEntryId('.frer-stream-index')}" min="0">
+                </div>
+                <div class="form-group">
+                    <label>Stream Handle</label>
+                    <input type="number" class="frer-stream-handle" value="1" min="0">
+                </div>
+                <div class="form-group">
+                    <label>Identification</label>
+                    <select class="frer-stream-type" onchange="updateFrerStreamFields(this)">
+                        <option value="null">Null (destination MAC, VLAN)</option>
+                        <option value="smac-vlan">Source MAC, VLAN</option>
+                        <option value="ip">IP (addresses, DSCP, protocol, ports)</option>
+                    </select>
+                </div>
+                <div class="form-group" data-frer-types="null ip">
+                    <label>Destination MAC</label>
+                    <input type="text" class="frer-stream-dmac" value="" placeholder="01-00-5E-00-01-01">
+                </div>
+                <div class="form-group" data-frer-types="smac-vlan">
+                    <label>Source MAC</label>
+                    <input type="text" class="frer-stream-smac" value="" placeholder="00-11-22-33-44-55">
+                </div>
+                <div class="form-group">
+                    <label>VLAN</label>
+                    <input type="number" class="frer-stream-vlan" value="" placeholder="Any" min="1" max="4094">
+                </div>
+                <div class="form-group">
+                    <label>Tagged</label>
+                    <select class="frer-stream-tagged">
+                        <option value="tagged">Tagged frames only</option>
+                        <option value="priority">Priority-tagged and untagged frames</option>
+                        <option value="all">All frames</option>
+                    </select>
+                </div>
+                <div class="form-group" data-frer-types="ip">
+                    <label>IP Source</label>
+                    <input type="text" class="frer-stream-ip-source" value="" placeholder="Any">
+                </div>
+                <div class="form-group" data-frer-types="ip">
+                    <label>IP Destination</label>
+                    <input type="text" class="frer-stream-ip-destination" value="" placeholder="192.168.1.10">
+                </div>
+                <div class="form-group" data-frer-types="ip">
+                    <label>DSCP</label>
+                    <input type="number" class="frer-stream-dscp" value="" placeholder="Any" min="0" max="63">
+                </div>
+                <div class="form-group" data-frer-types="ip">
+                    <label>Next Protocol</label>
+                    <select class="frer-stream-protocol">
+                        <option value="none">Any</option>
+                        <option value="udp">UDP</option>
+                        <option value="tcp">TCP</option>
+                        <option value="sctp">SCTP</option>
+                    </select>
+                </div>
+                <div class="form-group" data-frer-types="ip">
+                    <label>Source Port</label>
+                    <input type="number" class="frer-stream-source-port" value="" placeholder="Any" min="0" max="65535">
+                </div>
+                <div class="form-group" data-frer-types="ip">
+                    <label>Destination Port</label>
+                    <input type="number" class="frer-stream-destination-port" value="" placeholder="Any" min="0" max="65535">
+                </div>
+                <div class="form-group">
+                    <label>Ports</label>
+                    ${this.frerPortChoices(['1'])}
+                </div>
+                <div class="form-group">
+                    <label>Identify Frames</label>
+                    <select class="frer-stream-direction">
+                        <option value="input">Received on the ports</option>
+                        <option value="output">Transmitted on the ports</option>
+                    </select>
+                </div>
+            </div>
+            <div class="validation-issues"></div>
+        `;
+        streams.appendChild(entry);
+        this.updateFrerStreamFields(entry);
+        return entry;
+    }
+
+    /**
+     * Show only the match fields of the stream's identification type
+     */
+    updateFrerStreamFields(stream) {
+        const type = stream.querySelector('.frer-stream-type').value;
+        stream.querySelectorAll('[data-frer-types]').forEach(group => {
+            group.style.display = group.dataset.frerTypes.split(' ').includes(type) ? '' : 'none';
+        });
+    }
+
+    /**
+     * kind is 'generation' or 'recovery'
+     */
+    addFrerFunction(kind) {
+        const functions = document.getElementById('frerFunctions');
+        const entry = document.createElement('div');
+        entry.className = `psfp-entry frer-function frer-${kind}`;
+        const recovery = kind === 'recovery';
+        entry.innerHTML = `
+            <div class="psfp-entry-header">
+                <span>${recovery ? 'Sequence Recovery' : 'Sequence Generation'}</span>
+                <button class="btn-danger" onclick="removePsfpEntry(this)">Remove</button>
+            </div>
+            <div class="form-grid">
+                <div class="form-group">
+                    <label>Index</label>
+                    <input type="number" class="frer-function-index" value="${this.nextEntryId(`.frer-${kind} .frer-function-index`)}" min="0">
+                </div>
+                <div class="form-group">
+                    <label>Stream Handles</label>
+                    <input type="text" class="frer-function-streams" value="1" placeholder="1, 2">
+                </div>
+                <div class="form-group">
+                    <label>Ports</label>
+                    ${this.frerPortChoices(recovery ? ['2'] : ['1'])}
+                </div>
+                <div class="form-group">
+                    <label>Direction</label>
+                    <select class="frer-function-direction">
+                        <option value="false" ${recovery ? '' : 'selected'}>In-facing (frames received on the ports)</option>
+                        <option value="true" ${recovery ? 'selected' : ''}>Out-facing (frames sent on the ports)</option>
+                    </select>
+                </div>
+                ${recovery ? `
+                <div class="form-group">
+                    <label>Recovery</label>
+                    <select class="frer-function-individual">
+                        <option value="false">Sequence recovery (merged streams)</option>
+                        <option value="true">Individual recovery (per member stream)</option>
+                    </select>
+                </div>
+                <div class="form-group">
+                    <label>Algorithm</label>
+                    <select class="frer-function-algorithm">
+                        <option value="vector">Vector</option>
+                        <option value="match">Match</option>
+                    </select>
+                </div>
+                <div class="form-group">
+                    <label>History Length</label>
+                    <input type="number" class="frer-function-history" value="2" min="1">
+                </div>
+                <div class="form-group">
+                    <label>Reset Timeout (ms)</label>
+                    <input type="number" class="frer-function-timeout" value="1000" min="1">
+                </div>
+                <div class="form-group">
+                    <label>Take Frames Without Sequence Number</label>
+                    <select class="frer-function-take-no-sequence">
+                        <option value="false">Disabled</option>
+                        <option value="true">Enabled</option>
+                    </select>
+                </div>
+                <div class="form-group">
+                    <label>Latent Error Detection</label>
+                    <select class="frer-function-latent">
+                        <option value="true">Enabled</option>
+                        <option value="false">Disabled</option>
+                    </select>
+                </div>` : ''}
+            </div>
+            <div class="validation-issues"></div>
+        `;
+        functions.appendChild(entry);
+        return entry;
+    }
+
+    frerPortChoices(checked) {
+        const boxes = ['1', '2'].map(port => `
+            <label><input type="checkbox" class="frer-port" value="${port}" ${checked.includes(port) ? 'checked' : ''}> Port ${port}</label>`);
+        return `<div class="frer-ports">${boxes.join('')}</div>`;
+    }
+
+    /**
+     * The FRER tab as FrerConfig settings; optional numbers and strings
+     * are null when left empty, stream handle lists are numbers (NaN for
+     * anything that is not one)
+     */
+    getFrerConfig() {
+        const number = (element, selector) => Number(element.querySelector(selector).value);
+        const optional = (element, selector) => {
+            const value = element.querySelector(selector).value.trim();
+            return value === '' ? null : Number(value);
+        };
+        const text = (element, selector) => element.querySelector(selector).value.trim() || null;
+        const flag = (element, selector) => element.querySelector(selector).value === 'true';
+        const ports = element => [...element.querySelectorAll('.frer-port:checked')].map(box => box.value);
+        const handles = element => element.querySelector('.frer-function-streams').value
+            .split(/[\s,]+/).filter(Boolean).map(Number);
+        const sequenceFunction = element => ({
+            index: number(element, '.frer-function-index'),
+            streams: handles(element),
+            ports: ports(element),
+            outFacing: flag(element, '.frer-function-direction')
+        });
+
+        return {
+            streams: [...document.querySelectorAll('.frer-stream')].map(stream => ({
+                index: number(stream, '.frer-stream-index'),
+                handle: number(stream, '.frer-stream-handle'),
+                type: stream.querySelector('.frer-stream-type').value,
+                destinationMac: text(stream, '.frer-stream-dmac'),
+                sourceMac: text(stream, '.frer-stream-smac'),
+                vlan: optional(stream, '.frer-stream-vlan'),
+                tagged: stream.querySelector('.frer-stream-tagged').value,
+                ipSource: text(stream, '.frer-stream-ip-source'),
+                ipDestination: text(stream, '.frer-stream-ip-destination'),
+                dscp: optional(stream, '.frer-stream-dscp'),
+                nextProtocol: stream.querySelector('.frer-stream-protocol').value,
+                sourcePort: optional(stream, '.frer-stream-source-port'),
+                destinationPort: optional(stream, '.frer-stream-destination-port'),
+                ports: ports(stream),
+                direction: stream.querySelector('.frer-stream-direction').value
+            })),
+            generation: [...document.querySelectorAll('.frer-generation')].map(sequenceFunction),
+            recovery: [...document.querySelectorAll('.frer-recovery')].map(recovery => ({
+                ...sequenceFunction(recovery),
+                individual: flag(recovery, '.frer-function-individual'),
+                algorithm: recovery.querySelector('.frer-function-algorithm').value,
+                historyLength: number(recovery, '.frer-function-history'),
+                resetTimeout: number(recovery, '.frer-function-timeout'),
+                takeNoSequence: flag(recovery, '.frer-function-take-no-sequence'),
+                latentErrorDetection: flag(recovery, '.frer-function-latent')
+            }))
+        };
+    }
+
+    /**
+     * Rebuild the FRER tab from a getFrerConfig() value
+     */
+    setFrerConfig({ streams = [], generation = [], recovery = [] }) {
+        document.getElementById('frerStreams').innerHTML = '';
+        document.getElementById('frerFunctions').innerHTML = '';
+        const setPorts = (element, ports) => element.querySelectorAll('.frer-port').forEach(box => {
+            box.checked = ports.includes(box.value);
+        });
+        const sequenceFunction = (kind, fn) => {
+            const element = this.addFrerFunction(kind);
+            this.fillFields(element, {
+                '.frer-function-index': fn.index,
+                '.frer-function-streams': fn.streams.join(', '),
+                '.frer-function-direction': fn.outFacing
+            });
+            setPorts(element, fn.ports);
+            return element;
+        };
+
+        for (const stream of streams) {
+            const element = this.addFrerStream();
+            this.fillFields(element, {
+                '.frer-stream-index': stream.index,
+                '.frer-stream-handle': stream.handle,
+                '.frer-stream-type': stream.type,
+                '.frer-stream-dmac': stream.destinationMac,
+                '.frer-stream-smac': stream.sourceMac,
+                '.frer-stream-vlan': stream.vlan,
+                '.frer-stream-tagged': stream.tagged,
+                '.frer-stream-ip-source': stream.ipSource,
+                '.frer-stream-ip-destination': stream.ipDestination,
+                '.frer-stream-dscp': stream.dscp,
+                '.frer-stream-protocol': stream.nextProtocol,
+                '.frer-stream-source-port': stream.sourcePort,
+                '.frer-stream-destination-port': stream.destinationPort,
+                '.frer-stream-direction': stream.direction
+            });
+            setPorts(element, stream.ports);
+            this.updateFrerStreamFields(element);
+        }
+        for (const fn of generation) {
+            sequenceFunction('generation', fn);
+        }
+        for (const fn of recovery) {
+            this.fillFields(sequenceFunction('recovery', fn), {
+                '.frer-function-individual': fn.individual,
+                '.frer-function-algorithm': fn.algorithm,
+                '.frer-function-history': fn.historyLength,
+                '.frer-function-timeout': fn.resetTimeout,
+                '.frer-function-take-no-sequence': fn.takeNoSequence,
+                '.frer-function-latent': fn.latentErrorDetection
+            });
+        }
+    }
+
+    /**
+     * Validate the FRER tab and show the issues on the entries they
+     * concern; false if errors block applying it
+     */
+    checkFrerConfig() {
+        const issues = FrerConfig.validate(this.getFrerConfig());
+        return this.showEntryIssues('frer', 'FRER', issues, {
+            streams: document.querySelectorAll('.frer-stream'),
+            generation: document.querySelectorAll('.frer-generation'),
+            recovery: document.querySelectorAll('.frer-recovery')
+        });
+    }
+
+    generateFrerYaml() {
+        return FrerConfig.toYaml(this.getFrerConfig());
+    }
+
+    // PTP Configuration
+    setupPtpForm() {
+        document.getElementById('ptpProfile').innerHTML = Object.entries(PtpConfig.PROFILES)
+            .map(([name, profile]) => `<option value="${name}">${profile.label}</option>`).join('');
+        document.getElementById('ptpClockAccuracy').innerHTML = PtpConfig.CLOCK_ACCURACY
+            .map(({ value, label }) => `<option value="${value}">${label} (0x${value.toString(16).toUpperCase()})</option>`).join('');
+        this.setPtpSettings(PtpConfig.defaults('gptp'));
+        this.renderPtpStatus(null);
+    }
+
+    /**
+     * The PTP tab as PtpConfig settings
+     */
+    getPtpSettings() {
+        const number = id => Number(document.getElementById(id).value);
+        return {
+            profile: document.getElementById('ptpProfile').value,
+            domain: number('ptpDomain'),
+            priority1: number('ptpPriority1'),
+            priority2: number('ptpPriority2'),
+            clockClass: number('ptpClockClass'),
+            clockAccuracy: number('ptpClockAccuracy'),
+            // Entered as hex (0x436A) or decimal
+            offsetScaledLogVariance: Number(document.getElementById('ptpVariance').value.trim() || NaN),
+            ports: [...document.querySelectorAll('.ptp-port')].map(row => ({
+                port: row.dataset.port,
+                asCapable: row.querySelector('.ptp-port-as-capable').value === 'true',
+                delayMechanism: row.querySelector('.ptp-port-delay').value,
+                logSyncInterval: Number(row.querySelector('.ptp-port-sync').value),
+                logAnnounceInterval: Number(row.querySelector('.ptp-port-announce').value)
+            }))
+        };
+    }
+
+    setPtpSettings(settings) {
+        document.getElementById('ptpProfile').value = settings.profile;
+        document.getElementById('ptpDomain').value = settings.domain;
+        document.getElementById('ptpPriority1').value = settings.priority1;
+        document.getElementById('ptpPriority2').value = settings.priority2;
+        document.getElementById('ptpClockClass').value = settings.clockClass;
+        document.getElementById('ptpClockAccuracy').value = settings.clockAccuracy;
+        document.getElementById('ptpVariance').value =
+            `0x${settings.offsetScaledLogVariance.toString(16).toUpperCase().padStart(4, '0')}`;
+        for (const port of settings.ports) {
+            const row = document.querySelector(`.ptp-port[data-port="${port.port}"]`);
+            if (!row) continue;
+            row.querySelector('.ptp-port-as-capable').value = String(port.asCapable);
+            row.querySelector('.ptp-port-delay').value = port.delayMechanism;
+            row.querySelector('.ptp-port-sync').value = port.logSyncInterval;
+            row.querySelector('.ptp-port-announce').value = port.logAnnounceInterval;
+        }
+    }
+
+    loadPtpProfile() {
+        const profile = document.getElementById('ptpProfile').value;
+        this.setPtpSettings(PtpConfig.defaults(profile));
+        this.log(`PTP defaults of the ${PtpConfig.PROFILES[profile].label} profile loaded`, 'info');
+    }
+
+    /**
+     * Validate the PTP tab and show the issues on the instance and port
+     * settings; false if errors block applying it
+     */
+    checkPtpConfig() {
+        const issues = PtpConfig.validate(this.getPtpSettings()).map(issue => ({
+            severity: issue.severity,
+            table: issue.port === null ? 'instance' : 'ports',
+            index: issue.port === null ? 0 : issue.port,
+            message: issue.message
+        }));
+        return this.showEntryIssues('ptp', 'PTP', issues, {
+            instance: [document.getElementById('ptpInstance')],
+            ports: document.querySelectorAll('.ptp-port')
+        });
+    }
+
+    generatePtpYaml() {
+        const settings = this.getPtpSettings();
+
+        let yaml = `# PTP Configuration, ${PtpConfig.PROFILES[settings.profile].label}\n`;
+        yaml += `- ? "/ieee1588-ptp:ptp/instances/instance"\n`;
+        yaml += `  :\n`;
+        yaml += this.yamlParser.stringify([PtpConfig.toInstance(settings)], 4) + '\n';
+        return yaml;
+    }
+
+    /**
+     * Show the live state of the PTP instance, or placeholders for null
+     */
+    renderPtpStatus(status) {
+        const format = PtpStatus.formatNs;
+        const value = text => (text === null || text === undefined ? '-' : text);
+        const gm = status ? status.grandmaster : {};
+        const items = status ? [
+            ['Grandmaster', value(gm.identity)],
+            ['Role', status.isGrandmaster ? 'Grandmaster' : `Synchronised, ${value(status.stepsRemoved)} step(s) removed`],
+            ['GM Priority 1 / 2', `${value(gm.priority1)} / ${value(gm.priority2)}`],
+            ['GM Clock Class / Accuracy', `${value(gm.clockClass)} / ${gm.clockAccuracy === null ? '-' : PtpConfig.formatAccuracy(gm.clockAccuracy)}`],
+            ['Offset from Master', format(status.offset)],
+            ['Mean Path Delay', format(status.meanDelay)],
+            ['This Clock', value(status.clockIdentity)],
+            ['Domain', value(status.domain)]
+        ] : [['Grandmaster', '-'], ['Offset from Master', '-'], ['Mean Path Delay', '-']];
+
+        // Device values go in as text
+        const grid = document.getElementById('ptpStatusValues');
+        grid.innerHTML = '';
+        for (const [label, text] of items) {
+            const item = document.createElement('div');
+            item.className = 'ptp-status-item';
+            const name = document.createElement('label');
+            name.textContent = label;
+            const content = document.createElement('span');
+            content.textContent = text;
+            item.append(name, content);
+            grid.appendChild(item);
+        }
+        document.getElementById('ptpChart').innerHTML = this.ptpStatus.renderChart();
+
+        const table = document.getElementById('ptpPortStatus');
+        table.innerHTML = '<tr><th>Port</th><th>State</th><th>asCapable</th><th>Mean Link Delay</th></tr>';
+        for (const port of status ? status.ports : []) {
+            const row = table.insertRow();
+            const asCapable = port.asCapable === null ? '-' : port.asCapable ? 'Yes' : 'No';
+            for (const text of [port.name, value(port.state), asCapable, format(port.meanLinkDelay)]) {
+                row.insertCell().textContent = text;
+            }
+        }
+    }
+
+    updatePtpStatus(instance) {
+        if (!instance) {
+            this.renderPtpStatus(null);
+            return;
+        }
+        const status = PtpStatus.parse(instance);
+        this.ptpStatus.record(status);
+        this.renderPtpStatus(status);
+    }
+
+    /**
+     * Follow the PTP instance with CoAP Observe, or poll it if the device
+     * does not accept the registration
+     */
+    async startPtpMonitor() {
+        if (!this.isConnected) {
+            this.log('Not connected to device', 'error');
+            return;
+        }
+        this.stopPtpMonitor();
+        this.ptpStatus.clear();
+
+        const path = InstanceIdentifier.parse(PtpConfig.INSTANCE_PATH).toString();
+        const button = document.getElementById('ptpMonitorBtn');
+        const state = document.getElementById('ptpMonitorState');
+        button.textContent = 'Stop Monitoring';
+        const start = {};
+        this.ptpMonitorStart = start;
+
+        let subscription;
+        try {
+            subscription = await this.coapClient.observe('/c', {
+                method: 'FETCH',
+                payload: this.coreconf.encodeIdentifiers([path]),
+                contentFormat: this.coapClient.CONTENT_FORMAT.YANG_IDENTIFIERS_CBOR_SEQ
+            });
+        } catch (error) {
+            if (this.ptpMonitorStart !== start) return;
+            this.ptpMonitorStart = null;
+            this.log(`PTP status not observable (${error.message}); polling instead`, 'info');
+            const poll = async () => {
+                const values = await this.fetchRunning([path]);
+                if (values && this.ptpPollTimer) {
+                    this.updatePtpStatus(values.get(path));
+                }
+            };
+            this.ptpPollTimer = setInterval(poll, TSNConfigurator.PTP_POLL_INTERVAL);
+            state.textContent = `Polling every ${TSNConfigurator.PTP_POLL_INTERVAL / 1000} s`;
+            poll();
+            return;
+        }
+        if (this.ptpMonitorStart !== start) {
+            subscription.cancel();
+            return;
+        }
+
+        this.ptpMonitorStart = null;
+        this.ptpSubscription = subscription;
+        // A notification that does not decode is reported and skipped;
+        // the subscription stays up for the next one
+        const update = (response) => {
+            let match;
+            try {
+                const instances = this.coreconf.decodeInstances(response.payload);
+                match = instances.find(instance => Object.keys(instance).some(key =>
+                    InstanceIdentifier.parse(key).toString() === path));
+            } catch (error) {
+                this.log(`PTP status: ${error.message}`, 'error');
+                return;
+            }
+            this.updatePtpStatus(match ? Object.values(match)[0] : null);
+        };
+        subscription.on('notification', update);
+        subscription.on('error', (error) => this.log(`PTP status: ${error.message}`, 'error'));
+        update(subscription.response);
+        state.textContent = 'Observing the device';
+    }
+
+    stopPtpMonitor() {
+        this.ptpMonitorStart = null;
+        if (this.ptpSubscription) {
+            this.ptpSubscription.cancel();
+            this.ptpSubscription = null;
+        }
+        clearInterval(this.ptpPollTimer);
+        this.ptpPollTimer = null;
+        document.getElementById('ptpMonitorBtn').textContent = 'Start Monitoring';
+        document.getElementById('ptpMonitorState').textContent = 'Not monitoring';
+    }
+
+    togglePtpMonitor() {
+        if (this.ptpMonitorStart || this.ptpSubscription || this.ptpPollTimer) {
+            this.stopPtpMonitor();
+        } else {
+            this.startPtpMonitor();
+        }
+    }
+
+    // Frame Preemption Configuration
+    setupPreemptionForm() {
+        const select = (id, options) => `<select id="${id}">` +
+            options.map(([value, label]) => `<option value="${value}">${label}</option>`).join('') + '</select>';
+
+        document.getElementById('preemptionPorts').innerHTML = TSNConfigurator.PREEMPTION_PORTS.map(port => `
+            <div class="psfp-entry preemption-port" data-port="${port}">
+                <div class="psfp-entry-header">
+                    <span>Port ${port}</span>
+                </div>
+                <div class="form-grid">
+                    <div class="form-group">
+                        <label>MAC Merge</label>
+                        ${select(`p${port}_merge_enable`, [['false', 'Disabled'], ['true', 'Enabled']])}
+                    </div>
+                    <div class="form-group">
+                        <label>Verification</label>
+                        ${select(`p${port}_merge_verify`, [['true', 'Enabled'], ['false', 'Disabled']])}
+                    </div>
+                    <div class="form-group">
+                        <label>Verify Time (ms)</label>
+                        <input type="number" id="p${port}_verify_time" value="10" min="1" max="128">
+                    </div>
+                    <div class="form-group">
+                        <label>Minimum Fragment Size</label>
+                        ${select(`p${port}_frag_size`, [0, 1, 2, 3].map(size =>
+                            [size, `${PreemptionConfig.minFragmentSize(size)} bytes`]))}
+                    </div>
+                </div>
+                <div class="form-grid">
+                    ${[0, 1, 2, 3, 4, 5, 6, 7].map(tc => `
+                    <div class="form-group">
+                        <label>TC${tc}</label>
+                        ${select(`p${port}_tc${tc}_preemption`, [['express', 'Express'], ['preemptable', 'Preemptable']])}
+                    </div>`).join('')}
+                </div>
+                <div class="validation-issues"></div>
+            </div>`).join('');
+        this.renderPreemptionStatus(null);
+    }
+
+    /**
+     * The Preemption tab as PreemptionConfig settings
+     */
+    getPreemptionConfig() {
+        const value = id => document.getElementById(id).value;
+        return {
+            ports: TSNConfigurator.PREEMPTION_PORTS.map(port => ({
+                port,
+                preemptable: [0, 1, 2, 3, 4, 5, 6, 7].reduce((bits, tc) =>
+                    bits | (value(`p${port}_tc${tc}_preemption`) === 'preemptable' ? 1 << tc : 0), 0),
+                mergeEnable: value(`p${port}_merge_enable`) === 'true',
+                verify: value(`p${port}_merge_verify`) === 'true',
+                verifyTime: Number(value(`p${port}_verify_time`)),
+                fragSize: Number(value(`p${port}_frag_size`))
+            }))
+        };
+    }
+
+    setPreemptionConfig({ ports }) {
+        for (const settings of ports) {
+            const set = (id, value) => {
+                const field = document.getElementById(`p${settings.port}_${id}`);
+                if (field) field.value = String(value);
+            };
+            for (let tc = 0; tc < 8; tc++) {
+                set(`tc${tc}_preemption`, (settings.preemptable >> tc) & 1 ? 'preemptable' : 'express');
+            }
+            set('merge_enable', settings.mergeEnable);
+            set('merge_verify', settings.verify);
+            set('verify_time', settings.verifyTime);
+            set('frag_size', settings.fragSize);
+        }
+    }
+
+    /**
+     * Validate the Preemption tab, checking the port the TAS tab configures
+     * against its schedule too, and show the issues on the ports they
+     * concern; false if errors block applying it
+     */
+    checkPreemptionConfig() {
+        const config = this.getPreemptionConfig();
+        const issues = PreemptionConfig.validate(config);
+
+        // A schedule with errors is not sent, and a disabled one never runs
+        const index = config.ports.findIndex(port => port.port === document.getElementById('tasPort').value);
+        const schedule = this.getTasSchedule();
+        const options = { linkSpeed: Number(document.getElementById('tasLinkSpeed').value) };
+        if (index !== -1 && document.getElementById('gateEnabled').value === 'true' &&
+            !TasValidator.hasErrors(TasValidator.validate({ ...schedule, baseTime: null }, options))) {
+            const port = config.ports[index];
+            const preemption = {
+                preemptable: port.preemptable,
+                active: port.mergeEnable,
+                minFragmentSize: PreemptionConfig.minFragmentSize(port.fragSize)
+            };
+            for (const issue of TasValidator.checkPreemption(schedule, preemption, options)) {
+                issues.push({
+                    severity: issue.severity,
+                    table: 'ports',
+                    index,
+                    message: issue.entry === null ? `TAS schedule: ${issue.message}` : `TAS entry ${issue.entry + 1}: ${issue.message}`
+                });
+            }
+        }
+
+        return this.showEntryIssues('preemption', 'Preemption', issues, {
+            ports: document.querySelectorAll('.preemption-port')
+        });
+    }
+
+    generatePreemptionYaml() {
+        return PreemptionConfig.toYaml(this.getPreemptionConfig(), this.yamlParser);
+    }
+
+    /**
+     * Show the MAC merge state of the ports as the device reports it, or
+     * placeholders for null
+     */
+    renderPreemptionStatus(ports) {
+        const value = text => (text === null || text === undefined ? '-' : String(text));
+        const flag = state => (state === null || state === undefined ? '-' : state ? 'Yes' : 'No');
+        const ns = time => (time === null || time === undefined ? '-' : `${time} ns`);
+
+        const table = document.getElementById('preemptionStatus');
+        table.innerHTML = '<tr><th>Port</th><th>Verify Status</th><th>Preemption Active</th>' +
+            '<th>Preemptable</th><th>Min Fragment</th><th>Hold / Release Advance</th></tr>';
+        for (const port of ports || TSNConfigurator.PREEMPTION_PORTS.map(name => ({ port: name }))) {
+            const row = table.insertRow();
+            const fragment = port.fragSize === null || port.fragSize === undefined
+                ? '-' : `${PreemptionConfig.minFragmentSize(port.fragSize)} bytes`;
+            const preemptable = port.preemptable === undefined ? '-' : TasValidator.formatClasses(port.preemptable) || 'None';
+            for (const text of [port.port, value(port.verifyStatus), flag(port.active), preemptable, fragment,
+                `${ns(port.holdAdvance)} / ${ns(port.releaseAdvance)}`]) {
+                row.insertCell().textContent = text;
+            }
+        }
+    }
+
+    /**
+     * The frame preemption parameters and MAC merge container of a port
+     */
+    getPreemptionPaths(port) {
+        const iface = `/ietf-interfaces:interfaces/interface[name='${port}']`;
+        return {
+            preemption: InstanceIdentifier.parse(
+                `${iface}/ieee802-dot1q-bridge:bridge-port/ieee802-dot1q-preemption-bridge:frame-preemption-parameters`).toString(),
+            macMerge: InstanceIdentifier.parse(
+                `${iface}/ieee802-ethernet-interface:ethernet/ieee802-ethernet-mac-merge:mac-merge`).toString()
+        };
+    }
+
+    /**
+     * Port state from the fetched nodes of getPreemptionPaths(port)
+     */
+    static parsePreemptionStatus(port, preemption, macMerge) {
+        const control = (macMerge || {})['admin-control'] || {};
+        const status = (macMerge || {})['admin-status'] || {};
+        const number = value => (value === undefined || value === null ? null : Number(value));
+        const table = (preemption || {})['frame-preemption-status-table'];
+
+        return {
+            port,
+            preemptable: table ? table.reduce((bits, entry) =>
+                bits | (YangDatastore.localName(String(entry['frame-preemption-status'])) === 'preemptable'
+                    ? 1 << Number(entry['traffic-class']) : 0), 0) : undefined,
+            mergeEnable: control['merge-enable-tx'],
+            verify: control['verify-disable-tx'] === undefined ? undefined : !control['verify-disable-tx'],
+            verifyTime: number(control['verify-time']),
+            fragSize: number(control['frag-size']),
+            verifyStatus: status['verify-status'] ? YangDatastore.localName(String(status['verify-status'])) : null,
+            active: preemption && preemption['preemption-active'] !== undefined ? preemption['preemption-active'] === true : null,
+            holdAdvance: number((preemption || {})['hold-advance']),
+            releaseAdvance: number((preemption || {})['release-advance'])
+        };
+    }
+
+    /**
+     * Show the preemption state of the ports from fetched values (a Map
+     * holding the getPreemptionPaths() nodes); with `loadForm` the settings
+     * go into the tab as well. Returns the port states.
+     */
+    updatePreemptionStatus(values, { loadForm = false } = {}) {
+        const ports = TSNConfigurator.PREEMPTION_PORTS.map(port => {
+            const paths = this.getPreemptionPaths(port);
+            return TSNConfigurator.parsePreemptionStatus(port, values.get(paths.preemption), values.get(paths.macMerge));
+        });
+        this.renderPreemptionStatus(ports);
+
+        if (loadForm) {
+            const current = this.getPreemptionConfig().ports;
+            this.setPreemptionConfig({
+                ports: ports.map((port, index) => {
+                    const settings = { ...current[index] };
+                    for (const key of Object.keys(settings)) {
+                        if (port[key] !== undefined && port[key] !== null) settings[key] = port[key];
+                    }
+                    return settings;
+                })
+            });
+        }
+        return ports;
+    }
+
+    /**
+     * Read the preemption state of the ports; resolves to the port states
+     * or null
+     */
+    async refreshPreemptionStatus() {
+        if (!this.isConnected) {
+            this.log('Not connected to device', 'error');
+            return null;
+        }
+
+        const paths = TSNConfigurator.PREEMPTION_PORTS.map(port => this.getPreemptionPaths(port));
+        const values = await this.fetchRunning(paths.flatMap(({ preemption, macMerge }) => [preemption, macMerge]));
+        return values ? this.updatePreemptionStatus(values) : null;
+    }
+
+    // Generate full YAML configuration
+    generateFullYaml() {
+        let fullYaml = '# VelocityDRIVE LAN9662 TSN Configuration\n';
+        fullYaml += '# Generated: ' + new Date().toISOString() + '\n\n';
+        
+        fullYaml += this.generateVlanYaml() + '\n';
+        fullYaml += this.generatePcpYaml() + '\n';
+        fullYaml += this.generateCbsYaml() + '\n';
+        fullYaml += this.generateTasYaml() + '\n';
+        fullYaml += this.generatePreemptionYaml() + '\n';
+        fullYaml += this.generatePsfpYaml() + '\n';
+        fullYaml += this.generateFrerYaml() + '\n';
+        fullYaml += this.generatePtpYaml() + '\n';
+
+        document.getElementById('yamlOutput').textContent = fullYaml;
+        this.log('YAML configuration generated', 'success');
+        return fullYaml;
+    }
+
+    // Helper functions for GCL
+    /**
+     * The GCL rows as [{ time, gates }]: time in μs, gates the binary
+     * string as a number (NaN if it is not binary)
+     */
+    getGclEntries() {
+        return [...document.querySelectorAll('.gcl-entry')].map(entry => {
+            const gates = entry.querySelector('.gcl-gates').value.trim();
+            return {
+                time: Number(entry.querySelector('.gcl-time').value),
+                gates: /^[01]+$/.test(gates) ? parseInt(gates, 2) : NaN
+            };
+        });
+    }
+
+    /**
+     * The TAS form as a TasValidator schedule (ns, base time in ms); with
+     * the gates disabled the schedule never starts, so its base time is
+     * not checked. Times are entered in μs and rounded to whole ns, as
+     * generateTasYaml sends them.
+     */
+    getTasSchedule() {
+        const gateEnabled = document.getElementById('gateEnabled').value === 'true';
+        const ns = us => Math.round(us * 1000);
+        return {
+            cycleTime: ns(Number(document.getElementById('cycleTime').value)),
+            cycleTimeExtension: ns(Number(document.getElementById('cycleTimeExtension').value)),
+            baseTime: gateEnabled ? Number(document.getElementById('baseTime').value) * 1000 : null,
+            entries: this.getGclEntries().map(entry => ({ interval: ns(entry.time), gates: entry.gates }))
+        };
+    }
+
+    /**
+     * Validate the TAS form and show the issues next to the entries and
+     * fields they concern; returns the issues. Without checkBaseTime a
+     * base time in the past is let through, as for a schedule already
+     * running on the device.
+     */
+    validateTasSchedule({ checkBaseTime = true } = {}) {
+        const schedule = this.getTasSchedule();
+        if (!checkBaseTime) schedule.baseTime = null;
+        const issues = TasValidator.validate(schedule, {
+            linkSpeed: Number(document.getElementById('tasLinkSpeed').value)
+        });
+
+        const boxes = document.querySelectorAll('#tas .validation-issues');
+        boxes.forEach(box => { box.innerHTML = ''; });
+
+        const entries = document.querySelectorAll('.gcl-entry');
+        for (const issue of issues) {
+            let box = document.getElementById('tasIssues');
+            if (issue.entry !== null) {
+                box = entries[issue.entry].querySelector('.gcl-issues');
+            } else if (issue.field) {
+                const group = document.getElementById(issue.field).closest('.form-group');
+                box = group.querySelector('.validation-issues');
+                if (!box) {
+                    box = document.createElement('div');
+                    box.className = 'validation-issues';
+                    group.appendChild(box);
+                }
+            }
+            const line = document.createElement('div');
+            line.className = `validation-issue validation-${issue.severity}`;
+            line.textContent = issue.message;
+            box.appendChild(line);
+        }
+
+        this.tasValidated = true;
+        return issues;
+    }
+
+    /**
+     * Validate before a TAS apply; false if errors block it
+     */
+    checkTasSchedule(options = {}) {
+        const issues = this.validateTasSchedule(options);
+        const errors = issues.filter(issue => issue.severity === 'error');
+        if (errors.length > 0) {
+            this.log(`TAS schedule has ${errors.length} error(s); see the TAS tab`, 'error');
+            return false;
+        }
+        if (issues.length > 0) {
+            this.log(`TAS schedule has ${issues.length} warning(s); see the TAS tab`, 'info');
+        }
+        return true;
+    }
+
+    /**
+     * Change one row's time and/or gates, as the timeline does
+     */
+    setGclEntry(index, { time, gates }) {
+        const entry = document.querySelectorAll('.gcl-entry')[index];
+        if (!entry) return;
+
+        if (time !== undefined) {
+            entry.querySelector('.gcl-time').value = time;
+        }
+        if (gates !== undefined) {
+            const gatesInput = entry.querySelector('.gcl-gates');
+            gatesInput.value = gates.toString(2).padStart(8, '0');
+            this.updateTcDisplay(gatesInput);
+        }
+        this.refreshTasView();
+    }
+
+    addGclEntry() {
+        const container = document.getElementById('gclEntries');
+        const count = container.children.length + 1;
+        
+        const entry = document.createElement('div');
+        entry.className = 'gcl-entry';
+        entry.innerHTML = `
+            <div class="gcl-entry-header">
+                <span>Entry ${count}</span>
+                <button class="btn-danger" onclick="removeGclEntry(this)">Remove</button>
+            </div>
+            <div class="form-grid">
+                <div class="form-group">
+                    <label>Time Interval (μs)</label>
+                    <input type="number" class="gcl-time" value="10000">
+                </div>
+                <div class="form-group">
+                    <label>Gate States (Binary)</label>
+                    <input type="text" class="gcl-gates" value="00000001" placeholder="e.g., 00000001 for TC0">
+                </div>
+                <div class="form-group">
+                    <label>Traffic Classes</label>
+                    <input type="text" class="gcl-tc" value="TC0" readonly>
+                </div>
+            </div>
+            <div class="validation-issues gcl-issues"></div>
+        `;
+        
+        container.appendChild(entry);
+    }
+
+    updateTcDisplay(input) {
+        const binary = input.value.padStart(8, '0');
+        const tcField = input.parentElement.parentElement.querySelector('.gcl-tc');
+        const activeTCs = [];
+        
+        for (let i = 0; i < 8; i++) {
+            if (binary[7 - i] === '1') {
+                activeTCs.push(`TC${i}`);
+            }
+        }
+        
+        tcField.value = activeTCs.join(', ') || 'None';
+    }
+
+    // Load test scenarios
+    loadCbsTestScenario1() {
+        // CBS Test Scenario 1: PC1→PC2 with complex priority mapping
+        this.log('Loading CBS Test Scenario 1 (PC1→PC2)', 'info');
+        
+        // Set VLAN configuration
+        document.getElementById('vlanId').value = '100';
+        document.getElementById('port1Mode').value = 'tagged';
+        document.getElementById('port2Mode').value = 'tagged';
+        
+        // Set idle slopes for AVB classes as per test scenario
+        // SR Class A and B (TC6 and TC5) get high bandwidth
+        document.getElementById('tc0_idle').value = '0';     // Best Effort
+        document.getElementById('tc1_idle').value = '0';     // Background
+        document.getElementById('tc2_idle').value = '10000'; // Excellent Effort
+        document.getElementById('tc3_idle').value = '20000'; // Critical Applications
+        document.getElementById('tc4_idle').value = '30000'; // Video
+        document.getElementById('tc5_idle').value = '75000'; // SR Class B (75%)
+        document.getElementById('tc6_idle').value = '75000'; // SR Class A (75%)
+        document.getElementById('tc7_idle').value = '0';     // Network Control
+        
+        // Set send slopes (negative of idle slopes for AVB classes)
+        document.getElementById('tc5_send').value = '-25000'; // SR Class B
+        document.getElementById('tc6_send').value = '-25000'; // SR Class A
+        
+        document.getElementById('cbsPort').value = '2'; // Port 2 egress
+        
+        // Set PCP mapping as per test scenario documentation
+        // PCP -> Priority mapping for ingress (Port 1)
+        const pcpToPriority = {
+            0: 1,  // BE -> Background
+            1: 0,  // BK -> Best Effort  
+            2: 2,  // EE -> Excellent Effort
+            3: 3,  // CA -> Critical Applications
+            4: 4,  // VI -> Video
+            5: 5,  // VO -> Voice (SR Class B)
+            6: 6,  // IC -> Internetwork Control (SR Class A)
+            7: 7   // NC -> Network Control
+        };
+        
+        Object.entries(pcpToPriority).forEach(([pcp, priority]) => {
+            const elem = document.getElementById(`p1_pcp${pcp}_priority`);
+            if (elem) elem.value = priority;
+        });
+        
+        // Priority -> PCP mapping for egress (Port 2)
+        const priorityToPcp = {
+            0: 1,  // Best Effort -> BK
+            1: 0,  // Background -> BE
+            2: 2,  // Excellent Effort -> EE
+            3: 3,  // Critical Applications -> CA
+            4: 4,  // Video -> VI
+            5: 5,  // Voice -> VO
+            6: 6,  // SR Class A -> IC
+            7: 7   // Network Control -> NC
+        };
+        
+        Object.entries(priorityToPcp).forEach(([priority, pcp]) => {
+            const elem = document.getElementById(`p2_priority${priority}_pcp`);
+            if (elem) elem.value = pcp;
+        });
+        
+        this.log('CBS Test Scenario 1 loaded with AVB configuration', 'success');
+    }
+
+    loadCbsTestScenario2() {
+        // CBS Test Scenario 2: PC2→PC1
+        this.log('Loading CBS Test Scenario 2 (PC2→PC1)', 'info');
+        
+        // Set idle slopes for reverse direction
+        document.getElementById('tc0_idle').value = '5000';
+        document.getElementById('tc1_idle').value = '4900';
+        document.getElementById('tc2_idle').value = '4800';
+        document.getElementById('tc3_idle').value = '4700';
+        document.getElementById('tc4_idle').value = '4600';
+        document.getElementById('tc5_idle').value = '4500';
+        document.getElementById('tc6_idle').value = '4400';
+        document.getElementById('tc7_idle').value = '4300';
+        
+        document.getElementById('cbsPort').value = '1'; // Port 1 egress
+        
+        this.log('CBS Test Scenario 2 loaded', 'success');
+    }
+
+    loadTasTestScenario() {
+        // TAS Multi-Queue Test Scenario with AVB support
+        this.log('Loading TAS Multi-Queue Test Scenario', 'info');
+        
+        document.getElementById('tasPort').value = '2';
+        document.getElementById('cycleTime').value = '1000000'; // 1ms cycle
         document.getElementById('baseTime').value = Math.floor(Date.now() / 1000) + 10; // Start in 10 seconds
         document.getElementById('gateEnabled').value = 'true';
         
@@ -487,99 +1977,515 @@ class TSNConfigurator {
     }
 
     configureFrerSettings() {
-        // Configure FRER (Frame Replication and Elimination for Reliability)
-        this.log('Configuring FRER settings', 'info');
-        
-        // This would configure redundancy settings
-        // For now, just log the configuration
-        const frerConfig = {
-            enabled: true,
-            sequenceRecovery: true,
-            individualRecovery: false,
-            latentErrorDetection: true
-        };
-        
-        console.log('FRER Configuration:', frerConfig);
+        // FRER sample: frames of stream 1 received on port 1 get sequence
+        // numbers; duplicates sent on port 2 are eliminated
+        this.log('Loading FRER settings', 'info');
+
+        document.getElementById('frerStreams').innerHTML = '';
+        document.getElementById('frerFunctions').innerHTML = '';
+
+        const stream = this.addFrerStream();
+        stream.querySelector('.frer-stream-dmac').value = '01-00-5E-00-01-01';
+        stream.querySelector('.frer-stream-vlan').value = '100';
+        stream.querySelectorAll('.frer-port').forEach(box => { box.checked = true; });
+
+        this.addFrerFunction('generation');
+        this.addFrerFunction('recovery');
+
+        this.log('FRER sample loaded: sequence recovery with latent error detection', 'success');
+    }
+
+    configurePtpSettings() {
+        // AVB time synchronisation is gPTP (IEEE 802.1AS)
+        this.setPtpSettings(PtpConfig.defaults('gptp'));
+        this.log('PTP settings loaded: gPTP profile defaults', 'info');
+    }
+
+    // Apply configurations
+    async applyVlanConfig() {
+        const yaml = this.generateVlanYaml();
+        this.log('Applying VLAN configuration...', 'info');
+
+        const applied = await this.sendYamlToDevice(yaml);
+        if (applied) {
+            this.log('VLAN configuration applied', 'success');
+        }
+        return applied;
+    }
+
+    async applyCbsConfig() {
+        const yaml = this.generateCbsYaml();
+        this.log('Applying CBS configuration...', 'info');
+
+        const applied = await this.sendYamlToDevice(yaml);
+        if (applied) {
+            this.log('CBS configuration applied', 'success');
+        }
+        return applied;
+    }
+
+    async applyTasConfig() {
+        if (!this.checkTasSchedule()) return false;
+
+        const yaml = this.generateTasYaml();
+        this.log('Applying TAS configuration...', 'info');
+
+        const applied = await this.sendYamlToDevice(yaml);
+        if (applied) {
+            this.log('TAS configuration applied', 'success');
+        }
+        return applied;
     }
 
-    configurePtpSettings() {
-        // Configure PTP (Precision Time Protocol)
-        this.log('Configuring PTP settings', 'info');
-        
-        // This would configure time sync settings
-        const ptpConfig = {
-            enabled: true,
-            domain: 0,
-            priority1: 128,
-            priority2: 128,
-            clockClass: 248,
-            clockAccuracy: 0xFE,
-            offsetScaledLogVariance: 0xFFFF
-        };
-        
-        console.log('PTP Configuration:', ptpConfig);
+    async applyPreemptionConfig() {
+        if (!this.checkPreemptionConfig()) return false;
+
+        const yaml = this.generatePreemptionYaml();
+        this.log('Applying frame preemption configuration...', 'info');
+
+        const applied = await this.sendYamlToDevice(yaml);
+        if (applied) {
+            this.log('Frame preemption configuration applied', 'success');
+            await this.refreshPreemptionStatus();
+        }
+        return applied;
+    }
+
+    async applyPsfpConfig() {
+        if (!this.checkPsfpConfig()) return false;
+
+        const { filters, gates, meters } = this.getPsfpConfig();
+        if (filters.length + gates.length + meters.length === 0) {
+            this.log('No stream filters, gates or meters to apply', 'info');
+            return false;
+        }
+
+        const yaml = this.generatePsfpYaml();
+        this.log('Applying PSFP configuration...', 'info');
+
+        const applied = await this.sendYamlToDevice(yaml);
+        if (applied) {
+            this.log('PSFP configuration applied', 'success');
+        }
+        return applied;
     }
 
-    // Apply configurations
-    async applyVlanConfig() {
-        const yaml = this.generateVlanYaml();
-        this.log('Applying VLAN configuration...', 'info');
-        
-        // In real implementation, send to device
-        await this.sendYamlToDevice(yaml);
-        
-        this.log('VLAN configuration applied', 'success');
-    }
+    async applyFrerConfig() {
+        if (!this.checkFrerConfig()) return false;
 
-    async applyCbsConfig() {
-        const yaml = this.generateCbsYaml();
-        this.log('Applying CBS configuration...', 'info');
-        
-        await this.sendYamlToDevice(yaml);
-        
-        this.log('CBS configuration applied', 'success');
+        const { streams, generation, recovery } = this.getFrerConfig();
+        if (streams.length + generation.length + recovery.length === 0) {
+            this.log('No stream identification or sequence functions to apply', 'info');
+            return false;
+        }
+
+        const yaml = this.generateFrerYaml();
+        this.log('Applying FRER configuration...', 'info');
+
+        const applied = await this.sendYamlToDevice(yaml);
+        if (applied) {
+            this.log('FRER configuration applied', 'success');
+        }
+        return applied;
     }
 
-    async applyTasConfig() {
-        const yaml = this.generateTasYaml();
-        this.log('Applying TAS configuration...', 'info');
-        
-        await this.sendYamlToDevice(yaml);
-        
-        this.log('TAS configuration applied', 'success');
+    async applyPtpConfig() {
+        if (!this.checkPtpConfig()) return false;
+
+        const yaml = this.generatePtpYaml();
+        this.log('Applying PTP configuration...', 'info');
+
+        const applied = await this.sendYamlToDevice(yaml);
+        if (applied) {
+            this.log('PTP configuration applied', 'success');
+        }
+        return applied;
     }
 
     async applyPcpMapping() {
         const yaml = this.generatePcpYaml();
         this.log('Applying PCP mapping configuration...', 'info');
-        
-        await this.sendYamlToDevice(yaml);
-        
-        this.log('PCP mapping configuration applied', 'success');
+
+        const applied = await this.sendYamlToDevice(yaml);
+        if (applied) {
+            this.log('PCP mapping configuration applied', 'success');
+        }
+        return applied;
     }
 
+    /**
+     * Send what the full configuration changes on the device: paths it
+     * leaves as they are are not sent
+     */
     async applyAllConfigurations() {
         this.log('Applying all configurations...', 'info');
-        
-        await this.applyVlanConfig();
-        await this.applyPcpMapping();
-        await this.applyCbsConfig();
-        await this.applyTasConfig();
-        
-        this.log('All configurations applied successfully', 'success');
+        // The base time only matters if the schedule is sent
+        if (!this.checkTasSchedule({ checkBaseTime: false }) || !this.checkPreemptionConfig() ||
+            !this.checkPsfpConfig() || !this.checkFrerConfig() || !this.checkPtpConfig()) return;
+
+        const diff = await this.previewChanges();
+        if (!diff) return;
+        if (diff.entries.length === 0) {
+            this.log('Device already runs this configuration; nothing to apply', 'success');
+            return;
+        }
+
+        const port = document.getElementById('tasPort').value;
+        const gates = InstanceIdentifier.parse(`/ietf-interfaces:interfaces/interface[name='${port}']` +
+            '/ieee802-dot1q-bridge:bridge-port/ieee802-dot1q-sched-bridge:gate-parameter-table');
+        if (diff.entries.some(entry => gates.contains(entry.path)) && !this.checkTasSchedule()) {
+            this.switchTab('tas');
+            return;
+        }
+
+        if (await this.applyPatch(diff.entries)) {
+            this.log('All configurations applied successfully', 'success');
+        }
+    }
+
+    /**
+     * Compare the full generated configuration with the device's running
+     * state and show the changed leaves; resolves to the ConfigDiff result
+     * or null
+     */
+    async previewChanges() {
+        if (!this.isConnected) {
+            this.log('Not connected to device', 'error');
+            return null;
+        }
+
+        let entries;
+        try {
+            entries = YamlPatch.parse(this.generateFullYaml(), this.yamlParser);
+        } catch (error) {
+            this.log(`Invalid YAML patch: ${error.message}`, 'error');
+            return null;
+        }
+
+        const paths = [...new Set(entries.map(entry => InstanceIdentifier.parse(entry.path).toString()))];
+        const running = await this.fetchRunning(paths);
+        if (!running) return null;
+
+        const diff = ConfigDiff.compare(running, entries);
+        this.renderDiff(diff.changes);
+        this.switchTab('yaml');
+        this.log(`${diff.changes.length} leaves differ from the device in ${diff.entries.length} of ${entries.length} entries`, 'info');
+        return diff;
+    }
+
+    renderDiff(changes) {
+        const output = document.getElementById('diffOutput');
+        output.innerHTML = '';
+        if (changes.length === 0) {
+            output.textContent = 'No changes: the device already runs this configuration';
+            return;
+        }
+
+        const marks = { added: '+', removed: '-', modified: '~' };
+        for (const change of changes) {
+            const value = change.type === 'modified'
+                ? `${ConfigDiff.formatValue(change.before)} → ${ConfigDiff.formatValue(change.after)}`
+                : ConfigDiff.formatValue(change.type === 'added' ? change.after : change.before);
+            const line = document.createElement('div');
+            line.className = `diff-line diff-${change.type}`;
+            line.textContent = `${marks[change.type]} ${change.path}: ${value}`;
+            output.appendChild(line);
+        }
     }
 
+    /**
+     * Apply an mvdct-style patch as `mvdct device <port> patch` would,
+     * logging each entry's outcome; resolves to true if every entry applied
+     */
     async sendYamlToDevice(yaml) {
-        // In real implementation, this would send to device via serial
-        console.log('Sending YAML to device:', yaml);
-        
-        // Simulate sending
-        return new Promise(resolve => {
-            setTimeout(() => {
-                this.log('Configuration sent to device', 'info');
-                resolve();
-            }, 500);
+        if (!this.isConnected) {
+            this.log('Not connected to device', 'error');
+            return false;
+        }
+
+        let entries;
+        try {
+            entries = YamlPatch.parse(yaml, this.yamlParser);
+        } catch (error) {
+            this.log(`Invalid YAML patch: ${error.message}`, 'error');
+            return false;
+        }
+        return this.applyPatch(entries);
+    }
+
+    /**
+     * Apply patch entries as one transaction: if an entry fails or the
+     * device does not hold the result, the previous configuration is
+     * restored. Logs every step; resolves to true if committed.
+     */
+    async applyPatch(entries) {
+        const transaction = new ConfigTransaction(this.coapClient, this.coreconf);
+        const { status, steps } = await transaction.run(entries, {
+            onStep: (step) => {
+                this.log(ConfigTransaction.formatStep(step), step.status === 'ok' ? 'info' : 'error');
+            }
+        });
+
+        const applied = steps.filter(step => step.action === 'iPATCH' || step.action === 'DELETE');
+        const summary = YamlPatch.summarize(applied);
+        const messages = {
+            'committed': [`Committed: ${summary}`, 'success'],
+            'aborted': ['Aborted before any change: could not read the current configuration', 'error'],
+            'rolled-back': [`Rolled back to the previous configuration (${summary})`, 'error'],
+            'rollback-failed': [`Rollback failed; the device may hold a partial configuration (${summary})`, 'error']
+        };
+        this.log(...messages[status]);
+        return status === 'committed';
+    }
+
+    // Configuration snapshots
+    /**
+     * Form values of every tab except Snapshots, the GCL rows and the
+     * entries of the card-based tabs
+     */
+    collectFormState() {
+        const fields = {};
+        document.querySelectorAll('.tab-content input[id], .tab-content select[id]').forEach(field => {
+            if (!field.closest('#snapshots')) {
+                fields[field.id] = field.value;
+            }
+        });
+
+        const gcl = [...document.querySelectorAll('.gcl-entry')].map(entry => ({
+            time: entry.querySelector('.gcl-time').value,
+            gates: entry.querySelector('.gcl-gates').value
+        }));
+
+        return { fields, gcl, ptp: this.getPtpSettings(), psfp: this.getPsfpConfig(), frer: this.getFrerConfig() };
+    }
+
+    applyFormState(forms) {
+        for (const [id, value] of Object.entries(forms.fields || {})) {
+            const field = document.getElementById(id);
+            if (field) field.value = value;
+        }
+
+        if (Array.isArray(forms.gcl)) {
+            document.getElementById('gclEntries').innerHTML = '';
+            forms.gcl.forEach((config, index) => {
+                this.addGclEntry();
+                const entry = document.querySelectorAll('.gcl-entry')[index];
+                const gatesInput = entry.querySelector('.gcl-gates');
+                entry.querySelector('.gcl-time').value = config.time;
+                gatesInput.value = config.gates;
+                this.updateTcDisplay(gatesInput);
+            });
+        }
+
+        if (forms.ptp) {
+            this.setPtpSettings(forms.ptp);
+        }
+        if (forms.psfp) {
+            this.setPsfpConfig(forms.psfp);
+        }
+        if (forms.frer) {
+            this.setFrerConfig(forms.frer);
+        }
+    }
+
+    /**
+     * Save the device's running configuration and the forms under the
+     * name given in the Snapshots tab
+     */
+    async saveSnapshot() {
+        if (!ConfigSnapshotStore.isSupported()) {
+            this.log('IndexedDB is not available; snapshots cannot be stored', 'error');
+            return;
+        }
+        if (!this.isConnected) {
+            this.log('Not connected to device', 'error');
+            return;
+        }
+
+        const name = document.getElementById('snapshotName').value.trim();
+        if (!name) {
+            this.log('Enter a name for the snapshot', 'error');
+            return;
+        }
+
+        const running = await this.fetchRunning(this.getSnapshotPaths(), { configOnly: true });
+        if (!running) return;
+
+        const snapshot = ConfigSnapshot.create({
+            name,
+            note: document.getElementById('snapshotNote').value,
+            firmware: this.sidVersion,
+            running,
+            forms: this.collectFormState()
         });
+
+        try {
+            await this.snapshotStore.save(snapshot);
+        } catch (error) {
+            this.log(`Could not save snapshot: ${error.message}`, 'error');
+            return;
+        }
+        this.log(`Snapshot "${snapshot.name}" saved`, 'success');
+        await this.refreshSnapshots();
+    }
+
+    async refreshSnapshots() {
+        const list = document.getElementById('snapshotList');
+        if (!list || !ConfigSnapshotStore.isSupported()) return;
+
+        let snapshots;
+        try {
+            snapshots = await this.snapshotStore.list();
+        } catch (error) {
+            this.log(`Could not read snapshots: ${error.message}`, 'error');
+            return;
+        }
+
+        list.innerHTML = '';
+        if (snapshots.length === 0) {
+            list.textContent = 'No snapshots saved yet';
+            return;
+        }
+        snapshots.forEach(snapshot => list.appendChild(this.renderSnapshot(snapshot)));
+    }
+
+    renderSnapshot(snapshot) {
+        const card = document.createElement('div');
+        card.className = 'snapshot-card';
+
+        const title = document.createElement('h4');
+        title.textContent = snapshot.name;
+        const meta = document.createElement('div');
+        meta.className = 'snapshot-meta';
+        meta.textContent = `${new Date(snapshot.savedAt).toLocaleString()} · ${snapshot.firmware || 'unknown firmware'}` +
+            (snapshot.note ? ` · ${snapshot.note}` : '');
+        card.append(title, meta);
+
+        const buttons = document.createElement('div');
+        buttons.className = 'btn-group';
+        const actions = [
+            ['Restore to Device', '', () => this.restoreSnapshot(snapshot.name)],
+            ['Load Forms', 'btn-secondary', () => this.loadSnapshotForms(snapshot.name)],
+            ['Export', 'btn-secondary', () => this.exportSnapshots([snapshot.name])],
+            ['Delete', 'btn-danger', () => this.deleteSnapshot(snapshot.name)]
+        ];
+        for (const [label, className, action] of actions) {
+            const button = document.createElement('button');
+            button.textContent = label;
+            if (className) button.className = className;
+            button.addEventListener('click', action);
+            buttons.appendChild(button);
+        }
+        card.appendChild(buttons);
+        return card;
+    }
+
+    async loadSnapshotForms(name) {
+        let snapshot;
+        try {
+            snapshot = await this.snapshotStore.load(name);
+        } catch (error) {
+            this.log(`Could not read snapshot: ${error.message}`, 'error');
+            return;
+        }
+        if (!snapshot) return;
+        this.applyFormState(snapshot.forms);
+        this.log(`Forms loaded from snapshot "${name}"`, 'success');
+    }
+
+    /**
+     * Put a snapshot's running configuration on the device as one
+     * transaction, and its values into the forms
+     */
+    async restoreSnapshot(name) {
+        if (!this.isConnected) {
+            this.log('Not connected to device', 'error');
+            return false;
+        }
+        let snapshot;
+        try {
+            snapshot = await this.snapshotStore.load(name);
+        } catch (error) {
+            this.log(`Could not read snapshot: ${error.message}`, 'error');
+            return false;
+        }
+        if (!snapshot) return false;
+        if (snapshot.running.length === 0) {
+            this.log(`Snapshot "${name}" holds no device configuration`, 'error');
+            return false;
+        }
+
+        if (snapshot.firmware && this.sidVersion && snapshot.firmware !== this.sidVersion &&
+            !confirm(`Snapshot "${name}" was taken on ${snapshot.firmware}; the device runs ${this.sidVersion}. Restore anyway?`)) {
+            return false;
+        }
+
+        this.log(`Restoring snapshot "${name}"...`, 'info');
+        this.applyFormState(snapshot.forms);
+        const restored = await this.applyPatch(ConfigSnapshot.restoreEntries(snapshot));
+        if (restored) {
+            this.log(`Snapshot "${name}" restored`, 'success');
+        }
+        return restored;
+    }
+
+    async deleteSnapshot(name) {
+        if (!confirm(`Delete snapshot "${name}"?`)) return;
+        try {
+            await this.snapshotStore.delete(name);
+        } catch (error) {
+            this.log(`Could not delete snapshot: ${error.message}`, 'error');
+            return;
+        }
+        this.log(`Snapshot "${name}" deleted`, 'info');
+        await this.refreshSnapshots();
+    }
+
+    /**
+     * Download the named snapshots, or all, as one bundle
+     */
+    async exportSnapshots(names = null) {
+        let snapshots;
+        try {
+            snapshots = (await this.snapshotStore.list())
+                .filter(snapshot => !names || names.includes(snapshot.name));
+        } catch (error) {
+            this.log(`Could not read snapshots: ${error.message}`, 'error');
+            return;
+        }
+        if (snapshots.length === 0) {
+            this.log('No snapshots to export', 'error');
+            return;
+        }
+
+        const format = document.getElementById('snapshotFormat').value;
+        const text = ConfigSnapshot.toBundle(snapshots, format, this.yamlParser);
+        const blob = new Blob([text], { type: format === 'yaml' ? 'text/yaml' : 'application/json' });
+        const url = URL.createObjectURL(blob);
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = `tsn-snapshots-${Date.now()}.${format}`;
+        a.click();
+        URL.revokeObjectURL(url);
+
+        this.log(`Exported ${snapshots.length} snapshots`, 'success');
+    }
+
+    async importSnapshots(file) {
+        if (!file) return;
+
+        let snapshots;
+        try {
+            snapshots = ConfigSnapshot.fromBundle(await file.text(), this.yamlParser);
+            for (const snapshot of snapshots) {
+                await this.snapshotStore.save(snapshot);
+            }
+        } catch (error) {
+            this.log(`Could not import ${file.name}: ${error.message}`, 'error');
+            return;
+        }
+        this.log(`Imported ${snapshots.length} snapshots from ${file.name}`, 'success');
+        await this.refreshSnapshots();
     }
 
     // Utility functions
@@ -623,16 +2529,219 @@ class TSNConfigurator {
         this.log('PCP mapping reset to 1:1', 'info');
     }
 
+    /**
+     * Read the running VLAN, port, PCP, CBS, TAS and preemption settings
+     * of both ports and the PTP instance with one FETCH and load them into
+     * the forms
+     */
     async fetchCurrentConfig() {
+        if (!this.isConnected) {
+            this.log('Not connected to device', 'error');
+            return false;
+        }
         this.log('Fetching current configuration from device...', 'info');
-        
-        // In real implementation, fetch from device
-        setTimeout(() => {
-            this.log('Configuration fetched (simulation)', 'success');
-        }, 1000);
+
+        const paths = this.getConfigPaths();
+        const ptpPath = InstanceIdentifier.parse(PtpConfig.INSTANCE_PATH).toString();
+        const preemptionPaths = TSNConfigurator.PREEMPTION_PORTS.flatMap(port =>
+            Object.values(this.getPreemptionPaths(port)));
+        const values = await this.fetchRunning([...paths.map(item => item.path), ptpPath, ...preemptionPaths]);
+        if (!values) return false;
+
+        const config = { vlans: values.get(paths[0].path) || [], ports: {} };
+        for (const { port, key, path } of paths.slice(1)) {
+            config.ports[port] = config.ports[port] || {};
+            config.ports[port][key] = values.get(path);
+        }
+        this.currentConfig = config;
+
+        this.populateVlanForm();
+        this.populatePcpForm();
+        this.populateCbsForm();
+        this.populateTasForm();
+        if (values.get(ptpPath)) {
+            this.setPtpSettings(PtpConfig.fromInstance(values.get(ptpPath), this.getPtpSettings()));
+        }
+        this.updatePreemptionStatus(values, { loadForm: true });
+
+        this.log('Configuration fetched from device', 'success');
+        return true;
+    }
+
+    /**
+     * Read nodes with one FETCH (options as for YamlPatch.read); resolves
+     * to a Map of path (as InstanceIdentifier.toString() writes it) ->
+     * value, with null for absent nodes, or to null if the request failed
+     */
+    async fetchRunning(paths, options = {}) {
+        try {
+            return await new YamlPatch(this.coapClient, this.coreconf).read(paths, options);
+        } catch (error) {
+            this.log(`Fetch failed: ${error.message}`, 'error');
+            return null;
+        }
+    }
+
+    /**
+     * The nodes fetchCurrentConfig reads: the VLAN table, then
+     * { port, key, path } for each port
+     */
+    getConfigPaths() {
+        const paths = [{
+            key: 'vlans',
+            path: "/ieee802-dot1q-bridge:bridges/bridge[name='b0']/component[name='c0']/filtering-database/vlan-registration-entry"
+        }];
+
+        for (const port of ['1', '2']) {
+            const iface = `/ietf-interfaces:interfaces/interface[name='${port}']`;
+            const bridgePort = `${iface}/ieee802-dot1q-bridge:bridge-port`;
+            paths.push(
+                { port, key: 'portType', path: `${bridgePort}/port-type` },
+                { port, key: 'acceptableFrame', path: `${bridgePort}/acceptable-frame` },
+                { port, key: 'pcpDecoding', path: `${bridgePort}/pcp-decoding-table/pcp-decoding-map` },
+                { port, key: 'pcpEncoding', path: `${bridgePort}/pcp-encoding-table/pcp-encoding-map` },
+                { port, key: 'shapers', path: `${iface}/mchp-velocitysp-port:eth-qos/config/traffic-class-shapers` },
+                { port, key: 'gates', path: `${bridgePort}/ieee802-dot1q-sched-bridge:gate-parameter-table` }
+            );
+        }
+
+        // Same spelling as the decoded response paths
+        return paths.map(item => ({ ...item, path: InstanceIdentifier.parse(item.path).toString() }));
+    }
+
+    /**
+     * The nodes a snapshot saves and restores: those fetchCurrentConfig
+     * reads, the PSFP and FRER tables, the PTP instance and the
+     * preemption settings of each port
+     */
+    getSnapshotPaths() {
+        return [
+            ...this.getConfigPaths().map(item => item.path),
+            ...['stream-filters/stream-filter-instance-table', 'stream-gates/stream-gate-instance-table',
+                'flow-meters/flow-meter-instance-table'].map(table => InstanceIdentifier.parse(`${PsfpConfig.PATH}:${table}`).toString()),
+            '/ieee802-dot1cb-stream-identification:stream-identity',
+            ...['sequence-generation', 'sequence-recovery', 'sequence-identification'].map(list => `${FrerConfig.PATH}/${list}`),
+            InstanceIdentifier.parse(PtpConfig.INSTANCE_PATH).toString(),
+            ...TSNConfigurator.PREEMPTION_PORTS.flatMap(port => Object.values(this.getPreemptionPaths(port)))
+        ];
+    }
+
+    /**
+     * Set a form field from device data; select values are matched without
+     * their module prefix. Returns false if the field cannot take the value.
+     */
+    setFormValue(id, value) {
+        const field = document.getElementById(id);
+        if (!field || value === null || value === undefined) return false;
+
+        let text = String(value);
+        if (field.tagName === 'SELECT') {
+            text = text.slice(text.indexOf(':') + 1);
+            if (![...field.options].some(option => option.value === text)) {
+                this.log(`${id}: device value "${value}" has no matching option`, 'error');
+                return false;
+            }
+        }
+        field.value = text;
+        return true;
+    }
+
+    populateVlanForm() {
+        // The first VLAN besides the default VLAN 1 is the one the form edits
+        const entries = this.currentConfig.vlans || [];
+        const vlan = entries.find(entry => entry.vids !== '1') || entries[0];
+        if (vlan) {
+            this.setFormValue('vlanId', parseInt(vlan.vids, 10));
+            for (const port of ['1', '2']) {
+                const member = (vlan['port-map'] || []).find(entry => String(entry['port-ref']) === port);
+                const registration = member && member['static-vlan-registration-entries'];
+                this.setFormValue(`port${port}Mode`, registration ? registration['vlan-transmitted'] : 'none');
+            }
+        }
+
+        for (const port of ['1', '2']) {
+            const settings = this.currentConfig.ports[port];
+            this.setFormValue(`port${port}Type`, settings.portType);
+            this.setFormValue(`port${port}Frame`, settings.acceptableFrame);
+        }
+    }
+
+    populatePcpForm() {
+        // The form holds port 1's decoding map and port 2's encoding map
+        const findMap = maps => (maps || []).find(map => map.pcp === '8P0D');
+
+        const decoding = findMap(this.currentConfig.ports['1'].pcpDecoding);
+        for (const entry of (decoding && decoding['priority-map']) || []) {
+            this.setFormValue(`p1_pcp${entry['priority-code-point']}_priority`, entry.priority);
+        }
+
+        const encoding = findMap(this.currentConfig.ports['2'].pcpEncoding);
+        for (const entry of (encoding && encoding['priority-map']) || []) {
+            this.setFormValue(`p2_priority${entry.priority}_pcp`, entry['priority-code-point']);
+        }
+    }
+
+    populateCbsForm() {
+        const port = document.getElementById('cbsPort').value;
+        const shapers = this.currentConfig.ports[port === 'both' ? '1' : port].shapers || [];
+
+        for (const shaper of shapers) {
+            const tc = shaper['traffic-class'];
+            const credit = shaper['credit-based'] || {};
+            this.setFormValue(`tc${tc}_idle`, credit['idle-slope'] ?? 0);
+            this.setFormValue(`tc${tc}_send`, credit['send-slope'] ?? '');
+            this.setFormValue(`tc${tc}_hicredit`, credit['max-credit'] ?? '');
+            this.setFormValue(`tc${tc}_locredit`, credit['min-credit'] ?? '');
+        }
+    }
+
+    populateTasForm() {
+        const gates = this.currentConfig.ports[document.getElementById('tasPort').value].gates;
+        if (!gates) return;
+
+        this.setFormValue('gateEnabled', gates['gate-enabled']);
+
+        // The form works in microseconds and whole seconds
+        const cycle = gates['admin-cycle-time'];
+        if (cycle && cycle.denominator) {
+            this.setFormValue('cycleTime', cycle.numerator * 1000000 / cycle.denominator);
+        }
+        if (gates['admin-cycle-time-extension'] !== undefined) {
+            this.setFormValue('cycleTimeExtension', gates['admin-cycle-time-extension'] / 1000);
+        }
+        if (gates['admin-base-time']) {
+            this.setFormValue('baseTime', gates['admin-base-time'].seconds);
+        }
+
+        const list = gates['admin-control-list'];
+        const entries = ((list && list['gate-control-entry']) || [])
+            .slice()
+            .sort((a, b) => a.index - b.index);
+
+        document.getElementById('gclEntries').innerHTML = '';
+        entries.forEach((config, index) => {
+            this.addGclEntry();
+            const entry = document.querySelectorAll('.gcl-entry')[index];
+            const gatesInput = entry.querySelector('.gcl-gates');
+            entry.querySelector('.gcl-time').value = config['time-interval-value'] / 1000;
+            gatesInput.value = Number(config['gate-states-value']).toString(2).padStart(8, '0');
+            this.updateTcDisplay(gatesInput);
+        });
     }
 }
 
+// Class measurement interval (μs) and traffic class of each SR class
+TSNConfigurator.SR_CLASSES = {
+    A: { tc: 6, interval: 125 },
+    B: { tc: 5, interval: 250 }
+};
+
+// PTP status poll period (ms) when the device does not accept Observe
+TSNConfigurator.PTP_POLL_INTERVAL = 2000;
+
+// Ports of the Preemption tab
+TSNConfigurator.PREEMPTION_PORTS = ['1', '2'];
+
 // Global functions for onclick handlers
 function applyVlanConfig() {
     window.tsnConfig.applyVlanConfig();
@@ -667,10 +2776,86 @@ function addGclEntry() {
     window.tsnConfig.addGclEntry();
 }
 
+function addCbsStream() {
+    window.tsnConfig.addCbsStream();
+}
+
+function removeCbsStream(button) {
+    button.closest('.cbs-stream').remove();
+}
+
+function calculateCbs() {
+    window.tsnConfig.runCbsCalculator();
+}
+
 function removeGclEntry(button) {
     button.parentElement.parentElement.remove();
 }
 
+function addStreamFilter() {
+    window.tsnConfig.addStreamFilter();
+}
+
+function addStreamGate() {
+    window.tsnConfig.addStreamGate();
+}
+
+function addStreamGateEntry(button) {
+    window.tsnConfig.addStreamGateEntry(button.closest('.psfp-gate'));
+}
+
+function addFlowMeter() {
+    window.tsnConfig.addFlowMeter();
+}
+
+function removePsfpEntry(button) {
+    button.closest('.psfp-entry').remove();
+}
+
+function applyPreemptionConfig() {
+    window.tsnConfig.applyPreemptionConfig();
+}
+
+function refreshPreemptionStatus() {
+    window.tsnConfig.refreshPreemptionStatus();
+}
+
+function applyPsfpConfig() {
+    window.tsnConfig.applyPsfpConfig();
+}
+
+function addFrerStream() {
+    window.tsnConfig.addFrerStream();
+}
+
+function updateFrerStreamFields(select) {
+    window.tsnConfig.updateFrerStreamFields(select.closest('.frer-stream'));
+}
+
+function addFrerGeneration() {
+    window.tsnConfig.addFrerFunction('generation');
+}
+
+function addFrerRecovery() {
+    window.tsnConfig.addFrerFunction('recovery');
+}
+
+function applyFrerConfig() {
+    window.tsnConfig.applyFrerConfig();
+}
+
+function loadPtpProfile() {
+    window.tsnConfig.loadPtpProfile();
+}
+
+function applyPtpConfig() {
+    window.tsnConfig.applyPtpConfig();
+}
+
+function togglePtpMonitor() {
+    window.tsnConfig.togglePtpMonitor();
+}
+
 function applyPcpMapping() {
     window.tsnConfig.applyPcpMapping();
 }
@@ -699,6 +2884,18 @@ function loadCombinedScenario() {
     window.tsnConfig.loadCombinedScenario();
 }
 
+function saveSnapshot() {
+    window.tsnConfig.saveSnapshot();
+}
+
+function exportSnapshots() {
+    window.tsnConfig.exportSnapshots();
+}
+
+function previewChanges() {
+    window.tsnConfig.previewChanges();
+}
+
 function applyAllConfigurations() {
     window.tsnConfig.applyAllConfigurations();
 }
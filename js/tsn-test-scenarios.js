@@ -439,16 +439,16 @@ class TSNTestScenarios {
             }
         }
 
-        // Validate TAS
+        // Validate TAS; times are in the form's μs
         if (config.tas) {
-            let totalTime = 0;
-            config.tas.gcl.forEach(entry => {
-                totalTime += entry.time;
+            const issues = TasValidator.validate({
+                cycleTime: config.tas.cycleTime * 1000,
+                baseTime: null,
+                entries: config.tas.gcl.map(entry => ({ interval: entry.time * 1000, gates: entry.gates }))
+            });
+            issues.filter(issue => issue.severity === 'error').forEach(issue => {
+                errors.push(issue.entry !== null ? `GCL entry ${issue.entry + 1}: ${issue.message}` : issue.message);
             });
-            
-            if (totalTime !== config.tas.cycleTime) {
-                errors.push(`GCL total time (${totalTime}) doesn't match cycle time (${config.tas.cycleTime})`);
-            }
         }
 
         return errors;
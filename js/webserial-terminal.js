@@ -1,16 +1,14 @@
 /**
  * WebSerial Terminal - Improved Implementation
- * Handles serial communication with proper writer management
+ * Text terminal on top of the shared Transport layer
  */
 
 class WebSerialTerminal {
     constructor() {
-        this.port = null;
+        this.transport = null;
         this.reader = null;
-        this.writer = null;
-        this.readableStreamClosed = null;
-        this.writableStreamClosed = null;
         this.isConnected = false;
+        this.connectionDialog = new ConnectionDialog({ backend: 'webserial', baudRate: 115200 });
         
         this.encoder = new TextEncoder();
         this.decoder = new TextDecoder();
@@ -26,6 +24,11 @@ class WebSerialTerminal {
             EOF: 0x3C,  // '<'
             ESCAPE: 0x5C // '\'
         };
+        this.frameDecoder = new MUP1Decoder({
+            onFrame: (frame) => this.handleMUP1Frame(frame),
+            onText: (bytes) => this.displayText(this.decoder.decode(bytes, { stream: true }), 'rx'),
+            onError: (error) => this.log(`⚠️ ${error.message}`, 'warning')
+        });
         
         this.init();
     }
@@ -37,9 +40,8 @@ class WebSerialTerminal {
     }
 
     checkWebSerialSupport() {
-        if (!('serial' in navigator)) {
-            this.log('❌ WebSerial API not supported. Please use Chrome or Edge browser.', 'error');
-            document.getElementById('connectBtn').disabled = true;
+        if (!WebSerialTransport.isSupported()) {
+            this.log('⚠️ WebSerial API not supported; connect through a WebSocket bridge instead.', 'warning');
             return false;
         }
         this.log('✅ WebSerial API supported', 'info');
@@ -98,29 +100,21 @@ class WebSerialTerminal {
 
     async connect() {
         try {
-            // Request port access
-            this.port = await navigator.serial.requestPort();
-            
-            // Get connection parameters
-            const baudRate = parseInt(document.getElementById('baudRate')?.value || 115200);
-            
-            // Open port
-            await this.port.open({
-                baudRate: baudRate,
-                dataBits: 8,
-                stopBits: 1,
-                parity: 'none',
-                bufferSize: 4096
+            const transport = await this.connectionDialog.show({
+                baudRate: parseInt(document.getElementById('baudRate')?.value || 115200)
             });
+            if (!transport) return;
+            if (transport.baudRate && document.getElementById('baudRate')) {
+                document.getElementById('baudRate').value = transport.baudRate;
+            }
 
-            // Setup streams with text encoding/decoding
-            const textDecoder = new TextDecoderStream();
-            this.readableStreamClosed = this.port.readable.pipeTo(textDecoder.writable);
-            this.reader = textDecoder.readable.getReader();
+            await transport.open();
+            transport.on('close', () => this.handleDisconnect());
+            this.transport = transport;
 
-            const textEncoder = new TextEncoderStream();
-            this.writableStreamClosed = textEncoder.readable.pipeTo(this.port.writable);
-            this.writer = textEncoder.writable.getWriter();
+            // Read raw bytes so binary MUP1 payloads survive
+            this.reader = transport.readable.getReader();
+            this.frameDecoder.reset();
 
             this.isConnected = true;
             this.updateConnectionStatus(true);
@@ -128,12 +122,11 @@ class WebSerialTerminal {
             // Start reading
             this.readLoop();
             
-            this.log(`✅ Connected at ${baudRate} baud`, 'info');
+            const info = transport.getInfo();
+            this.log(`✅ Connected via ${info.description}`, 'info');
             
-            // Get port info
-            const info = this.port.getInfo();
-            if (info.usbVendorId) {
-                this.log(`Device: VID=${info.usbVendorId.toString(16)} PID=${info.usbProductId?.toString(16)}`, 'info');
+            if (info.vendorId) {
+                this.log(`Device: VID=${info.vendorId.toString(16)} PID=${info.productId?.toString(16)}`, 'info');
             }
             
         } catch (error) {
@@ -146,38 +139,26 @@ class WebSerialTerminal {
 
     async disconnect() {
         try {
-            // Cancel reader
-            if (this.reader) {
-                await this.reader.cancel();
-                await this.readableStreamClosed?.catch(() => {});
-                this.reader = null;
-                this.readableStreamClosed = null;
-            }
-
-            // Close writer
-            if (this.writer) {
-                await this.writer.close();
-                await this.writableStreamClosed?.catch(() => {});
-                this.writer = null;
-                this.writableStreamClosed = null;
-            }
-
-            // Close port
-            if (this.port) {
-                await this.port.close();
-                this.port = null;
+            if (this.transport) {
+                await this.transport.close();
             }
-
-            this.isConnected = false;
-            this.updateConnectionStatus(false);
-            this.log('🔌 Disconnected', 'info');
-            
         } catch (error) {
             console.error('Disconnect error:', error);
             this.log(`⚠️ Disconnect warning: ${error.message}`, 'warning');
+        } finally {
+            this.handleDisconnect();
         }
     }
 
+    handleDisconnect() {
+        if (!this.transport) return;
+
+        this.transport = null;
+        this.isConnected = false;
+        this.updateConnectionStatus(false);
+        this.log('🔌 Disconnected', 'info');
+    }
+
     async readLoop() {
         try {
             while (this.reader) {
@@ -194,76 +175,61 @@ class WebSerialTerminal {
                 console.error('Read error:', error);
                 this.log(`❌ Read error: ${error.message}`, 'error');
             }
+        } finally {
+            if (this.reader) {
+                this.reader.releaseLock();
+                this.reader = null;
+            }
         }
     }
 
-    handleIncomingData(text) {
-        this.rxCount += text.length;
-        this.updateCounters();
+    handleIncomingData(bytes) {
+        this.rxCount += bytes.length;
         
-        // Parse MUP1 frames if present
-        if (text.includes('>')) {
-            this.parseMUP1(text);
-        } else {
-            // Display as regular text
-            this.displayText(text, 'rx');
-        }
+        // MUP1 frames are logged by type, everything else is shown as text
+        this.frameDecoder.push(bytes);
+        this.updateCounters();
         
         // Show hex if enabled
         if (document.getElementById('showHex')?.checked) {
-            const bytes = this.encoder.encode(text);
             const hex = Array.from(bytes).map(b => b.toString(16).padStart(2, '0')).join(' ');
             this.log(`[HEX] ${hex}`, 'hex');
         }
     }
 
-    parseMUP1(text) {
-        // Handle MUP1 frames
-        if (text.includes('>')) {
-            // Look for complete MUP1 frames
-            const frameRegex = />([A-Za-z])([^<]*?)(<?<?)([0-9a-fA-F]{4})/g;
-            let match;
-            
-            while ((match = frameRegex.exec(text)) !== null) {
-                const [fullFrame, type, data, eof, checksum] = match;
-                
-                switch (type) {
-                    case 'A': // Announce
-                        this.log(`[ANNOUNCE] ${data}`, 'mup1');
-                        // Parse version info
-                        const parts = data.split(' ');
-                        if (parts[0]) {
-                            this.log(`Version: ${parts[0]}`, 'info');
-                            this.log(`MUP1 Max Size: ${parts[2] || '?'} bytes`, 'info');
-                        }
-                        break;
-                        
-                    case 'T': // Trace
-                        this.log(`[TRACE] ${data}`, 'mup1');
-                        break;
-                        
-                    case 'P': // Pong
-                        this.log(`[PONG] ${data}`, 'mup1');
-                        break;
-                        
-                    case 'C': // CoAP Response
-                        this.log(`[COAP] Response received`, 'mup1');
-                        break;
-                        
-                    case 'S': // Status
-                        this.log(`[STATUS] ${data}`, 'mup1');
-                        break;
-                        
-                    default:
-                        this.log(`[${type}] ${data}`, 'mup1');
+    handleMUP1Frame(frame) {
+        const data = frame.text;
+        
+        switch (frame.type) {
+            case 'A': // Announce
+                this.log(`[ANNOUNCE] ${data}`, 'mup1');
+                // Parse version info
+                const parts = data.split(' ');
+                if (parts[0]) {
+                    this.log(`Version: ${parts[0]}`, 'info');
+                    this.log(`MUP1 Max Size: ${parts[2] || '?'} bytes`, 'info');
+                    this.frameDecoder.setMaxFrameSize(parseInt(parts[2], 10));
                 }
-            }
-            
-            // Also display raw text
-            this.displayText(text, 'rx');
-        } else {
-            // Regular text output
-            this.displayText(text, 'rx');
+                break;
+                
+            case 'T': // Trace
+                this.log(`[TRACE] ${data}`, 'mup1');
+                break;
+                
+            case 'P': // Pong
+                this.log(`[PONG] ${data}`, 'mup1');
+                break;
+                
+            case 'C': // CoAP Response
+                this.log(`[COAP] Response received (${frame.payload.length} bytes)`, 'mup1');
+                break;
+                
+            case 'S': // Status
+                this.log(`[STATUS] ${data}`, 'mup1');
+                break;
+                
+            default:
+                this.log(`[${frame.type}] ${data}`, 'mup1');
         }
     }
 
@@ -296,8 +262,8 @@ class WebSerialTerminal {
     }
 
     async sendData(text) {
-        if (!this.writer) {
-            this.log('❌ Writer not available', 'error');
+        if (!this.transport) {
+            this.log('❌ Not connected', 'error');
             return;
         }
 
@@ -306,18 +272,18 @@ class WebSerialTerminal {
             if (text === 'p' || text === 'ping') {
                 // Send proper MUP1 ping frame: >p<<8553
                 const pingFrame = '>p<<8553';
-                await this.writer.write(pingFrame);
+                await this.transport.write(this.encoder.encode(pingFrame));
                 this.log(`Sent MUP1 PING`, 'tx');
                 this.txCount += pingFrame.length;
             } else if (text.startsWith('>')) {
                 // Raw MUP1 frame
-                await this.writer.write(text);
+                await this.transport.write(this.encoder.encode(text));
                 this.txCount += text.length;
             } else {
                 // Regular text with line ending
                 const lineEnding = document.getElementById('lineEnding')?.value || '';
                 const dataToSend = text + lineEnding;
-                await this.writer.write(dataToSend);
+                await this.transport.write(this.encoder.encode(dataToSend));
                 this.txCount += dataToSend.length;
             }
             
@@ -409,7 +375,13 @@ class WebSerialTerminal {
     updateCounters() {
         const counter = document.getElementById('rxTxCounter');
         if (counter) {
-            counter.textContent = `RX: ${this.rxCount} | TX: ${this.txCount}`;
+            const stats = this.frameDecoder.getStats();
+            let text = `RX: ${this.rxCount} | TX: ${this.txCount} | Frames: ${stats.frames}`;
+            if (stats.badChecksums || stats.oversizedFrames || stats.malformedFrames) {
+                text += ` | Bad CRC: ${stats.badChecksums} | Oversized: ${stats.oversizedFrames}` +
+                    ` | Malformed: ${stats.malformedFrames}`;
+            }
+            counter.textContent = text;
         }
     }
 
@@ -1,360 +1,935 @@
 /**
- * Simple YAML Parser
- * Basic YAML to JSON conversion for configuration files
+ * YAML Parser
+ * YAML 1.2 reader and writer for configuration files, covering what mvdct
+ * and the TSN tools exchange: block and flow collections, complex keys
+ * ("? key" / ": value"), quoted and block scalars, anchors and aliases.
+ * Plain scalars are resolved with the core schema; integers beyond 2^53
+ * stay strings so no digits are lost.
  */
 
+/**
+ * Malformed YAML; line and column are 1-based, offset is the index into
+ * the text
+ */
+class YAMLSyntaxError extends Error {
+    constructor(message, line, column, offset) {
+        super(`${message} (line ${line}, column ${column})`);
+        this.name = 'YAMLSyntaxError';
+        this.reason = message;
+        this.line = line;
+        this.column = column;
+        this.offset = offset;
+    }
+}
+
+/**
+ * Scalar as read, before tag and core schema resolution
+ */
+class YAMLScalar {
+    constructor(text, quoted) {
+        this.text = text;
+        this.quoted = quoted;
+    }
+}
+
 class YAMLParser {
     constructor() {
         this.indentSize = 2; // Default indent size
     }
 
     /**
-     * Parse YAML string to JavaScript object
+     * Parse a YAML document to a JavaScript value (null if empty)
      */
     parse(yamlString) {
-        const lines = yamlString.split('\n');
-        const result = {};
-        const stack = [{ obj: result, indent: -1 }];
-        let currentList = null;
-        let listIndent = -1;
+        const documents = this.parseDocuments(yamlString);
+        if (documents.length > 1) {
+            throw this.error('Expected a single document', documents[1].offset);
+        }
+        return documents[0].value;
+    }
 
-        for (let i = 0; i < lines.length; i++) {
-            const line = lines[i];
-            const trimmed = line.trim();
+    /**
+     * Parse every document of a multi-document stream
+     */
+    parseAll(yamlString) {
+        return this.parseDocuments(yamlString).map(document => document.value);
+    }
 
-            // Skip empty lines and comments
-            if (!trimmed || trimmed.startsWith('#')) {
-                continue;
+    parseDocuments(yamlString) {
+        this.text = yamlString.replace(/^\uFEFF/, '').replace(/\r\n?/g, '\n');
+        this.pos = 0;
+        this.anchors = new Map();
+
+        const documents = [];
+        this.skipToContent();
+        while (this.pos < this.text.length) {
+            const offset = this.pos;
+            while (this.peek() === '%' && this.column() === 0) {
+                // Directives (%YAML, %TAG) carry nothing we use
+                this.skipLine();
+                this.skipToContent();
             }
 
-            // Calculate indentation
-            const indent = line.search(/\S/);
-            if (indent === -1) continue;
+            const explicit = this.isDocumentMarker('---');
+            if (explicit) {
+                this.pos += 3;
+            } else if (this.isDocumentMarker('...')) {
+                throw this.error('Unexpected document end marker');
+            }
 
-            // Handle list items
-            if (trimmed.startsWith('- ')) {
-                const value = trimmed.substring(2).trim();
-                
-                // Find parent object
-                while (stack.length > 1 && stack[stack.length - 1].indent >= indent) {
-                    stack.pop();
-                }
-                
-                const parent = stack[stack.length - 1].obj;
-                
-                // Create or continue list
-                if (!currentList || listIndent !== indent) {
-                    currentList = [];
-                    listIndent = indent;
-                    
-                    // Find the last key in parent
-                    const keys = Object.keys(parent);
-                    if (keys.length > 0) {
-                        const lastKey = keys[keys.length - 1];
-                        parent[lastKey] = currentList;
-                    }
+            const value = this.parseBlockNode(-1, { compact: true });
+            this.skipToContent();
+            if (this.isDocumentMarker('...')) {
+                this.pos += 3;
+                this.expectLineEnd();
+                this.skipToContent();
+            } else if (this.pos < this.text.length && !this.isDocumentMarker('---')) {
+                throw this.error(`Unexpected "${this.peek()}"`);
+            }
+            documents.push({ value, offset });
+        }
+
+        if (documents.length === 0) {
+            documents.push({ value: null, offset: 0 });
+        }
+        return documents;
+    }
+
+    // ---- Position helpers ----
+
+    peek(offset = 0) {
+        return this.text[this.pos + offset];
+    }
+
+    column(pos = this.pos) {
+        return pos - (this.text.lastIndexOf('\n', pos - 1) + 1);
+    }
+
+    error(message, pos = this.pos) {
+        const before = this.text.slice(0, pos);
+        const line = before.split('\n').length;
+        const column = pos - before.lastIndexOf('\n');
+        return new YAMLSyntaxError(message, line, column, pos);
+    }
+
+    static isBlank(ch) {
+        return ch === undefined || ch === ' ' || ch === '\t' || ch === '\n';
+    }
+
+    /**
+     * Indicator character followed by a blank, e.g. "- " or "? "
+     */
+    isIndicator(ch) {
+        return this.peek() === ch && YAMLParser.isBlank(this.peek(1));
+    }
+
+    isDocumentMarker(marker = null) {
+        if (this.column() !== 0) return false;
+        const markers = marker ? [marker] : ['---', '...'];
+        return markers.some(m => this.text.startsWith(m, this.pos)) && YAMLParser.isBlank(this.text[this.pos + 3]);
+    }
+
+    /**
+     * End of input or of the current document
+     */
+    atEnd() {
+        return this.pos >= this.text.length || this.isDocumentMarker();
+    }
+
+    skipSpaces() {
+        while (this.peek() === ' ' || this.peek() === '\t') this.pos++;
+    }
+
+    skipLine() {
+        while (this.pos < this.text.length && this.peek() !== '\n') this.pos++;
+    }
+
+    /**
+     * Skip spaces and a comment; is the rest of the line empty?
+     */
+    skipInline() {
+        this.skipSpaces();
+        if (this.peek() === '#') this.skipLine();
+        return this.pos < this.text.length && this.peek() !== '\n';
+    }
+
+    /**
+     * Only spaces and a comment may follow on this line
+     */
+    expectLineEnd() {
+        if (this.skipInline()) {
+            throw this.error(`Unexpected "${this.peek()}"`);
+        }
+    }
+
+    /**
+     * Move to the next content character, past blank lines and comments
+     */
+    skipToContent() {
+        for (;;) {
+            if (this.column() === 0) {
+                const indentation = /[ \t]*/y;
+                indentation.lastIndex = this.pos;
+                const whitespace = indentation.exec(this.text)[0];
+                const next = this.text[this.pos + whitespace.length];
+                if (whitespace.includes('\t') && next !== undefined && next !== '\n' && next !== '#') {
+                    throw this.error('Tabs are not allowed for indentation', this.pos + whitespace.indexOf('\t'));
                 }
-                
-                // Parse list item value
-                if (value.includes(':')) {
-                    const obj = this.parseKeyValue(value);
-                    currentList.push(obj);
-                    stack.push({ obj: obj, indent: indent + 2 });
-                } else {
-                    currentList.push(this.parseValue(value));
+            }
+            this.skipSpaces();
+            if (this.peek() === '#') this.skipLine();
+            if (this.peek() !== '\n') return;
+            this.pos++;
+        }
+    }
+
+    // ---- Block context ----
+
+    /**
+     * Node more indented than its parent, starting on the current line
+     * (after "- ", "? ", ": " or "---") or on a following line. `compact`
+     * allows a block collection to start on the current line;
+     * `sequenceAtParent` accepts "- " entries at the parent's indentation,
+     * as YAML allows for mapping values.
+     */
+    parseBlockNode(parentIndent, { compact = false, sequenceAtParent = false } = {}) {
+        let inline = this.skipInline();
+        let anchor = null;
+        let tag = null;
+
+        for (;;) {
+            if (!inline) {
+                this.skipToContent();
+                const column = this.column();
+                const sequenceHere = sequenceAtParent && column === parentIndent && this.isIndicator('-');
+                if (this.atEnd() || (column <= parentIndent && !sequenceHere)) {
+                    // Empty node; a tagged one is an empty scalar
+                    return this.finishNode(tag ? new YAMLScalar('', false) : null, anchor, tag, this.pos);
                 }
-                
-                continue;
+                compact = true;
+            }
+            if (this.peek() === '&') {
+                this.pos++;
+                anchor = this.readName();
+            } else if (this.peek() === '!') {
+                tag = this.readTag();
+            } else {
+                break;
             }
+            inline = this.skipInline();
+        }
 
-            // Reset list tracking if not a list item
-            if (!trimmed.startsWith('- ')) {
-                currentList = null;
-                listIndent = -1;
+        const start = this.pos;
+        const column = this.column();
+        const ch = this.peek();
+        let value;
+
+        if (ch === '*') {
+            value = this.readAlias();
+            this.expectLineEnd();
+        } else if (this.isIndicator('-') || this.isIndicator('?')) {
+            if (!compact) {
+                throw this.error('Block collections must start on a new line');
+            }
+            value = ch === '-' ? this.parseBlockSequence(column) : this.parseBlockMapping(column);
+        } else if (ch === '|' || ch === '>') {
+            value = this.readBlockScalar(parentIndent);
+        } else if (ch === '[' || ch === '{') {
+            value = this.parseFlowNode();
+            this.skipSpaces();
+            if (this.peek() === ':') {
+                throw this.error('Only scalar mapping keys are supported', start);
+            }
+            this.expectLineEnd();
+        } else {
+            const scalar = this.readScalar();
+            this.skipSpaces();
+            if (this.isIndicator(':')) {
+                if (!compact) {
+                    throw this.error('Nested mappings must start on a new line', start);
+                }
+                value = this.parseBlockMapping(column, scalar.text, start);
+            } else {
+                if (!scalar.quoted) {
+                    scalar.text = this.readPlainContinuation(scalar.text, parentIndent, false);
+                }
+                this.expectLineEnd();
+                return this.finishNode(scalar, anchor, tag, start);
             }
+        }
+
+        return this.finishNode(value, anchor, tag, start);
+    }
+
+    /**
+     * Apply tag and anchor to a parsed node; scalars arrive unresolved
+     * and are resolved here
+     */
+    finishNode(node, anchor, tag, pos) {
+        let value = node;
+        if (node instanceof YAMLScalar) {
+            value = tag ? this.applyScalarTag(node.text, tag, pos)
+                : node.quoted ? node.text : this.resolvePlain(node.text);
+        } else if (tag && !YAMLParser.collectionTagMatches(tag, value)) {
+            throw this.error(`Tag ${tag} does not match the node`, pos);
+        }
+        if (anchor !== null) {
+            this.anchors.set(anchor, value);
+        }
+        return value;
+    }
 
-            // Handle key-value pairs
-            const colonIndex = trimmed.indexOf(':');
-            if (colonIndex === -1) continue;
+    parseBlockSequence(indent) {
+        const list = [];
+        for (;;) {
+            this.pos++;
+            list.push(this.parseBlockNode(indent, { compact: true }));
 
-            const key = trimmed.substring(0, colonIndex).trim();
-            const value = trimmed.substring(colonIndex + 1).trim();
+            this.skipToContent();
+            if (this.atEnd() || this.column() < indent) break;
+            if (this.column() > indent) {
+                throw this.error('Bad indentation of a sequence entry');
+            }
+            if (!this.isIndicator('-')) break;
+        }
+        return list;
+    }
 
-            // Find appropriate parent based on indentation
-            while (stack.length > 1 && stack[stack.length - 1].indent >= indent) {
-                stack.pop();
+    /**
+     * Block mapping at indent; firstKey is an implicit key already read,
+     * with the position at its ":"
+     */
+    parseBlockMapping(indent, firstKey, firstKeyPos) {
+        const map = {};
+        let key = firstKey;
+        let keyPos = firstKeyPos;
+
+        for (;;) {
+            let value;
+            if (key === undefined) {
+                keyPos = this.pos;
+                if (this.isIndicator('?')) {
+                    // Explicit entry: "? key" line, then ": value" line
+                    this.pos++;
+                    key = this.parseBlockNode(indent, { compact: true });
+                    this.skipToContent();
+                    if (!this.atEnd() && this.column() === indent && this.isIndicator(':')) {
+                        this.pos++;
+                        value = this.parseBlockNode(indent, { compact: true });
+                    } else {
+                        value = null;
+                    }
+                } else if (this.isIndicator(':')) {
+                    throw this.error('Missing mapping key');
+                } else if (this.peek() === '[' || this.peek() === '{') {
+                    throw this.error('Only scalar mapping keys are supported');
+                } else if (this.isIndicator('-')) {
+                    throw this.error('Unexpected sequence entry in a mapping');
+                } else {
+                    key = this.readScalar().text;
+                    this.skipSpaces();
+                    if (!this.isIndicator(':')) {
+                        throw this.error('Expected ":" after mapping key');
+                    }
+                }
             }
 
-            const parent = stack[stack.length - 1].obj;
+            if (value === undefined) {
+                this.pos++;
+                value = this.parseBlockNode(indent, { sequenceAtParent: true });
+            }
+            this.setMember(map, key, value, keyPos);
+            key = undefined;
 
-            if (!value) {
-                // Empty value means this is a parent for nested content
-                parent[key] = {};
-                stack.push({ obj: parent[key], indent });
-            } else {
-                // Parse and assign value
-                parent[key] = this.parseValue(value);
+            this.skipToContent();
+            if (this.atEnd() || this.column() < indent) break;
+            if (this.column() > indent) {
+                throw this.error('Bad indentation of a mapping entry');
             }
+            if (this.isIndicator('-')) break;
         }
+        return map;
+    }
 
-        return result;
+    /**
+     * Add a member, rejecting collection and duplicate keys
+     */
+    setMember(map, key, value, pos) {
+        if (key !== null && typeof key === 'object') {
+            throw this.error('Only scalar mapping keys are supported', pos);
+        }
+        const name = key === null ? '' : String(key);
+        if (Object.prototype.hasOwnProperty.call(map, name)) {
+            throw this.error(`Duplicate key "${name}"`, pos);
+        }
+        Object.defineProperty(map, name, { value, enumerable: true, writable: true, configurable: true });
     }
 
     /**
-     * Parse a single key-value pair
+     * Literal (|) or folded (>) scalar with optional chomping (+/-) and
+     * indentation indicators
      */
-    parseKeyValue(str) {
-        const colonIndex = str.indexOf(':');
-        if (colonIndex === -1) {
-            return this.parseValue(str);
+    readBlockScalar(parentIndent) {
+        const start = this.pos;
+        const folded = this.peek() === '>';
+        let chomping = 'clip';
+        let indentation = null;
+
+        this.pos++;
+        for (let i = 0; i < 2; i++) {
+            const ch = this.peek();
+            if ((ch === '+' || ch === '-') && chomping === 'clip') {
+                chomping = ch === '+' ? 'keep' : 'strip';
+            } else if (/[1-9]/.test(ch || '') && indentation === null) {
+                indentation = Math.max(parentIndent, 0) + Number(ch);
+            } else {
+                break;
+            }
+            this.pos++;
+        }
+        if (!YAMLParser.isBlank(this.peek())) {
+            throw this.error('Invalid block scalar header', start);
+        }
+        this.expectLineEnd();
+
+        // Take lines while they are indented enough; blank lines always
+        const lines = [];
+        let lineStart = this.pos + 1;
+        while (lineStart < this.text.length) {
+            let lineEnd = this.text.indexOf('\n', lineStart);
+            if (lineEnd === -1) lineEnd = this.text.length;
+            const line = this.text.slice(lineStart, lineEnd);
+
+            if (line.trim() !== '') {
+                const spaces = /^ */.exec(line)[0].length;
+                if (indentation === null) indentation = spaces;
+                if (spaces < indentation || spaces <= parentIndent || /^(?:---|\.\.\.)(?:\s|$)/.test(line)) break;
+            }
+            lines.push(line.trim() === '' ? '' : line.slice(indentation));
+            this.pos = lineEnd;
+            lineStart = lineEnd + 1;
+        }
+
+        let trailing = 0;
+        while (lines.length > 0 && lines[lines.length - 1].trim() === '') {
+            lines.pop();
+            trailing++;
+        }
+
+        let text = folded ? YAMLParser.foldLines(lines) : lines.join('\n');
+        if (chomping === 'keep') {
+            text += '\n'.repeat((lines.length > 0 ? 1 : 0) + trailing);
+        } else if (chomping === 'clip' && lines.length > 0) {
+            text += '\n';
         }
-        
-        const key = str.substring(0, colonIndex).trim();
-        const value = str.substring(colonIndex + 1).trim();
-        
-        return { [key]: this.parseValue(value) };
+        return new YAMLScalar(text, true);
     }
 
     /**
-     * Parse a value (string, number, boolean, etc.)
+     * Fold the lines of a > scalar: single breaks between text lines become
+     * spaces, empty lines become breaks, more-indented lines keep theirs
      */
-    parseValue(value) {
-        // Remove quotes if present
-        if ((value.startsWith('"') && value.endsWith('"')) ||
-            (value.startsWith("'") && value.endsWith("'"))) {
-            return value.slice(1, -1);
+    static foldLines(lines) {
+        let text = lines.length > 0 ? lines[0] : '';
+        for (let i = 1; i < lines.length; i++) {
+            const line = lines[i];
+            const previous = lines[i - 1];
+            if (line === '') {
+                text += '\n';
+            } else if (previous === '') {
+                if (i === 1) text += '\n';
+            } else if (/^[ \t]/.test(line) || /^[ \t]/.test(previous)) {
+                text += '\n';
+            } else {
+                text += ' ';
+            }
+            text += line;
+        }
+        return text;
+    }
+
+    // ---- Flow context ----
+
+    skipFlowSpace() {
+        for (;;) {
+            this.skipSpaces();
+            if (this.peek() === '#') this.skipLine();
+            if (this.peek() !== '\n') return;
+            this.pos++;
+        }
+    }
+
+    parseFlowNode() {
+        this.skipFlowSpace();
+        let anchor = null;
+        let tag = null;
+        for (;;) {
+            if (this.peek() === '&') {
+                this.pos++;
+                anchor = this.readName();
+            } else if (this.peek() === '!') {
+                tag = this.readTag();
+            } else {
+                break;
+            }
+            this.skipFlowSpace();
         }
 
-        // Boolean values
-        if (value === 'true' || value === 'yes' || value === 'on') {
-            return true;
+        const start = this.pos;
+        const ch = this.peek();
+        let node;
+        if (ch === '*') {
+            node = this.readAlias();
+        } else if (ch === '[') {
+            node = this.parseFlowSequence();
+        } else if (ch === '{') {
+            node = this.parseFlowMapping();
+        } else if (ch === ',' || ch === ']' || ch === '}' || ch === ':') {
+            node = new YAMLScalar('', false);
+        } else if (ch === undefined) {
+            throw this.error('Unterminated flow collection');
+        } else {
+            node = this.readScalar(true);
+            if (!node.quoted) {
+                node.text = this.readPlainContinuation(node.text, -1, true);
+            }
         }
-        if (value === 'false' || value === 'no' || value === 'off') {
-            return false;
+        return this.finishNode(node, anchor, tag, start);
+    }
+
+    parseFlowSequence() {
+        const start = this.pos++;
+        const list = [];
+        for (;;) {
+            this.skipFlowSpace();
+            if (this.peek() === undefined) throw this.error('Unterminated flow sequence', start);
+            if (this.peek() === ']') {
+                this.pos++;
+                return list;
+            }
+
+            const itemPos = this.pos;
+            if (this.isIndicator('?')) this.pos++;
+            let item = this.parseFlowNode();
+            this.skipFlowSpace();
+            if (this.peek() === ':') {
+                // Single-pair mapping: [key: value]
+                this.pos++;
+                const pair = {};
+                this.setMember(pair, item, this.parseFlowValue(']'), itemPos);
+                item = pair;
+            }
+            list.push(item);
+            this.expectFlowSeparator(']');
         }
+    }
+
+    parseFlowMapping() {
+        const start = this.pos++;
+        const map = {};
+        for (;;) {
+            this.skipFlowSpace();
+            if (this.peek() === undefined) throw this.error('Unterminated flow mapping', start);
+            if (this.peek() === '}') {
+                this.pos++;
+                return map;
+            }
 
-        // Null values
-        if (value === 'null' || value === '~' || value === '') {
-            return null;
+            const keyPos = this.pos;
+            if (this.isIndicator('?')) this.pos++;
+            const key = this.parseFlowNode();
+            this.skipFlowSpace();
+            let value = null;
+            if (this.peek() === ':') {
+                this.pos++;
+                value = this.parseFlowValue('}');
+            }
+            this.setMember(map, key, value, keyPos);
+            this.expectFlowSeparator('}');
         }
+    }
+
+    parseFlowValue(close) {
+        this.skipFlowSpace();
+        return this.peek() === ',' || this.peek() === close ? null : this.parseFlowNode();
+    }
 
-        // Hexadecimal
-        if (value.startsWith('0x') || value.startsWith('0X')) {
-            const hex = parseInt(value, 16);
-            if (!isNaN(hex)) return hex;
+    expectFlowSeparator(close) {
+        this.skipFlowSpace();
+        if (this.peek() === ',') {
+            this.pos++;
+        } else if (this.peek() !== close) {
+            throw this.error(this.peek() === undefined ? `Missing "${close}"` : `Expected "," or "${close}"`);
         }
+    }
+
+    // ---- Scalars ----
 
-        // Numbers
-        if (/^-?\d+$/.test(value)) {
-            return parseInt(value, 10);
+    /**
+     * Quoted or single-line plain scalar
+     */
+    readScalar(flow = false) {
+        const ch = this.peek();
+        if (ch === '"') return new YAMLScalar(this.readDoubleQuoted(), true);
+        if (ch === '\'') return new YAMLScalar(this.readSingleQuoted(), true);
+
+        if (/[,[\]{}#&*!|>'"%@`]/.test(ch) ||
+            ((ch === '-' || ch === '?' || ch === ':') && (YAMLParser.isBlank(this.peek(1)) ||
+                (flow && /[,[\]{}]/.test(this.peek(1)))))) {
+            throw this.error(`Unexpected "${ch}"`);
         }
-        if (/^-?\d*\.?\d+([eE][+-]?\d+)?$/.test(value)) {
-            return parseFloat(value);
+        return new YAMLScalar(this.readPlainLine(flow), false);
+    }
+
+    /**
+     * Rest of a plain scalar on this line, up to ": ", " #" or (in flow
+     * context) a flow indicator; trailing spaces dropped
+     */
+    readPlainLine(flow) {
+        const start = this.pos;
+        let end = this.pos;
+        while (this.pos < this.text.length) {
+            const ch = this.peek();
+            const next = this.peek(1);
+            if (ch === '\n') break;
+            if (ch === ':' && (YAMLParser.isBlank(next) || (flow && /[,[\]{}]/.test(next)))) break;
+            if (ch === '#' && (this.text[this.pos - 1] === ' ' || this.text[this.pos - 1] === '\t')) break;
+            if (flow && /[,[\]{}]/.test(ch)) break;
+            this.pos++;
+            if (ch !== ' ' && ch !== '\t') end = this.pos;
         }
+        return this.text.slice(start, end);
+    }
 
-        // Arrays (inline)
-        if (value.startsWith('[') && value.endsWith(']')) {
-            const items = value.slice(1, -1).split(',');
-            return items.map(item => this.parseValue(item.trim()));
+    /**
+     * Continue a plain scalar on following lines indented past the parent
+     * (any line in flow context), folding the line breaks
+     */
+    readPlainContinuation(text, parentIndent, flow) {
+        for (;;) {
+            const save = this.pos;
+            this.skipSpaces();
+            if (this.peek() !== '\n') {
+                this.pos = save;
+                return text;
+            }
+
+            let breaks = 0;
+            while (this.peek() === '\n') {
+                this.pos++;
+                breaks++;
+                this.skipSpaces();
+            }
+            const ch = this.peek();
+            const ends = this.atEnd() || ch === '#' || this.isDocumentMarker() ||
+                (flow ? /[,\]}:]/.test(ch) : this.column() <= parentIndent || this.isIndicator(':'));
+            const line = ends ? '' : this.readPlainLine(flow);
+            if (!line) {
+                this.pos = save;
+                return text;
+            }
+            text += (breaks === 1 ? ' ' : '\n'.repeat(breaks - 1)) + line;
         }
+    }
+
+    readDoubleQuoted() {
+        const start = this.pos++;
+        let text = '';
+        for (;;) {
+            const ch = this.peek();
+            if (ch === undefined) {
+                throw this.error('Unterminated double-quoted string', start);
+            }
+            if (ch === '"') {
+                this.pos++;
+                return text;
+            }
+            if (ch === '\n') {
+                text = text.replace(/[ \t]+$/, '') + this.foldQuotedBreak();
+                continue;
+            }
+            if (ch !== '\\') {
+                text += ch;
+                this.pos++;
+                continue;
+            }
 
-        // Objects (inline)
-        if (value.startsWith('{') && value.endsWith('}')) {
-            const obj = {};
-            const items = value.slice(1, -1).split(',');
-            for (const item of items) {
-                const [k, v] = item.split(':').map(s => s.trim());
-                if (k && v) {
-                    obj[k] = this.parseValue(v);
+            const escape = this.peek(1);
+            if (escape === '\n') {
+                // Escaped line break: joins the lines without a space
+                this.pos += 2;
+                this.skipSpaces();
+            } else if (escape in YAMLParser.ESCAPES) {
+                text += YAMLParser.ESCAPES[escape];
+                this.pos += 2;
+            } else if (escape in YAMLParser.HEX_ESCAPES) {
+                const length = YAMLParser.HEX_ESCAPES[escape];
+                const hex = this.text.substr(this.pos + 2, length);
+                if (!new RegExp(`^[0-9a-fA-F]{${length}}$`).test(hex)) {
+                    throw this.error(`Invalid escape "\\${escape}${hex}"`);
                 }
+                text += String.fromCodePoint(parseInt(hex, 16));
+                this.pos += 2 + length;
+            } else {
+                throw this.error(`Invalid escape "\\${escape}"`);
             }
-            return obj;
         }
+    }
 
-        // Default to string
-        return value;
+    readSingleQuoted() {
+        const start = this.pos++;
+        let text = '';
+        for (;;) {
+            const ch = this.peek();
+            if (ch === undefined) {
+                throw this.error('Unterminated single-quoted string', start);
+            }
+            if (ch === '\'') {
+                if (this.peek(1) !== '\'') {
+                    this.pos++;
+                    return text;
+                }
+                text += '\'';
+                this.pos += 2;
+            } else if (ch === '\n') {
+                text = text.replace(/[ \t]+$/, '') + this.foldQuotedBreak();
+            } else {
+                text += ch;
+                this.pos++;
+            }
+        }
     }
 
     /**
-     * Convert JavaScript object to YAML string
+     * Line breaks inside a quoted scalar: one becomes a space, n become
+     * n - 1 newlines; leading whitespace of the next line is dropped
      */
-    stringify(obj, indent = 0) {
-        const lines = [];
+    foldQuotedBreak() {
+        let breaks = 0;
+        while (this.peek() === '\n') {
+            this.pos++;
+            breaks++;
+            this.skipSpaces();
+        }
+        return breaks === 1 ? ' ' : '\n'.repeat(breaks - 1);
+    }
+
+    /**
+     * Core schema resolution of a plain scalar
+     */
+    resolvePlain(text) {
+        if (/^(?:|~|null|Null|NULL)$/.test(text)) return null;
+        if (/^(?:true|True|TRUE)$/.test(text)) return true;
+        if (/^(?:false|False|FALSE)$/.test(text)) return false;
+        if (/^[-+]?[0-9]+$/.test(text)) return YAMLParser.toInteger(Number(text), text);
+        if (/^0o[0-7]+$/.test(text)) return YAMLParser.toInteger(parseInt(text.slice(2), 8), text);
+        if (/^0x[0-9a-fA-F]+$/.test(text)) return YAMLParser.toInteger(parseInt(text.slice(2), 16), text);
+        if (/^[-+]?(?:\.[0-9]+|[0-9]+(?:\.[0-9]*)?)(?:[eE][-+]?[0-9]+)?$/.test(text)) return parseFloat(text);
+        if (/^[-+]?\.(?:inf|Inf|INF)$/.test(text)) return text[0] === '-' ? -Infinity : Infinity;
+        if (/^\.(?:nan|NaN|NAN)$/.test(text)) return NaN;
+        return text;
+    }
+
+    static toInteger(value, text) {
+        return Number.isSafeInteger(value) ? value : text;
+    }
+
+    /**
+     * Scalar with an explicit tag (!!str, !!int, ...; "!" means string)
+     */
+    applyScalarTag(text, tag, pos) {
+        const value = this.resolvePlain(text);
+        switch (tag) {
+            case '!':
+            case '!!str':
+                return text;
+            case '!!int':
+                if (!/^[-+]?[0-9]+$|^0o[0-7]+$|^0x[0-9a-fA-F]+$/.test(text)) {
+                    throw this.error(`"${text}" is not an integer`, pos);
+                }
+                return value;
+            case '!!float':
+                if (typeof value !== 'number') throw this.error(`"${text}" is not a number`, pos);
+                return value;
+            case '!!bool':
+                if (typeof value !== 'boolean') throw this.error(`"${text}" is not a boolean`, pos);
+                return value;
+            case '!!null':
+                if (value !== null) throw this.error(`"${text}" is not null`, pos);
+                return null;
+            default:
+                throw this.error(`Unsupported tag ${tag}`, pos);
+        }
+    }
+
+    static collectionTagMatches(tag, value) {
+        if (tag === '!!seq') return Array.isArray(value);
+        if (tag === '!!map') return value !== null && typeof value === 'object' && !Array.isArray(value);
+        return tag === '!';
+    }
+
+    /**
+     * Anchor or alias name after & or *
+     */
+    readName() {
+        const start = this.pos;
+        while (this.pos < this.text.length && !/[\s,[\]{}]/.test(this.peek())) this.pos++;
+        if (this.pos === start) {
+            throw this.error('Missing anchor name');
+        }
+        return this.text.slice(start, this.pos);
+    }
+
+    readTag() {
+        const start = this.pos;
+        while (this.pos < this.text.length && !/[\s,[\]{}]/.test(this.peek())) this.pos++;
+        const tag = this.text.slice(start, this.pos);
+        return tag.startsWith('!<tag:yaml.org,2002:') ? `!!${tag.slice(20, -1)}` : tag;
+    }
+
+    readAlias() {
+        const start = this.pos++;
+        const name = this.readName();
+        if (!this.anchors.has(name)) {
+            throw this.error(`Unknown anchor "${name}"`, start);
+        }
+        return this.anchors.get(name);
+    }
+
+    // ---- Writing ----
+
+    /**
+     * Convert a JavaScript value to YAML
+     */
+    stringify(value, indent = 0) {
+        return this.stringifyLines(value, indent).join('\n');
+    }
+
+    stringifyLines(value, indent) {
         const spaces = ' '.repeat(indent);
+        const isNested = item => item !== null && typeof item === 'object' && Object.keys(item).length > 0;
+
+        if (Array.isArray(value) && value.length > 0) {
+            const lines = [];
+            for (const item of value) {
+                if (isNested(item)) {
+                    const itemLines = this.stringifyLines(item, indent + 2);
+                    lines.push(`${spaces}- ${itemLines[0].trim()}`, ...itemLines.slice(1));
+                } else {
+                    lines.push(`${spaces}- ${this.formatValue(item)}`);
+                }
+            }
+            return lines;
+        }
 
-        for (const [key, value] of Object.entries(obj)) {
-            if (value === null || value === undefined) {
-                lines.push(`${spaces}${key}:`);
-            } else if (typeof value === 'object' && !Array.isArray(value)) {
-                lines.push(`${spaces}${key}:`);
-                lines.push(this.stringify(value, indent + this.indentSize));
-            } else if (Array.isArray(value)) {
-                lines.push(`${spaces}${key}:`);
-                for (const item of value) {
-                    if (typeof item === 'object' && !Array.isArray(item)) {
-                        const itemLines = this.stringify(item, indent + this.indentSize + 2);
-                        const firstLine = itemLines.split('\n')[0];
-                        const restLines = itemLines.split('\n').slice(1).join('\n');
-                        lines.push(`${spaces}  - ${firstLine.trim()}`);
-                        if (restLines) {
-                            lines.push(restLines);
-                        }
-                    } else {
-                        lines.push(`${spaces}  - ${this.formatValue(item)}`);
-                    }
+        if (isNested(value) && !Array.isArray(value)) {
+            const lines = [];
+            for (const [key, item] of Object.entries(value)) {
+                if (isNested(item)) {
+                    lines.push(`${spaces}${this.formatValue(key)}:`);
+                    lines.push(...this.stringifyLines(item, indent + this.indentSize));
+                } else {
+                    lines.push(`${spaces}${this.formatValue(key)}: ${this.formatValue(item)}`);
                 }
-            } else {
-                lines.push(`${spaces}${key}: ${this.formatValue(value)}`);
             }
+            return lines;
         }
 
-        return lines.join('\n');
+        return [`${spaces}${this.formatValue(value)}`];
     }
 
     /**
-     * Format a value for YAML output
+     * Format a scalar (or empty collection) for YAML output
      */
     formatValue(value) {
         if (typeof value === 'string') {
-            // Quote if contains special characters
-            if (value.includes(':') || value.includes('#') || value.includes('"') || 
-                value.includes("'") || value.includes('\n') || value.trim() !== value) {
-                return `"${value.replace(/"/g, '\\"')}"`;
+            // Quote what would not read back as this string
+            if (value === '' || this.resolvePlain(value) !== value ||
+                /^[\s\-?:,[\]{}#&*!|>'"%@`]/.test(value) || /[:#\n\r\t]|\s$/.test(value)) {
+                return JSON.stringify(value);
             }
             return value;
         }
-        if (typeof value === 'boolean') {
-            return value ? 'true' : 'false';
+        if (typeof value === 'number') {
+            if (Number.isNaN(value)) return '.nan';
+            if (!Number.isFinite(value)) return value > 0 ? '.inf' : '-.inf';
+            return String(value);
+        }
+        if (Array.isArray(value)) {
+            return '[]';
+        }
+        if (value !== null && typeof value === 'object') {
+            return '{}';
         }
-        if (value === null) {
+        if (value === null || value === undefined) {
             return 'null';
         }
         return String(value);
     }
 
     /**
-     * Validate YAML string
+     * Validate YAML string; errors carry their line and column
      */
     validate(yamlString) {
         try {
             this.parse(yamlString);
             return { valid: true, error: null };
         } catch (error) {
-            return { valid: false, error: error.message };
+            return { valid: false, error: error.message, line: error.line, column: error.column, offset: error.offset };
         }
     }
 
     /**
-     * Convert TSN configuration from YAML to device format
-     */
-    convertTSNConfig(yamlObj) {
-        const config = {};
-
-        // Port configuration
-        if (yamlObj.ports) {
-            config.ports = yamlObj.ports.map(port => ({
-                number: port.number,
-                speed: port.speed === 'auto' ? 0 : parseInt(port.speed),
-                duplex: port.duplex === 'full' ? 1 : (port.duplex === 'half' ? 0 : 2),
-                enabled: port.enabled !== false
-            }));
-        }
-
-        // CBS configuration
-        if (yamlObj.tsn && yamlObj.tsn.cbs) {
-            config.cbs = {};
-            for (const [tc, params] of Object.entries(yamlObj.tsn.cbs)) {
-                const tcNumber = tc.replace('tc', '');
-                config.cbs[tcNumber] = {
-                    idleSlope: params.idle_slope || params.idleSlope,
-                    sendSlope: params.send_slope || params.sendSlope,
-                    hiCredit: params.hi_credit || params.hiCredit || 0,
-                    loCredit: params.lo_credit || params.loCredit || 0
-                };
-            }
-        }
-
-        // TAS configuration
-        if (yamlObj.tsn && yamlObj.tsn.tas) {
-            config.tas = {
-                cycleTime: yamlObj.tsn.tas.cycle_time || yamlObj.tsn.tas.cycleTime,
-                baseTime: yamlObj.tsn.tas.base_time || yamlObj.tsn.tas.baseTime || 0,
-                gateControlList: []
-            };
-
-            if (yamlObj.tsn.tas.gate_control_list || yamlObj.tsn.tas.gateControlList) {
-                const gcl = yamlObj.tsn.tas.gate_control_list || yamlObj.tsn.tas.gateControlList;
-                config.tas.gateControlList = gcl.map(entry => ({
-                    gateStates: typeof entry.gate_states === 'string' ? 
-                                parseInt(entry.gate_states, 16) : entry.gate_states,
-                    timeInterval: entry.time_interval || entry.timeInterval
-                }));
-            }
-        }
-
-        // PTP configuration
-        if (yamlObj.tsn && yamlObj.tsn.ptp) {
-            config.ptp = {
-                profile: yamlObj.tsn.ptp.profile || 'default',
-                domain: yamlObj.tsn.ptp.domain || 0,
-                priority1: yamlObj.tsn.ptp.priority1 || 128,
-                priority2: yamlObj.tsn.ptp.priority2 || 128,
-                clockClass: yamlObj.tsn.ptp.clock_class || yamlObj.tsn.ptp.clockClass || 248,
-                clockAccuracy: yamlObj.tsn.ptp.clock_accuracy || yamlObj.tsn.ptp.clockAccuracy || 0xFE
-            };
-        }
-
-        // VLAN configuration
-        if (yamlObj.vlans) {
-            config.vlans = yamlObj.vlans.map(vlan => ({
-                id: vlan.id,
-                name: vlan.name || `VLAN${vlan.id}`,
-                ports: vlan.ports || [],
-                tagged: vlan.tagged || [],
-                untagged: vlan.untagged || []
-            }));
-        }
-
-        return config;
-    }
-
-    /**
-     * Generate example YAML configuration
+     * Example mvdct patch, as applied by YamlPatch
      */
     generateExample() {
-        const example = {
-            ports: [
-                { number: 0, speed: 1000, duplex: 'full', enabled: true },
-                { number: 1, speed: 'auto', duplex: 'auto', enabled: true }
-            ],
-            tsn: {
-                cbs: {
-                    tc2: { idle_slope: 1500, send_slope: -98500 },
-                    tc6: { idle_slope: 3500, send_slope: -96500 }
-                },
-                tas: {
-                    cycle_time: 200000,
-                    gate_control_list: [
-                        { gate_states: '0xFF', time_interval: 50000 },
-                        { gate_states: '0x01', time_interval: 150000 }
-                    ]
-                },
-                ptp: {
-                    profile: 'automotive',
-                    domain: 0,
-                    priority1: 128,
-                    priority2: 128
-                }
-            },
-            vlans: [
-                { id: 100, name: 'Production', ports: [0, 1], tagged: [0], untagged: [1] },
-                { id: 200, name: 'Management', ports: [0], tagged: [0] }
-            ]
-        };
-
-        return this.stringify(example);
+        return `# mvdct patch: "path: value" entries, applied in order;
+# an empty value deletes the node
+
+# Port 1 at 1 Gbit/s, full duplex
+- ? "/ietf-interfaces:interfaces/interface[name='1']/ieee802-ethernet-interface:ethernet/auto-negotiation/enable"
+  : false
+- ? "/ietf-interfaces:interfaces/interface[name='1']/ieee802-ethernet-interface:ethernet/speed"
+  : 1.0
+- ? "/ietf-interfaces:interfaces/interface[name='1']/ieee802-ethernet-interface:ethernet/duplex"
+  : full
+
+# Credit-based shaper for traffic class 2 on port 1
+- ? "/ietf-interfaces:interfaces/interface[name='1']/mchp-velocitysp-port:eth-qos/config/traffic-class-shapers"
+  : traffic-class: 2
+    credit-based:
+      idle-slope: 1500
+
+# Gate control on port 1: 200 us cycle
+- ? "/ietf-interfaces:interfaces/interface[name='1']/ieee802-dot1q-bridge:bridge-port/ieee802-dot1q-sched-bridge:gate-parameter-table/admin-cycle-time"
+  : numerator: 200
+    denominator: 1000000
+- ? "/ietf-interfaces:interfaces/interface[name='1']/ieee802-dot1q-bridge:bridge-port/ieee802-dot1q-sched-bridge:gate-parameter-table/gate-enabled"
+  : true
+
+# PTP instance 0 priorities
+- ? "/ieee1588-ptp:ptp/instances/instance[instance-index='0']/default-ds/priority1"
+  : 128
+
+# Remove the default VLAN 1
+- ? "/ieee802-dot1q-bridge:bridges/bridge[name='b0']/component[name='c0']/filtering-database/vlan-registration-entry[database-id='0'][vids='1']"
+  :
+`;
     }
 }
 
+/**
+ * Double-quoted scalar escapes
+ */
+YAMLParser.ESCAPES = {
+    '0': '\0', 'a': '\x07', 'b': '\b', 't': '\t', '\t': '\t', 'n': '\n', 'v': '\v',
+    'f': '\f', 'r': '\r', 'e': '\x1b', ' ': ' ', '"': '"', '/': '/', '\\': '\\',
+    'N': '\x85', '_': '\xa0', 'L': '\u2028', 'P': '\u2029'
+};
+
+// Hex digits after \x, \u and \U
+YAMLParser.HEX_ESCAPES = { 'x': 2, 'u': 4, 'U': 8 };
+
 // Export for use in other modules
-window.YAMLParser = YAMLParser;
\ No newline at end of file
+window.YAMLParser = YAMLParser;
+window.YAMLSyntaxError = YAMLSyntaxError;
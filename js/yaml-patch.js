@@ -0,0 +1,199 @@
+/**
+ * YAML Patch
+ * Applies mvdct-style patch files, the format `mvdct device <port> patch
+ * <file>` consumes and tsn-config.js generates: a YAML list of single
+ * "instance-identifier: value" entries, e.g.
+ *
+ *   - ? "/ietf-interfaces:interfaces/interface[name='1']/ieee802-dot1q-bridge:bridge-port/pvid"
+ *     : 100
+ *
+ * Each entry becomes one CORECONF request on /c, in file order: an iPATCH
+ * with the instance, or a DELETE of the node when the value is empty.
+ */
+
+/**
+ * A patch document that is not a list of "path: value" entries; index is
+ * the offending entry (0-based) when there is one
+ */
+class YamlPatchError extends Error {
+    constructor(message, index = null) {
+        super(message);
+        this.name = 'YamlPatchError';
+        this.index = index;
+    }
+}
+
+class YamlPatch {
+    /**
+     * coapClient: CoAPClient wired to the device; coreconf: CoreconfCodec
+     * with the device's SIDs
+     */
+    constructor(coapClient, coreconf) {
+        this.coapClient = coapClient;
+        this.coreconf = coreconf;
+    }
+
+    /**
+     * Parse patch YAML into [{ path, value }]
+     */
+    static parse(yamlText, parser = new YAMLParser()) {
+        return YamlPatch.parseEntries(parser.parse(yamlText));
+    }
+
+    /**
+     * Parsed patch document -> [{ path, value }]. A plain mapping of
+     * paths is taken as entries in key order.
+     */
+    static parseEntries(document) {
+        let items;
+        if (Array.isArray(document)) {
+            items = document;
+        } else if (document !== null && typeof document === 'object') {
+            items = Object.entries(document).map(([path, value]) => ({ [path]: value }));
+        } else {
+            throw new YamlPatchError('Expected a list of "path: value" entries');
+        }
+
+        return items.map((item, index) => {
+            if (item === null || typeof item !== 'object' || Array.isArray(item) || Object.keys(item).length !== 1) {
+                throw new YamlPatchError(`Entry ${index + 1} must be a single "path: value" mapping`, index);
+            }
+            const [path, value] = Object.entries(item)[0];
+            try {
+                InstanceIdentifier.parse(path);
+            } catch (error) {
+                throw new YamlPatchError(`Entry ${index + 1}: ${error.message}`, index);
+            }
+            return { path, value };
+        });
+    }
+
+    /**
+     * Send the entries in order; resolves to one result per entry:
+     * { path, method, status: 'ok' | 'failed' | 'skipped', code, error }.
+     * A device error fails only its entry, unless stopOnError is set; a
+     * timeout or lost link skips the rest. onResult is called as each
+     * result comes in.
+     */
+    async apply(entries, { onResult = null, stopOnError = false } = {}) {
+        const results = [];
+        let abort = null;
+
+        for (const entry of entries) {
+            let result;
+            if (abort) {
+                result = { path: entry.path, method: YamlPatch.getMethod(entry), status: 'skipped', code: null, error: abort };
+            } else {
+                result = await this.applyEntry(entry);
+                if (result.interrupted) {
+                    abort = `Not sent: ${result.error}`;
+                } else if (result.status === 'failed' && stopOnError) {
+                    abort = 'Not sent: an earlier entry failed';
+                }
+                delete result.interrupted;
+            }
+            results.push(result);
+            if (onResult) onResult(result, results.length - 1);
+        }
+
+        return results;
+    }
+
+    /**
+     * Send one entry; never rejects
+     */
+    async applyEntry({ path, value }) {
+        const method = YamlPatch.getMethod({ value });
+        const result = { path, method, status: 'ok', code: null, error: null };
+
+        let options;
+        try {
+            if (method === 'DELETE') {
+                options = { query: [`k=${this.coreconf.encodeQueryIdentifier(path)}`] };
+            } else {
+                options = {
+                    payload: this.coreconf.encodeInstances([{ [path]: value }]),
+                    contentFormat: this.coapClient.CONTENT_FORMAT.YANG_INSTANCES_CBOR_SEQ
+                };
+            }
+        } catch (error) {
+            // Nothing was sent; later entries may still encode
+            return { ...result, status: 'failed', error: error.message };
+        }
+
+        try {
+            const response = await this.coapClient.request(method, '/c', options);
+            return { ...result, code: this.coapClient.formatCode(response.code) };
+        } catch (error) {
+            if (!(error instanceof CoAPResponseError)) {
+                // Timeout or lost link: the device state is unknown
+                return { ...result, status: 'failed', error: error.message, interrupted: true };
+            }
+            const code = this.coapClient.formatCode(error.code);
+            if (method === 'DELETE' && error.code === this.coapClient.RESPONSE_CODE.NOT_FOUND) {
+                // Deleting what is not there leaves the intended state
+                return { ...result, code, error: 'already absent' };
+            }
+            // The device's diagnostic payload, if it sent one
+            const payload = error.response && error.response.payload;
+            const diagnostic = payload && payload.length > 0 ? new TextDecoder().decode(payload) : null;
+            return { ...result, status: 'failed', code, error: diagnostic };
+        }
+    }
+
+    /**
+     * Current values of paths with one FETCH: a Map of path (as
+     * InstanceIdentifier.toString() writes it) -> value, null for absent
+     * nodes. configOnly asks for configuration without state (c=c).
+     */
+    async read(paths, { configOnly = false } = {}) {
+        const response = await this.coapClient.request('FETCH', '/c', {
+            payload: this.coreconf.encodeIdentifiers(paths),
+            contentFormat: this.coapClient.CONTENT_FORMAT.YANG_IDENTIFIERS_CBOR_SEQ,
+            query: configOnly ? ['c=c'] : undefined
+        });
+
+        // Instances come back keyed by path; absent nodes are null or left out
+        const values = new Map(paths.map(path => [InstanceIdentifier.parse(path).toString(), null]));
+        for (const instance of this.coreconf.decodeInstances(response.payload)) {
+            for (const [path, value] of Object.entries(instance)) {
+                values.set(InstanceIdentifier.parse(path).toString(), value);
+            }
+        }
+        return values;
+    }
+
+    static getMethod({ value }) {
+        return value === null || value === undefined ? 'DELETE' : 'iPATCH';
+    }
+
+    /**
+     * One line per result, e.g. "✓ iPATCH /ietf-interfaces:... (2.04)"
+     */
+    static formatResult(result) {
+        const mark = { ok: '✓', failed: '✗', skipped: '-' }[result.status];
+        const detail = [result.code, result.error].filter(Boolean).join(' ');
+        return `${mark} ${result.method} ${result.path}${detail ? ` (${detail})` : ''}`;
+    }
+
+    /**
+     * "3 applied, 1 failed, 2 skipped"
+     */
+    static summarize(results) {
+        const count = status => results.filter(result => result.status === status).length;
+        const parts = [`${count('ok')} applied`];
+        if (count('failed')) parts.push(`${count('failed')} failed`);
+        if (count('skipped')) parts.push(`${count('skipped')} skipped`);
+        return parts.join(', ');
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { YamlPatch, YamlPatchError };
+}
+
+if (typeof window !== 'undefined') {
+    window.YamlPatch = YamlPatch;
+    window.YamlPatchError = YamlPatchError;
+}
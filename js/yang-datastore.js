@@ -0,0 +1,283 @@
+/**
+ * YANG Datastore
+ * In-memory YANG data tree addressed by instance-identifier paths
+ *
+ * The tree uses RFC 7951 JSON layout: containers are objects, lists are
+ * arrays of entry objects and leaves are plain values. Member names are
+ * RFC 7951 member names, module-qualified where the module changes, e.g.
+ *
+ *   /ietf-interfaces:interfaces/interface[name='1']/ieee802-dot1q-bridge:bridge-port/port-type
+ */
+
+class YangDatastore {
+    constructor(data = {}) {
+        this.root = YangDatastore.clone(data);
+    }
+
+    /**
+     * Key leaf names of a list, looked up as "parent/list" first, then "list"
+     */
+    static listKeys(name, parentName = null) {
+        const local = YangDatastore.localName(name);
+        if (parentName) {
+            const scoped = YangDatastore.LIST_KEYS[`${YangDatastore.localName(parentName)}/${local}`];
+            if (scoped) return scoped;
+        }
+        return YangDatastore.LIST_KEYS[local] || null;
+    }
+
+    /**
+     * Strip a module prefix: "ietf-interfaces:interface" -> "interface"
+     */
+    static localName(name) {
+        const colon = name.indexOf(':');
+        return colon === -1 ? name : name.slice(colon + 1);
+    }
+
+    static clone(value) {
+        return value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+    }
+
+    /**
+     * Does a list entry match every key predicate? Keys compare as strings
+     * because predicates always carry string values.
+     */
+    static entryMatches(entry, keys) {
+        return Object.entries(keys).every(([key, value]) =>
+            entry[key] !== undefined && String(entry[key]) === String(value));
+    }
+
+    /**
+     * Walk to the node a path addresses. With `create`, missing containers
+     * and list entries are added along the way. Returns { parent, name, node }
+     * where parent[name] holds the addressed node (a list entry is returned
+     * as its own object with parent set to the list array).
+     */
+    resolve(path, create = false) {
+        const segments = InstanceIdentifier.parse(path).segments;
+        let current = this.root;
+        let location = { parent: null, name: null, node: this.root };
+
+        for (const { member: name, keys, value, position } of segments) {
+            if (current === null || typeof current !== 'object' || Array.isArray(current)) {
+                return null;
+            }
+
+            const hasKeys = Object.keys(keys).length > 0;
+            const isEntry = hasKeys || value !== undefined || position !== undefined;
+            let node = current[name];
+
+            if (node === undefined) {
+                if (!create) return null;
+                node = isEntry ? [] : {};
+                current[name] = node;
+            }
+
+            location = { parent: current, name, node };
+
+            if (value !== undefined || position !== undefined) {
+                // Leaf-list value or entry position
+                if (!Array.isArray(node)) return null;
+
+                let index = value !== undefined
+                    ? node.findIndex(item => String(item) === value)
+                    : position - 1;
+                if (index === -1 || index >= node.length) {
+                    if (!create || value === undefined) return null;
+                    index = node.push(value) - 1;
+                }
+                location = { parent: node, name: index, node: node[index] };
+                node = node[index];
+            } else if (hasKeys) {
+                if (!Array.isArray(node)) return null;
+
+                let entry = node.find(e => YangDatastore.entryMatches(e, keys));
+                if (!entry) {
+                    if (!create) return null;
+                    entry = { ...keys };
+                    node.push(entry);
+                }
+                location = { parent: node, name: node.indexOf(entry), node: entry };
+                node = entry;
+            }
+
+            current = node;
+        }
+
+        return location;
+    }
+
+    /**
+     * Read the node at path; undefined if it does not exist
+     */
+    get(path) {
+        if (!path || path === '/') return YangDatastore.clone(this.root);
+        const location = this.resolve(path);
+        return location ? YangDatastore.clone(location.node) : undefined;
+    }
+
+    /**
+     * Does a node exist at path?
+     */
+    has(path) {
+        return this.get(path) !== undefined;
+    }
+
+    /**
+     * Merge a value into the node at path (iPATCH semantics).
+     * A null value deletes the node.
+     */
+    merge(path, value) {
+        if (value === null) {
+            return this.delete(path);
+        }
+        if (!path || path === '/') {
+            this.mergeInto(this.root, value, null);
+            return true;
+        }
+
+        const { segments } = InstanceIdentifier.parse(path);
+        const last = segments[segments.length - 1];
+        const location = this.resolve(path, true);
+        const parentName = segments.length > 1 ? segments[segments.length - 2].member : null;
+
+        if (Array.isArray(location.parent)) {
+            // A list entry: merge members into it; a leaf-list value is
+            // its own content
+            if (location.node !== null && typeof location.node === 'object') {
+                this.mergeInto(location.node, value, last.member);
+            }
+        } else {
+            location.parent[location.name] = this.mergeValue(location.node, value, last.member, parentName);
+        }
+        return true;
+    }
+
+    /**
+     * Replace the node at path (PUT semantics)
+     */
+    replace(path, value) {
+        if (!path || path === '/') {
+            this.root = YangDatastore.clone(value) || {};
+            return true;
+        }
+
+        const last = InstanceIdentifier.parse(path).last;
+        const location = this.resolve(path, true);
+
+        if (Array.isArray(location.parent) && last.value !== undefined) {
+            location.parent[location.name] = YangDatastore.clone(value);
+        } else if (Array.isArray(location.parent)) {
+            // Keep the key leaves of a replaced list entry
+            location.parent[location.name] = { ...last.keys, ...YangDatastore.clone(value) };
+        } else {
+            location.parent[location.name] = YangDatastore.clone(value);
+        }
+        return true;
+    }
+
+    /**
+     * Delete the node at path; returns false if it did not exist
+     */
+    delete(path) {
+        const location = this.resolve(path);
+        if (!location || location.parent === null) return false;
+
+        if (Array.isArray(location.parent)) {
+            location.parent.splice(location.name, 1);
+        } else {
+            delete location.parent[location.name];
+        }
+        return true;
+    }
+
+    /**
+     * Merge `value` into the existing node value and return the result
+     */
+    mergeValue(existing, value, name, parentName) {
+        const keys = YangDatastore.listKeys(name, parentName);
+
+        if (keys) {
+            // List: a single entry object or an array of entries
+            const list = Array.isArray(existing) ? existing : [];
+            const entries = Array.isArray(value) ? value : [value];
+            for (const entry of entries) {
+                const match = {};
+                keys.forEach(key => { match[key] = entry[key]; });
+                const target = list.find(e => YangDatastore.entryMatches(e, match));
+                if (target) {
+                    this.mergeInto(target, entry, name);
+                } else {
+                    list.push(YangDatastore.clone(entry));
+                }
+            }
+            return list;
+        }
+
+        if (value !== null && typeof value === 'object' && !Array.isArray(value) &&
+            existing !== null && typeof existing === 'object' && !Array.isArray(existing)) {
+            this.mergeInto(existing, value, name);
+            return existing;
+        }
+
+        // Leaf, leaf-list or newly created container
+        return YangDatastore.clone(value);
+    }
+
+    /**
+     * Merge the members of `value` into container/entry object `target`
+     */
+    mergeInto(target, value, name) {
+        for (const [member, memberValue] of Object.entries(value)) {
+            if (memberValue === null) {
+                delete target[member];
+            } else {
+                target[member] = this.mergeValue(target[member], memberValue, member, name);
+            }
+        }
+    }
+
+    /**
+     * Whole tree as plain JSON
+     */
+    toJSON() {
+        return YangDatastore.clone(this.root);
+    }
+}
+
+/**
+ * Keys of the lists used by the VelocityDRIVE TSN paths. Entries scoped
+ * as "parent/list" win over plain list names.
+ */
+YangDatastore.LIST_KEYS = {
+    'interface': ['name'],
+    'bridge': ['name'],
+    'component': ['name'],
+    'vlan-registration-entry': ['database-id', 'vids'],
+    'port-map': ['port-ref'],
+    'gate-control-entry': ['index'],
+    'instance': ['instance-index'],
+    'traffic-class-shapers': ['traffic-class'],
+    'frame-preemption-status-table': ['traffic-class'],
+    'pcp-decoding-map': ['pcp'],
+    'pcp-encoding-map': ['pcp'],
+    'stream-filter-instance-table': ['stream-filter-instance-id'],
+    'stream-gate-instance-table': ['stream-gate-instance-id'],
+    'flow-meter-instance-table': ['flow-meter-instance-id'],
+    'stream-identity': ['index'],
+    'sequence-generation': ['index'],
+    'sequence-recovery': ['index'],
+    'sequence-identification': ['port', 'direction-out-facing'],
+    'ports/port': ['port-index'],
+    'pcp-decoding-map/priority-map': ['priority-code-point'],
+    'pcp-encoding-map/priority-map': ['priority', 'dei']
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { YangDatastore };
+}
+
+if (typeof window !== 'undefined') {
+    window.YangDatastore = YangDatastore;
+}
@@ -0,0 +1,38 @@
+/**
+ * MUP1 codec against frames captured from a LAN9662 running
+ * VelocitySP-v2025.06. Run with `node --test test/`.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { MUP1Protocol, MUP1Decoder } = require('../js/mup1-protocol.js');
+
+const CAPTURES = [
+    { type: 'p', text: '', frame: '>p<<8553' },
+    { type: 'P', text: 'VelocitySP-v2025.06-LAN9662-ung8291 0 300 2', frame: '>PVelocitySP-v2025.06-LAN9662-ung8291 0 300 2<<98e8' }
+];
+
+const bytes = text => new TextEncoder().encode(text);
+
+for (const { type, text, frame } of CAPTURES) {
+    test(`packFrame reproduces ${frame}`, () => {
+        const protocol = new MUP1Protocol();
+        assert.deepStrictEqual(protocol.packFrame(bytes(text), type), bytes(frame));
+    });
+
+    test(`unpackFrame accepts ${frame}`, () => {
+        const unpacked = new MUP1Protocol().unpackFrame(bytes(frame));
+        assert.ok(unpacked);
+        assert.strictEqual(unpacked.type, type);
+        assert.strictEqual(new TextDecoder().decode(unpacked.payload), text);
+        assert.strictEqual(unpacked.checksumValid, true);
+    });
+
+    test(`MUP1Decoder accepts ${frame}`, () => {
+        const decoder = new MUP1Decoder();
+        const frames = decoder.push(bytes(frame));
+        assert.strictEqual(frames.length, 1);
+        assert.strictEqual(frames[0].text, text);
+        assert.strictEqual(decoder.getStats().badChecksums, 0);
+    });
+}